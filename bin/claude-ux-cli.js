@@ -11,45 +11,477 @@ const inquirer = require('inquirer');
 const path = require('path');
 const fs = require('fs').promises;
 const UXOrchestrator = require('../src/orchestrator');
+const { readLoginFile } = require('../src/auth/auth-manager');
+const { loadJourney } = require('../src/journeys/journey-loader');
+const { DEFAULT_IGNORED_PARAMS } = require('../src/crawler/url-rules');
+const { listDevices } = require('../src/devices/device-profiles');
+const { loadConfig, mergeConfig } = require('../src/config/config-loader');
+const BaselineManager = require('../src/baseline/baseline-manager');
+const HistoryStore = require('../src/history/history-store');
+const { parseHistoryDate } = HistoryStore;
+const { diffReports } = require('../src/diff/report-diff');
+const DiffReporter = require('../src/reporters/diff-reporter');
+const StaticServer = require('../src/static/static-server');
+const AnalysisServer = require('../src/service/analysis-server');
+const WatchSession = require('../src/watch/watch-session');
+const ThirdPartyComparison = require('../src/network/third-party-comparison');
+const { localPath } = StaticServer;
+
+/**
+ * Split a comma-separated CLI value into a list
+ */
+function splitList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Apply option groups (withAnalyzerOptions, withAuthOptions, ...) to a command
+ */
+function withOptions(command, ...groups) {
+  return groups.reduce((result, addOptions) => addOptions(result), command);
+}
+
+/**
+ * Add the analyzer plugin options shared by every analysis command
+ */
+function withAnalyzerOptions(command) {
+  return command
+    .option('--plugin <module...>', 'Load additional analyzer plugins (path or package name)')
+    .option('--enable <analyzers>', 'Comma-separated analyzers to enable')
+    .option('--disable <analyzers>', 'Comma-separated analyzers to disable')
+    .option('--no-plugin-discovery', 'Skip discovering claude-ux-plugin-* packages in node_modules')
+    .option('--analyzer-timeout <seconds>', 'Give up on an analyzer after this many seconds (default: 30)');
+}
+
+/**
+ * Orchestrator config derived from the analyzer plugin options
+ */
+function analyzerConfig(options) {
+  return {
+    plugins: options.plugin || [],
+    ...(options.pluginDiscovery === false && { pluginDiscovery: false }),
+    enableAnalyzers: splitList(options.enable),
+    disableAnalyzers: splitList(options.disable),
+    ...(options.analyzerTimeout && { analyzerTimeout: parseFloat(options.analyzerTimeout) * 1000 })
+  };
+}
+
+let projectConfig = null;
+
+const NETWORK_RULES = ['block', 'stub', 'latency'];
+
+/**
+ * Orchestrator config: the project config (files, environment profile, CLAUDE_UX_*
+ * variables) with CLI flags layered on top
+ */
+async function resolveConfig(overrides = {}) {
+  if (!projectConfig) {
+    const { config: configPath, env: profile } = program.opts();
+    projectConfig = await loadConfig({ configPath, profile });
+    
+    if (projectConfig.sources.length > 0) {
+      const profileNote = projectConfig.profile ? ` [${projectConfig.profile}]` : '';
+      console.error(chalk.gray(`⚙️  Config: ${projectConfig.sources.join(', ')}${profileNote}`));
+    }
+  }
+  
+  const base = projectConfig.config;
+  const enabled = overrides.enableAnalyzers || [];
+  const disabled = overrides.disableAnalyzers || [];
+  const network = overrides.network && {
+    ...overrides.network,
+    ...Object.fromEntries(NETWORK_RULES
+      .filter(key => overrides.network[key])
+      .map(key => [key, [...overrides.network[key], ...((base.network || {})[key] || [])]]))
+  };
+  
+  // Plugins and request rules add up (command line stubs first, so they win); an analyzer
+  // toggled on the command line overrides the config file
+  return mergeConfig(base, {
+    ...overrides,
+    ...(network && { network }),
+    plugins: [...(base.plugins || []), ...(overrides.plugins || [])],
+    enableAnalyzers: [...(base.enableAnalyzers || []).filter(name => !disabled.includes(name)), ...enabled],
+    disableAnalyzers: [...(base.disableAnalyzers || []).filter(name => !enabled.includes(name)), ...disabled]
+  });
+}
+
+/**
+ * Collect a repeatable CLI option into a list
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Add the authentication options shared by commands that load pages
+ * Values may reference environment variables as ${env:NAME}
+ */
+function withAuthOptions(command) {
+  return command
+    .option('--storage-state <file>', 'Playwright storage state file with an existing session')
+    .option('--cookie <name=value>', 'Cookie to send with every request (repeatable)', collect, [])
+    .option('--header <name:value>', 'Extra HTTP header to send with every request (repeatable)', collect, [])
+    .option('--http-auth <user:password>', 'HTTP basic auth credentials')
+    .option('--login <file>', 'Login script (.js) or JSON steps run once before analysis')
+    .option('--save-storage-state <file>', 'Save the session created by --login for later runs');
+}
+
+/**
+ * Orchestrator auth config derived from the authentication options,
+ * layered over an auth block from a config file
+ */
+async function authConfig(options, base = {}) {
+  const auth = { ...base };
+  
+  if (options.storageState) {
+    auth.storageState = options.storageState;
+  }
+  
+  if (options.cookie.length > 0) {
+    auth.cookies = [...(auth.cookies || []), ...options.cookie.map(cookie => {
+      const index = cookie.indexOf('=');
+      return { name: cookie.slice(0, index), value: cookie.slice(index + 1) };
+    })];
+  }
+  
+  if (options.header.length > 0) {
+    auth.headers = { ...auth.headers };
+    options.header.forEach(header => {
+      const index = header.indexOf(':');
+      auth.headers[header.slice(0, index).trim()] = header.slice(index + 1).trim();
+    });
+  }
+  
+  if (options.httpAuth) {
+    const index = options.httpAuth.indexOf(':');
+    auth.httpCredentials = {
+      username: options.httpAuth.slice(0, index),
+      password: options.httpAuth.slice(index + 1)
+    };
+  }
+  
+  if (options.login) {
+    auth.login = await readLoginFile(options.login);
+  }
+  
+  if (options.saveStorageState && auth.login) {
+    auth.login = { ...auth.login, saveStorageState: options.saveStorageState };
+  }
+  
+  return auth;
+}
+
+/**
+ * Add the browser engine and device emulation options
+ */
+function withBrowserOptions(command) {
+  return command
+    .option('--browsers <engines>', 'Comma-separated engines to analyze in (chromium, firefox, webkit)')
+    .option('--device <name>', 'Device profile for mobile analysis (see "claude-ux devices")')
+    .option('--devices <names>', 'Comma-separated device profiles to analyze each page on (device matrix)');
+}
+
+/**
+ * Orchestrator config derived from the browser engine and device options
+ */
+function browserConfig(options) {
+  return {
+    ...(options.browsers && { browsers: splitList(options.browsers) }),
+    ...(options.device && { mobileDevice: options.device }),
+    ...(options.devices && { devices: splitList(options.devices) })
+  };
+}
+
+/**
+ * Add the options for recording network traffic to a HAR file or replaying one
+ */
+function withHarOptions(command) {
+  return command
+    .option('--record-har <file>', 'Record all network traffic of the run to a HAR file')
+    .option('--replay-har <file>', 'Serve responses from a recorded HAR file instead of the network')
+    .option('--har-not-found <policy>', 'Requests missing from the replayed HAR: abort or fallback to the network (default: abort)')
+    .option('--har-keep-secrets', 'Keep cookies and authorization headers in the recorded HAR (redacted by default)');
+}
+
+/**
+ * Orchestrator HAR config derived from the HAR options, layered over a har block from a batch file
+ * Recording on the command line replaces a configured replay and vice versa
+ */
+function harConfig(options, base = {}) {
+  if (options.recordHar && options.replayHar) {
+    throw new Error('Use either --record-har or --replay-har, not both');
+  }
+  const har = {
+    ...(options.recordHar && { record: options.recordHar, replay: null }),
+    ...(options.replayHar && { replay: options.replayHar, record: null }),
+    ...(options.harNotFound && { notFound: options.harNotFound }),
+    ...(options.harKeepSecrets && { keepSecrets: true })
+  };
+  
+  return Object.keys(har).length > 0 || Object.keys(base).length > 0 ? { har: { ...base, ...har } } : {};
+}
+
+/**
+ * Add the request interception options
+ */
+function withNetworkOptions(command) {
+  return command
+    .option('--block <patterns>', 'Comma-separated hosts or URL globs to block (e.g. googletagmanager.com,**/ads/**)')
+    .option('--stub <pattern=file>', 'Answer requests matching a host or URL glob with a local fixture file (repeatable)', collect, [])
+    .option('--latency <pattern=ms>', 'Delay requests matching a host or URL glob (repeatable)', collect, []);
+}
+
+/**
+ * Orchestrator request interception config derived from the interception options,
+ * layered over a network block from a batch file
+ */
+function networkConfig(options, base = {}) {
+  const rules = {
+    block: splitList(options.block),
+    stub: options.stub.map(value => {
+      const [url, file] = splitRule(value, '--stub');
+      return { url, file };
+    }),
+    latency: options.latency.map(value => {
+      const [url, delay] = splitRule(value, '--latency');
+      if (isNaN(parseInt(delay))) {
+        throw new Error(`--latency ${value}: expected pattern=milliseconds`);
+      }
+      return { url, delay: parseInt(delay) };
+    })
+  };
+  const network = { ...base };
+  NETWORK_RULES.filter(key => rules[key].length > 0).forEach(key => {
+    network[key] = [...rules[key], ...(base[key] || [])];
+  });
+  
+  return Object.keys(network).length > 0 ? { network } : {};
+}
+
+/**
+ * Split a pattern=value option; the last "=" separates them since URL globs may contain one
+ */
+function splitRule(value, option) {
+  const index = value.lastIndexOf('=');
+  if (index <= 0 || index === value.length - 1) {
+    throw new Error(`${option} ${value}: expected pattern=value`);
+  }
+  return [value.slice(0, index), value.slice(index + 1)];
+}
+
+/**
+ * Add the options deciding when a loaded page is ready to be analyzed
+ */
+function withReadinessOptions(command) {
+  return command
+    .option('--wait-until <event>', 'Navigation event to wait for (load, domcontentloaded, networkidle, commit; default: load)')
+    .option('--wait-for <selector>', 'Wait until this selector is visible (repeatable)', collect, [])
+    .option('--wait-for-function <expression>', 'Wait until this JavaScript expression is truthy in the page')
+    .option('--wait-for-quiet <ms>', 'Wait until the DOM has not changed for this many milliseconds')
+    .option('--wait-for-assets', 'Wait for web fonts and images to load')
+    .option('--ready-timeout <seconds>', 'Time allowed for the page to get ready (default: the navigation timeout)')
+    .option('--fail-if-not-ready', 'Fail the page instead of analyzing what loaded when it does not get ready in time');
+}
+
+/**
+ * Orchestrator readiness config derived from the readiness options,
+ * layered over a readiness block from a batch file
+ * Any wait-for option replaces the configured conditions (network idle by default)
+ */
+function readinessConfig(options, base = {}) {
+  const conditions = [
+    ...options.waitFor.map(selector => ({ selector })),
+    ...(options.waitForFunction ? [{ predicate: options.waitForFunction }] : []),
+    ...(options.waitForQuiet ? [{ domQuiet: parseInt(options.waitForQuiet) }] : []),
+    ...(options.waitForAssets ? [{ fonts: true }, { images: true }] : [])
+  ];
+  const readiness = {
+    ...(options.waitUntil && { waitUntil: options.waitUntil }),
+    ...(conditions.length > 0 && { conditions }),
+    ...(options.readyTimeout && { timeout: parseFloat(options.readyTimeout) * 1000 }),
+    ...(options.failIfNotReady && { onTimeout: 'fail' })
+  };
+  
+  return Object.keys(readiness).length > 0 || Object.keys(base).length > 0 ? { readiness: { ...base, ...readiness } } : {};
+}
+
+/**
+ * Add the options for serving local HTML files to analyze
+ */
+function withStaticOptions(command) {
+  return command
+    .option('--spa', 'Serve index.html for unknown extensionless paths (single-page apps)')
+    .option('--static-port <port>', `Port to serve local files on (default: ${StaticServer.DEFAULT_PORT})`);
+}
+
+/**
+ * Serve a local directory on localhost
+ */
+async function startStaticServer(root, options) {
+  const server = new StaticServer({
+    root,
+    spa: options.spa,
+    ...(options.staticPort && { port: parseInt(options.staticPort) })
+  });
+  await server.start();
+  console.log(chalk.gray(`📂 Serving ${path.relative(process.cwd(), server.root) || '.'} at ${server.baseUrl}${server.spa ? ' with SPA fallback' : ''}`));
+  return server;
+}
+
+/**
+ * The URL to analyze for a command's target: web URLs are used as they are,
+ * local HTML files and directories are served by a static server
+ * @returns {{ url, file, server }} file (relative to the working directory) and server only for local targets
+ */
+async function resolveTarget(target, options) {
+  const file = localPath(target);
+  if (!file) {
+    return { url: target, file: undefined, server: null };
+  }
+  
+  const stats = await fs.stat(file).catch(() => null);
+  if (!stats) {
+    throw new Error(`${target} is neither an http(s) URL nor an existing file`);
+  }
+  
+  const page = stats.isDirectory() ? path.join(file, 'index.html') : file;
+  const server = await startStaticServer(options.staticRoot || (stats.isDirectory() ? file : path.dirname(file)), options);
+  return { url: server.urlFor(page), file: path.relative(process.cwd(), page), server };
+}
+
+/**
+ * Add the baseline options shared by commands that report issues
+ */
+function withBaselineOptions(command) {
+  return command
+    .option('--baseline <file>', `Hide known issues recorded in this baseline (default: ${BaselineManager.DEFAULT_BASELINE_FILE} when present)`)
+    .option('--no-baseline', 'Report every issue, ignoring the baseline');
+}
+
+/**
+ * Orchestrator config derived from the baseline options
+ */
+function baselineConfig(options) {
+  return options.baseline !== undefined ? { baseline: options.baseline } : {};
+}
+
+/**
+ * Add the quality gate options shared by commands that can fail a build
+ */
+function withGateOptions(command) {
+  return command
+    .option('--fail-on <severity>', 'Fail when an issue of this severity or worse is reported (critical, high, medium, low, none)')
+    .option('--strict-analyzers', 'Fail when any analyzer crashes or times out');
+}
+
+/**
+ * Orchestrator config derived from the quality gate options
+ */
+function gateConfig(options) {
+  return {
+    ...(options.failOn && { failOn: options.failOn }),
+    ...(options.strictAnalyzers && { strictAnalyzers: true })
+  };
+}
+
+/**
+ * Exit with code 1 when the quality gate failed for any of the results
+ */
+function exitOnFailedGate(resultsList) {
+  const failed = resultsList.filter(result => result.gate && result.gate.status === 'failed');
+  if (failed.length === 0) return;
+  
+  if (resultsList.length > 1) {
+    console.error(chalk.red(`\n🚦 Quality gate failed for ${failed.length} of ${resultsList.length} pages:`));
+    failed.forEach(result => {
+      const checks = result.gate.checks.filter(check => check.status === 'failed').map(check => check.label);
+      console.error(chalk.red(`  • ${result.file || result.url}: ${checks.join(', ')}`));
+    });
+  }
+  process.exit(1);
+}
+
+/**
+ * Add the parallelism options shared by multi-page commands
+ */
+function withPoolOptions(command) {
+  return command
+    .option('-c, --concurrency <count>', 'Pages analyzed in parallel, each in its own browser context')
+    .option('--processes <count>', 'Browser processes to spread the contexts across')
+    .option('--page-timeout <seconds>', 'Give up on a page after this many seconds')
+    .option('--retries <count>', 'Retries for transient navigation failures');
+}
+
+/**
+ * analyzeBatch options from the CLI, falling back to values in a config file
+ */
+function poolOptions(options, config = {}) {
+  const pick = (cliValue, configValue) => (cliValue !== undefined ? parseInt(cliValue) : configValue);
+  const pageTimeout = pick(options.pageTimeout, config.pageTimeout);
+  
+  return {
+    concurrency: pick(options.concurrency, config.concurrency),
+    browserProcesses: pick(options.processes, config.processes),
+    pageTimeout: pageTimeout !== undefined ? pageTimeout * 1000 : undefined,
+    retries: pick(options.retries, config.retries),
+    onProgress: ({ completed, total, result }) => {
+      const status = result.error ? chalk.red(`❌ ${result.error}`) : chalk.green(`✅ ${result.summary.totalIssues} issues`);
+      const attempts = result.attempts > 1 ? chalk.gray(` (${result.attempts} attempts)`) : '';
+      console.log(`${chalk.cyan(`[${completed}/${total}]`)} ${result.file || result.url} ${status}${attempts}`);
+    }
+  };
+}
 
 // Configure CLI
 program
   .name('claude-ux')
   .description('🎯 Claude UX Consultant - AI-Powered UX Analysis Tool')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--config <file>', 'Config file to use instead of discovering one (also CLAUDE_UX_CONFIG)')
+  .option('--env <name>', 'Environment profile from the config\'s "environments" section (also CLAUDE_UX_ENV)');
 
 // Quick analysis command
-program
-  .command('quick <url>')
-  .description('Quick 5-second analysis for immediate feedback')
+withOptions(program
+  .command('quick <url>'), withAnalyzerOptions, withAuthOptions, withBrowserOptions, withHarOptions, withNetworkOptions, withReadinessOptions, withStaticOptions, withBaselineOptions, withGateOptions)
+  .description('Quick 5-second analysis for immediate feedback (URL or local HTML file)')
   .option('-o, --output <path>', 'Output directory for reports')
-  .option('-f, --format <format>', 'Report format (html, json, markdown)', 'html')
+  .option('-f, --format <format>', 'Report format (html, json, markdown; default from config or html)')
   .option('--no-screenshots', 'Skip screenshot capture')
+  .option('--static-root <dir>', 'Directory to serve a local file from (default: the file\'s directory)')
   .action(async (url, options) => {
     try {
       console.log(chalk.blue('🎯 Starting quick UX analysis...'));
       
-      const orchestrator = new UXOrchestrator({
-        outputDir: options.output || './reports',
-        captureScreenshots: options.screenshots !== false
+      const target = await resolveTarget(url, options);
+      const config = await resolveConfig({
+        baseUrl: new URL(target.url).origin,
+        outputDir: options.output,
+        ...(options.screenshots === false && { captureScreenshots: false }),
+        auth: await authConfig(options),
+        ...analyzerConfig(options),
+        ...browserConfig(options),
+        ...harConfig(options),
+        ...networkConfig(options),
+        ...readinessConfig(options),
+        ...baselineConfig(options),
+        ...gateConfig(options)
       });
+      // quick has always failed on critical issues; --fail-on or failOn in the config changes that
+      const orchestrator = new UXOrchestrator({ failOn: 'critical', ...config });
       
       await orchestrator.initialize();
-      const results = await orchestrator.analyzePage(url, 'quick');
+      const results = await orchestrator.analyzePage(target.url, 'quick', { file: target.file });
       
       orchestrator.displayImmediateFeedback(results);
       
-      if (options.format) {
-        const reportPath = await orchestrator.generateReport(results, options.format);
-        console.log(chalk.green(`\\n📁 Report generated: ${reportPath}`));
-      }
+      const reportPath = await orchestrator.generateReport(results, options.format || orchestrator.config.reportFormat);
+      console.log(chalk.green(`\n📁 Report generated: ${reportPath}`));
       
       await orchestrator.close();
+      if (target.server) await target.server.stop();
       
-      // Exit with error code if critical issues found
-      if (results.summary.criticalIssues > 0) {
-        process.exit(1);
-      }
+      exitOnFailedGate([results]);
       
     } catch (error) {
       console.error(chalk.red('❌ Error:', error.message));
@@ -58,31 +490,45 @@ program
   });
 
 // Deep analysis command
-program
-  .command('deep <url>')
-  .description('Comprehensive UX analysis with detailed insights')
+withOptions(program
+  .command('deep <url>'), withAnalyzerOptions, withAuthOptions, withBrowserOptions, withHarOptions, withNetworkOptions, withReadinessOptions, withStaticOptions, withBaselineOptions, withGateOptions)
+  .description('Comprehensive UX analysis with detailed insights (URL or local HTML file)')
   .option('-o, --output <path>', 'Output directory for reports')
-  .option('-f, --format <format>', 'Report format (html, json, markdown)', 'html')
+  .option('-f, --format <format>', 'Report format (html, json, markdown; default from config or html)')
   .option('--mobile', 'Include mobile analysis')
+  .option('--static-root <dir>', 'Directory to serve a local file from (default: the file\'s directory)')
   .action(async (url, options) => {
     try {
       console.log(chalk.blue('🔬 Starting deep UX analysis...'));
       
-      const orchestrator = new UXOrchestrator({
-        outputDir: options.output || './reports'
-      });
+      const target = await resolveTarget(url, options);
+      const orchestrator = new UXOrchestrator(await resolveConfig({
+        baseUrl: new URL(target.url).origin,
+        outputDir: options.output,
+        auth: await authConfig(options),
+        ...analyzerConfig(options),
+        ...browserConfig(options),
+        ...harConfig(options),
+        ...networkConfig(options),
+        ...readinessConfig(options),
+        ...baselineConfig(options),
+        ...gateConfig(options)
+      }));
       
       await orchestrator.initialize();
       
       const analysisType = options.mobile ? 'full' : 'deep';
-      const results = await orchestrator.analyzePage(url, analysisType);
+      const results = await orchestrator.analyzePage(target.url, analysisType, { file: target.file });
       
       orchestrator.displayImmediateFeedback(results);
       
-      const reportPath = await orchestrator.generateReport(results, options.format);
+      const reportPath = await orchestrator.generateReport(results, options.format || orchestrator.config.reportFormat);
       console.log(chalk.green(`\\n📁 Comprehensive report: ${reportPath}`));
       
       await orchestrator.close();
+      if (target.server) await target.server.stop();
+      
+      exitOnFailedGate([results]);
       
     } catch (error) {
       console.error(chalk.red('❌ Error:', error.message));
@@ -91,24 +537,38 @@ program
   });
 
 // Element analysis command
-program
-  .command('element <url> <selector>')
-  .description('Analyze specific UI elements')
+withOptions(program
+  .command('element <url> <selector>'), withAnalyzerOptions, withAuthOptions, withBrowserOptions, withHarOptions, withNetworkOptions, withReadinessOptions, withStaticOptions, withBaselineOptions, withGateOptions)
+  .description('Analyze specific UI elements (URL or local HTML file)')
   .option('-o, --output <path>', 'Output directory for reports')
+  .option('--static-root <dir>', 'Directory to serve a local file from (default: the file\'s directory)')
   .action(async (url, selector, options) => {
     try {
       console.log(chalk.blue(`🎯 Analyzing element: ${selector}`));
       
-      const orchestrator = new UXOrchestrator({
-        outputDir: options.output || './reports'
-      });
+      const target = await resolveTarget(url, options);
+      const orchestrator = new UXOrchestrator(await resolveConfig({
+        baseUrl: new URL(target.url).origin,
+        outputDir: options.output,
+        auth: await authConfig(options),
+        ...analyzerConfig(options),
+        ...browserConfig(options),
+        ...harConfig(options),
+        ...networkConfig(options),
+        ...readinessConfig(options),
+        ...baselineConfig(options),
+        ...gateConfig(options)
+      }));
       
       await orchestrator.initialize();
-      const results = await orchestrator.analyzePage(url, 'element', { selector });
+      const results = await orchestrator.analyzePage(target.url, 'element', { selector, file: target.file });
       
       orchestrator.displayImmediateFeedback(results);
       
       await orchestrator.close();
+      if (target.server) await target.server.stop();
+      
+      exitOnFailedGate([results]);
       
     } catch (error) {
       console.error(chalk.red('❌ Error:', error.message));
@@ -117,45 +577,457 @@ program
   });
 
 // Batch analysis command
-program
-  .command('batch <config>')
-  .description('Batch analysis of multiple pages')
+withOptions(program
+  .command('batch [config]'), withAnalyzerOptions, withAuthOptions, withBrowserOptions, withHarOptions, withNetworkOptions, withReadinessOptions, withStaticOptions, withBaselineOptions, withGateOptions, withPoolOptions)
+  .description('Batch analysis of multiple pages, from a config file or a static build directory')
   .option('-o, --output <path>', 'Output directory for reports')
+  .option('--static <dir>', 'Serve this directory and analyze every HTML file in it')
+  .option('-t, --type <type>', 'Analysis type for pages found with --static (quick, deep, full)', 'quick')
   .action(async (configPath, options) => {
     try {
       console.log(chalk.blue('📋 Starting batch analysis...'));
       
-      const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
-      const orchestrator = new UXOrchestrator({
-        outputDir: options.output || './reports'
-      });
+      const config = configPath ? JSON.parse(await fs.readFile(configPath, 'utf8')) : {};
+      let server = null;
+      if (options.static) {
+        server = await startStaticServer(options.static, options);
+        const files = await server.listPages();
+        if (files.length === 0) {
+          throw new Error(`No HTML files found in ${options.static}`);
+        }
+        console.log(chalk.blue(`📂 Found ${files.length} HTML file(s)`));
+        config.pages = files.map(file => ({
+          url: server.urlFor(file),
+          file: path.relative(process.cwd(), file),
+          type: options.type
+        }));
+      } else if (!config.pages) {
+        throw new Error('Pass a batch config with "pages", or --static <dir>');
+      }
       
-      await orchestrator.initialize();
+      const orchestrator = new UXOrchestrator(await resolveConfig({
+        baseUrl: config.baseUrl || new URL(config.pages[0].url).origin,
+        outputDir: options.output,
+        auth: await authConfig(options, config.auth),
+        ...(config.deviceProfiles && { deviceProfiles: config.deviceProfiles }),
+        ...(config.devices && { devices: config.devices }),
+        ...analyzerConfig(options),
+        ...browserConfig(options),
+        ...harConfig(options, config.har),
+        ...networkConfig(options, config.network),
+        ...readinessConfig(options, config.readiness),
+        ...baselineConfig(options),
+        ...gateConfig(options)
+      }));
       
-      const results = [];
+      await orchestrator.initialize();
       
-      for (const page of config.pages) {
-        console.log(chalk.yellow(`Analyzing: ${page.url}`));
-        const result = await orchestrator.analyzePage(page.url, page.type || 'quick');
-        results.push(result);
-      }
+      const results = await orchestrator.analyzeBatch(config.pages, poolOptions(options, config));
       
       // Generate summary report
       const summaryReport = {
         timestamp: new Date().toISOString(),
         totalPages: results.length,
-        totalIssues: results.reduce((sum, r) => sum + r.summary.totalIssues, 0),
-        criticalIssues: results.reduce((sum, r) => sum + r.summary.criticalIssues, 0),
+        failedPages: results.filter(r => r.error).length,
+        totalIssues: results.reduce((sum, r) => sum + (r.summary.totalIssues || 0), 0),
+        criticalIssues: results.reduce((sum, r) => sum + (r.summary.criticalIssues || 0), 0),
+        failedGates: results.filter(r => r.gate && r.gate.status === 'failed').length,
         results
       };
       
-      const summaryPath = path.join(options.output || './reports', 'batch-summary.json');
-      await fs.writeFile(summaryPath, JSON.stringify(summaryReport, null, 2));
+      const summaryPath = path.join(orchestrator.config.outputDir, 'batch-summary.json');
+      await fs.writeFile(summaryPath, JSON.stringify(orchestrator.redact(summaryReport), null, 2));
       
       console.log(chalk.green(`\\n📊 Batch analysis complete!`));
       console.log(chalk.green(`📁 Summary report: ${summaryPath}`));
       
       await orchestrator.close();
+      if (server) await server.stop();
+      
+      exitOnFailedGate(results);
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// Crawl command
+withOptions(program
+  .command('crawl <url>'), withAnalyzerOptions, withAuthOptions, withBrowserOptions, withBaselineOptions, withGateOptions, withPoolOptions)
+  .description('Discover pages from sitemap.xml and links, then analyze each one')
+  .option('-o, --output <path>', 'Output directory for reports')
+  .option('-t, --type <type>', 'Analysis type for each page (quick, deep)', 'quick')
+  .option('-d, --max-depth <depth>', 'Maximum link depth from the start URL', '3')
+  .option('-m, --max-pages <count>', 'Maximum number of pages to visit', '50')
+  .option('--include <glob>', 'Only crawl paths matching this glob (repeatable)', collect, [])
+  .option('--exclude <glob>', 'Skip paths matching this glob (repeatable)', collect, [])
+  .option('--ignore-param <name>', 'Query parameter to ignore when de-duplicating (repeatable, globs allowed)', collect, [])
+  .option('--strip-query', 'Treat URLs that differ only by query string as the same page')
+  .option('--no-same-origin', 'Follow links to other origins')
+  .option('--no-sitemap', 'Do not read sitemap.xml')
+  .option('--ignore-robots', 'Do not honor robots.txt')
+  .option('--graph-only', 'Only crawl and save the graph, skip page analysis')
+  .action(async (url, options) => {
+    try {
+      console.log(chalk.blue('🕸️  Starting site crawl...'));
+      
+      const orchestrator = new UXOrchestrator(await resolveConfig({
+        baseUrl: new URL(url).origin,
+        outputDir: options.output,
+        auth: await authConfig(options),
+        ...analyzerConfig(options),
+        ...browserConfig(options),
+        ...baselineConfig(options),
+        ...gateConfig(options)
+      }));
+      const outputDir = orchestrator.config.outputDir;
+      
+      await orchestrator.initialize();
+      
+      const graph = await orchestrator.crawl(url, {
+        maxDepth: parseInt(options.maxDepth),
+        maxPages: parseInt(options.maxPages),
+        sameOrigin: options.sameOrigin !== false,
+        include: options.include,
+        exclude: options.exclude,
+        respectRobots: !options.ignoreRobots,
+        useSitemap: options.sitemap !== false,
+        ...(options.ignoreParam.length > 0 && { ignoreParams: [...DEFAULT_IGNORED_PARAMS, ...options.ignoreParam] }),
+        stripQuery: Boolean(options.stripQuery)
+      });
+      
+      const graphPath = path.join(outputDir, 'crawl-graph.json');
+      await fs.writeFile(graphPath, JSON.stringify(graph, null, 2));
+      console.log(chalk.green(`🗺️  Crawl graph: ${graphPath}`));
+      
+      if (graph.orphans.length > 0) {
+        console.log(chalk.yellow(`Orphan pages (no inbound links): ${graph.orphans.length}`));
+      }
+      if (graph.broken.length > 0) {
+        console.log(chalk.red(`Broken pages: ${graph.broken.length}`));
+      }
+      
+      let results = [];
+      if (!options.graphOnly) {
+        const pages = graph.pages.filter(node => node.analyzable);
+        results = (await orchestrator.analyzeBatch(
+          pages.map(page => ({ url: page.url, type: options.type })),
+          poolOptions(options)
+        )).map((result, index) => ({ ...result, crawlDepth: pages[index].depth }));
+        
+        const summaryReport = {
+          timestamp: new Date().toISOString(),
+          startUrl: url,
+          crawlGraph: graphPath,
+          totalPages: results.length,
+          totalIssues: results.reduce((sum, r) => sum + (r.summary.totalIssues || 0), 0),
+          criticalIssues: results.reduce((sum, r) => sum + (r.summary.criticalIssues || 0), 0),
+          failedGates: results.filter(r => r.gate && r.gate.status === 'failed').length,
+          results
+        };
+        
+        const summaryPath = path.join(outputDir, 'crawl-summary.json');
+        await fs.writeFile(summaryPath, JSON.stringify(orchestrator.redact(summaryReport), null, 2));
+        
+        console.log(chalk.green(`\n📊 Crawl analysis complete!`));
+        console.log(chalk.green(`📁 Summary report: ${summaryPath}`));
+      }
+      
+      await orchestrator.close();
+      
+      exitOnFailedGate(results);
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// Third-party comparison command
+withOptions(program
+  .command('third-parties <url>'), withAuthOptions, withHarOptions, withNetworkOptions, withReadinessOptions, withStaticOptions)
+  .description('Load a page with and without its third-party requests and compare the two')
+  .option('-o, --output <path>', 'Output directory for the comparison')
+  .option('-r, --runs <count>', 'Loads with and without third parties; medians are compared', String(ThirdPartyComparison.DEFAULT_RUNS))
+  .option('--first-party <hosts>', 'Comma-separated hosts besides the page\'s own that are not third parties (e.g. your CDN)')
+  .option('--static-root <dir>', 'Directory to serve a local file from (default: the file\'s directory)')
+  .action(async (url, options) => {
+    try {
+      console.log(chalk.blue('🧪 Starting third-party comparison...'));
+      
+      const target = await resolveTarget(url, options);
+      const orchestrator = new UXOrchestrator(await resolveConfig({
+        baseUrl: new URL(target.url).origin,
+        outputDir: options.output,
+        auth: await authConfig(options),
+        ...harConfig(options),
+        ...networkConfig(options),
+        ...readinessConfig(options)
+      }));
+      
+      await orchestrator.initialize();
+      const comparison = await orchestrator.compareThirdParties(target.url, {
+        runs: parseInt(options.runs),
+        ...(options.firstParty && { firstParty: splitList(options.firstParty) })
+      });
+      
+      const labels = {
+        loadTime: ['Load time', 'ms'],
+        longTasks: ['Long tasks', ''],
+        longTaskTime: ['Long task time', 'ms'],
+        cumulativeLayoutShift: ['Layout shift (CLS)', ''],
+        consoleErrors: ['Console errors', '']
+      };
+      const format = (value, unit) => (value === null ? 'n/a' : `${value}${unit}`);
+      
+      console.log(chalk.blue(`\n📊 What third parties cost (median of ${comparison.runs} run(s)):`));
+      ThirdPartyComparison.COMPARED_METRICS.forEach(metric => {
+        const [label, unit] = labels[metric];
+        const delta = comparison.delta[metric];
+        const color = delta === null || delta === 0 ? chalk.gray : delta > 0 ? chalk.red : chalk.green;
+        console.log(`  ${label.padEnd(20)} ${format(comparison.withThirdParties[metric], unit).padStart(9)} with, ${format(comparison.withoutThirdParties[metric], unit).padStart(9)} without  ${color(delta === null ? 'n/a' : `${delta > 0 ? '+' : ''}${delta}${unit}`)}`);
+      });
+      
+      if (comparison.thirdParties.length > 0) {
+        console.log(chalk.blue(`\n🌍 Third-party hosts (${comparison.thirdParties.length}):`));
+        comparison.thirdParties.slice(0, 10).forEach(({ host, requests }) => {
+          console.log(`  ${host}: ${requests} request(s)`);
+        });
+      }
+      
+      const thirdPartyErrors = comparison.consoleErrors.withThirdParties
+        .filter(message => !comparison.consoleErrors.withoutThirdParties.includes(message));
+      if (thirdPartyErrors.length > 0) {
+        console.log(chalk.yellow('\n⚠️  Console errors only with third parties:'));
+        thirdPartyErrors.slice(0, 5).forEach(message => console.log(`  ${message}`));
+      }
+      
+      const outputPath = path.join(orchestrator.config.outputDir, `third-parties-${orchestrator.sanitizeFilename(target.url)}-${Date.now()}.json`);
+      await fs.writeFile(outputPath, JSON.stringify({ ...comparison, ...(target.file && { file: target.file }) }, null, 2));
+      console.log(chalk.green(`\n📁 Comparison saved: ${outputPath}`));
+      
+      await orchestrator.close();
+      if (target.server) await target.server.stop();
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// Journey command
+withOptions(program
+  .command('journey <file>'), withAnalyzerOptions, withAuthOptions, withHarOptions, withNetworkOptions, withBaselineOptions, withGateOptions)
+  .description('Run a multi-step user journey (YAML or JSON) with analysis at each checkpoint')
+  .option('-o, --output <path>', 'Output directory for reports')
+  .option('-f, --format <format>', 'Report format (html, json, markdown; default from config or html)')
+  .option('-b, --base-url <url>', 'Base URL for relative navigate steps')
+  .action(async (file, options) => {
+    try {
+      const journey = await loadJourney(file);
+      console.log(chalk.blue(`🧭 Starting journey: ${journey.name}`));
+      
+      const orchestrator = new UXOrchestrator(await resolveConfig({
+        baseUrl: options.baseUrl || journey.baseUrl,
+        outputDir: options.output,
+        auth: await authConfig(options),
+        ...analyzerConfig(options),
+        ...harConfig(options),
+        ...networkConfig(options),
+        ...baselineConfig(options),
+        ...gateConfig(options)
+      }));
+      
+      await orchestrator.initialize();
+      const results = await orchestrator.analyzeJourney({
+        ...journey,
+        baseUrl: options.baseUrl || journey.baseUrl || orchestrator.config.baseUrl
+      });
+      
+      orchestrator.displayImmediateFeedback(results);
+      
+      results.checkpoints.forEach(checkpoint => {
+        console.log(`📍 ${checkpoint.name}: ${checkpoint.issues.length} issues (${checkpoint.summary.criticalIssues} critical)`);
+      });
+      
+      const reportPath = await orchestrator.generateReport(results, options.format || orchestrator.config.reportFormat);
+      console.log(chalk.green(`\n📁 Journey report: ${reportPath}`));
+      
+      await orchestrator.close();
+      
+      if (results.journey.status === 'failed') {
+        console.error(chalk.red(`❌ ${results.error}`));
+        process.exit(1);
+      }
+      
+      exitOnFailedGate([results]);
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// Service command
+withOptions(program
+  .command('serve'), withAnalyzerOptions, withAuthOptions, withBrowserOptions, withReadinessOptions, withBaselineOptions, withGateOptions)
+  .description('Run a local REST API that queues analyses on a shared browser')
+  .option('-p, --port <port>', `Port to listen on (default: ${AnalysisServer.DEFAULT_PORT})`)
+  .option('--host <host>', 'Interface to listen on (default: 127.0.0.1)')
+  .option('-c, --concurrency <count>', 'Analyses run at the same time (default: 2)')
+  .option('--token <token>', 'Bearer token every request must carry (also service.token in the config; default: a random one)')
+  .option('--cors <origin>', 'Allow browser requests from this origin, e.g. http://localhost:8080')
+  .option('-o, --output <path>', 'Output directory for reports')
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue('🛰️  Starting analysis service...'));
+      
+      const orchestrator = new UXOrchestrator(await resolveConfig({
+        outputDir: options.output,
+        auth: await authConfig(options),
+        ...analyzerConfig(options),
+        ...browserConfig(options),
+        ...readinessConfig(options),
+        ...baselineConfig(options),
+        ...gateConfig(options)
+      }));
+      const service = orchestrator.config.service || {};
+      
+      // The browser stays up between jobs; each job gets fresh contexts
+      await orchestrator.initialize();
+      
+      const server = new AnalysisServer(orchestrator, {
+        port: options.port !== undefined ? parseInt(options.port) : service.port,
+        host: options.host || service.host,
+        concurrency: options.concurrency !== undefined ? parseInt(options.concurrency) : service.concurrency,
+        token: options.token || service.token,
+        cors: options.cors || service.cors,
+        retain: service.retainJobs
+      });
+      const url = await server.start();
+      
+      console.log(chalk.green(`✅ Listening on ${url} (${server.queue.concurrency} concurrent ${server.queue.concurrency === 1 ? 'analysis' : 'analyses'})`));
+      if (server.generatedToken) {
+        console.log(chalk.yellow(`🔑 Token for this session: ${server.token} (set --token or service.token to keep one)`));
+      }
+      console.log(chalk.gray(`   POST ${url}/jobs -H 'Authorization: Bearer <token>' {"url": "https://example.com", "mode": "quick"}`));
+      console.log(chalk.gray('Press Ctrl+C to stop'));
+      
+      server.queue.on('job', (job, event) => {
+        if (['started', 'completed', 'failed', 'cancelled'].includes(event.stage)) {
+          console.log(chalk.gray(`[${new Date().toLocaleTimeString()}] ${job.id.slice(0, 8)} ${event.stage} ${job.input.mode} ${job.input.url}${job.error ? ` - ${job.error}` : ''}`));
+        }
+      });
+      
+      // Handle graceful shutdown: running analyses finish, queued ones are cancelled
+      const shutdown = async () => {
+        console.log(chalk.yellow('\n🛑 Stopping analysis service...'));
+        await server.stop();
+        await orchestrator.close();
+        process.exit(0);
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// Watch command
+withOptions(program
+  .command('watch <url>'), withAnalyzerOptions, withAuthOptions, withBrowserOptions, withReadinessOptions, withBaselineOptions)
+  .description('Re-analyze a page whenever source files change and show the issues that appeared or disappeared')
+  .option('--files <glob>', 'Files to watch, relative to the working directory (repeatable; default: src/**)', collect, [])
+  .option('--ignore <glob>', 'Files to ignore (repeatable; node_modules and .git are always ignored)', collect, [])
+  .option('--debounce <ms>', 'Quiet time after the last change before rerunning (default: 300)')
+  .option('--settle <ms>', 'Time for the dev server to pick up a change before polling it (default: 500)')
+  .option('-t, --type <type>', 'Analysis type (quick or deep)', 'quick')
+  .option('-s, --selector <selector>', 'Only analyze this element')
+  .action(async (url, options) => {
+    try {
+      console.log(chalk.blue('👀 Starting watch mode...'));
+      
+      if (!['quick', 'deep'].includes(options.type)) {
+        throw new Error(`--type must be quick or deep (got "${options.type}")`);
+      }
+      
+      // Every save would otherwise add a run to the history
+      const orchestrator = new UXOrchestrator(await resolveConfig({
+        baseUrl: new URL(url).origin,
+        reporting: { generateTrends: false },
+        auth: await authConfig(options),
+        ...analyzerConfig(options),
+        ...browserConfig(options),
+        ...readinessConfig(options),
+        ...baselineConfig(options)
+      }));
+      const watchConfig = orchestrator.config.watch || {};
+      
+      // The browser stays up between runs; each run gets fresh contexts
+      await orchestrator.initialize();
+      
+      const session = new WatchSession(orchestrator, {
+        url,
+        analysisType: options.selector ? 'element' : options.type,
+        selector: options.selector,
+        files: options.files.length > 0 ? options.files : watchConfig.files || ['src/**'],
+        ignore: [...(watchConfig.ignore || []), ...options.ignore],
+        debounce: options.debounce !== undefined ? parseInt(options.debounce) : watchConfig.debounce,
+        settle: options.settle !== undefined ? parseInt(options.settle) : watchConfig.settle
+      });
+      const time = () => chalk.gray(`[${new Date().toLocaleTimeString()}]`);
+      const describeIssue = issue => `[${issue.severity}] ${issue.title}${issue.element ? chalk.gray(` (${issue.element})`) : ''}`;
+      
+      session.on('watching', directories => {
+        console.log(chalk.yellow(`Watching ${session.watcher.patterns.join(', ')} in ${directories.map(directory => path.relative(process.cwd(), directory) || '.').join(', ')}`));
+        console.log(chalk.gray('Press Ctrl+C to stop watching'));
+      });
+      session.on('waiting', files => {
+        console.log(`\n${time()} ${chalk.cyan(`✏️  ${files.length === 1 ? files[0] : `${files.length} files changed (${files.slice(0, 3).join(', ')}${files.length > 3 ? ', ...' : ''})`}`)}`);
+      });
+      session.on('server-unavailable', target => {
+        console.log(`${time()} ${chalk.red(`❌ ${target} did not respond; waiting for the next change`)}`);
+      });
+      session.on('failed', error => {
+        console.error(`${time()} ${chalk.red(`❌ ${error.message}`)}`);
+      });
+      session.on('run', ({ results, diff }) => {
+        if (results.error) {
+          console.log(`${time()} ${chalk.red(`❌ Analysis failed: ${results.error}`)}`);
+          return;
+        }
+        
+        const score = results.summary.overallScore;
+        if (!diff) {
+          console.log(`${time()} Score ${score}/100, ${results.summary.totalIssues} issues (${results.summary.criticalIssues} critical)`);
+          return;
+        }
+        
+        const delta = diff.summary.overallScore.delta;
+        const change = delta > 0 ? chalk.green(` (+${delta})`) : delta < 0 ? chalk.red(` (${delta})`) : '';
+        console.log(`${time()} Score ${score}/100${change}, ${results.summary.totalIssues} issues`);
+        
+        if (diff.added.length === 0 && diff.resolved.length === 0) {
+          console.log(chalk.gray('   No issues appeared or disappeared'));
+        }
+        diff.added.forEach(issue => console.log(chalk.red(`   + ${describeIssue(issue)}`)));
+        diff.resolved.forEach(issue => console.log(chalk.green(`   - ${describeIssue(issue)}`)));
+      });
+      
+      // Handle graceful shutdown: a running analysis finishes first
+      const shutdown = async () => {
+        console.log(chalk.yellow('\n🛑 Stopping watch mode...'));
+        await session.stop();
+        await orchestrator.close();
+        process.exit(0);
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+      
+      await session.start();
       
     } catch (error) {
       console.error(chalk.red('❌ Error:', error.message));
@@ -164,8 +1036,8 @@ program
   });
 
 // Monitor command
-program
-  .command('monitor <url>')
+withOptions(program
+  .command('monitor <url>'), withAnalyzerOptions, withAuthOptions, withBrowserOptions, withBaselineOptions)
   .description('Continuous monitoring of UX metrics')
   .option('-i, --interval <seconds>', 'Monitoring interval in seconds', '300')
   .option('-o, --output <path>', 'Output directory for reports')
@@ -173,9 +1045,14 @@ program
     try {
       console.log(chalk.blue('🔄 Starting continuous monitoring...'));
       
-      const orchestrator = new UXOrchestrator({
-        outputDir: options.output || './reports'
-      });
+      const orchestrator = new UXOrchestrator(await resolveConfig({
+        baseUrl: new URL(url).origin,
+        outputDir: options.output,
+        auth: await authConfig(options),
+        ...analyzerConfig(options),
+        ...browserConfig(options),
+        ...baselineConfig(options)
+      }));
       
       await orchestrator.initialize();
       
@@ -229,6 +1106,291 @@ program
     }
   });
 
+// Baseline commands
+const baselineCommand = program
+  .command('baseline')
+  .description('Manage the baseline of known issues hidden from later runs');
+
+withOptions(baselineCommand
+  .command('create [urls...]'), withAnalyzerOptions, withAuthOptions, withBrowserOptions, withPoolOptions)
+  .description('Record the current issues of some pages (or existing JSON results) as the baseline')
+  .option('-t, --type <type>', 'Analysis type for each page (quick, deep)', 'quick')
+  .option('--from <file...>', 'Build the baseline from JSON reports or batch/crawl summaries instead of analyzing')
+  .option('--file <path>', 'Where to write the baseline (default: the configured baseline)')
+  .action(async (urls, options) => {
+    try {
+      let results;
+      const config = await resolveConfig({
+        ...(urls.length > 0 && { baseUrl: new URL(urls[0]).origin }),
+        auth: await authConfig(options),
+        ...analyzerConfig(options),
+        ...browserConfig(options)
+      });
+      
+      if (options.from) {
+        results = [];
+        for (const file of options.from) {
+          const data = JSON.parse(await fs.readFile(file, 'utf8'));
+          results.push(...(data.results || [data]).map(entry => ({
+            url: entry.url || entry.meta.url,
+            // Issues a baseline already hid are still present, so they stay in the new one
+            issues: [...(entry.issues || []), ...(entry.baselineIssues || (entry.baseline && entry.baseline.knownIssues) || [])],
+            checkpoints: entry.checkpoints
+          })));
+        }
+      } else {
+        const pages = (urls.length > 0 ? urls : [config.baseUrl]).map(url => ({ url, type: options.type }));
+        console.log(chalk.blue(`🧊 Analyzing ${pages.length} page(s) to create a baseline...`));
+        
+        // Record everything that is reported today, not just what is new; the configured
+        // baseline is still where the new one is written
+        const orchestrator = new UXOrchestrator({ ...config, baseline: false });
+        await orchestrator.initialize();
+        results = await orchestrator.analyzeBatch(pages, poolOptions(options));
+        await orchestrator.close();
+        
+        const failed = results.filter(result => result.error);
+        if (failed.length > 0) {
+          throw new Error(`Could not analyze ${failed.map(result => result.url).join(', ')}; not writing a partial baseline`);
+        }
+      }
+      
+      const file = options.file || config.baseline || BaselineManager.DEFAULT_BASELINE_FILE;
+      const baseline = BaselineManager.create(results);
+      await BaselineManager.save(file, baseline);
+      
+      console.log(chalk.green(`✅ Baseline written to ${file}: ${baseline.issues.length} known issues across ${baseline.pages.length} page(s)`));
+      console.log(chalk.gray('Later runs report only new issues and list the ones that were fixed. Use --no-baseline to see everything.'));
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// Run history command
+program
+  .command('history [url]')
+  .description('List past runs of a page (or of every page) with score and issue changes')
+  .option('--since <date>', 'Only runs on or after this date (YYYY-MM-DD, ISO timestamp or an age such as 7d)')
+  .option('--until <date>', 'Only runs on or before this date')
+  .option('-t, --type <type>', 'Only runs of this analysis type (quick, deep, full, element)')
+  .option('-n, --limit <count>', 'Show at most the latest N runs', value => parseInt(value, 10))
+  .option('--file <path>', 'History file to read (default: history.jsonl in the output directory)')
+  .option('--json', 'Output the runs as JSON')
+  .action(async (url, options) => {
+    try {
+      const config = await resolveConfig({});
+      const history = options.file ? new HistoryStore({ file: options.file }) : new UXOrchestrator(config).history;
+      
+      const runs = await history.query({
+        url,
+        analysisType: options.type,
+        since: options.since && parseHistoryDate(options.since),
+        until: options.until && parseHistoryDate(options.until, { endOfDay: true }),
+        limit: options.limit
+      });
+      
+      if (options.json) {
+        console.log(JSON.stringify(runs, null, 2));
+        return;
+      }
+      
+      if (runs.length === 0) {
+        console.log(chalk.yellow(`No runs recorded${url ? ` for ${url}` : ''} in ${history.file}`));
+        return;
+      }
+      
+      let currentUrl = null;
+      runs.forEach(run => {
+        if (run.url !== currentUrl) {
+          currentUrl = run.url;
+          console.log(chalk.blue(`\n📜 ${run.url}`));
+        }
+        
+        const { trends, summary } = run;
+        const change = trends.lastAnalysis ? ` (${trends.scoreChange >= 0 ? '+' : ''}${trends.scoreChange})` : '';
+        const score = `${summary.overallScore}/100${change}`;
+        const issues = `${run.issues.length} issues, ${summary.criticalIssues || 0} critical`;
+        const delta = trends.lastAnalysis ? chalk.gray(`  +${trends.newIssues} new, -${trends.resolvedIssues} resolved`) : chalk.gray('  first run');
+        
+        console.log(`  ${new Date(run.timestamp).toLocaleString().padEnd(24)} ${run.analysisType.padEnd(8)}${run.selector ? ` ${run.selector}` : ''} ${score.padEnd(14)} ${issues}${delta}`);
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// Report diff command
+program
+  .command('diff <old> <new>')
+  .description('Compare two JSON reports: added, resolved and changed issues, score and metric deltas')
+  .option('-f, --format <format>', 'Output format (terminal, markdown, html, json)', 'terminal')
+  .option('-o, --output <file>', 'File for the Markdown or HTML diff (default: the output directory)')
+  .option('--metric-tolerance <percent>', 'Ignore score and metric changes of this many percent or less', value => parseFloat(value), 10)
+  .option('--max-regressions <count>', 'Exit with code 1 when there are more regressions than this', value => parseInt(value, 10), 0)
+  .action(async (oldFile, newFile, options) => {
+    try {
+      const readReport = async (file) => {
+        let report;
+        try {
+          report = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+          throw new Error(`Failed to read report ${file}: ${error.message}`);
+        }
+        if (!Array.isArray(report.issues)) {
+          throw new Error(`${file} is not a JSON report (create one with --format json)`);
+        }
+        return report;
+      };
+      
+      const diff = diffReports(await readReport(oldFile), await readReport(newFile), {
+        metricTolerance: options.metricTolerance,
+        beforeFile: oldFile,
+        afterFile: newFile
+      });
+      const reporter = new DiffReporter();
+      
+      if (options.format === 'json') {
+        console.log(JSON.stringify(diff, null, 2));
+      } else if (options.format === 'markdown' || options.format === 'html') {
+        const config = await resolveConfig({});
+        const extension = options.format === 'html' ? 'html' : 'md';
+        const outputPath = options.output || path.join(config.outputDir || './reports', `ux-diff-${Date.now()}.${extension}`);
+        await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+        
+        console.log(reporter.renderText(diff));
+        console.log(chalk.green(`\n📁 Diff report: ${await reporter.generate(diff, { format: options.format, outputPath })}`));
+      } else if (options.format === 'terminal') {
+        console.log(reporter.renderText(diff));
+      } else {
+        throw new Error(`Unknown diff format "${options.format}" (expected terminal, markdown, html or json)`);
+      }
+      
+      if (diff.regressions.length > options.maxRegressions) {
+        console.error(chalk.red(`❌ ${diff.regressions.length} regression(s) exceed the allowed ${options.maxRegressions}`));
+        process.exit(1);
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// Analyzer listing command
+withOptions(program
+  .command('analyzers'), withAnalyzerOptions)
+  .description('List registered analyzers, including discovered plugins')
+  .action(async (options) => {
+    try {
+      const orchestrator = new UXOrchestrator(await resolveConfig(analyzerConfig(options)));
+      await orchestrator.loadPlugins();
+      
+      console.log(chalk.blue('🧩 Registered analyzers:'));
+      orchestrator.analyzers.list().forEach(entry => {
+        const status = entry.enabled ? chalk.green('enabled ') : chalk.gray('disabled');
+        console.log(`  ${status} ${entry.name} [${entry.modes.join(', ')}]${entry.isolation !== 'shared' ? ` ${entry.isolation}` : ''} ${chalk.gray(entry.source)}`);
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// Rule catalogue command
+withOptions(program
+  .command('rules'), withAnalyzerOptions)
+  .description('List the rule catalogue used by the analyzers')
+  .option('-c, --category <category>', 'Only show rules in this category')
+  .option('--json', 'Output the catalogue as JSON')
+  .action(async (options) => {
+    try {
+      const orchestrator = new UXOrchestrator(await resolveConfig(analyzerConfig(options)));
+      await orchestrator.loadPlugins();
+      
+      const rules = orchestrator.rules.list()
+        .filter(rule => !options.category || rule.category === options.category);
+      
+      if (options.json) {
+        console.log(JSON.stringify(rules, null, 2));
+        return;
+      }
+      
+      rules.forEach(rule => {
+        const wcag = rule.wcag.length > 0 ? chalk.blue(` WCAG ${rule.wcag.join(', ')}`) : '';
+        console.log(`${chalk.bold(rule.id.padEnd(30))} ${rule.severity.padEnd(8)} ${rule.title}${wcag}`);
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// Device profile listing command
+program
+  .command('devices')
+  .description('List device profiles available to --device and --devices')
+  .option('--all', 'Include every Playwright device descriptor, not just the aliases')
+  .option('--json', 'Output the profiles as JSON')
+  .action((options) => {
+    const profiles = listDevices().filter(profile => options.all || profile.alias);
+    
+    if (options.json) {
+      console.log(JSON.stringify(profiles, null, 2));
+      return;
+    }
+    
+    console.log(chalk.blue('📱 Device profiles:'));
+    profiles.forEach(profile => {
+      const flags = [profile.isMobile && 'mobile', profile.hasTouch && 'touch'].filter(Boolean).join(', ');
+      const alias = profile.alias ? chalk.bold(profile.alias.padEnd(22)) : '';
+      console.log(`  ${alias}${profile.name.padEnd(30)} ${profile.viewport.width}x${profile.viewport.height} @${profile.deviceScaleFactor}x ${chalk.gray(flags)}`);
+    });
+    
+    if (!options.all) {
+      console.log(chalk.gray('\nAny Playwright device name also works, e.g. --device "Galaxy S8". Use --all to list them.'));
+    }
+  });
+
+// Resolved configuration command
+program
+  .command('config')
+  .description('Show the resolved configuration and the files it was loaded from')
+  .option('--json', 'Print only the resolved configuration as JSON')
+  .action(async (options) => {
+    try {
+      const { config: configPath, env: profile } = program.opts();
+      const loaded = await loadConfig({ configPath, profile });
+      
+      if (options.json) {
+        console.log(JSON.stringify(loaded.config, null, 2));
+        return;
+      }
+      
+      if (loaded.sources.length === 0) {
+        console.log(chalk.yellow('No config file found; using built-in defaults. Run "claude-ux setup" to create one.'));
+      } else {
+        console.log(chalk.blue('⚙️  Config sources (lowest precedence first):'));
+        loaded.sources.forEach(source => console.log(`  ${source}`));
+      }
+      
+      if (loaded.profile) {
+        console.log(chalk.blue(`🏷️  Environment profile: ${loaded.profile}`));
+      }
+      
+      console.log(JSON.stringify(loaded.config, null, 2));
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Error:', error.message));
+      process.exit(1);
+    }
+  });
+
 // Interactive setup command
 program
   .command('setup')
@@ -352,10 +1514,90 @@ program
     console.log(chalk.yellow('\\nBatch Analysis:'));
     console.log('  claude-ux batch config.json');
     console.log('  # config.json: {"pages": [{"url": "http://localhost:3000", "type": "quick"}]}');
+    console.log('  claude-ux batch config.json --concurrency 4 --page-timeout 60 --retries 2');
+    
+    console.log(chalk.yellow('\nLocal Builds:'));
+    console.log('  claude-ux quick ./dist/index.html          # Served on localhost, reported by file path');
+    console.log('  claude-ux batch --static ./dist            # Every HTML file in the build');
+    console.log('  claude-ux batch --static ./dist --spa --type deep');
+    
+    console.log(chalk.yellow('\nWatch Mode:'));
+    console.log("  claude-ux watch http://localhost:3000 --files 'src/**'   # Rerun on every save");
+    console.log("  claude-ux watch http://localhost:3000 --files 'src/**' --ignore '**/*.test.js' --type deep");
+    
+    console.log(chalk.yellow('\nAnalysis Service:'));
+    console.log('  claude-ux serve --port 4700 --concurrency 2');
+    console.log('  curl -X POST localhost:4700/jobs -H \'Content-Type: application/json\' -d \'{"url": "https://example.com", "mode": "deep"}\'');
+    console.log('  curl -N localhost:4700/jobs/<id>/events   # Progress as server-sent events');
+    console.log('  curl localhost:4700/jobs/<id>/result?format=markdown');
+    
+    console.log(chalk.yellow('\nQuality Gates:'));
+    console.log('  claude-ux deep <url> --fail-on high         # Exit 1 on high or critical issues');
+    console.log('  claude-ux quick <url> --fail-on none        # Never fail on issue severity');
+    console.log('  claude-ux deep <url> --strict-analyzers     # Exit 1 when an analyzer crashes or times out');
+    console.log('  # budgets in the config: max issues per category, min scores, max metrics');
+    
+    console.log(chalk.yellow('\nBaseline:'));
+    console.log('  claude-ux baseline create <url> [url...]   # Record current issues as known');
+    console.log('  claude-ux baseline create --from reports/batch-summary.json');
+    console.log('  claude-ux quick <url>                      # Reports only new issues, lists fixed ones');
+    console.log('  claude-ux quick <url> --no-baseline        # Report everything');
+    
+    console.log(chalk.yellow('\nHistory:'));
+    console.log('  claude-ux history <url>                    # Past runs with score and issue changes');
+    console.log('  claude-ux history <url> --since 7d');
+    console.log('  claude-ux history --since 2025-01-01 --until 2025-01-31 --json');
+    
+    console.log(chalk.yellow('\nComparing Runs:'));
+    console.log('  claude-ux diff before.json after.json      # Added, resolved and changed issues');
+    console.log('  claude-ux diff before.json after.json --format markdown -o ux-diff.md');
+    console.log('  claude-ux diff before.json after.json --max-regressions 0 --metric-tolerance 15');
+    
+    console.log(chalk.yellow('\nDevices:'));
+    console.log('  claude-ux devices                          # List device profiles');
+    console.log('  claude-ux deep <url> --mobile --device pixel');
+    console.log('  claude-ux quick <url> --devices iphone,pixel,galaxy-tab');
+    
+    console.log(chalk.yellow('\nSite Crawl:'));
+    console.log('  claude-ux crawl https://example.com --max-depth 2 --max-pages 100');
+    console.log("  claude-ux crawl https://example.com --include '/docs/**' --exclude '/docs/archive/**'");
+    
+    console.log(chalk.yellow('\nUser Journeys:'));
+    console.log('  claude-ux journey checkout.yml');
+    console.log('  claude-ux journey flows/settings.json --base-url http://localhost:3000');
+    
+    console.log(chalk.yellow('\nAnalyzer Plugins:'));
+    console.log('  claude-ux analyzers                        # List analyzers and plugins');
+    console.log('  claude-ux quick <url> --plugin ./my-check.js');
+    console.log('  claude-ux deep <url> --disable visual,mobile');
+    
+    console.log(chalk.yellow('\nPage Readiness:'));
+    console.log("  claude-ux quick <url> --wait-for '#app [data-loaded]'   # Client-rendered apps");
+    console.log("  claude-ux deep <url> --wait-for-function 'window.appReady === true' --ready-timeout 20");
+    console.log('  claude-ux quick <url> --wait-for-quiet 500 --wait-for-assets  # Pages that poll or keep sockets open');
+    console.log('  claude-ux quick <url> --fail-if-not-ready  # Fail instead of analyzing a half-loaded page');
+    
+    console.log(chalk.yellow('\nRecording & Replaying Traffic:'));
+    console.log('  claude-ux deep <url> --record-har fixtures/home.har   # Record every request of the run');
+    console.log('  claude-ux deep <url> --replay-har fixtures/home.har   # Same responses on every run, no network');
+    console.log('  claude-ux quick <url> --replay-har fixtures/home.har --har-not-found fallback');
+    
+    console.log(chalk.yellow('\nBlocking & Mocking Requests:'));
+    console.log('  claude-ux quick <url> --block googletagmanager.com,doubleclick.net');
+    console.log("  claude-ux deep <url> --stub '**/api/user=fixtures/user.json' --latency '**/api/**=800'");
+    console.log('  claude-ux third-parties <url> --runs 5   # Load time, long tasks, CLS and errors with vs. without third parties');
+
+    console.log(chalk.yellow('\nAuthenticated Pages:'));
+    console.log('  claude-ux deep <url> --storage-state auth/state.json');
+    console.log("  claude-ux quick <url> --header 'Authorization: Bearer ${env:API_TOKEN}'");
+    console.log('  claude-ux batch pages.json --login login.json --save-storage-state auth/state.json');
     
     console.log(chalk.yellow('\\nConfiguration:'));
     console.log('  claude-ux setup  # Interactive setup');
+    console.log('  claude-ux config # Show the resolved config and the files it came from');
     console.log('  claude-ux demo   # Try with example sites');
+    console.log('  claude-ux --env ci quick <url>  # Apply the "ci" environment profile');
+    console.log('  CLAUDE_UX_THRESHOLDS__PERFORMANCE__LOAD_TIME=2000 claude-ux quick <url>');
     
     console.log(chalk.yellow('\\nReport Formats:'));
     console.log('  --format html      # Executive-friendly HTML dashboard');
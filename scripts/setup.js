@@ -18,8 +18,8 @@ async function checkDependencies() {
     const nodeVersion = process.version;
     const majorVersion = parseInt(nodeVersion.slice(1).split('.')[0]);
     
-    if (majorVersion < 16) {
-      throw new Error(`Node.js 16+ required, found ${nodeVersion}`);
+    if (majorVersion < 20) {
+      throw new Error(`Node.js 20+ required, found ${nodeVersion}`);
     }
     
     console.log(chalk.green(`✅ Node.js ${nodeVersion} - OK`));
@@ -177,7 +177,7 @@ jobs:
     - name: Setup Node.js
       uses: actions/setup-node@v3
       with:
-        node-version: '18'
+        node-version: '20'
         
     - name: Install Claude UX Consultant
       run: |
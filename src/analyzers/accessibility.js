@@ -3,11 +3,15 @@
  * WCAG 2.1 compliance checking and accessibility issue detection
  */
 
+const { injectEvidenceHelpers } = require('../utils/element-evidence');
+
 class AccessibilityAnalyzer {
   constructor(config = {}) {
     this.config = {
       level: config.level || 'AA', // AA or AAA
       includeWarnings: config.includeWarnings || true,
+      minTouchTargetSize: config.minTouchTargetSize || 44,
+      minContrastRatio: config.minContrastRatio || 4.5,
       ...config
     };
   }
@@ -19,6 +23,8 @@ class AccessibilityAnalyzer {
     const issues = [];
     const recommendations = [];
     
+    await injectEvidenceHelpers(page);
+    
     const quickAccessibilityChecks = await page.evaluate(() => {
       const results = {
         issues: [],
@@ -32,6 +38,7 @@ class AccessibilityAnalyzer {
       );
       if (imagesWithoutAlt.length > 0) {
         results.issues.push({
+          ruleId: 'a11y/img-alt',
           type: 'accessibility',
           severity: 'high',
           title: 'Missing Alt Text',
@@ -39,7 +46,11 @@ class AccessibilityAnalyzer {
           impact: 'high',
           fix: 'Add descriptive alt text to all images for screen readers',
           wcag: '1.1.1',
-          count: imagesWithoutAlt.length
+          count: imagesWithoutAlt.length,
+          elements: window.__claudeUxEvidence.collect(imagesWithoutAlt, img => ({
+            src: img.currentSrc || img.src,
+            alt: img.getAttribute('alt')
+          }))
         });
       }
       
@@ -59,6 +70,7 @@ class AccessibilityAnalyzer {
       
       if (unlabeledInputs.length > 0) {
         results.issues.push({
+          ruleId: 'a11y/form-label',
           type: 'accessibility',
           severity: 'critical',
           title: 'Unlabeled Form Controls',
@@ -66,7 +78,12 @@ class AccessibilityAnalyzer {
           impact: 'high',
           fix: 'Add labels, aria-label, or aria-labelledby attributes to all form controls',
           wcag: '1.3.1, 3.3.2',
-          count: unlabeledInputs.length
+          count: unlabeledInputs.length,
+          elements: window.__claudeUxEvidence.collect(unlabeledInputs, input => ({
+            type: input.type,
+            name: input.name || null,
+            id: input.id || null
+          }))
         });
       }
       
@@ -74,6 +91,7 @@ class AccessibilityAnalyzer {
       const pageTitle = document.title;
       if (!pageTitle || pageTitle.trim() === '') {
         results.issues.push({
+          ruleId: 'a11y/document-title',
           type: 'accessibility',
           severity: 'medium',
           title: 'Missing Page Title',
@@ -88,6 +106,7 @@ class AccessibilityAnalyzer {
       const mainLandmark = document.querySelector('main, [role="main"]');
       if (!mainLandmark) {
         results.recommendations.push({
+          ruleId: 'a11y/landmark-main',
           type: 'accessibility',
           category: 'structure',
           title: 'Add Main Landmark',
@@ -106,13 +125,18 @@ class AccessibilityAnalyzer {
       
       if (poorLinks.length > 0) {
         results.recommendations.push({
+          ruleId: 'a11y/link-text',
           type: 'accessibility',
           category: 'navigation',
           title: 'Improve Link Text',
           description: `${poorLinks.length} links have non-descriptive text`,
           impact: 'medium',
           suggestion: 'Use descriptive link text that explains the destination or purpose',
-          wcag: '2.4.4'
+          wcag: '2.4.4',
+          elements: window.__claudeUxEvidence.collect(poorLinks, link => ({
+            text: link.textContent.trim(),
+            href: link.getAttribute('href')
+          }))
         });
       }
       
@@ -135,7 +159,8 @@ class AccessibilityAnalyzer {
     const quickResults = await this.quickCheck(page);
     
     // Add comprehensive checks
-    const comprehensiveChecks = await page.evaluate(() => {
+    await injectEvidenceHelpers(page);
+    const comprehensiveChecks = await page.evaluate(({ minContrastRatio }) => {
       const results = {
         issues: [],
         recommendations: [],
@@ -143,44 +168,103 @@ class AccessibilityAnalyzer {
         scores: {}
       };
       
-      // Color contrast analysis (simplified)
-      const contrastIssues = [];
-      const textElements = document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, span, div, button, a');
+      // Color contrast of text against the nearest background color behind it (WCAG relative
+      // luminance); large text needs two thirds of the ratio, 3:1 at the default 4.5:1
+      const parseColor = value => {
+        const match = /^rgba?\(([^)]+)\)$/.exec(value);
+        if (!match) return null;
+        const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+        return { r, g, b, a };
+      };
+      const luminance = ({ r, g, b }) => {
+        const [red, green, blue] = [r, g, b].map(channel => {
+          const value = channel / 255;
+          return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+      };
+      const backgroundOf = element => {
+        for (let node = element; node; node = node.parentElement) {
+          const styles = window.getComputedStyle(node);
+          // Text over an image or gradient cannot be judged from colors alone
+          if (styles.backgroundImage !== 'none') return null;
+          const background = parseColor(styles.backgroundColor);
+          if (background && background.a > 0) return background;
+        }
+        return { r: 255, g: 255, b: 255, a: 1 };
+      };
+      
+      const lowContrast = new Map();
+      const textElements = Array.from(document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, span, div, button, a, label, li, td'))
+        .filter(element => Array.from(element.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim()))
+        .slice(0, 200); // Limit for performance
       
-      textElements.forEach((element, index) => {
-        if (element.textContent.trim() && index < 50) { // Limit for performance
-          const styles = window.getComputedStyle(element);
-          const color = styles.color;
-          const backgroundColor = styles.backgroundColor;
-          
-          // Simple contrast check (actual implementation would use proper algorithm)
-          if (color === backgroundColor || 
-              (color === 'rgb(0, 0, 0)' && backgroundColor === 'rgb(255, 255, 255)')) {
-            // This is just a placeholder - real implementation needs proper contrast calculation
-          }
+      textElements.forEach(element => {
+        const styles = window.getComputedStyle(element);
+        const color = parseColor(styles.color);
+        const background = backgroundOf(element);
+        const rect = element.getBoundingClientRect();
+        if (!color || color.a === 0 || !background || rect.width === 0 || rect.height === 0) return;
+        
+        const lighter = Math.max(luminance(color), luminance(background));
+        const darker = Math.min(luminance(color), luminance(background));
+        const ratio = (lighter + 0.05) / (darker + 0.05);
+        const fontSize = parseFloat(styles.fontSize);
+        const large = fontSize >= 24 || (fontSize >= 18.66 && parseInt(styles.fontWeight, 10) >= 700);
+        const required = large ? minContrastRatio * 2 / 3 : minContrastRatio;
+        
+        if (ratio < required) {
+          lowContrast.set(element, {
+            ratio: Math.round(ratio * 100) / 100,
+            required: Math.round(required * 100) / 100,
+            color: styles.color,
+            backgroundColor: `rgb(${background.r}, ${background.g}, ${background.b})`
+          });
         }
       });
+      results.metrics.contrastCheckedElements = textElements.length;
+      
+      if (lowContrast.size > 0) {
+        results.issues.push({
+          ruleId: 'a11y/color-contrast',
+          type: 'accessibility',
+          severity: 'high',
+          title: 'Insufficient Color Contrast',
+          description: `${lowContrast.size} text elements are below the required contrast ratio`,
+          impact: 'high',
+          fix: `Give text a contrast ratio of at least ${minContrastRatio}:1 (${Math.round(minContrastRatio * 200 / 3) / 100}:1 for large text)`,
+          wcag: '1.4.3',
+          count: lowContrast.size,
+          elements: window.__claudeUxEvidence.collect(lowContrast.keys(), element => lowContrast.get(element))
+        });
+      }
       
       // Heading structure analysis
       const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
       const headingLevels = headings.map(h => parseInt(h.tagName.charAt(1)));
       
-      let headingIssues = 0;
+      const skippedHeadings = [];
       for (let i = 1; i < headingLevels.length; i++) {
         if (headingLevels[i] - headingLevels[i-1] > 1) {
-          headingIssues++;
+          skippedHeadings.push(headings[i]);
         }
       }
+      const headingIssues = skippedHeadings.length;
       
       if (headingIssues > 0) {
         results.issues.push({
+          ruleId: 'a11y/heading-order',
           type: 'accessibility',
           severity: 'medium',
           title: 'Heading Structure Issues',
           description: `${headingIssues} heading level jumps found`,
           impact: 'medium',
           fix: 'Use sequential heading levels (h1, h2, h3) without skipping',
-          wcag: '1.3.1'
+          wcag: '1.3.1',
+          elements: window.__claudeUxEvidence.collect(skippedHeadings, heading => ({
+            level: parseInt(heading.tagName.charAt(1)),
+            previousLevel: headingLevels[headings.indexOf(heading) - 1]
+          }))
         });
       }
       
@@ -189,29 +273,36 @@ class AccessibilityAnalyzer {
         'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
       );
       
-      let focusIssues = 0;
-      focusableElements.forEach(element => {
+      const positiveTabIndex = Array.from(focusableElements).filter(element => {
         const tabIndex = element.getAttribute('tabindex');
-        if (tabIndex && parseInt(tabIndex) > 0) {
-          focusIssues++;
-        }
+        return tabIndex && parseInt(tabIndex) > 0;
       });
+      const focusIssues = positiveTabIndex.length;
       
       if (focusIssues > 0) {
         results.recommendations.push({
+          ruleId: 'a11y/tabindex-positive',
           type: 'accessibility',
           category: 'keyboard',
           title: 'Avoid Positive Tab Index',
           description: `${focusIssues} elements use positive tabindex values`,
           impact: 'medium',
           suggestion: 'Use tabindex="0" or rely on natural tab order',
-          wcag: '2.4.3'
+          wcag: '2.4.3',
+          elements: window.__claudeUxEvidence.collect(positiveTabIndex, element => ({
+            tabindex: element.getAttribute('tabindex')
+          }))
         });
       }
       
       // ARIA usage analysis
       const ariaElements = document.querySelectorAll('[aria-label], [aria-labelledby], [aria-describedby], [role]');
       const ariaIssues = [];
+      const ariaProblems = new Map();
+      const addAriaProblem = (element, problem) => {
+        ariaIssues.push(problem);
+        ariaProblems.set(element, [...(ariaProblems.get(element) || []), problem]);
+      };
       
       ariaElements.forEach(element => {
         const role = element.getAttribute('role');
@@ -220,20 +311,21 @@ class AccessibilityAnalyzer {
         
         // Check for empty ARIA labels
         if (ariaLabel === '') {
-          ariaIssues.push('Empty aria-label attribute');
+          addAriaProblem(element, 'Empty aria-label attribute');
         }
         
         // Check for invalid ARIA labelledby references
         if (ariaLabelledby) {
           const referencedElement = document.getElementById(ariaLabelledby);
           if (!referencedElement) {
-            ariaIssues.push('aria-labelledby references non-existent element');
+            addAriaProblem(element, 'aria-labelledby references non-existent element');
           }
         }
       });
       
       if (ariaIssues.length > 0) {
         results.issues.push({
+          ruleId: 'a11y/aria-valid',
           type: 'accessibility',
           severity: 'medium',
           title: 'ARIA Implementation Issues',
@@ -241,7 +333,12 @@ class AccessibilityAnalyzer {
           impact: 'medium',
           fix: 'Review and fix ARIA attribute implementations',
           wcag: '4.1.2',
-          details: ariaIssues
+          details: ariaIssues,
+          elements: window.__claudeUxEvidence.collect(ariaProblems.keys(), element => ({
+            problems: ariaProblems.get(element),
+            role: element.getAttribute('role'),
+            ariaLabelledby: element.getAttribute('aria-labelledby')
+          }))
         });
       }
       
@@ -250,7 +347,7 @@ class AccessibilityAnalyzer {
       results.scores.wcagCompliance = results.issues.length === 0 ? 'AA' : 'Below AA';
       
       return results;
-    });
+    }, { minContrastRatio: this.config.minContrastRatio });
     
     // Merge results
     return {
@@ -269,7 +366,9 @@ class AccessibilityAnalyzer {
       return await this.quickCheck(page);
     }
     
-    const elementResults = await page.evaluate((sel) => {
+    await injectEvidenceHelpers(page);
+    
+    const elementResults = await page.evaluate(({ sel, minTouchTargetSize }) => {
       const results = {
         issues: [],
         recommendations: []
@@ -284,12 +383,17 @@ class AccessibilityAnalyzer {
         if (tagName === 'button' || element.getAttribute('role') === 'button') {
           if (!element.textContent.trim() && !element.getAttribute('aria-label')) {
             results.issues.push({
+              ruleId: 'a11y/button-name',
               type: 'accessibility',
               severity: 'high',
               title: `Button ${index + 1} Missing Label`,
               description: 'Button lacks accessible name',
               impact: 'high',
-              fix: 'Add text content or aria-label to button'
+              fix: 'Add text content or aria-label to button',
+              elements: [window.__claudeUxEvidence.describe(element, {
+                text: element.textContent.trim(),
+                ariaLabel: element.getAttribute('aria-label')
+              })]
             });
           }
         }
@@ -303,12 +407,14 @@ class AccessibilityAnalyzer {
           
           if (!hasLabel && type !== 'hidden' && type !== 'submit') {
             results.issues.push({
+              ruleId: 'a11y/form-label',
               type: 'accessibility',
               severity: 'critical',
               title: `Input ${index + 1} Missing Label`,
               description: `${type} input lacks proper labeling`,
               impact: 'high',
-              fix: 'Add label element or aria-label attribute'
+              fix: 'Add label element or aria-label attribute',
+              elements: [window.__claudeUxEvidence.describe(element, { type, id: element.id || null })]
             });
           }
         }
@@ -320,12 +426,14 @@ class AccessibilityAnalyzer {
           
           if (href && (!text || text.toLowerCase() === 'click here')) {
             results.recommendations.push({
+              ruleId: 'a11y/link-text',
               type: 'accessibility',
               category: 'navigation',
               title: `Link ${index + 1} Needs Better Text`,
               description: 'Link text should describe the destination',
               impact: 'medium',
-              suggestion: 'Use descriptive link text instead of "click here"'
+              suggestion: 'Use descriptive link text instead of "click here"',
+              elements: [window.__claudeUxEvidence.describe(element, { text, href })]
             });
           }
         }
@@ -333,20 +441,25 @@ class AccessibilityAnalyzer {
         // Touch target size
         const rect = element.getBoundingClientRect();
         if ((tagName === 'button' || tagName === 'a') && 
-            (rect.width < 44 || rect.height < 44)) {
+            (rect.width < minTouchTargetSize || rect.height < minTouchTargetSize)) {
           results.recommendations.push({
+            ruleId: 'a11y/target-size',
             type: 'accessibility',
             category: 'mobile',
             title: `${tagName.toUpperCase()} ${index + 1} Too Small`,
             description: `Touch target is ${Math.round(rect.width)}x${Math.round(rect.height)}px`,
             impact: 'medium',
-            suggestion: 'Increase touch target to at least 44x44px for mobile accessibility'
+            suggestion: `Increase touch target to at least ${minTouchTargetSize}x${minTouchTargetSize}px for mobile accessibility`,
+            elements: [window.__claudeUxEvidence.describe(element, {
+              width: Math.round(rect.width),
+              height: Math.round(rect.height)
+            })]
           });
         }
       });
       
       return results;
-    }, selector);
+    }, { sel: selector, minTouchTargetSize: this.config.minTouchTargetSize });
     
     return elementResults;
   }
@@ -355,6 +468,8 @@ class AccessibilityAnalyzer {
    * Keyboard navigation testing
    */
   async testKeyboardNavigation(page) {
+    await injectEvidenceHelpers(page);
+    
     const keyboardResults = await page.evaluate(() => {
       const focusableElements = Array.from(document.querySelectorAll(
         'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
@@ -363,25 +478,29 @@ class AccessibilityAnalyzer {
       const issues = [];
       
       // Check for keyboard traps
-      let trapDetected = false;
+      const trapCandidates = [];
       focusableElements.forEach((element, index) => {
         if (element.getAttribute('tabindex') === '0' && 
             index < focusableElements.length - 1) {
           const nextElement = focusableElements[index + 1];
           if (nextElement.getAttribute('tabindex') === '-1') {
-            trapDetected = true;
+            trapCandidates.push(element);
           }
         }
       });
       
-      if (trapDetected) {
+      if (trapCandidates.length > 0) {
         issues.push({
+          ruleId: 'a11y/keyboard-trap',
           type: 'accessibility',
           severity: 'high',
           title: 'Potential Keyboard Trap',
           description: 'Focus may become trapped in certain elements',
           impact: 'high',
-          fix: 'Ensure keyboard users can navigate through all focusable elements'
+          fix: 'Ensure keyboard users can navigate through all focusable elements',
+          elements: window.__claudeUxEvidence.collect(trapCandidates, element => ({
+            tabindex: element.getAttribute('tabindex')
+          }))
         });
       }
       
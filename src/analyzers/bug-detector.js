@@ -3,6 +3,8 @@
  * Automated detection of common UI/UX bugs and issues
  */
 
+const { injectEvidenceHelpers } = require('../utils/element-evidence');
+
 class BugDetector {
   constructor(config = {}) {
     this.config = {
@@ -26,6 +28,8 @@ class BugDetector {
       }
     });
     
+    await injectEvidenceHelpers(page);
+    
     const bugResults = await page.evaluate(() => {
       const results = {
         issues: [],
@@ -40,6 +44,7 @@ class BugDetector {
       
       if (brokenImages.length > 0) {
         results.issues.push({
+          ruleId: 'bug/broken-image',
           type: 'bug',
           severity: 'critical',
           title: 'Broken Images Detected',
@@ -47,7 +52,12 @@ class BugDetector {
           impact: 'high',
           fix: 'Check image URLs and ensure they are accessible',
           count: brokenImages.length,
-          category: 'content'
+          category: 'content',
+          elements: window.__claudeUxEvidence.collect(brokenImages, img => ({
+            src: img.currentSrc || img.src,
+            complete: img.complete,
+            naturalWidth: img.naturalWidth
+          }))
         });
       }
       
@@ -58,18 +68,20 @@ class BugDetector {
       
       if (emptyElements.length > 5) {
         results.recommendations.push({
+          ruleId: 'bug/empty-element',
           type: 'cleanup',
           category: 'code-quality',
           title: 'Empty Elements Found',
           description: `${emptyElements.length} empty container elements detected`,
           impact: 'low',
-          suggestion: 'Remove unnecessary empty elements to clean up DOM'
+          suggestion: 'Remove unnecessary empty elements to clean up DOM',
+          elements: window.__claudeUxEvidence.collect(emptyElements)
         });
       }
       
       // 3. Overlapping elements detection
       const buttons = Array.from(document.querySelectorAll('button, a'));
-      let overlappingElements = 0;
+      const overlaps = new Map();
       
       for (let i = 0; i < buttons.length; i++) {
         const rect1 = buttons[i].getBoundingClientRect();
@@ -78,46 +90,52 @@ class BugDetector {
           
           if (rect1.left < rect2.right && rect2.left < rect1.right &&
               rect1.top < rect2.bottom && rect2.top < rect1.bottom) {
-            overlappingElements++;
+            overlaps.set(buttons[i], buttons[j]);
             break;
           }
         }
       }
+      const overlappingElements = overlaps.size;
       
       if (overlappingElements > 0) {
         results.issues.push({
+          ruleId: 'bug/overlapping-interactive',
           type: 'bug',
           severity: 'medium',
           title: 'Overlapping Interactive Elements',
           description: `${overlappingElements} interactive elements overlap`,
           impact: 'medium',
           fix: 'Adjust positioning to prevent element overlap',
-          category: 'layout'
+          category: 'layout',
+          elements: window.__claudeUxEvidence.collect(overlaps.keys(), element => ({
+            overlapsWith: window.__claudeUxEvidence.selector(overlaps.get(element))
+          }))
         });
       }
       
       // 4. Form validation issues
       const forms = Array.from(document.forms);
-      let formIssues = 0;
-      
-      forms.forEach(form => {
+      const formsWithoutSubmit = forms.filter(form => {
         const requiredInputs = form.querySelectorAll('[required]');
         const submitButtons = form.querySelectorAll('[type="submit"], button[type="submit"]');
         
-        if (requiredInputs.length > 0 && submitButtons.length === 0) {
-          formIssues++;
-        }
+        return requiredInputs.length > 0 && submitButtons.length === 0;
       });
+      const formIssues = formsWithoutSubmit.length;
       
       if (formIssues > 0) {
         results.issues.push({
+          ruleId: 'bug/form-missing-submit',
           type: 'bug',
           severity: 'medium',
           title: 'Form Submission Issues',
           description: `${formIssues} forms with required fields lack submit buttons`,
           impact: 'medium',
           fix: 'Add submit buttons to forms with required fields',
-          category: 'forms'
+          category: 'forms',
+          elements: window.__claudeUxEvidence.collect(formsWithoutSubmit, form => ({
+            requiredFields: form.querySelectorAll('[required]').length
+          }))
         });
       }
       
@@ -132,35 +150,42 @@ class BugDetector {
       
       if (suspiciousLinks.length > 0) {
         results.recommendations.push({
+          ruleId: 'bug/placeholder-link',
           type: 'ux',
           category: 'navigation',
           title: 'Non-functional Links',
           description: `${suspiciousLinks.length} links don't lead anywhere`,
           impact: 'low',
-          suggestion: 'Replace placeholder links with actual destinations or remove them'
+          suggestion: 'Replace placeholder links with actual destinations or remove them',
+          elements: window.__claudeUxEvidence.collect(suspiciousLinks, link => ({
+            href: link.getAttribute('href')
+          }))
         });
       }
       
       // 6. Text overflow detection
       const textElements = document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, span');
-      let overflowElements = 0;
-      
-      textElements.forEach(el => {
+      const overflowing = Array.from(textElements).filter(el => {
         const styles = window.getComputedStyle(el);
-        if (styles.overflow === 'hidden' && el.scrollWidth > el.clientWidth) {
-          overflowElements++;
-        }
+        return styles.overflow === 'hidden' && el.scrollWidth > el.clientWidth;
       });
+      const overflowElements = overflowing.length;
       
       if (overflowElements > 0) {
         results.issues.push({
+          ruleId: 'bug/text-overflow',
           type: 'bug',
           severity: 'medium',
           title: 'Text Overflow Detected',
           description: `${overflowElements} elements have hidden overflow text`,
           impact: 'medium',
           fix: 'Adjust text sizing or container width to prevent overflow',
-          category: 'layout'
+          category: 'layout',
+          elements: window.__claudeUxEvidence.collect(overflowing, el => ({
+            scrollWidth: el.scrollWidth,
+            clientWidth: el.clientWidth,
+            overflow: window.getComputedStyle(el).overflow
+          }))
         });
       }
       
@@ -170,13 +195,18 @@ class BugDetector {
       
       if (duplicateIds.length > 0) {
         results.issues.push({
+          ruleId: 'bug/duplicate-id',
           type: 'bug',
           severity: 'high',
           title: 'Duplicate IDs Found',
           description: `${duplicateIds.length} duplicate ID attributes detected`,
           impact: 'high',
           fix: 'Ensure all ID attributes are unique across the page',
-          category: 'html-validation'
+          category: 'html-validation',
+          elements: window.__claudeUxEvidence.collect(
+            Array.from(document.querySelectorAll('[id]')).filter(el => duplicateIds.includes(el.id)),
+            el => ({ id: el.id })
+          )
         });
       }
       
@@ -192,6 +222,7 @@ class BugDetector {
     // Add console errors to results
     if (consoleErrors.length > 0) {
       bugResults.issues.push({
+        ruleId: 'bug/console-error',
         type: 'bug',
         severity: 'high',
         title: 'JavaScript Console Errors',
@@ -244,6 +275,7 @@ class BugDetector {
       
       Object.entries(grouped).forEach(([status, issues]) => {
         results.issues.push({
+          ruleId: 'bug/http-error',
           type: 'bug',
           severity: status.startsWith('4') ? 'high' : 'medium',
           title: `HTTP ${status} Errors`,
@@ -269,6 +301,7 @@ class BugDetector {
     const networkResults = await this.networkBugScan(page);
     
     // Additional comprehensive checks
+    await injectEvidenceHelpers(page);
     const comprehensiveResults = await page.evaluate(() => {
       const results = {
         issues: [],
@@ -280,12 +313,16 @@ class BugDetector {
       const elementsWithInlineStyles = document.querySelectorAll('[style]');
       if (elementsWithInlineStyles.length > 10) {
         results.recommendations.push({
+          ruleId: 'bug/inline-styles',
           type: 'code-quality',
           category: 'css',
           title: 'Excessive Inline Styles',
           description: `${elementsWithInlineStyles.length} elements use inline styles`,
           impact: 'low',
-          suggestion: 'Move inline styles to CSS classes for better maintainability'
+          suggestion: 'Move inline styles to CSS classes for better maintainability',
+          elements: window.__claudeUxEvidence.collect(elementsWithInlineStyles, el => ({
+            style: el.getAttribute('style')
+          }))
         });
       }
       
@@ -300,13 +337,17 @@ class BugDetector {
       
       if (clickableElementsWithoutCursor.length > 0) {
         results.issues.push({
+          ruleId: 'bug/clickable-cursor',
           type: 'bug',
           severity: 'low',
           title: 'Clickable Elements Without Pointer Cursor',
           description: `${clickableElementsWithoutCursor.length} clickable elements lack pointer cursor`,
           impact: 'low',
           fix: 'Add cursor: pointer to clickable elements',
-          category: 'ux'
+          category: 'ux',
+          elements: window.__claudeUxEvidence.collect(clickableElementsWithoutCursor, el => ({
+            cursor: window.getComputedStyle(el).cursor
+          }))
         });
       }
       
@@ -317,12 +358,16 @@ class BugDetector {
       
       if (largeInlineScripts.length > 0) {
         results.recommendations.push({
+          ruleId: 'bug/large-inline-script',
           type: 'performance',
           category: 'optimization',
           title: 'Large Inline Scripts',
           description: `${largeInlineScripts.length} large inline scripts found`,
           impact: 'medium',
-          suggestion: 'Move large scripts to external files for better caching'
+          suggestion: 'Move large scripts to external files for better caching',
+          elements: window.__claudeUxEvidence.collect(largeInlineScripts, script => ({
+            length: script.textContent.length
+          }))
         });
       }
       
@@ -353,6 +398,8 @@ class BugDetector {
    * Mobile-specific bug detection
    */
   async mobileBugScan(page) {
+    await injectEvidenceHelpers(page);
+    
     const mobileResults = await page.evaluate(() => {
       const results = {
         issues: [],
@@ -362,24 +409,26 @@ class BugDetector {
       
       // Touch target size issues
       const interactiveElements = document.querySelectorAll('button, a, input, select, textarea');
-      let smallTouchTargets = 0;
-      
-      interactiveElements.forEach(el => {
+      const smallTargets = Array.from(interactiveElements).filter(el => {
         const rect = el.getBoundingClientRect();
-        if (rect.width < 44 || rect.height < 44) {
-          smallTouchTargets++;
-        }
+        return rect.width < 44 || rect.height < 44;
       });
+      const smallTouchTargets = smallTargets.length;
       
       if (smallTouchTargets > 0) {
         results.issues.push({
+          ruleId: 'mobile/touch-target',
           type: 'bug',
           severity: 'medium',
           title: 'Small Touch Targets',
           description: `${smallTouchTargets} interactive elements are too small for mobile`,
           impact: 'medium',
           fix: 'Increase touch target size to at least 44x44px',
-          category: 'mobile'
+          category: 'mobile',
+          elements: window.__claudeUxEvidence.collect(smallTargets, el => {
+            const rect = el.getBoundingClientRect();
+            return { width: Math.round(rect.width), height: Math.round(rect.height) };
+          })
         });
       }
       
@@ -387,6 +436,7 @@ class BugDetector {
       const viewportMeta = document.querySelector('meta[name="viewport"]');
       if (!viewportMeta) {
         results.issues.push({
+          ruleId: 'mobile/viewport-meta',
           type: 'bug',
           severity: 'high',
           title: 'Missing Viewport Meta Tag',
@@ -400,6 +450,7 @@ class BugDetector {
       // Horizontal scrolling check
       if (document.body.scrollWidth > window.innerWidth) {
         results.issues.push({
+          ruleId: 'mobile/horizontal-scroll',
           type: 'bug',
           severity: 'medium',
           title: 'Horizontal Scrolling Detected',
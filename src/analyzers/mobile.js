@@ -3,11 +3,16 @@
  * Mobile responsiveness and touch-friendly design analysis
  */
 
+const { injectEvidenceHelpers } = require('../utils/element-evidence');
+const { DEFAULT_RESPONSIVE_DEVICES, resolveDevice } = require('../devices/device-profiles');
+
 class MobileAnalyzer {
   constructor(config = {}) {
     this.config = {
       minTouchTargetSize: config.minTouchTargetSize || 44,
       maxContentWidth: config.maxContentWidth || 768,
+      responsiveDevices: config.responsiveDevices || DEFAULT_RESPONSIVE_DEVICES,
+      deviceProfiles: config.deviceProfiles || {},
       ...config
     };
   }
@@ -16,6 +21,8 @@ class MobileAnalyzer {
    * Quick mobile responsiveness check
    */
   async quickMobileCheck(page) {
+    await injectEvidenceHelpers(page);
+    
     const mobileResults = await page.evaluate((minTouchSize) => {
       const results = {
         issues: [],
@@ -27,6 +34,7 @@ class MobileAnalyzer {
       const interactiveElements = document.querySelectorAll('button, a, input, select, textarea');
       let smallTouchTargets = 0;
       let totalTouchTargets = 0;
+      const smallTargets = [];
       
       interactiveElements.forEach(el => {
         const rect = el.getBoundingClientRect();
@@ -34,18 +42,24 @@ class MobileAnalyzer {
         
         if (rect.width < minTouchSize || rect.height < minTouchSize) {
           smallTouchTargets++;
+          smallTargets.push(el);
         }
       });
       
       if (smallTouchTargets > 0) {
         results.issues.push({
+          ruleId: 'mobile/touch-target',
           type: 'mobile',
           severity: 'medium',
           title: 'Small Touch Targets',
           description: `${smallTouchTargets} of ${totalTouchTargets} interactive elements are too small`,
           impact: 'medium',
           fix: `Ensure touch targets are at least ${minTouchSize}x${minTouchSize}px`,
-          count: smallTouchTargets
+          count: smallTouchTargets,
+          elements: window.__claudeUxEvidence.collect(smallTargets, el => {
+            const rect = el.getBoundingClientRect();
+            return { width: Math.round(rect.width), height: Math.round(rect.height), minimum: minTouchSize };
+          })
         });
       }
       
@@ -53,6 +67,7 @@ class MobileAnalyzer {
       const viewportMeta = document.querySelector('meta[name="viewport"]');
       if (!viewportMeta) {
         results.issues.push({
+          ruleId: 'mobile/viewport-meta',
           type: 'mobile',
           severity: 'high',
           title: 'Missing Viewport Meta Tag',
@@ -64,12 +79,14 @@ class MobileAnalyzer {
         const content = viewportMeta.getAttribute('content');
         if (!content.includes('width=device-width')) {
           results.recommendations.push({
+            ruleId: 'mobile/viewport-width',
             type: 'mobile',
             category: 'viewport',
             title: 'Improve Viewport Configuration',
             description: 'Viewport meta tag could be optimized',
             impact: 'medium',
-            suggestion: 'Include width=device-width in viewport meta tag'
+            suggestion: 'Include width=device-width in viewport meta tag',
+            elements: [window.__claudeUxEvidence.describe(viewportMeta, { content })]
           });
         }
       }
@@ -78,18 +95,24 @@ class MobileAnalyzer {
       const hasHorizontalScroll = document.body.scrollWidth > window.innerWidth;
       if (hasHorizontalScroll) {
         results.issues.push({
+          ruleId: 'mobile/horizontal-scroll',
           type: 'mobile',
           severity: 'medium',
           title: 'Horizontal Scrolling',
           description: 'Content extends beyond viewport width',
           impact: 'medium',
-          fix: 'Ensure content fits within viewport width, check for fixed widths'
+          fix: 'Ensure content fits within viewport width, check for fixed widths',
+          elements: window.__claudeUxEvidence.collect(
+            Array.from(document.body.querySelectorAll('*')).filter(el => el.getBoundingClientRect().right > window.innerWidth),
+            el => ({ right: Math.round(el.getBoundingClientRect().right), viewportWidth: window.innerWidth })
+          )
         });
       }
       
       // Text readability on mobile
       const textElements = document.querySelectorAll('p, span, div, li');
       let unreadableText = 0;
+      const smallText = [];
       
       textElements.forEach(el => {
         if (el.textContent.trim()) {
@@ -98,24 +121,30 @@ class MobileAnalyzer {
           
           if (fontSize < 16) {
             unreadableText++;
+            smallText.push(el);
           }
         }
       });
       
       if (unreadableText > textElements.length * 0.5) {
         results.recommendations.push({
+          ruleId: 'mobile/text-size',
           type: 'mobile',
           category: 'readability',
           title: 'Small Text on Mobile',
           description: `${unreadableText} text elements may be hard to read on mobile`,
           impact: 'medium',
-          suggestion: 'Use 16px+ font size for body text on mobile devices'
+          suggestion: 'Use 16px+ font size for body text on mobile devices',
+          elements: window.__claudeUxEvidence.collect(smallText, el => ({
+            fontSize: window.getComputedStyle(el).fontSize
+          }))
         });
       }
       
       // Navigation analysis
       const navElements = document.querySelectorAll('nav, .navigation, .menu');
       let mobileUnfriendlyNav = 0;
+      const unfriendlyNavs = [];
       
       navElements.forEach(nav => {
         const links = nav.querySelectorAll('a');
@@ -124,18 +153,23 @@ class MobileAnalyzer {
           const mobileToggle = nav.querySelector('.hamburger, .menu-toggle, [aria-label*="menu"]');
           if (!mobileToggle) {
             mobileUnfriendlyNav++;
+            unfriendlyNavs.push(nav);
           }
         }
       });
       
       if (mobileUnfriendlyNav > 0) {
         results.recommendations.push({
+          ruleId: 'mobile/navigation-toggle',
           type: 'mobile',
           category: 'navigation',
           title: 'Mobile Navigation Optimization',
           description: 'Navigation may be difficult to use on mobile',
           impact: 'medium',
-          suggestion: 'Consider adding hamburger menu for mobile navigation'
+          suggestion: 'Consider adding hamburger menu for mobile navigation',
+          elements: window.__claudeUxEvidence.collect(unfriendlyNavs, nav => ({
+            links: nav.querySelectorAll('a').length
+          }))
         });
       }
       
@@ -157,13 +191,12 @@ class MobileAnalyzer {
   async responsivenessTest(page) {
     const quickResults = await this.quickMobileCheck(page);
     
-    // Test different viewport sizes
-    const viewports = [
-      { name: 'Mobile Portrait', width: 375, height: 667 },
-      { name: 'Mobile Landscape', width: 667, height: 375 },
-      { name: 'Tablet Portrait', width: 768, height: 1024 },
-      { name: 'Tablet Landscape', width: 1024, height: 768 }
-    ];
+    // Test the viewport of each configured device profile
+    const viewports = this.config.responsiveDevices.map(deviceName => {
+      const device = resolveDevice(deviceName, this.config.deviceProfiles);
+      return { name: device.name, ...device.descriptor.viewport };
+    });
+    const originalViewport = page.viewportSize();
     
     const responsiveResults = {
       issues: [],
@@ -173,6 +206,7 @@ class MobileAnalyzer {
     
     for (const viewport of viewports) {
       await page.setViewportSize({ width: viewport.width, height: viewport.height });
+      await injectEvidenceHelpers(page);
       
       const viewportResults = await page.evaluate((vp) => {
         const results = {
@@ -185,12 +219,17 @@ class MobileAnalyzer {
         const hasOverflow = document.body.scrollWidth > window.innerWidth;
         if (hasOverflow) {
           results.issues.push({
+            ruleId: 'mobile/viewport-overflow',
             type: 'mobile',
             severity: 'medium',
             title: `Content Overflow on ${vp.name}`,
             description: 'Content extends beyond viewport',
             impact: 'medium',
-            fix: 'Adjust responsive design for this viewport size'
+            fix: 'Adjust responsive design for this viewport size',
+            elements: window.__claudeUxEvidence.collect(
+              Array.from(document.body.querySelectorAll('*')).filter(el => el.getBoundingClientRect().right > window.innerWidth),
+              el => ({ right: Math.round(el.getBoundingClientRect().right), viewportWidth: window.innerWidth })
+            )
           });
         }
         
@@ -204,12 +243,19 @@ class MobileAnalyzer {
           const rect = el.getBoundingClientRect();
           if (rect.width > window.innerWidth || rect.height > window.innerHeight) {
             results.issues.push({
+              ruleId: 'mobile/fixed-element-size',
               type: 'mobile',
               severity: 'medium',
               title: `Fixed Element Too Large on ${vp.name}`,
               description: 'Fixed positioned element doesn\'t fit viewport',
               impact: 'medium',
-              fix: 'Adjust fixed element sizing for mobile viewports'
+              fix: 'Adjust fixed element sizing for mobile viewports',
+              elements: [window.__claudeUxEvidence.describe(el, {
+                width: Math.round(rect.width),
+                height: Math.round(rect.height),
+                viewportWidth: window.innerWidth,
+                viewportHeight: window.innerHeight
+              })]
             });
           }
         });
@@ -220,12 +266,17 @@ class MobileAnalyzer {
           const rect = input.getBoundingClientRect();
           if (rect.width > window.innerWidth * 0.9) {
             results.recommendations.push({
+              ruleId: 'mobile/form-width',
               type: 'mobile',
               category: 'forms',
               title: `Form Element Wide on ${vp.name}`,
               description: 'Form input extends too close to viewport edge',
               impact: 'low',
-              suggestion: 'Add margin or max-width to form elements'
+              suggestion: 'Add margin or max-width to form elements',
+              elements: [window.__claudeUxEvidence.describe(input, {
+                width: Math.round(rect.width),
+                viewportWidth: window.innerWidth
+              })]
             });
           }
         });
@@ -238,7 +289,9 @@ class MobileAnalyzer {
     }
     
     // Reset viewport
-    await page.setViewportSize({ width: 1920, height: 1080 });
+    if (originalViewport) {
+      await page.setViewportSize(originalViewport);
+    }
     
     // Merge results
     return {
@@ -255,6 +308,7 @@ class MobileAnalyzer {
     const responsiveResults = await this.responsivenessTest(page);
     
     // Mobile-specific performance checks
+    await injectEvidenceHelpers(page);
     const performanceResults = await page.evaluate(() => {
       const results = {
         issues: [],
@@ -264,22 +318,22 @@ class MobileAnalyzer {
       
       // Check for large images
       const images = Array.from(document.images);
-      let largeImages = 0;
-      
-      images.forEach(img => {
-        if (img.naturalWidth > 800 || img.naturalHeight > 800) {
-          largeImages++;
-        }
-      });
+      const oversizedImages = images.filter(img => img.naturalWidth > 800 || img.naturalHeight > 800);
+      const largeImages = oversizedImages.length;
       
       if (largeImages > 0) {
         results.recommendations.push({
+          ruleId: 'mobile/image-size',
           type: 'mobile',
           category: 'performance',
           title: 'Large Images for Mobile',
           description: `${largeImages} images may be too large for mobile`,
           impact: 'medium',
-          suggestion: 'Use responsive images with srcset for mobile optimization'
+          suggestion: 'Use responsive images with srcset for mobile optimization',
+          elements: window.__claudeUxEvidence.collect(oversizedImages, img => ({
+            naturalWidth: img.naturalWidth,
+            naturalHeight: img.naturalHeight
+          }))
         });
       }
       
@@ -287,12 +341,16 @@ class MobileAnalyzer {
       const tables = document.querySelectorAll('table');
       if (tables.length > 0) {
         results.recommendations.push({
+          ruleId: 'mobile/tables',
           type: 'mobile',
           category: 'content',
           title: 'Tables May Need Mobile Optimization',
           description: `${tables.length} tables found - may be hard to use on mobile`,
           impact: 'medium',
-          suggestion: 'Consider responsive table design or card layout for mobile'
+          suggestion: 'Consider responsive table design or card layout for mobile',
+          elements: window.__claudeUxEvidence.collect(tables, table => ({
+            columns: table.rows[0] ? table.rows[0].cells.length : 0
+          }))
         });
       }
       
@@ -304,12 +362,14 @@ class MobileAnalyzer {
       
       if (hoverElements.length > 0) {
         results.recommendations.push({
+          ruleId: 'mobile/hover-dependent',
           type: 'mobile',
           category: 'interaction',
           title: 'Hover-Dependent Features',
           description: `${hoverElements.length} elements may rely on hover interactions`,
           impact: 'low',
-          suggestion: 'Ensure all functionality is accessible via touch on mobile'
+          suggestion: 'Ensure all functionality is accessible via touch on mobile',
+          elements: window.__claudeUxEvidence.collect(hoverElements, el => ({ title: el.title }))
         });
       }
       
@@ -333,12 +393,14 @@ class MobileAnalyzer {
         const content = viewportMeta.getAttribute('content');
         if (content.includes('user-scalable=no') || content.includes('maximum-scale=1')) {
           results.issues.push({
+            ruleId: 'mobile/zoom-disabled',
             type: 'mobile',
             severity: 'medium',
             title: 'Zoom Disabled',
             description: 'Viewport prevents user from zooming',
             impact: 'medium',
-            fix: 'Remove user-scalable=no and maximum-scale restrictions'
+            fix: 'Remove user-scalable=no and maximum-scale restrictions',
+            elements: [window.__claudeUxEvidence.describe(viewportMeta, { content })]
           });
         }
       }
@@ -347,12 +409,16 @@ class MobileAnalyzer {
       const orientationMeta = document.querySelector('meta[name="screen-orientation"]');
       if (orientationMeta) {
         results.recommendations.push({
+          ruleId: 'mobile/orientation-lock',
           type: 'mobile',
           category: 'accessibility',
           title: 'Orientation Lock Detected',
           description: 'Consider if orientation lock is necessary',
           impact: 'low',
-          suggestion: 'Allow both portrait and landscape orientations when possible'
+          suggestion: 'Allow both portrait and landscape orientations when possible',
+          elements: [window.__claudeUxEvidence.describe(orientationMeta, {
+            content: orientationMeta.getAttribute('content')
+          })]
         });
       }
       
@@ -16,7 +16,7 @@ class PerformanceAnalyzer {
    * Quick performance metrics (under 2 seconds)
    */
   async quickMetrics(page) {
-    const performanceData = await page.evaluate(() => {
+    const performanceData = await page.evaluate((thresholds) => {
       const results = {
         issues: [],
         recommendations: [],
@@ -56,32 +56,35 @@ class PerformanceAnalyzer {
       results.metrics.totalStylesheets = stylesheets.length;
       
       // Performance issues
-      if (results.metrics.loadTime > 3000) {
+      if (results.metrics.loadTime > thresholds.loadTime) {
         results.issues.push({
+          ruleId: 'perf/load-time',
           type: 'performance',
           severity: 'high',
           title: 'Slow Page Load',
           description: `Page took ${results.metrics.loadTime}ms to load`,
           impact: 'high',
           fix: 'Optimize images, reduce JavaScript bundle size, enable compression',
-          threshold: '< 3000ms'
+          threshold: `< ${thresholds.loadTime}ms`
         });
       }
       
-      if (results.metrics.domSize > 1500) {
+      if (results.metrics.domSize > thresholds.domSize) {
         results.issues.push({
+          ruleId: 'perf/dom-size',
           type: 'performance',
           severity: 'medium',
           title: 'Large DOM Size',
           description: `Page has ${results.metrics.domSize} DOM elements`,
           impact: 'medium',
           fix: 'Reduce DOM complexity, consider virtual scrolling for large lists',
-          threshold: '< 1500 elements'
+          threshold: `< ${thresholds.domSize} elements`
         });
       }
       
       if (results.metrics.unoptimizedImages > 0) {
         results.recommendations.push({
+          ruleId: 'perf/image-format',
           type: 'performance',
           category: 'optimization',
           title: 'Optimize Images',
@@ -93,6 +96,7 @@ class PerformanceAnalyzer {
       
       if (results.metrics.inlineScripts > 5) {
         results.recommendations.push({
+          ruleId: 'perf/inline-scripts',
           type: 'performance',
           category: 'optimization',
           title: 'Reduce Inline Scripts',
@@ -104,15 +108,18 @@ class PerformanceAnalyzer {
       
       // Calculate performance score
       let score = 100;
-      if (results.metrics.loadTime > 3000) score -= 30;
-      else if (results.metrics.loadTime > 2000) score -= 15;
+      if (results.metrics.loadTime > thresholds.loadTime) score -= 30;
+      else if (results.metrics.loadTime > thresholds.loadTime * 2 / 3) score -= 15;
       
-      if (results.metrics.domSize > 1500) score -= 20;
-      else if (results.metrics.domSize > 1000) score -= 10;
+      if (results.metrics.domSize > thresholds.domSize) score -= 20;
+      else if (results.metrics.domSize > thresholds.domSize * 2 / 3) score -= 10;
       
       results.metrics.performanceScore = Math.max(0, score);
       
       return results;
+    }, {
+      loadTime: this.config.loadTimeThreshold,
+      domSize: this.config.domSizeThreshold
     });
     
     return performanceData;
@@ -150,6 +157,7 @@ class PerformanceAnalyzer {
       
       if (slowResources.length > 0) {
         results.issues.push({
+          ruleId: 'perf/slow-resource',
           type: 'performance',
           severity: 'medium',
           title: 'Slow Loading Resources',
@@ -161,6 +169,7 @@ class PerformanceAnalyzer {
       
       if (largeResources.length > 0) {
         results.recommendations.push({
+          ruleId: 'perf/large-resource',
           type: 'performance',
           category: 'optimization',
           title: 'Large Resource Files',
@@ -179,6 +188,7 @@ class PerformanceAnalyzer {
       
       if (fontResources.length > 4) {
         results.recommendations.push({
+          ruleId: 'perf/font-count',
           type: 'performance',
           category: 'fonts',
           title: 'Too Many Font Files',
@@ -229,6 +239,7 @@ class PerformanceAnalyzer {
             
             if (results.metrics.largestContentfulPaint > 2500) {
               results.issues.push({
+                ruleId: 'perf/lcp',
                 type: 'performance',
                 severity: 'high',
                 title: 'Poor Largest Contentful Paint',
@@ -253,12 +264,14 @@ class PerformanceAnalyzer {
         // First Input Delay (FID) - simulated
         document.addEventListener('click', function measureFID() {
           const fidStart = performance.now();
-          requestIdleCallback(() => {
+          // requestIdleCallback is missing in WebKit
+          (window.requestIdleCallback || setTimeout)(() => {
             const fid = performance.now() - fidStart;
             results.metrics.firstInputDelay = Math.round(fid);
             
             if (fid > 100) {
               results.issues.push({
+                ruleId: 'perf/fid',
                 type: 'performance',
                 severity: 'medium',
                 title: 'High First Input Delay',
@@ -287,6 +300,7 @@ class PerformanceAnalyzer {
             
             if (clsValue > 0.1) {
               results.issues.push({
+                ruleId: 'perf/cls',
                 type: 'performance',
                 severity: 'medium',
                 title: 'Layout Shift Issues',
@@ -340,6 +354,7 @@ class PerformanceAnalyzer {
         if (navigator.connection.effectiveType === 'slow-2g' || 
             navigator.connection.effectiveType === '2g') {
           results.recommendations.push({
+            ruleId: 'perf/slow-network',
             type: 'performance',
             category: 'network',
             title: 'Slow Network Detected',
@@ -357,6 +372,7 @@ class PerformanceAnalyzer {
           
           if (registrations.length === 0) {
             results.recommendations.push({
+              ruleId: 'perf/service-worker',
               type: 'performance',
               category: 'caching',
               title: 'Consider Service Worker',
@@ -378,6 +394,20 @@ class PerformanceAnalyzer {
    * Mobile performance testing
    */
   async mobilePerformanceTest(page) {
+    // CDP throttling only exists in Chromium; other engines are measured unthrottled
+    const engine = page.context().browser()?.browserType().name() || 'chromium';
+    if (engine !== 'chromium') {
+      const unthrottled = await this.quickMetrics(page);
+      return {
+        ...unthrottled,
+        metrics: {
+          ...unthrottled.metrics,
+          testCondition: 'unthrottled',
+          throttlingSkipped: `CDP is not available in ${engine}`
+        }
+      };
+    }
+    
     // Throttle network to simulate mobile
     const client = await page.context().newCDPSession(page);
     await client.send('Network.emulateNetworkConditions', {
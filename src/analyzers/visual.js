@@ -3,6 +3,8 @@
  * Analyzes visual design consistency, hierarchy, and aesthetics
  */
 
+const { injectEvidenceHelpers } = require('../utils/element-evidence');
+
 class VisualAnalyzer {
   constructor(config = {}) {
     this.config = {
@@ -17,6 +19,8 @@ class VisualAnalyzer {
    * Basic visual analysis
    */
   async basicAnalysis(page) {
+    await injectEvidenceHelpers(page);
+    
     const visualResults = await page.evaluate(() => {
       const results = {
         issues: [],
@@ -37,6 +41,7 @@ class VisualAnalyzer {
       
       if (fontFamilies.size > 3) {
         results.recommendations.push({
+          ruleId: 'visual/font-families',
           type: 'visual',
           category: 'typography',
           title: 'Too Many Font Families',
@@ -62,6 +67,7 @@ class VisualAnalyzer {
       
       if (colors.size > 20) {
         results.recommendations.push({
+          ruleId: 'visual/color-palette',
           type: 'visual',
           category: 'color',
           title: 'Too Many Colors',
@@ -85,14 +91,21 @@ class VisualAnalyzer {
       
       // Check for inconsistent button styles
       const uniqueButtonStyles = new Set(buttonStyles.map(s => JSON.stringify(s)));
+      const buttonStyleExamples = new Map();
+      buttons.forEach((btn, index) => {
+        const key = JSON.stringify(buttonStyles[index]);
+        if (!buttonStyleExamples.has(key)) buttonStyleExamples.set(key, btn);
+      });
       if (uniqueButtonStyles.size > 3 && buttons.length > 3) {
         results.recommendations.push({
+          ruleId: 'visual/button-consistency',
           type: 'visual',
           category: 'consistency',
           title: 'Inconsistent Button Styles',
           description: `${uniqueButtonStyles.size} different button styles found`,
           impact: 'medium',
-          suggestion: 'Standardize button appearance for better consistency'
+          suggestion: 'Standardize button appearance for better consistency',
+          elements: window.__claudeUxEvidence.collect(buttonStyleExamples.values(), btn => buttonStyles[buttons.indexOf(btn)])
         });
       }
       
@@ -109,6 +122,7 @@ class VisualAnalyzer {
       const uniqueMargins = new Set(margins.map(m => `${m.marginTop}-${m.marginBottom}`));
       if (uniqueMargins.size > 10) {
         results.recommendations.push({
+          ruleId: 'visual/spacing-consistency',
           type: 'visual',
           category: 'spacing',
           title: 'Inconsistent Spacing',
@@ -126,12 +140,18 @@ class VisualAnalyzer {
       
       if (imagesWithoutDimensions.length > 0) {
         results.issues.push({
+          ruleId: 'visual/image-dimensions',
           type: 'visual',
           severity: 'medium',
           title: 'Images Without Dimensions',
           description: `${imagesWithoutDimensions.length} images lack proper dimensions`,
           impact: 'medium',
-          fix: 'Set explicit width and height attributes on images'
+          fix: 'Set explicit width and height attributes on images',
+          elements: window.__claudeUxEvidence.collect(imagesWithoutDimensions, img => ({
+            src: img.currentSrc || img.src,
+            width: img.getAttribute('width'),
+            height: img.getAttribute('height')
+          }))
         });
       }
       
@@ -153,6 +173,7 @@ class VisualAnalyzer {
     const basicResults = await this.basicAnalysis(page);
     
     // Add more detailed analysis
+    await injectEvidenceHelpers(page);
     const comprehensiveResults = await page.evaluate(() => {
       const results = {
         issues: [],
@@ -164,11 +185,13 @@ class VisualAnalyzer {
       // Advanced typography analysis
       const textElements = document.querySelectorAll('h1, h2, h3, h4, h5, h6, p, span, div');
       let readabilityIssues = 0;
+      const hardToRead = [];
       
       textElements.forEach(el => {
         const style = window.getComputedStyle(el);
         const fontSize = parseInt(style.fontSize);
         const lineHeight = parseInt(style.lineHeight);
+        const issuesBefore = readabilityIssues;
         
         // Check for very small text
         if (fontSize < 14) {
@@ -179,16 +202,25 @@ class VisualAnalyzer {
         if (lineHeight && lineHeight < fontSize * 1.2) {
           readabilityIssues++;
         }
+        
+        if (readabilityIssues > issuesBefore) {
+          hardToRead.push(el);
+        }
       });
       
       if (readabilityIssues > 0) {
         results.issues.push({
+          ruleId: 'visual/readability',
           type: 'visual',
           severity: 'medium',
           title: 'Readability Issues',
           description: `${readabilityIssues} text elements may be hard to read`,
           impact: 'medium',
-          fix: 'Increase font size to 14px+ and line-height to 1.2x font size'
+          fix: 'Increase font size to 14px+ and line-height to 1.2x font size',
+          elements: window.__claudeUxEvidence.collect(hardToRead, el => {
+            const style = window.getComputedStyle(el);
+            return { fontSize: style.fontSize, lineHeight: style.lineHeight };
+          })
         });
       }
       
@@ -198,6 +230,7 @@ class VisualAnalyzer {
       
       if (h1s.length === 0) {
         results.issues.push({
+          ruleId: 'visual/h1-missing',
           type: 'visual',
           severity: 'medium',
           title: 'Missing Primary Heading',
@@ -209,17 +242,20 @@ class VisualAnalyzer {
       
       if (h1s.length > 1) {
         results.recommendations.push({
+          ruleId: 'visual/h1-multiple',
           type: 'visual',
           category: 'hierarchy',
           title: 'Multiple H1 Headings',
           description: `${h1s.length} h1 headings found`,
           impact: 'low',
-          suggestion: 'Consider using only one h1 per page'
+          suggestion: 'Consider using only one h1 per page',
+          elements: window.__claudeUxEvidence.collect(h1s, h1 => ({ text: h1.textContent.trim() }))
         });
       }
       
       // Color contrast analysis (simplified)
       const contrastIssues = [];
+      const lowContrast = [];
       document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, span, button, a').forEach(el => {
         const style = window.getComputedStyle(el);
         const color = style.color;
@@ -228,23 +264,30 @@ class VisualAnalyzer {
         // Simple contrast check (would need proper algorithm in production)
         if (color === backgroundColor) {
           contrastIssues.push(el.tagName);
+          lowContrast.push(el);
         }
       });
       
       if (contrastIssues.length > 0) {
         results.issues.push({
+          ruleId: 'visual/color-contrast',
           type: 'visual',
           severity: 'high',
           title: 'Color Contrast Issues',
           description: `${contrastIssues.length} elements may have poor contrast`,
           impact: 'high',
-          fix: 'Ensure 4.5:1 contrast ratio for normal text, 3:1 for large text'
+          fix: 'Ensure 4.5:1 contrast ratio for normal text, 3:1 for large text',
+          elements: window.__claudeUxEvidence.collect(lowContrast, el => {
+            const style = window.getComputedStyle(el);
+            return { color: style.color, backgroundColor: style.backgroundColor };
+          })
         });
       }
       
       // Layout analysis
       const layoutElements = document.querySelectorAll('div, section, article, main, aside, nav');
       let layoutIssues = 0;
+      const layoutOffenders = new Set();
       
       layoutElements.forEach(el => {
         const rect = el.getBoundingClientRect();
@@ -252,22 +295,29 @@ class VisualAnalyzer {
         // Check for very wide content
         if (rect.width > 1200) {
           layoutIssues++;
+          layoutOffenders.add(el);
         }
         
         // Check for very tall content without breaks
         if (rect.height > 2000 && !el.querySelector('h1, h2, h3')) {
           layoutIssues++;
+          layoutOffenders.add(el);
         }
       });
       
       if (layoutIssues > 0) {
         results.recommendations.push({
+          ruleId: 'visual/layout-width',
           type: 'visual',
           category: 'layout',
           title: 'Layout Optimization',
           description: `${layoutIssues} layout elements could be improved`,
           impact: 'low',
-          suggestion: 'Consider max-width constraints and content breaks'
+          suggestion: 'Consider max-width constraints and content breaks',
+          elements: window.__claudeUxEvidence.collect(layoutOffenders, el => {
+            const rect = el.getBoundingClientRect();
+            return { width: Math.round(rect.width), height: Math.round(rect.height) };
+          })
         });
       }
       
@@ -303,6 +353,8 @@ class VisualAnalyzer {
       return await this.basicAnalysis(page);
     }
     
+    await injectEvidenceHelpers(page);
+    
     const elementResults = await page.evaluate((sel) => {
       const results = {
         issues: [],
@@ -318,12 +370,17 @@ class VisualAnalyzer {
         // Check element visibility
         if (rect.width === 0 || rect.height === 0) {
           results.issues.push({
+            ruleId: 'visual/element-hidden',
             type: 'visual',
             severity: 'medium',
             title: `Element ${index + 1} Not Visible`,
             description: 'Element has zero dimensions',
             impact: 'medium',
-            fix: 'Check CSS display, visibility, or dimensions'
+            fix: 'Check CSS display, visibility, or dimensions',
+            elements: [window.__claudeUxEvidence.describe(element, {
+              display: style.display,
+              visibility: style.visibility
+            })]
           });
         }
         
@@ -331,24 +388,28 @@ class VisualAnalyzer {
         if (element.tagName === 'BUTTON' && 
             style.backgroundColor === 'rgba(0, 0, 0, 0)') {
           results.recommendations.push({
+            ruleId: 'visual/button-background',
             type: 'visual',
             category: 'styling',
             title: `Button ${index + 1} Needs Background`,
             description: 'Button lacks background color',
             impact: 'low',
-            suggestion: 'Add background color to make button more prominent'
+            suggestion: 'Add background color to make button more prominent',
+            elements: [window.__claudeUxEvidence.describe(element, { backgroundColor: style.backgroundColor })]
           });
         }
         
         // Check text content styling
         if (element.textContent.trim() && parseInt(style.fontSize) < 14) {
           results.issues.push({
+            ruleId: 'visual/text-size',
             type: 'visual',
             severity: 'medium',
             title: `Element ${index + 1} Text Too Small`,
             description: `Font size is ${style.fontSize}`,
             impact: 'medium',
-            fix: 'Increase font size to at least 14px for better readability'
+            fix: 'Increase font size to at least 14px for better readability',
+            elements: [window.__claudeUxEvidence.describe(element, { fontSize: style.fontSize })]
           });
         }
         
@@ -358,12 +419,17 @@ class VisualAnalyzer {
         
         if (element.tagName === 'BUTTON' && padding < 16) {
           results.recommendations.push({
+            ruleId: 'visual/button-padding',
             type: 'visual',
             category: 'spacing',
             title: `Button ${index + 1} Needs More Padding`,
             description: 'Button padding may be too small',
             impact: 'low',
-            suggestion: 'Add padding for better touch target size'
+            suggestion: 'Add padding for better touch target size',
+            elements: [window.__claudeUxEvidence.describe(element, {
+              paddingTop: style.paddingTop,
+              paddingBottom: style.paddingBottom
+            })]
           });
         }
       });
@@ -0,0 +1,217 @@
+/**
+ * Auth Manager
+ * Prepares authenticated browser contexts: storage state, cookies, headers,
+ * HTTP basic auth and a one-time scripted login
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { runSteps } = require('../utils/steps');
+
+const ENV_REFERENCE = /\$\{env:([A-Za-z_][A-Za-z0-9_]*)\}/g;
+const REDACTED = '[REDACTED]';
+
+// Login fields whose literal fill values are credentials
+const SECRET_FIELD = /passw(or)?d|passcode|passphrase|\bpwd\b|secret|token|\botp\b/i;
+
+class AuthManager {
+  /**
+   * @param {Object} config - { storageState, cookies, headers, httpCredentials, login }
+   * @param {Object} options - { baseUrl, timeout, env }
+   */
+  constructor(config = {}, options = {}) {
+    this.options = {
+      baseUrl: options.baseUrl,
+      timeout: options.timeout || 30000,
+      env: options.env || process.env
+    };
+
+    this.secrets = new Set();
+    this.config = this.resolve(config || {});
+    this.loggedInState = null;
+  }
+
+  get enabled() {
+    const { storageState, cookies, headers, httpCredentials, login } = this.config;
+    return Boolean(storageState || login || httpCredentials ||
+      (cookies && cookies.length > 0) ||
+      (headers && Object.keys(headers).length > 0));
+  }
+
+  /**
+   * Substitute ${env:NAME} references and remember every credential value
+   * so it can be scrubbed from results later
+   */
+  resolve(config) {
+    const resolved = this.interpolate(config);
+
+    Object.values(resolved.headers || {}).forEach(value => this.addSecret(value));
+    (resolved.cookies || []).forEach(cookie => this.addSecret(cookie.value));
+    if (resolved.httpCredentials) {
+      this.addSecret(resolved.httpCredentials.password);
+    }
+    // Other fill values (user names, search text) stay readable; ${env:...} values were remembered by interpolate
+    (resolved.login?.steps || [])
+      .filter(step => step.action === 'fill' && (step.secret || SECRET_FIELD.test(step.selector || '')))
+      .forEach(step => this.addSecret(String(step.value ?? '')));
+
+    return resolved;
+  }
+
+  interpolate(value) {
+    if (typeof value === 'string') {
+      return value.replace(ENV_REFERENCE, (match, name) => {
+        const envValue = this.options.env[name];
+        if (envValue === undefined) {
+          throw new Error(`Auth config references environment variable ${name}, which is not set`);
+        }
+        this.addSecret(envValue);
+        return envValue;
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.interpolate(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.interpolate(item)])
+      );
+    }
+
+    return value;
+  }
+
+  addSecret(value) {
+    if (typeof value === 'string' && value.length > 0) {
+      this.secrets.add(value);
+    }
+  }
+
+  /**
+   * Options merged into browser.newContext()
+   * Once the login has run, its storage state replaces the configured one
+   */
+  contextOptions() {
+    const options = {};
+    const storageState = this.loggedInState || this.config.storageState;
+
+    if (storageState) {
+      options.storageState = storageState;
+    }
+    if (this.config.httpCredentials) {
+      options.httpCredentials = this.config.httpCredentials;
+    }
+    if (this.config.headers && Object.keys(this.config.headers).length > 0) {
+      options.extraHTTPHeaders = this.config.headers;
+    }
+
+    return options;
+  }
+
+  /**
+   * Add cookies and run the login on a freshly created context
+   * The login only runs once; later contexts reuse its storage state
+   */
+  async prepare(context) {
+    const cookies = (this.config.cookies || []).map(cookie => this.normalizeCookie(cookie));
+    if (cookies.length > 0) {
+      await context.addCookies(cookies);
+    }
+
+    if (this.config.login && !this.loggedInState) {
+      await this.login(context);
+    }
+  }
+
+  normalizeCookie(cookie) {
+    if (cookie.url) return cookie;
+    if (cookie.domain) return { path: '/', ...cookie };
+
+    if (!this.options.baseUrl) {
+      throw new Error(`Cookie "${cookie.name}" needs a url or domain`);
+    }
+    return { ...cookie, url: this.options.baseUrl };
+  }
+
+  async login(context) {
+    const { script, steps, saveStorageState } = this.config.login;
+    console.log('🔐 Running login...');
+
+    const page = await context.newPage();
+    try {
+      if (script) {
+        const loginFn = require(path.resolve(script));
+        await (loginFn.default || loginFn)(page, {
+          baseUrl: this.options.baseUrl,
+          env: this.options.env
+        });
+      } else if (steps) {
+        await runSteps(page, steps, {
+          baseUrl: this.options.baseUrl,
+          timeout: this.options.timeout
+        });
+      } else {
+        throw new Error('Login config needs either a script or steps');
+      }
+
+      this.loggedInState = await context.storageState();
+
+      if (saveStorageState) {
+        await fs.mkdir(path.dirname(path.resolve(saveStorageState)), { recursive: true });
+        await fs.writeFile(saveStorageState, JSON.stringify(this.loggedInState, null, 2));
+      }
+
+      console.log('✅ Login succeeded');
+    } catch (error) {
+      throw new Error(`Login failed: ${this.redact(error.message)}`);
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Deep copy of a value with every known credential replaced by [REDACTED]
+   */
+  redact(value) {
+    if (this.secrets.size === 0) return value;
+
+    if (typeof value === 'string') {
+      let redacted = value;
+      this.secrets.forEach(secret => {
+        redacted = redacted.split(secret).join(REDACTED);
+      });
+      return redacted;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.redact(item)])
+      );
+    }
+
+    return value;
+  }
+}
+
+/**
+ * Read a login definition: a JS module exporting async (page, { baseUrl, env }),
+ * or a JSON file holding a steps array (or { steps, saveStorageState })
+ */
+async function readLoginFile(file) {
+  if (/\.(c?js|mjs)$/.test(file)) {
+    return { script: file };
+  }
+
+  const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+  return Array.isArray(parsed) ? { steps: parsed } : parsed;
+}
+
+module.exports = AuthManager;
+module.exports.readLoginFile = readLoginFile;
+module.exports.REDACTED = REDACTED;
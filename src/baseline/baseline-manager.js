@@ -0,0 +1,199 @@
+/**
+ * Baseline Manager
+ * Hides known issues recorded in a baseline file, applies suppressions
+ * and reports baseline issues that no longer occur
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fingerprintIssue } = require('./fingerprint');
+const { globToRegExp, matchesAny, isHttpUrl } = require('../crawler/url-rules');
+
+const BASELINE_VERSION = 1;
+const DEFAULT_BASELINE_FILE = 'claude-ux-baseline.json';
+
+class BaselineManager {
+  /**
+   * @param {Object} options - { file, required, suppressions: [{ rule, url, selector,
+   *   fingerprint, justification, owner, expires }] }
+   * @param {Object} context - { now }
+   */
+  constructor(options = {}, context = {}) {
+    this.file = options.file || null;
+    this.required = Boolean(options.required);
+    this.now = context.now || new Date();
+    this.entries = new Map();
+    this.loaded = false;
+    this.suppressions = (options.suppressions || []).map((suppression, index) => {
+      const label = `Suppression ${index + 1}${suppression.rule ? ` (${suppression.rule})` : ''}`;
+
+      if (!suppression.rule && !suppression.fingerprint) {
+        throw new Error(`${label} needs a rule or a fingerprint`);
+      }
+      if (!suppression.justification) {
+        throw new Error(`${label} needs a justification`);
+      }
+
+      const expiresAt = suppression.expires ? expiryTime(suppression.expires) : null;
+      if (expiresAt !== null && isNaN(expiresAt)) {
+        throw new Error(`${label} has an invalid expires date "${suppression.expires}" (expected YYYY-MM-DD)`);
+      }
+
+      return { ...suppression, expired: expiresAt !== null && expiresAt <= this.now.getTime() };
+    });
+  }
+
+  get enabled() {
+    return this.loaded || this.suppressions.length > 0;
+  }
+
+  /**
+   * Read the baseline file; a missing file only fails when it was asked for explicitly
+   */
+  async load() {
+    if (!this.file) return;
+
+    let baseline;
+    try {
+      baseline = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' && !this.required) return;
+      if (error.code === 'ENOENT') {
+        throw new Error(`Baseline file ${this.file} not found (create one with "claude-ux baseline create")`);
+      }
+      throw new Error(`Failed to read baseline ${this.file}: ${error.message}`);
+    }
+
+    (baseline.issues || []).forEach(entry => this.entries.set(entry.fingerprint, entry));
+    this.loaded = true;
+    console.log(`🧊 Baseline loaded: ${this.entries.size} known issues (${path.basename(this.file)})`);
+  }
+
+  /**
+   * Split a result's issues into new, known (in the baseline) and suppressed ones
+   * The result keeps only the new issues; the others move to baselineIssues and
+   * suppressedIssues, and baseline entries for this page that were not seen go to fixedIssues
+   * @param {Object} target - Analysis results or a journey checkpoint
+   * @param {Object} scope - { url, checkpoint }
+   */
+  apply(target, scope) {
+    const seen = new Set();
+    const reported = [];
+    const known = [];
+    const suppressed = [];
+    const expired = new Map();
+
+    target.issues.forEach(issue => {
+      const identity = fingerprintIssue(issue, scope);
+      const tagged = { ...issue, fingerprint: identity.fingerprint };
+      seen.add(identity.fingerprint);
+
+      const matching = this.suppressions.filter(suppression => this.matches(suppression, tagged, identity));
+      const active = matching.find(suppression => !suppression.expired);
+
+      if (active) {
+        suppressed.push({ ...tagged, suppression: summarize(active) });
+        return;
+      }
+
+      matching.forEach(suppression => expired.set(suppression, summarize(suppression)));
+
+      if (this.entries.has(identity.fingerprint)) {
+        known.push(tagged);
+      } else {
+        reported.push(this.loaded ? { ...tagged, baselineStatus: 'new' } : tagged);
+      }
+    });
+
+    target.issues = reported;
+    target.suppressedIssues = suppressed;
+    target.expiredSuppressions = Array.from(expired.values());
+
+    if (this.loaded) {
+      const { url, checkpoint } = fingerprintIssue({}, scope);
+      target.baselineIssues = known;
+      // A failed analysis saw nothing, which says nothing about what was fixed
+      target.fixedIssues = target.error ? [] : Array.from(this.entries.values()).filter(entry =>
+        entry.url === url && (entry.checkpoint || null) === checkpoint && !seen.has(entry.fingerprint)
+      );
+    }
+
+    return target;
+  }
+
+  matches(suppression, issue, identity) {
+    if (suppression.fingerprint && suppression.fingerprint !== identity.fingerprint) return false;
+    if (suppression.rule && !globToRegExp(suppression.rule).test(identity.ruleId)) return false;
+    if (suppression.url && !(isHttpUrl(identity.url) ?
+      matchesAny(identity.url, [suppression.url]) :
+      globToRegExp(suppression.url).test(identity.url))) return false;
+    if (suppression.selector && !(issue.elements || []).some(element => element.selector === suppression.selector)) return false;
+    return true;
+  }
+
+  /**
+   * Build a baseline document from analysis results (pages, batch entries or journeys)
+   * @param {Array} resultsList - [{ url, issues, checkpoints }]
+   */
+  static create(resultsList) {
+    const entries = new Map();
+
+    resultsList.forEach(results => {
+      // Journey issues are tagged with their checkpoint, which has its own URL
+      const checkpointUrls = new Map((results.checkpoints || []).map(checkpoint => [checkpoint.name, checkpoint.url]));
+
+      results.issues.forEach(issue => {
+        const identity = fingerprintIssue(issue, issue.checkpoint ?
+          { url: checkpointUrls.get(issue.checkpoint) || results.url, checkpoint: issue.checkpoint } :
+          { url: results.url });
+
+        if (!entries.has(identity.fingerprint)) {
+          entries.set(identity.fingerprint, {
+            ...identity,
+            title: issue.title,
+            severity: issue.severity
+          });
+        }
+      });
+    });
+
+    return {
+      version: BASELINE_VERSION,
+      createdAt: new Date().toISOString(),
+      pages: [...new Set(resultsList.map(results => results.url))],
+      issues: Array.from(entries.values())
+    };
+  }
+
+  static async save(file, baseline) {
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(baseline, null, 2));
+  }
+}
+
+/**
+ * Date-only expiry values last through the end of that day (UTC)
+ * @param {string|Date} expires
+ */
+function expiryTime(expires) {
+  if (expires instanceof Date) {
+    return expires.getTime();
+  }
+  const time = Date.parse(expires);
+  return /^\d{4}-\d{2}-\d{2}$/.test(expires) ? time + 24 * 60 * 60 * 1000 : time;
+}
+
+function summarize(suppression) {
+  return {
+    rule: suppression.rule,
+    url: suppression.url,
+    selector: suppression.selector,
+    fingerprint: suppression.fingerprint,
+    justification: suppression.justification,
+    owner: suppression.owner,
+    expires: suppression.expires
+  };
+}
+
+module.exports = BaselineManager;
+module.exports.DEFAULT_BASELINE_FILE = DEFAULT_BASELINE_FILE;
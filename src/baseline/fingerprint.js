@@ -0,0 +1,49 @@
+/**
+ * Issue Fingerprints
+ * Stable identities for findings, independent of titles and counts that change between runs
+ */
+
+const crypto = require('crypto');
+const { normalizeUrl, isHttpUrl } = require('../crawler/url-rules');
+
+/**
+ * CSS selector of the first element an issue points at, or '' for page-level findings
+ * (`element` is the selector already extracted, as in baseline entries and report references)
+ */
+function issueElement(issue) {
+  const element = (issue.elements || [])[0];
+  return (element && element.selector) || issue.element || '';
+}
+
+/**
+ * Identity of a finding within one page, used to merge engine and device runs
+ */
+function issueKey(issue) {
+  return [issue.ruleId || issue.title, issueElement(issue)].join(' ');
+}
+
+/**
+ * Baseline fingerprint: rule, page URL (and journey checkpoint) and element
+ * @param {Object} scope - { url, checkpoint }
+ * @returns {{ fingerprint, ruleId, url, checkpoint, element }}
+ */
+function fingerprintIssue(issue, scope = {}) {
+  const ruleId = issue.ruleId || issue.title;
+  const url = isHttpUrl(scope.url) ? normalizeUrl(scope.url) : scope.url;
+  const checkpoint = scope.checkpoint || issue.checkpoint || null;
+  const element = issueElement(issue);
+
+  const fingerprint = crypto
+    .createHash('sha1')
+    .update([ruleId, url, checkpoint || '', element].join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+
+  return { fingerprint, ruleId, url, checkpoint, element };
+}
+
+module.exports = {
+  issueElement,
+  issueKey,
+  fingerprintIssue
+};
@@ -0,0 +1,65 @@
+/**
+ * Analyzer Settings
+ * Maps the config file's `thresholds` and `analysis` sections onto analyzer options
+ */
+
+// thresholds.<analyzer>.<key> -> analyzer config option; unlisted keys pass through unchanged
+const THRESHOLD_OPTIONS = {
+  performance: {
+    loadTime: 'loadTimeThreshold',
+    domSize: 'domSizeThreshold'
+  },
+  accessibility: {
+    touchTargetSize: 'minTouchTargetSize',
+    contrastRatio: 'minContrastRatio'
+  },
+  mobile: {
+    touchTargetSize: 'minTouchTargetSize'
+  }
+};
+
+// Names the setup scripts use in `analysis` for built-in analyzers
+const ANALYSIS_ALIASES = {
+  bugDetection: 'bugs'
+};
+
+/**
+ * Per-analyzer options derived from thresholds, keyed by analyzer name
+ * Each analyzer also receives its raw values as `thresholds`
+ */
+function thresholdOptions(thresholds = {}) {
+  const options = {};
+
+  Object.entries(thresholds).forEach(([analyzer, values]) => {
+    const names = THRESHOLD_OPTIONS[analyzer] || {};
+    options[analyzer] = { thresholds: values };
+    Object.entries(values).forEach(([key, value]) => {
+      options[analyzer][names[key] || key] = value;
+    });
+  });
+
+  return options;
+}
+
+/**
+ * Analyzers to enable and disable according to the `analysis` section
+ * Analyzers set to false are disabled. When any are set to true (as `claude-ux setup`
+ * writes the checked ones), the built-in analyzers left out are disabled too.
+ */
+function analysisToggles(analysis = {}, builtinNames = []) {
+  const entries = Object.entries(analysis).map(([name, enabled]) => [ANALYSIS_ALIASES[name] || name, enabled]);
+  const enable = entries.filter(([, enabled]) => enabled).map(([name]) => name);
+  const disable = entries.filter(([, enabled]) => !enabled).map(([name]) => name);
+
+  if (enable.length > 0) {
+    disable.push(...builtinNames.filter(name => !enable.includes(name) && !disable.includes(name)));
+  }
+
+  return { enable, disable };
+}
+
+module.exports = {
+  THRESHOLD_OPTIONS,
+  thresholdOptions,
+  analysisToggles
+};
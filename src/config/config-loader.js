@@ -0,0 +1,334 @@
+/**
+ * Config Loader
+ * Discovers claude-ux config files up the directory tree, applies the environment
+ * profile and CLAUDE_UX_* variables, and validates the result
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { validate, schemaAt } = require('./config-schema');
+
+// Merged lowest precedence first; the nearest directory containing any of them is used
+const CONFIG_FILES = [
+  'config/default.json', // written by scripts/setup.js
+  'claude-ux-config.json', // written by `claude-ux setup`
+  'claude-ux.config.json',
+  'claude-ux.config.yml',
+  'claude-ux.config.yaml',
+  'claude-ux.config.js'
+];
+
+const ENV_PREFIX = 'CLAUDE_UX_';
+
+// These select the config file and profile rather than override an option
+const RESERVED_ENV = ['CLAUDE_UX_CONFIG', 'CLAUDE_UX_ENV'];
+
+// Sections a file replaces wholesale instead of merging, since leaving an analyzer out disables it
+const REPLACED_OPTIONS = ['analysis'];
+
+// Options holding file paths, resolved against the project directory of the file that sets them
+const PATH_OPTIONS = [
+  ['outputDir'],
+  ['screenshotDir'],
+  ['pluginConfigPath'],
+  ['baseline'],
+  ['history'],
+  ['auth', 'storageState'],
+  ['auth', 'login', 'script'],
+  ['auth', 'login', 'saveStorageState'],
+  ['har', 'record'],
+  ['har', 'replay']
+];
+
+/**
+ * Load the effective config file settings
+ * Precedence, lowest first: config files, environment profile, CLAUDE_UX_* variables.
+ * CLI flags are layered on top by the caller with mergeConfig.
+ * @param {Object} options - { cwd, configPath, profile, env }
+ * @returns {{ config: Object, sources: string[], profile: string|null }}
+ */
+async function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const env = options.env || process.env;
+  const configPath = options.configPath || env.CLAUDE_UX_CONFIG;
+
+  let files;
+  if (configPath) {
+    files = [path.resolve(cwd, configPath)];
+    if (!await exists(files[0])) {
+      throw new Error(`Config file ${configPath} not found`);
+    }
+  } else {
+    files = await discoverConfigFiles(cwd);
+  }
+
+  const problems = [];
+  const sources = [];
+  let merged = {};
+
+  for (const file of files) {
+    const source = path.relative(cwd, file) || file;
+    const config = await readConfigFile(file, { profile: options.profile || env.CLAUDE_UX_ENV || null });
+
+    problems.push(...validate(config).map(problem => `${source}: ${problem}`));
+    merged = layerConfig(merged, resolvePaths(config, projectDirectory(file)));
+    sources.push(source);
+  }
+
+  const { environments = {}, ...base } = merged;
+  const profile = selectProfile(environments, options.profile || env.CLAUDE_UX_ENV, env.NODE_ENV);
+  const overrides = envOverrides(env);
+  problems.push(...overrides.problems);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+
+  if (overrides.names.length > 0) {
+    sources.push(`environment (${overrides.names.join(', ')})`);
+  }
+
+  const config = layerConfig(layerConfig(base, profile ? environments[profile] : {}), overrides.config);
+
+  return { config: normalizeConfig(config), sources, profile };
+}
+
+/**
+ * Walk from cwd to the filesystem root and return the config files of the
+ * first directory that has any, in merge order
+ */
+async function discoverConfigFiles(cwd = process.cwd()) {
+  let directory = path.resolve(cwd);
+
+  while (true) {
+    const found = [];
+    for (const name of CONFIG_FILES) {
+      const file = path.join(directory, name);
+      if (await exists(file)) found.push(file);
+    }
+
+    if (found.length > 0) return found;
+
+    const parent = path.dirname(directory);
+    if (parent === directory) return [];
+    directory = parent;
+  }
+}
+
+/**
+ * Parse a JSON, YAML or JS config file
+ * A JS config may export an object or a (possibly async) function of { profile }
+ */
+async function readConfigFile(file, context = {}) {
+  let config;
+
+  try {
+    if (file.endsWith('.js')) {
+      const exported = require(file);
+      config = typeof exported === 'function' ? await exported(context) : exported;
+    } else {
+      const text = await fs.readFile(file, 'utf8');
+      config = /\.ya?ml$/.test(file) ? yaml.load(text) : JSON.parse(text);
+    }
+  } catch (error) {
+    throw new Error(`Failed to read config ${file}: ${error.message}`);
+  }
+
+  return config === null || config === undefined ? {} : datesToStrings(config);
+}
+
+/**
+ * YAML reads unquoted dates (expires: 2025-09-30) as Date objects; keep them as the
+ * ISO date strings the schema expects, date-only when they fall on midnight UTC
+ */
+function datesToStrings(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (Array.isArray(value)) {
+    return value.map(datesToStrings);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, datesToStrings(item)]));
+  }
+  return value;
+}
+
+function selectProfile(environments, requested, nodeEnv) {
+  const available = Object.keys(environments);
+
+  if (requested) {
+    if (!environments[requested]) {
+      throw new Error(`Unknown environment profile "${requested}" (${available.length > 0 ? `available: ${available.join(', ')}` : 'no environments are defined in the config'})`);
+    }
+    return requested;
+  }
+
+  return nodeEnv && environments[nodeEnv] ? nodeEnv : null;
+}
+
+/**
+ * Turn CLAUDE_UX_* variables into config: "__" separates nesting levels and
+ * SNAKE_CASE segments become camelCase, e.g. CLAUDE_UX_THRESHOLDS__PERFORMANCE__LOAD_TIME
+ */
+function envOverrides(env) {
+  const config = {};
+  const names = [];
+  const problems = [];
+
+  Object.keys(env)
+    .filter(name => name.startsWith(ENV_PREFIX) && !RESERVED_ENV.includes(name))
+    .sort()
+    .forEach(name => {
+      const keyPath = name.slice(ENV_PREFIX.length).split('__').map(camelCase);
+      const schema = schemaAt(keyPath);
+
+      if (!schema) {
+        problems.push(`${name}: ${keyPath.join('.')} is not a known option`);
+        return;
+      }
+
+      const value = coerce(env[name], schema.type);
+      const invalid = validate(value, schema, keyPath.join('.'));
+      if (invalid.length > 0) {
+        problems.push(...invalid.map(problem => `${name}: ${problem}`));
+        return;
+      }
+
+      setPath(config, keyPath, value);
+      names.push(name);
+    });
+
+  return { config, names, problems };
+}
+
+function coerce(value, type) {
+  if (type === 'number' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  if (type === 'boolean' && ['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+  if (type === 'boolean' && ['false', '0', 'no'].includes(value.toLowerCase())) return false;
+  if (type === 'array' && !value.trim().startsWith('[')) return value.split(',').map(item => item.trim()).filter(Boolean);
+
+  if (type === 'array' || type === 'object') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  return value;
+}
+
+function camelCase(segment) {
+  return segment.toLowerCase().replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+function setPath(target, keyPath, value) {
+  const last = keyPath[keyPath.length - 1];
+  const parent = keyPath.slice(0, -1).reduce((node, key) => {
+    node[key] = isPlainObject(node[key]) ? node[key] : {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Directory a config file's relative paths are resolved against: its own directory,
+ * or the project directory for files kept in a subdirectory (config/default.json)
+ */
+function projectDirectory(file) {
+  const nested = CONFIG_FILES
+    .map(name => path.normalize(name))
+    .find(name => name.includes(path.sep) && file.endsWith(path.sep + name));
+  return nested ? file.slice(0, -(nested.length + 1)) : path.dirname(file);
+}
+
+function resolvePaths(config, baseDir) {
+  const resolved = mergeConfig({}, config);
+
+  PATH_OPTIONS.forEach(keyPath => {
+    const parent = keyPath.slice(0, -1).reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), resolved);
+    const key = keyPath[keyPath.length - 1];
+    if (isPlainObject(parent) && typeof parent[key] === 'string') {
+      parent[key] = path.resolve(baseDir, parent[key]);
+    }
+  });
+
+  if (isPlainObject(resolved.network) && Array.isArray(resolved.network.stub)) {
+    resolved.network.stub = resolved.network.stub.map(stub => (isPlainObject(stub) && typeof stub.file === 'string' ? { ...stub, file: path.resolve(baseDir, stub.file) } : stub));
+  }
+
+  if (Array.isArray(resolved.plugins)) {
+    resolved.plugins = resolved.plugins.map(specifier => (typeof specifier === 'string' && specifier.startsWith('.') ? path.resolve(baseDir, specifier) : specifier));
+  }
+
+  if (isPlainObject(resolved.environments)) {
+    Object.keys(resolved.environments).forEach(name => {
+      resolved.environments[name] = resolvePaths(resolved.environments[name], baseDir);
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Fold the aliases written by the setup scripts into the options the orchestrator reads
+ */
+function normalizeConfig(config) {
+  const reporting = config.reporting || {};
+
+  return {
+    ...config,
+    ...(!config.reportFormat && reporting.defaultFormat && { reportFormat: reporting.defaultFormat }),
+    ...(config.captureScreenshots === undefined && reporting.includeScreenshots !== undefined && {
+      captureScreenshots: reporting.includeScreenshots
+    })
+  };
+}
+
+function layerConfig(base, config) {
+  const replaced = { ...base };
+  REPLACED_OPTIONS.filter(key => config[key] !== undefined).forEach(key => delete replaced[key]);
+  return mergeConfig(replaced, config);
+}
+
+/**
+ * Deep-merge plain objects; arrays and scalars from override replace base,
+ * undefined values in override are ignored
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ?
+      mergeConfig(merged[key], value) :
+      isPlainObject(value) ? mergeConfig({}, value) : value;
+  });
+
+  return merged;
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  CONFIG_FILES,
+  loadConfig,
+  discoverConfigFiles,
+  mergeConfig
+};
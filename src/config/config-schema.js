@@ -0,0 +1,344 @@
+/**
+ * Config Schema
+ * Shape of claude-ux config files and a validator that explains what is wrong
+ */
+
+const { WAIT_UNTIL, TIMEOUT_POLICIES } = require('../readiness/page-readiness');
+const { NOT_FOUND_POLICIES } = require('../network/har-manager');
+
+const REPORT_FORMATS = ['html', 'json', 'markdown'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const ENGINE_NAMES = ['chromium', 'firefox', 'webkit'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const limit = { type: 'number', min: 0 };
+const size = {
+  type: 'object',
+  properties: {
+    width: { type: 'number', min: 1 },
+    height: { type: 'number', min: 1 }
+  },
+  required: ['width', 'height']
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    $schema: { type: 'string' },
+    baseUrl: { type: 'string', format: 'url' },
+    outputDir: { type: 'string' },
+    screenshotDir: { type: 'string' },
+    timeout: { type: 'number', min: 1 },
+    viewport: size,
+    mobileViewport: size,
+    mobileDevice: { type: 'string' },
+    devices: stringList,
+    deviceProfiles: { type: 'object', additionalProperties: { type: 'object' } },
+    browsers: { type: 'array', items: { type: 'string', enum: ENGINE_NAMES } },
+    plugins: stringList,
+    pluginDiscovery: { type: 'boolean' },
+    pluginConfigPath: { type: 'string' },
+    enableAnalyzers: stringList,
+    disableAnalyzers: stringList,
+    analyzerOptions: { type: 'object', additionalProperties: { type: 'object' } },
+    analysis: { type: 'object', additionalProperties: { type: 'boolean' } },
+    thresholds: {
+      type: 'object',
+      additionalProperties: { type: 'object', additionalProperties: { type: 'number', min: 0 } }
+    },
+    reportFormat: { type: 'string', enum: REPORT_FORMATS },
+    reporting: {
+      type: 'object',
+      properties: {
+        defaultFormat: { type: 'string', enum: REPORT_FORMATS },
+        includeScreenshots: { type: 'boolean' },
+        generateTrends: { type: 'boolean' }
+      }
+    },
+    captureScreenshots: { type: 'boolean' },
+    auth: { type: 'object' },
+    concurrency: { type: 'number', min: 1 },
+    browserProcesses: { type: 'number', min: 1 },
+    pageTimeout: { type: 'number', min: 1 },
+    retries: { type: 'number', min: 0 },
+    baseline: { type: 'string' },
+    suppressions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          rule: { type: 'string' },
+          url: { type: 'string' },
+          selector: { type: 'string' },
+          fingerprint: { type: 'string' },
+          justification: { type: 'string' },
+          owner: { type: 'string' },
+          expires: { type: 'string', format: 'date' }
+        },
+        required: ['justification']
+      }
+    },
+    history: { type: 'string' },
+    budgets: {
+      type: 'object',
+      properties: {
+        // Maximum issue counts per category ("all" for every category) and severity
+        issues: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { critical: limit, high: limit, medium: limit, low: limit, total: limit }
+          }
+        },
+        // Minimum scores, e.g. overall, accessibility, performance
+        scores: { type: 'object', additionalProperties: limit },
+        // Maximum metric values, e.g. largestContentfulPaint, domSize, consoleErrors
+        metrics: { type: 'object', additionalProperties: limit }
+      }
+    },
+    failOn: { type: 'string', enum: [...SEVERITIES, 'none'] },
+    scoring: {
+      type: 'object',
+      properties: {
+        // Relative weight of each category in the overall score; 0 leaves a category out
+        weights: { type: 'object', additionalProperties: limit },
+        defaultWeight: limit,
+        // Points deducted for the first issue of a rule at each severity
+        penalties: {
+          type: 'object',
+          properties: { critical: limit, high: limit, medium: limit, low: limit }
+        },
+        // Multiplier applied to each further issue of the same rule
+        repeatDecay: { type: 'number', min: 0, max: 1 },
+        referenceDomSize: { type: 'number', min: 1 },
+        maxSizeFactor: { type: 'number', min: 1 }
+      }
+    },
+    // Time limit for each analyzer run (ms), overridable per analyzer name
+    analyzerTimeout: { type: 'number', min: 1 },
+    analyzerTimeouts: { type: 'object', additionalProperties: { type: 'number', min: 1 } },
+    // Fail the quality gate when any analyzer fails or times out
+    strictAnalyzers: { type: 'boolean' },
+    // Throw on malformed analyzer findings instead of skipping them (default: NODE_ENV=development)
+    strictFindings: { type: 'boolean' },
+    // When a page is ready to be analyzed; pages in a batch config can override it
+    readiness: {
+      type: 'object',
+      properties: {
+        waitUntil: { type: 'string', enum: WAIT_UNTIL },
+        conditions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              selector: { type: 'string' },
+              state: { type: 'string', enum: ['attached', 'visible'] },
+              predicate: { type: 'string' },
+              domQuiet: { type: 'number', min: 1 },
+              networkIdle: { type: 'boolean' },
+              fonts: { type: 'boolean' },
+              images: { type: 'boolean' },
+              custom: { type: 'string' }
+            }
+          }
+        },
+        timeout: { type: 'number', min: 1 },
+        onTimeout: { type: 'string', enum: TIMEOUT_POLICIES }
+      }
+    },
+    har: {
+      type: 'object',
+      properties: {
+        // Write the network traffic of the run to this HAR file
+        record: { type: 'string' },
+        // Serve responses from this HAR file instead of the network
+        replay: { type: 'string' },
+        notFound: { type: 'string', enum: NOT_FOUND_POLICIES },
+        // Keep cookies and authorization headers in the recording
+        keepSecrets: { type: 'boolean' }
+      }
+    },
+    // Request interception; patterns containing "/" match the full URL, others a host and its subdomains
+    network: {
+      type: 'object',
+      properties: {
+        block: stringList,
+        // Responses served from local fixtures (file) or inline (body) instead of the network
+        stub: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              url: { type: 'string' },
+              file: { type: 'string' },
+              body: { type: 'string' },
+              status: { type: 'number', min: 100, max: 599 },
+              contentType: { type: 'string' },
+              headers: { type: 'object', additionalProperties: { type: 'string' } }
+            },
+            required: ['url']
+          }
+        },
+        // Delay (ms) added before matching requests are sent
+        latency: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { url: { type: 'string' }, delay: { type: 'number', min: 0 } },
+            required: ['url', 'delay']
+          }
+        },
+        // Hosts besides the analyzed page's that are not third parties, e.g. your CDN
+        firstParty: stringList
+      }
+    },
+    // claude-ux serve
+    service: {
+      type: 'object',
+      properties: {
+        port: { type: 'number', min: 0 },
+        host: { type: 'string' },
+        concurrency: { type: 'number', min: 1 },
+        token: { type: 'string' },
+        cors: { type: 'string' },
+        // Finished jobs kept for lookup
+        retainJobs: { type: 'number', min: 1 }
+      }
+    },
+    watch: {
+      type: 'object',
+      properties: {
+        files: { type: 'array', items: { type: 'string' } },
+        ignore: { type: 'array', items: { type: 'string' } },
+        // ms of quiet after the last change before rerunning
+        debounce: { type: 'number', min: 0 },
+        // ms to give the dev server to pick up a change
+        settle: { type: 'number', min: 0 }
+      }
+    },
+    createdAt: { type: 'string' }
+  }
+};
+
+// Profiles accept every top-level option except nested profiles
+CONFIG_SCHEMA.properties.environments = {
+  type: 'object',
+  additionalProperties: { type: 'object', properties: { ...CONFIG_SCHEMA.properties } }
+};
+
+/**
+ * Validate a value against a schema node
+ * @returns {string[]} Problems, each prefixed with the dotted path of the offending key
+ */
+function validate(value, schema = CONFIG_SCHEMA, keyPath = '') {
+  const label = keyPath || 'config';
+  const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (actual !== schema.type) {
+    return [`${label} must be ${article(schema.type)} (got ${actual === 'string' ? `"${value}"` : actual})`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label} must be one of ${schema.enum.join(', ')} (got "${value}")`];
+  }
+
+  if (schema.format === 'url' && !/^https?:\/\//.test(value)) {
+    return [`${label} must be an http(s) URL (got "${value}")`];
+  }
+
+  if (schema.format === 'date' && isNaN(Date.parse(value))) {
+    return [`${label} must be a date such as 2025-12-31 (got "${value}")`];
+  }
+
+  if (schema.min !== undefined && value < schema.min) {
+    return [`${label} must be at least ${schema.min} (got ${value})`];
+  }
+
+  if (schema.max !== undefined && value > schema.max) {
+    return [`${label} must be at most ${schema.max} (got ${value})`];
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return value.flatMap((item, index) => validate(item, schema.items, `${label}[${index}]`));
+  }
+
+  if (schema.type !== 'object') {
+    return [];
+  }
+
+  const problems = (schema.required || [])
+    .filter(key => value[key] === undefined)
+    .map(key => `${join(keyPath, key)} is required`);
+
+  Object.entries(value).forEach(([key, child]) => {
+    const childSchema = schema.properties ? schema.properties[key] : schema.additionalProperties;
+
+    if (childSchema) {
+      problems.push(...validate(child, childSchema, join(keyPath, key)));
+    } else if (schema.properties && !schema.additionalProperties) {
+      const suggestion = closest(key, Object.keys(schema.properties));
+      problems.push(`${join(keyPath, key)} is not a known option${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Schema node for a dotted key path, or null if the path is not part of the schema
+ */
+function schemaAt(keyPath, schema = CONFIG_SCHEMA) {
+  return keyPath.reduce((node, key) => {
+    if (!node || node.type !== 'object') return null;
+    return (node.properties && node.properties[key]) || node.additionalProperties || null;
+  }, schema);
+}
+
+function join(keyPath, key) {
+  return keyPath ? `${keyPath}.${key}` : key;
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * Closest known key by edit distance, for typo suggestions
+ */
+function closest(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  candidates.forEach(candidate => {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+
+  return row[b.length];
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  REPORT_FORMATS,
+  validate,
+  schemaAt
+};
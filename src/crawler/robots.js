@@ -0,0 +1,80 @@
+/**
+ * Robots.txt Parser
+ * Minimal robots exclusion protocol support: user-agent groups, Allow/Disallow
+ * with * and $ wildcards (longest match wins), and Sitemap lines
+ */
+
+/**
+ * Parse robots.txt for a given user agent
+ * @param {string} text - robots.txt contents
+ * @param {string} userAgent - Product token to match (case-insensitive)
+ * @returns {{ isAllowed: Function, sitemaps: string[] }}
+ */
+function parseRobots(text, userAgent = 'Claude-UX-Consultant') {
+  const agent = userAgent.toLowerCase();
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  (text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current || (field !== 'allow' && field !== 'disallow')) return;
+
+    // An empty Disallow allows everything
+    if (field === 'disallow' && !value) return;
+
+    current.rules.push({ allow: field === 'allow', pattern: value, regex: patternToRegExp(value) });
+  });
+
+  const specific = groups.filter(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+  const applicable = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+  const rules = applicable.flatMap(group => group.rules);
+
+  return {
+    sitemaps,
+    isAllowed(pathWithQuery) {
+      let match = null;
+      rules.forEach(rule => {
+        if (!rule.regex.test(pathWithQuery)) return;
+        const longer = !match || rule.pattern.length > match.pattern.length;
+        const tieAllows = match && rule.pattern.length === match.pattern.length && rule.allow;
+        if (longer || tieAllows) match = rule;
+      });
+      return !match || match.allow;
+    }
+  };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+module.exports = { parseRobots };
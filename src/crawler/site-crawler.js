@@ -0,0 +1,326 @@
+/**
+ * Site Crawler
+ * Discovers pages from sitemaps and in-page links and records the crawl graph
+ */
+
+const { parseRobots } = require('./robots');
+const { readSitemaps } = require('./sitemap');
+const {
+  DEFAULT_IGNORED_PARAMS,
+  matchesAny,
+  normalizeUrl,
+  isHttpUrl,
+  isLikelyPage
+} = require('./url-rules');
+
+class SiteCrawler {
+  /**
+   * @param {BrowserContext} context - Playwright context (carries auth, cookies, headers)
+   * @param {Object} options - { maxDepth, maxPages, sameOrigin, include, exclude,
+   *   respectRobots, useSitemap, ignoreParams, stripQuery, timeout, userAgent }
+   */
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = {
+      maxDepth: 3,
+      maxPages: 50,
+      sameOrigin: true,
+      include: [],
+      exclude: [],
+      respectRobots: true,
+      useSitemap: true,
+      ignoreParams: DEFAULT_IGNORED_PARAMS,
+      stripQuery: false,
+      timeout: 30000,
+      userAgent: 'Claude-UX-Consultant',
+      ...options
+    };
+    this.robots = new Map();
+  }
+
+  /**
+   * Crawl breadth-first from startUrl, then visit sitemap pages no link reached
+   * @returns {Object} Crawl graph: pages, edges, orphans, dead ends, broken, duplicates, skipped
+   */
+  async crawl(startUrl) {
+    const { maxDepth, maxPages } = this.options;
+    console.log(`🕸️  Crawling ${startUrl} (max depth ${maxDepth}, max pages ${maxPages})...`);
+
+    // Until the start page loads; it may redirect to another origin (http -> https, apex -> www)
+    this.origin = new URL(startUrl).origin;
+    this.pages = new Map();
+    this.edges = new Map();
+    this.skipped = new Map();
+    this.queued = new Set();
+    this.sitemapKeys = new Set();
+
+    const startKey = this.normalize(startUrl);
+    this.queued.add(startKey);
+
+    // The start URL is the only page include and exclude do not filter, but robots.txt still applies
+    if (this.options.respectRobots && !await this.robotsAllow(startKey)) {
+      this.skip(startKey, 'robots', null);
+      console.warn(`⚠️  robots.txt disallows ${startKey}; pass --ignore-robots to crawl it anyway`);
+      return this.buildGraph(startUrl);
+    }
+
+    const start = await this.visit({ url: startKey, depth: 0, source: 'start' });
+
+    const sitemapUrls = this.options.useSitemap ? await this.discoverSitemapPages() : [];
+    this.sitemapKeys = new Set(sitemapUrls);
+    start.inSitemap = this.sitemapKeys.has(start.url);
+
+    const queue = [];
+    await this.enqueueLinks(start, 0, queue);
+
+    while (queue.length > 0 && this.pages.size < maxPages) {
+      const item = queue.shift();
+      await this.enqueueLinks(await this.visit(item), item.depth, queue);
+    }
+
+    // Sitemap pages that no crawled link led to
+    for (const url of sitemapUrls) {
+      if (this.queued.has(url)) continue;
+
+      if (this.pages.size >= maxPages) {
+        this.skip(url, 'max-pages', 'sitemap');
+        continue;
+      }
+
+      const reason = await this.rejectReason(url);
+      if (reason) {
+        this.skip(url, reason, 'sitemap');
+        continue;
+      }
+
+      this.queued.add(url);
+      const node = await this.visit({ url, depth: null, source: 'sitemap' });
+      node.links.forEach(link => this.edges.set(`${node.url} ${link}`, { from: node.url, to: link }));
+    }
+
+    queue.forEach(item => this.skip(item.url, 'max-pages', null));
+
+    const graph = this.buildGraph(startUrl);
+    console.log(`✅ Crawl finished - ${graph.stats.pagesVisited} pages, ${graph.stats.analyzablePages} to analyze, ${graph.orphans.length} orphans, ${graph.deadEnds.length} dead ends`);
+
+    return graph;
+  }
+
+  /**
+   * Record a visited page's links and queue those that should be crawled next
+   */
+  async enqueueLinks(node, depth, queue) {
+    for (const link of node.links) {
+      this.edges.set(`${node.url} ${link}`, { from: node.url, to: link });
+
+      if (this.queued.has(link)) continue;
+
+      const reason = depth >= this.options.maxDepth ? 'max-depth' : await this.rejectReason(link);
+      if (reason) {
+        this.skip(link, reason, node.url);
+        continue;
+      }
+
+      this.queued.add(link);
+      queue.push({ url: link, depth: depth + 1, source: 'link' });
+    }
+  }
+
+  /**
+   * Load a page and record its status, canonical URL and internal links
+   */
+  async visit(item) {
+    const node = {
+      url: item.url,
+      depth: item.depth,
+      source: item.source,
+      inSitemap: this.sitemapKeys.has(item.url),
+      status: null,
+      title: null,
+      canonical: null,
+      links: []
+    };
+
+    const page = await this.context.newPage();
+    try {
+      const response = await page.goto(item.url, {
+        waitUntil: 'load',
+        timeout: this.options.timeout
+      });
+
+      node.status = response ? response.status() : null;
+      const contentType = response ? response.headers()['content-type'] || '' : 'text/html';
+
+      const finalUrl = this.normalize(page.url());
+      if (item.source === 'start') {
+        // Links are internal relative to where the start page landed
+        this.origin = new URL(finalUrl).origin;
+      }
+      if (finalUrl !== item.url) {
+        node.redirectedTo = finalUrl;
+        if (this.pages.has(finalUrl)) node.duplicateOf = finalUrl;
+        this.queued.add(finalUrl);
+      }
+
+      if (!contentType.includes('html')) {
+        node.nonHtml = true;
+      } else {
+        const found = await page.evaluate(() => ({
+          title: document.title,
+          canonical: document.querySelector('link[rel="canonical"]')?.href || null,
+          links: Array.from(document.querySelectorAll('a[href]'))
+            .filter(anchor => !(anchor.getAttribute('rel') || '').split(/\s+/).includes('nofollow'))
+            .map(anchor => anchor.href)
+        }));
+
+        node.title = found.title;
+
+        if (found.canonical && isHttpUrl(found.canonical)) {
+          node.canonical = this.normalize(found.canonical);
+          if (node.canonical !== item.url) {
+            if (this.pages.has(node.canonical)) node.duplicateOf = node.duplicateOf || node.canonical;
+            this.queued.add(node.canonical);
+          }
+        }
+
+        node.links = [...new Set(found.links
+          .filter(isHttpUrl)
+          .map(link => this.normalize(link))
+          .filter(link => link !== item.url && (!this.options.sameOrigin || new URL(link).origin === this.origin)))];
+      }
+    } catch (error) {
+      node.error = error.message;
+    } finally {
+      await page.close();
+    }
+
+    this.pages.set(item.url, node);
+    return node;
+  }
+
+  /**
+   * Why a discovered URL should not be crawled, or null if it should
+   */
+  async rejectReason(url) {
+    if (!isHttpUrl(url)) return 'unsupported';
+    if (this.options.sameOrigin && new URL(url).origin !== this.origin) return 'external';
+    if (!isLikelyPage(url)) return 'non-page';
+    if (this.options.include.length > 0 && !matchesAny(url, this.options.include)) return 'not-included';
+    if (this.options.exclude.length > 0 && matchesAny(url, this.options.exclude)) return 'excluded';
+
+    if (this.options.respectRobots && !await this.robotsAllow(url)) return 'robots';
+
+    return null;
+  }
+
+  async robotsAllow(url) {
+    const { origin, pathname, search } = new URL(url);
+    const robots = await this.robotsFor(origin);
+    return robots.isAllowed(pathname + search);
+  }
+
+  skip(url, reason, from) {
+    if (!this.skipped.has(url)) {
+      this.skipped.set(url, { url, reason, from });
+    }
+  }
+
+  async robotsFor(origin) {
+    if (!this.robots.has(origin)) {
+      const text = await this.fetchText(`${origin}/robots.txt`);
+      this.robots.set(origin, parseRobots(text, this.options.userAgent));
+    }
+    return this.robots.get(origin);
+  }
+
+  async discoverSitemapPages() {
+    const robots = await this.robotsFor(this.origin);
+    const entryPoints = robots.sitemaps.length > 0 ? robots.sitemaps : [`${this.origin}/sitemap.xml`];
+    const urls = await readSitemaps(url => this.fetchText(url), entryPoints, this.options.maxPages * 4);
+
+    return [...new Set(urls.filter(isHttpUrl).map(url => this.normalize(url)))];
+  }
+
+  async fetchText(url) {
+    try {
+      const response = await this.context.request.get(url, {
+        timeout: this.options.timeout,
+        failOnStatusCode: false
+      });
+      return response.ok() ? await response.text() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  normalize(url) {
+    return normalizeUrl(url, {
+      ignoreParams: this.options.ignoreParams,
+      stripQuery: this.options.stripQuery
+    });
+  }
+
+  buildGraph(startUrl) {
+    const edges = Array.from(this.edges.values()).filter(edge => this.pages.has(edge.to));
+    const inbound = new Map();
+    edges.forEach(edge => inbound.set(edge.to, (inbound.get(edge.to) || 0) + 1));
+
+    const pages = Array.from(this.pages.values()).map(({ links, ...node }) => {
+      const ok = !node.error && !node.nonHtml && (node.status === null || node.status < 400);
+      return {
+        ...node,
+        inLinks: inbound.get(node.url) || 0,
+        outLinks: links.length,
+        analyzable: ok && !node.duplicateOf
+      };
+    });
+
+    const depthDistribution = {};
+    pages.forEach(page => {
+      const key = page.depth === null ? 'unlinked' : String(page.depth);
+      depthDistribution[key] = (depthDistribution[key] || 0) + 1;
+    });
+
+    const orphans = pages.filter(page => page.source !== 'start' && page.inLinks === 0).map(page => page.url);
+    const deadEnds = pages.filter(page => page.analyzable && page.outLinks === 0).map(page => page.url);
+    const broken = pages
+      .filter(page => page.error || (page.status !== null && page.status >= 400))
+      .map(page => ({ url: page.url, status: page.status, error: page.error }));
+    const duplicates = pages
+      .filter(page => page.duplicateOf)
+      .map(page => ({ url: page.url, duplicateOf: page.duplicateOf }));
+
+    return {
+      startUrl,
+      timestamp: new Date().toISOString(),
+      options: {
+        maxDepth: this.options.maxDepth,
+        maxPages: this.options.maxPages,
+        sameOrigin: this.options.sameOrigin,
+        include: this.options.include,
+        exclude: this.options.exclude,
+        respectRobots: this.options.respectRobots,
+        useSitemap: this.options.useSitemap,
+        ignoreParams: this.options.ignoreParams,
+        stripQuery: this.options.stripQuery
+      },
+      stats: {
+        pagesVisited: pages.length,
+        analyzablePages: pages.filter(page => page.analyzable).length,
+        sitemapUrls: this.sitemapKeys.size,
+        edges: edges.length,
+        maxDepthReached: Math.max(0, ...pages.filter(page => page.depth !== null).map(page => page.depth)),
+        depthDistribution
+      },
+      pages,
+      edges,
+      orphans,
+      deadEnds,
+      broken,
+      duplicates,
+      skipped: Array.from(this.skipped.values())
+    };
+  }
+}
+
+module.exports = SiteCrawler;
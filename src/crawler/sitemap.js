@@ -0,0 +1,66 @@
+/**
+ * Sitemap Reader
+ * Extracts page URLs from sitemap.xml files, following sitemap indexes
+ */
+
+const MAX_SITEMAPS = 20;
+
+/**
+ * Pull <loc> entries out of a sitemap or sitemap index document
+ * @returns {{ isIndex: boolean, locations: string[] }}
+ */
+function parseSitemap(xml) {
+  const locations = [];
+  const locPattern = /<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi;
+  let match;
+
+  while ((match = locPattern.exec(xml || '')) !== null) {
+    locations.push(decodeEntities(match[1]));
+  }
+
+  return {
+    isIndex: /<sitemapindex[\s>]/i.test(xml || ''),
+    locations
+  };
+}
+
+/**
+ * Fetch sitemaps breadth-first and return every page URL they list
+ * @param {Function} fetchText - async (url) => string | null
+ * @param {string[]} sitemapUrls - Entry points (robots.txt Sitemap lines or /sitemap.xml)
+ * @param {number} limit - Stop once this many page URLs are collected
+ */
+async function readSitemaps(fetchText, sitemapUrls, limit = Infinity) {
+  const queue = [...sitemapUrls];
+  const visited = new Set();
+  const pages = [];
+
+  while (queue.length > 0 && visited.size < MAX_SITEMAPS && pages.length < limit) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    const xml = await fetchText(sitemapUrl);
+    if (!xml) continue;
+
+    const { isIndex, locations } = parseSitemap(xml);
+    if (isIndex) {
+      queue.push(...locations);
+    } else {
+      pages.push(...locations.slice(0, limit - pages.length));
+    }
+  }
+
+  return pages;
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'");
+}
+
+module.exports = { parseSitemap, readSitemaps };
@@ -0,0 +1,88 @@
+/**
+ * URL Rules
+ * Normalization, de-duplication keys and include/exclude glob matching for the crawler
+ */
+
+const DEFAULT_IGNORED_PARAMS = ['utm_*', 'fbclid', 'gclid', 'msclkid', 'ref'];
+
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|tar|rar|7z|jpe?g|png|gif|webp|avif|svg|ico|bmp|mp4|webm|mov|mp3|wav|ogg|css|js|mjs|json|xml|txt|woff2?|ttf|eot|otf|exe|dmg|apk)$/i;
+
+/**
+ * Convert a glob to a RegExp: ** matches across "/", * within a segment, ? one character
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Match a URL against globs; patterns containing "://" match the full URL,
+ * everything else matches the path
+ */
+function matchesAny(url, globs) {
+  const parsed = new URL(url);
+  return globs.some(glob => globToRegExp(glob).test(glob.includes('://') ? parsed.href : parsed.pathname));
+}
+
+/**
+ * Canonical form used for de-duplication:
+ * no fragment, default port dropped, ignored params removed, remaining params sorted
+ * @param {string} url
+ * @param {Object} options - { ignoreParams: [...globs], stripQuery: boolean }
+ */
+function normalizeUrl(url, options = {}) {
+  const parsed = new URL(url);
+  const ignoreParams = (options.ignoreParams || DEFAULT_IGNORED_PARAMS).map(globToRegExp);
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  if (options.stripQuery) {
+    parsed.search = '';
+  } else {
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([name]) => !ignoreParams.some(regex => regex.test(name)))
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+  }
+
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+function isHttpUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isLikelyPage(url) {
+  return !NON_PAGE_EXTENSIONS.test(new URL(url).pathname);
+}
+
+module.exports = {
+  DEFAULT_IGNORED_PARAMS,
+  globToRegExp,
+  matchesAny,
+  normalizeUrl,
+  isHttpUrl,
+  isLikelyPage
+};
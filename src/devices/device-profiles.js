@@ -0,0 +1,92 @@
+/**
+ * Device Profiles
+ * Named device emulation profiles built on Playwright's device descriptors
+ */
+
+const { devices } = require('playwright');
+
+// Short names for the devices people ask for most; any Playwright descriptor name also works
+const DEVICE_ALIASES = {
+  'iphone': 'iPhone 15',
+  'iphone-se': 'iPhone SE',
+  'iphone-landscape': 'iPhone 15 landscape',
+  'iphone-pro-max': 'iPhone 15 Pro Max',
+  'pixel': 'Pixel 7',
+  'pixel-landscape': 'Pixel 7 landscape',
+  'galaxy': 'Galaxy S9+',
+  'galaxy-tab': 'Galaxy Tab S4',
+  'galaxy-tab-landscape': 'Galaxy Tab S4 landscape',
+  'ipad': 'iPad (gen 7)',
+  'ipad-landscape': 'iPad (gen 7) landscape',
+  'ipad-pro': 'iPad Pro 11'
+};
+
+// Viewports MobileAnalyzer.responsivenessTest sweeps when none are configured
+const DEFAULT_RESPONSIVE_DEVICES = ['iphone-se', 'iphone-landscape', 'ipad', 'ipad-landscape'];
+
+/**
+ * Look up a device by alias, Playwright descriptor name (case-insensitive) or custom profile
+ * @param {string} name
+ * @param {Object} customProfiles - { name: { viewport, userAgent, deviceScaleFactor, isMobile, hasTouch } }
+ * @returns {{ name: string, descriptor: Object }}
+ */
+function resolveDevice(name, customProfiles = {}) {
+  if (customProfiles[name]) {
+    return {
+      name,
+      descriptor: { deviceScaleFactor: 1, isMobile: false, hasTouch: false, ...customProfiles[name] }
+    };
+  }
+
+  const alias = DEVICE_ALIASES[name.toLowerCase()];
+  const descriptorName = alias || Object.keys(devices).find(key => key.toLowerCase() === name.toLowerCase());
+
+  if (!descriptorName || !devices[descriptorName]) {
+    const suggestions = Object.keys(devices)
+      .filter(key => key.toLowerCase().includes(name.toLowerCase().split(/[\s-]/)[0]))
+      .slice(0, 5);
+    throw new Error(`Unknown device "${name}"${suggestions.length > 0 ? ` (did you mean: ${suggestions.join(', ')}?)` : ''}`);
+  }
+
+  return { name: descriptorName, descriptor: devices[descriptorName] };
+}
+
+/**
+ * Browser context options for a device in a given engine
+ * Firefox has no mobile emulation, so isMobile is dropped there
+ */
+function deviceContextOptions(device, engine = 'chromium') {
+  const { defaultBrowserType, isMobile, ...options } = device.descriptor;
+
+  return engine === 'firefox' ? options : { ...options, isMobile };
+}
+
+/**
+ * Everything selectable with --device / --devices
+ */
+function listDevices(customProfiles = {}) {
+  return [
+    ...Object.entries(DEVICE_ALIASES).map(([alias, name]) => ({ name, alias, ...summarize(devices[name]) })),
+    ...Object.keys(devices)
+      .filter(name => !Object.values(DEVICE_ALIASES).includes(name))
+      .map(name => ({ name, ...summarize(devices[name]) })),
+    ...Object.entries(customProfiles).map(([name, profile]) => ({ name, custom: true, ...summarize(profile) }))
+  ];
+}
+
+function summarize(descriptor) {
+  return {
+    viewport: descriptor.viewport,
+    deviceScaleFactor: descriptor.deviceScaleFactor || 1,
+    isMobile: Boolean(descriptor.isMobile),
+    hasTouch: Boolean(descriptor.hasTouch)
+  };
+}
+
+module.exports = {
+  DEVICE_ALIASES,
+  DEFAULT_RESPONSIVE_DEVICES,
+  resolveDevice,
+  deviceContextOptions,
+  listDevices
+};
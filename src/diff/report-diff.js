@@ -0,0 +1,238 @@
+/**
+ * Report Diff
+ * Compares two JSON reports: added, resolved and changed issues, metric and score deltas
+ */
+
+const { issueKey } = require('../baseline/fingerprint');
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+// Metrics where a larger value is worse; the rest are counts of page content (images, links, ...)
+const LOWER_IS_BETTER = [
+  'loadTime',
+  'domContentLoaded',
+  'firstPaint',
+  'largestContentfulPaint',
+  'firstInputDelay',
+  'cumulativeLayoutShift',
+  'domSize',
+  'consoleErrors',
+  'networkErrors',
+  'slowResources',
+  'largeResources',
+  'largeImages',
+  'unoptimizedImages',
+  'inlineScripts',
+  'smallTouchTargets',
+  'unreadableTextCount',
+  'hasHorizontalScroll'
+];
+
+const HIGHER_IS_BETTER = ['hasViewportMeta', 'serviceWorkerEnabled', 'downlink'];
+
+/**
+ * Diff two reports written by JSONReporter
+ * Issues are matched by rule and element (and journey checkpoint)
+ * @param {Object} before - Older report
+ * @param {Object} after - Newer report
+ * @param {Object} options - { metricTolerance: percent change ignored for metrics and scores (default 10) }
+ */
+function diffReports(before, after, options = {}) {
+  const tolerance = options.metricTolerance !== undefined ? options.metricTolerance : 10;
+  const beforeIssues = indexIssues(before);
+  const afterIssues = indexIssues(after);
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  afterIssues.forEach((issue, key) => {
+    const previous = beforeIssues.get(key);
+    if (!previous) {
+      added.push(issue);
+      return;
+    }
+
+    const changes = issueChanges(previous, issue);
+    if (changes.length > 0) {
+      changed.push({ issue, before: previous, changes, worse: changes.some(change => change.worse) });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const resolved = Array.from(beforeIssues.entries())
+    .filter(([key]) => !afterIssues.has(key))
+    .map(([, issue]) => issue);
+
+  const scores = compareValues(
+    { overallScore: (before.summary || {}).overallScore, ...before.scores },
+    { overallScore: (after.summary || {}).overallScore, ...after.scores },
+    () => 'higher',
+    tolerance
+  );
+  const metrics = compareValues(before.metrics || {}, after.metrics || {}, metricDirection, tolerance);
+
+  const regressions = [
+    ...added.map(issue => ({ kind: 'issue', name: issue.ruleId || issue.title, detail: `New ${issue.severity} issue: ${issue.title}` })),
+    ...changed.filter(entry => entry.worse).map(entry => ({
+      kind: 'issue-change',
+      name: entry.issue.ruleId || entry.issue.title,
+      detail: `${entry.issue.title}: ${entry.changes.filter(change => change.worse).map(describeChange).join(', ')}`
+    })),
+    ...[...scores, ...metrics].filter(entry => entry.status === 'regressed').map(entry => ({
+      kind: scores.includes(entry) ? 'score' : 'metric',
+      name: entry.name,
+      detail: `${entry.name}: ${entry.before} → ${entry.after}`
+    }))
+  ];
+
+  return {
+    before: describeReport(before, options.beforeFile),
+    after: describeReport(after, options.afterFile),
+    summary: compareSummary(before.summary || {}, after.summary || {}),
+    added,
+    resolved,
+    changed,
+    unchanged,
+    scores: scores.filter(entry => entry.status !== 'unchanged'),
+    metrics: metrics.filter(entry => entry.status !== 'unchanged'),
+    metricTolerance: tolerance,
+    regressions,
+    improvements: [
+      ...resolved.map(issue => ({ kind: 'issue', name: issue.ruleId || issue.title, detail: `Resolved: ${issue.title}` })),
+      ...[...scores, ...metrics].filter(entry => entry.status === 'improved').map(entry => ({
+        kind: scores.includes(entry) ? 'score' : 'metric',
+        name: entry.name,
+        detail: `${entry.name}: ${entry.before} → ${entry.after}`
+      }))
+    ]
+  };
+}
+
+/**
+ * Issues of a report keyed by checkpoint, rule and element
+ * Issues hidden by a baseline are still present, so they take part in the match
+ */
+function indexIssues(report) {
+  if (!report || !Array.isArray(report.issues)) {
+    throw new Error('Not a claude-ux JSON report (no issues list)');
+  }
+
+  const known = (report.baseline && report.baseline.knownIssues) || [];
+  const issues = new Map();
+
+  [...report.issues, ...known.map(issue => ({ ...issue, baselineStatus: 'known' }))].forEach(issue => {
+    const key = [issue.checkpoint || '', issueKey(issue)].join(' ');
+    if (!issues.has(key)) issues.set(key, issue);
+  });
+
+  return issues;
+}
+
+function issueChanges(before, after) {
+  const changes = [];
+
+  if (before.severity !== after.severity) {
+    changes.push({
+      field: 'severity',
+      before: before.severity,
+      after: after.severity,
+      worse: (SEVERITY_RANK[after.severity] || 0) > (SEVERITY_RANK[before.severity] || 0)
+    });
+  }
+
+  if (before.count !== undefined && after.count !== undefined && before.count !== after.count) {
+    changes.push({ field: 'count', before: before.count, after: after.count, worse: after.count > before.count });
+  }
+
+  // Baseline references carry no element lists, so only compare full issues
+  if (before.elements && after.elements && before.count === undefined && before.elements.length !== after.elements.length) {
+    changes.push({ field: 'elements', before: before.elements.length, after: after.elements.length, worse: after.elements.length > before.elements.length });
+  }
+
+  return changes;
+}
+
+function describeChange(change) {
+  return `${change.field} ${change.before} → ${change.after}`;
+}
+
+/**
+ * Merged cross-engine and device metrics are named "loadTime (firefox)"
+ */
+function metricDirection(name) {
+  const base = name.replace(/ \([^)]*\)$/, '');
+  if (LOWER_IS_BETTER.includes(base)) return 'lower';
+  if (HIGHER_IS_BETTER.includes(base) || /score/i.test(base)) return 'higher';
+  return null;
+}
+
+/**
+ * Compare two flat maps of values
+ * Numeric changes within the tolerance (percent of the old value) count as unchanged;
+ * values without a known direction are reported as changed but never regress
+ */
+function compareValues(before, after, direction, tolerance) {
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return names
+    .filter(name => isComparable(before[name]) || isComparable(after[name]))
+    .map(name => {
+      const from = before[name];
+      const to = after[name];
+      const entry = { name, before: from, after: to };
+
+      if (typeof from === 'number' && typeof to === 'number') {
+        entry.delta = round(to - from);
+        entry.percent = from !== 0 ? round(((to - from) / Math.abs(from)) * 100) : null;
+      }
+
+      if (from === to || (entry.delta !== undefined && withinTolerance(from, to, tolerance))) {
+        return { ...entry, status: 'unchanged' };
+      }
+
+      const better = direction(name);
+      if (!better || typeof from !== typeof to || typeof from === 'string') {
+        return { ...entry, status: 'changed' };
+      }
+
+      const increased = typeof to === 'boolean' ? to && !from : to > from;
+      return { ...entry, status: increased === (better === 'higher') ? 'improved' : 'regressed' };
+    });
+}
+
+function withinTolerance(from, to, tolerance) {
+  if (from === 0) return to === 0;
+  return Math.abs((to - from) / from) * 100 <= tolerance;
+}
+
+function isComparable(value) {
+  return ['number', 'boolean', 'string'].includes(typeof value) && !(typeof value === 'number' && !isFinite(value));
+}
+
+function compareSummary(before, after) {
+  return ['overallScore', 'totalIssues', 'criticalIssues', 'highIssues', 'mediumIssues', 'lowIssues'].reduce((summary, key) => {
+    summary[key] = { before: before[key] || 0, after: after[key] || 0, delta: (after[key] || 0) - (before[key] || 0) };
+    return summary;
+  }, {});
+}
+
+function describeReport(report, file) {
+  const meta = report.meta || {};
+  return {
+    file,
+    url: meta.url,
+    timestamp: meta.timestamp,
+    analysisType: meta.analysisType
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  diffReports,
+  metricDirection
+};
@@ -0,0 +1,132 @@
+/**
+ * Quality Gate
+ * Checks analysis results against the configured budgets, --fail-on severity and --strict-analyzers
+ */
+
+const { SEVERITIES, issueSeverity, issueCategory } = require('../rules/severity');
+
+const FAIL_ON_VALUES = [...SEVERITIES, 'none'];
+
+class QualityGate {
+  /**
+   * @param {Object} options - { budgets: { issues, scores, metrics }, failOn, strictAnalyzers }
+   * @param {Object} context - { rules: RuleRegistry used to find each issue's category }
+   */
+  constructor(options = {}, context = {}) {
+    this.budgets = options.budgets || {};
+    this.failOn = options.failOn && options.failOn !== 'none' ? options.failOn : null;
+    this.strictAnalyzers = Boolean(options.strictAnalyzers);
+    this.rules = context.rules || null;
+
+    if (options.failOn && !FAIL_ON_VALUES.includes(options.failOn)) {
+      throw new Error(`Unknown --fail-on severity "${options.failOn}" (expected ${FAIL_ON_VALUES.join(', ')})`);
+    }
+  }
+
+  get enabled() {
+    const { issues = {}, scores = {}, metrics = {} } = this.budgets;
+    return Boolean(this.failOn) || this.strictAnalyzers || [issues, scores, metrics].some(section => Object.keys(section).length > 0);
+  }
+
+  /**
+   * Evaluate every budget against the reported issues, scores and metrics
+   * Budgets whose value was not measured in this run are skipped, not failed
+   * @returns {{ status: 'passed'|'failed', passed: number, failed: number, skipped: number, checks: Array }}
+   */
+  evaluate(results) {
+    const checks = [];
+    const { issues = {}, scores = {}, metrics = {} } = this.budgets;
+
+    // A page that could not be analyzed has no issues to count, which must not pass
+    if (results.error) {
+      checks.push({ kind: 'analysis', id: 'analysis', label: 'page analyzed', actual: results.error, limit: null, comparison: null, status: 'failed' });
+    }
+
+    // In strict mode a crashed or timed-out analyzer fails the run instead of looking like a clean page
+    if (this.strictAnalyzers) {
+      const problems = (results.analyzerRuns || []).filter(run => run.status !== 'ok');
+      checks.push(check('analyzers', 'strict-analyzers', 'failed or timed-out analyzers', problems.length, 0, problems.length === 0));
+    }
+
+    if (this.failOn) {
+      const limit = SEVERITIES.indexOf(this.failOn);
+      const count = results.issues.filter(issue => SEVERITIES.indexOf(issueSeverity(issue)) <= limit).length;
+      checks.push(check('severity', `fail-on ${this.failOn}`, `issues at ${this.failOn} severity or above`, count, 0, count <= 0));
+    }
+
+    Object.entries(issues).forEach(([category, limits]) => {
+      const inCategory = results.issues.filter(issue => category === 'all' || issueCategory(issue, this.rules) === category);
+
+      Object.entries(limits).forEach(([severity, max]) => {
+        const count = severity === 'total' ?
+          inCategory.length :
+          inCategory.filter(issue => issueSeverity(issue) === severity).length;
+        checks.push(check('issues', `issues.${category}.${severity}`, `${category} ${severity === 'total' ? 'issues' : `${severity} issues`}`, count, max, count <= max));
+      });
+    });
+
+    Object.entries(scores).forEach(([name, min]) => {
+      const value = scoreValue(results, name);
+      checks.push(check('score', `scores.${name}`, `${name} score`, value, min, value === null ? null : value >= min));
+    });
+
+    Object.entries(metrics).forEach(([name, max]) => {
+      const value = worstValue(results.metrics || {}, [name], Math.max);
+      checks.push(check('metric', `metrics.${name}`, name, value, max, value === null ? null : value <= max));
+    });
+
+    const failed = checks.filter(entry => entry.status === 'failed').length;
+
+    return {
+      status: failed > 0 ? 'failed' : 'passed',
+      passed: checks.filter(entry => entry.status === 'passed').length,
+      failed,
+      skipped: checks.filter(entry => entry.status === 'skipped').length,
+      checks
+    };
+  }
+}
+
+function check(kind, id, label, actual, limit, passed) {
+  return {
+    kind,
+    id,
+    label,
+    actual,
+    limit,
+    // Scores are minimums, everything else a maximum
+    comparison: kind === 'score' ? 'min' : 'max',
+    status: passed === null ? 'skipped' : passed ? 'passed' : 'failed'
+  };
+}
+
+/**
+ * Score for a budget name: "overall" is the summary score; other names match
+ * analyzer scores and score metrics, e.g. "accessibility" finds accessibilityScore
+ * or accessibilityQuickScore and "performance" finds performanceScore
+ */
+function scoreValue(results, name) {
+  if (name === 'overall') {
+    const score = (results.summary || {}).overallScore;
+    return typeof score === 'number' && isFinite(score) ? score : null;
+  }
+
+  const candidates = [name, `${name}Score`, `${name}QuickScore`];
+  const fromScores = worstValue(results.scores || {}, candidates, Math.min);
+  return fromScores !== null ? fromScores : worstValue(results.metrics || {}, candidates, Math.min);
+}
+
+/**
+ * Worst numeric value among the named entries, including per-engine and
+ * per-device variants such as "loadTime (firefox)"
+ */
+function worstValue(values, names, pick) {
+  const found = Object.entries(values)
+    .filter(([key, value]) => names.includes(key.replace(/ \([^)]*\)$/, '')) && typeof value === 'number' && isFinite(value))
+    .map(([, value]) => value);
+
+  return found.length > 0 ? pick(...found) : null;
+}
+
+module.exports = QualityGate;
+module.exports.FAIL_ON_VALUES = FAIL_ON_VALUES;
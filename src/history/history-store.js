@@ -0,0 +1,235 @@
+/**
+ * History Store
+ * Append-only JSONL log of analysis runs per URL, used for trends and `claude-ux history`
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fingerprintIssue, issueElement } = require('../baseline/fingerprint');
+const { normalizeUrl, isHttpUrl } = require('../crawler/url-rules');
+
+const DEFAULT_HISTORY_FILE = 'history.jsonl';
+
+const SUMMARY_KEYS = ['overallScore', 'totalIssues', 'criticalIssues', 'highIssues', 'mediumIssues', 'lowIssues', 'recommendations'];
+
+class HistoryStore {
+  /**
+   * @param {Object} options - { file, enabled }
+   */
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_HISTORY_FILE;
+    this.enabled = options.enabled !== false;
+    this.entries = null;
+    this.loading = null;
+    this.recording = Promise.resolve();
+  }
+
+  /**
+   * Append a run and compare it with the previous run of the same page and analysis type
+   * @param {Object} results - Analysis results after the baseline was applied
+   * @param {Object} options - { selector }
+   * @returns {Object} Trends against the previous run
+   */
+  record(results, options = {}) {
+    // Batch pages finish in parallel; one at a time, each run is compared with the ones recorded before it
+    const recorded = this.recording.then(() => this.append(results, options));
+    this.recording = recorded.catch(() => {});
+    return recorded;
+  }
+
+  async append(results, options) {
+    const entries = await this.load();
+    const entry = this.createEntry(results, options);
+    const earlier = entries.filter(other => targetKey(other) === targetKey(entry));
+
+    await fs.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+    await fs.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+    entries.push(entry);
+
+    return HistoryStore.compare(earlier[earlier.length - 1] || null, entry, earlier.length + 1);
+  }
+
+  createEntry(results, options = {}) {
+    const url = pageUrl(results.url);
+
+    // Known and suppressed issues are still on the page, so they count for trends
+    const found = [...results.issues, ...(results.baselineIssues || []), ...(results.suppressedIssues || [])];
+
+    return {
+      timestamp: results.timestamp || new Date().toISOString(),
+      url,
+      analysisType: results.analysisType,
+      ...(options.selector && { selector: options.selector }),
+      ...(results.engines && { engines: results.engines }),
+      ...(results.devices && { devices: results.devices }),
+      summary: pick(results.summary, SUMMARY_KEYS),
+      scores: results.scores || {},
+      metrics: numericMetrics(results.metrics),
+      issues: found.map(issue => ({
+        fingerprint: issue.fingerprint || fingerprintIssue(issue, { url: results.url }).fingerprint,
+        ruleId: issue.ruleId,
+        title: issue.title,
+        severity: issue.severity || issue.impact,
+        element: issueElement(issue) || undefined
+      }))
+    };
+  }
+
+  /**
+   * Read the log once, sharing the read between concurrent callers; later records are kept in memory
+   * Lines that fail to parse (e.g. a write cut short) are skipped
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.read().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async read() {
+    let text = '';
+    try {
+      text = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read history ${this.file}: ${error.message}`);
+      }
+    }
+
+    this.entries = text.split('\n').filter(line => line.trim()).reduce((entries, line) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Skip the damaged line and keep the rest of the history usable
+      }
+      return entries;
+    }, []);
+
+    return this.entries;
+  }
+
+  /**
+   * Runs matching a filter, oldest first, each with trends against the run before it
+   * (which may fall outside the date range)
+   * @param {Object} filter - { url, analysisType, since, until (Date), limit (most recent N) }
+   */
+  async query(filter = {}) {
+    const url = filter.url ? pageUrl(filter.url) : null;
+    const since = filter.since ? filter.since.getTime() : -Infinity;
+    const until = filter.until ? filter.until.getTime() : Infinity;
+    const previous = new Map();
+    const counts = new Map();
+    const matches = [];
+
+    (await this.load())
+      .filter(entry => (!url || entry.url === url) && (!filter.analysisType || entry.analysisType === filter.analysisType))
+      .forEach(entry => {
+        const key = targetKey(entry);
+        const time = Date.parse(entry.timestamp);
+        counts.set(key, (counts.get(key) || 0) + 1);
+
+        if (time >= since && time <= until) {
+          matches.push({ ...entry, trends: HistoryStore.compare(previous.get(key) || null, entry, counts.get(key)) });
+        }
+        previous.set(key, entry);
+      });
+
+    return filter.limit ? matches.slice(-filter.limit) : matches;
+  }
+
+  /**
+   * Trends between two runs of the same target
+   * @param {Object|null} previous - Earlier history entry
+   * @param {Object} entry - Later history entry
+   * @param {number} runs - Number of recorded runs including this one
+   */
+  static compare(previous, entry, runs = 1) {
+    if (!previous) {
+      return {
+        scoreChange: 0,
+        issuesTrend: 'stable',
+        newIssues: 0,
+        resolvedIssues: 0,
+        lastAnalysis: null,
+        runs,
+        introduced: [],
+        resolved: []
+      };
+    }
+
+    const before = new Set(previous.issues.map(issue => issue.fingerprint));
+    const after = new Set(entry.issues.map(issue => issue.fingerprint));
+    const introduced = entry.issues.filter(issue => !before.has(issue.fingerprint));
+    const resolved = previous.issues.filter(issue => !after.has(issue.fingerprint));
+    const issueChange = entry.issues.length - previous.issues.length;
+
+    return {
+      scoreChange: (entry.summary.overallScore || 0) - (previous.summary.overallScore || 0),
+      previousScore: previous.summary.overallScore,
+      issuesTrend: issueChange < 0 ? 'improving' : issueChange > 0 ? 'worsening' : 'stable',
+      newIssues: introduced.length,
+      resolvedIssues: resolved.length,
+      lastAnalysis: previous.timestamp,
+      runs,
+      introduced,
+      resolved
+    };
+  }
+}
+
+/**
+ * Parse a --since/--until value: an ISO date or a relative age such as 12h, 7d or 4w
+ * Date-only upper bounds include the whole day
+ * @param {Object} options - { endOfDay, now }
+ */
+function parseHistoryDate(value, options = {}) {
+  const now = options.now || new Date();
+  const relative = /^(\d+)([hdw])$/.exec(value);
+  if (relative) {
+    const hours = { h: 1, d: 24, w: 24 * 7 }[relative[2]];
+    return new Date(now.getTime() - Number(relative[1]) * hours * 60 * 60 * 1000);
+  }
+
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid date "${value}" (expected YYYY-MM-DD, an ISO timestamp or an age such as 7d)`);
+  }
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return new Date(dateOnly && options.endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time);
+}
+
+function pageUrl(url) {
+  return isHttpUrl(url) ? normalizeUrl(url) : url;
+}
+
+/**
+ * Runs are compared with earlier runs of the same page, analysis type and element
+ */
+function targetKey(entry) {
+  return [entry.url, entry.analysisType, entry.selector || ''].join(' ');
+}
+
+function pick(source = {}, keys) {
+  return keys.reduce((picked, key) => {
+    if (source[key] !== undefined) picked[key] = source[key];
+    return picked;
+  }, {});
+}
+
+/**
+ * Keep numeric metrics only; lists and nested details would bloat every line
+ */
+function numericMetrics(metrics = {}) {
+  return Object.entries(metrics).reduce((kept, [key, value]) => {
+    if (typeof value === 'number' && isFinite(value)) kept[key] = value;
+    return kept;
+  }, {});
+}
+
+module.exports = HistoryStore;
+module.exports.DEFAULT_HISTORY_FILE = DEFAULT_HISTORY_FILE;
+module.exports.parseHistoryDate = parseHistoryDate;
@@ -0,0 +1,1016 @@
+/**
+ * Claude UX Consultant
+ * Type definitions for the programmatic API (src/index.js)
+ */
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+import type { Browser, BrowserContext, Page } from 'playwright';
+
+// ---------------------------------------------------------------------------
+// Findings
+// ---------------------------------------------------------------------------
+
+export type Severity = 'critical' | 'high' | 'medium' | 'low';
+export type Level = 'high' | 'medium' | 'low';
+export type AnalysisType = 'quick' | 'deep' | 'element' | 'full';
+export type AnalyzerMode = 'quick' | 'deep' | 'element' | 'mobile';
+export type Isolation = 'shared' | 'exclusive' | 'context';
+export type Engine = 'chromium' | 'firefox' | 'webkit';
+
+/** An element a finding points at */
+export interface FindingElement {
+  selector: string;
+  xpath?: string;
+  snippet?: string;
+  boundingBox?: { x: number; y: number; width: number; height: number };
+  values?: Record<string, unknown>;
+}
+
+/** Fields shared by issues and recommendations (see model/finding.schema.json) */
+export interface FindingBase {
+  /** Stable rule ID from the rule catalogue, e.g. a11y/img-alt */
+  ruleId?: string;
+  /** accessibility, bug, mobile, performance, visual or a plugin's own category */
+  category: string;
+  /** Same as category; kept for older report consumers */
+  type: string;
+  topic?: string;
+  title: string;
+  description?: string;
+  fix?: string;
+  wcag?: string;
+  help?: string;
+  docsUrl?: string;
+  elements?: FindingElement[];
+  /** Journey checkpoint the finding was reported at */
+  checkpoint?: string;
+  /** Engines the finding reproduces in, when analyzing in several */
+  engines?: Engine[];
+  engineSpecific?: boolean;
+  /** Devices the finding reproduces on, when analyzing a device matrix */
+  devices?: string[];
+  deviceSpecific?: boolean;
+  [key: string]: unknown;
+}
+
+export interface Issue extends FindingBase {
+  severity: Severity;
+  impact?: Level;
+  count?: number;
+  details?: unknown;
+  /** Baseline fingerprint, set when a baseline or suppressions are in use */
+  fingerprint?: string;
+  /** 'new' when a baseline is loaded and the issue is not in it */
+  baselineStatus?: 'new' | 'known';
+}
+
+export interface Recommendation extends FindingBase {
+  impact: Level;
+  effort?: Level;
+}
+
+export interface SuppressedIssue extends Issue {
+  suppression: SuppressionSummary;
+}
+
+export interface Suppression {
+  rule?: string;
+  url?: string;
+  selector?: string;
+  fingerprint?: string;
+  justification: string;
+  owner?: string;
+  expires?: string;
+}
+
+export type SuppressionSummary = Suppression;
+
+/** An issue recorded in a baseline file */
+export interface BaselineEntry {
+  fingerprint: string;
+  ruleId: string;
+  url: string;
+  checkpoint: string | null;
+  element: string;
+  title: string;
+  severity: Severity;
+}
+
+export interface Baseline {
+  version: number;
+  createdAt: string;
+  pages: string[];
+  issues: BaselineEntry[];
+}
+
+export interface Rule {
+  /** <namespace>/<name>, e.g. a11y/img-alt */
+  id: string;
+  title: string;
+  category: string;
+  severity: Severity;
+  wcag?: string;
+  help?: string;
+  docsUrl?: string;
+}
+
+// ---------------------------------------------------------------------------
+// Results
+// ---------------------------------------------------------------------------
+
+export interface Summary {
+  totalIssues: number;
+  criticalIssues: number;
+  highIssues: number;
+  mediumIssues: number;
+  lowIssues: number;
+  recommendations: number;
+  failedAnalyzers: number;
+  overallScore: number;
+  /** Minutes */
+  estimatedFixTime: number;
+  priorityActions: Array<{ ruleId?: string; title: string; description?: string; action?: string; impact?: string }>;
+  quickWins: number;
+  engineSpecificIssues?: number;
+  deviceSpecificIssues?: number;
+  suppressedIssues?: number;
+  expiredSuppressions?: number;
+  newIssues?: number;
+  knownIssues?: number;
+  fixedIssues?: number;
+}
+
+export interface ScoreDeduction {
+  ruleId?: string;
+  title: string;
+  severity: Severity;
+  occurrence: number;
+  points: number;
+}
+
+export interface CategoryScore {
+  name: string;
+  score: number;
+  weight: number;
+  issues: number;
+  penalty: number;
+  deductions: ScoreDeduction[];
+}
+
+export interface Scoring {
+  overall: number;
+  categories: CategoryScore[];
+  pageSize: { domSize: number | null; factor: number };
+  model: Record<string, unknown>;
+  note?: string;
+}
+
+export interface AnalyzerRun {
+  name: string;
+  mode: AnalyzerMode;
+  status: 'ok' | 'failed' | 'timed-out';
+  duration?: number;
+  error?: string;
+  stack?: string;
+  engine?: Engine;
+  device?: string;
+  checkpoint?: string;
+}
+
+export interface ReadinessCondition {
+  condition: string;
+  status: 'met' | 'timed-out' | 'failed' | 'skipped';
+  duration?: number;
+  error?: string;
+  engine?: Engine;
+  device?: string;
+}
+
+export interface ReadinessReport {
+  ready: boolean;
+  duration: number;
+  timeout?: number;
+  onTimeout?: 'analyze' | 'fail';
+  conditions: ReadinessCondition[];
+}
+
+export interface GateCheck {
+  kind: 'analysis' | 'analyzers' | 'severity' | 'issues' | 'score' | 'metric';
+  id: string;
+  label: string;
+  actual: unknown;
+  limit: number | null;
+  comparison: 'min' | 'max' | null;
+  status: 'passed' | 'failed' | 'skipped';
+}
+
+export interface GateResult {
+  status: 'passed' | 'failed';
+  passed: number;
+  failed: number;
+  skipped: number;
+  checks: GateCheck[];
+}
+
+export interface HistoryIssue {
+  fingerprint: string;
+  ruleId?: string;
+  title: string;
+  severity: Severity;
+  element?: string;
+}
+
+export interface Trends {
+  scoreChange: number;
+  previousScore?: number;
+  issuesTrend: 'improving' | 'worsening' | 'stable';
+  newIssues: number;
+  resolvedIssues: number;
+  lastAnalysis: string | null;
+  runs: number;
+  introduced: HistoryIssue[];
+  resolved: HistoryIssue[];
+}
+
+export interface HistoryEntry {
+  timestamp: string;
+  url: string;
+  analysisType: string;
+  selector?: string;
+  engines?: Engine[];
+  devices?: string[];
+  summary: Partial<Summary>;
+  scores: Record<string, number>;
+  metrics: Record<string, number>;
+  issues: HistoryIssue[];
+  /** Set on entries returned by HistoryStore#query */
+  trends?: Trends;
+}
+
+export interface VariantResult {
+  analysisTime?: string;
+  error?: string;
+  summary: Summary;
+  metrics: Record<string, unknown>;
+  scores: Record<string, number>;
+  screenshots: string[];
+}
+
+export interface Checkpoint {
+  name: string;
+  mode: AnalyzerMode;
+  url: string;
+  timestamp: string;
+  issues: Issue[];
+  recommendations: Recommendation[];
+  screenshots: string[];
+  metrics: Record<string, unknown>;
+  scores: Record<string, number>;
+  analyzers: string[];
+  analyzerRuns: AnalyzerRun[];
+  summary: Summary;
+  scoring?: Scoring;
+}
+
+export interface JourneyInfo {
+  name: string;
+  description?: string;
+  totalSteps: number;
+  completedSteps: number;
+  status: 'completed' | 'failed';
+  failedStep?: { index: number; action: string; name?: string; error: string };
+}
+
+export type HarReport =
+  | { mode: 'record'; file: string }
+  /** unmatched: "METHOD url" of the requests the HAR had no response for */
+  | { mode: 'replay'; file: string; notFound: HarNotFoundPolicy; unmatched: string[] };
+
+/** What analyzePage, analyzeBatch and analyzeJourney resolve to */
+export interface AnalysisResults {
+  url: string;
+  analysisType: AnalysisType | 'journey';
+  timestamp: string;
+  /** Local file served at url (claude-ux quick ./dist/index.html) */
+  file?: string;
+  engine?: Engine;
+  device?: string;
+  mobileDevice?: string;
+  /** Analysis time, e.g. "5321ms" */
+  analysisTime?: string;
+  /** Set when the page could not be analyzed */
+  error?: string;
+  timedOut?: boolean;
+  /** Attempts analyzeBatch made */
+  attempts?: number;
+  issues: Issue[];
+  recommendations: Recommendation[];
+  screenshots: string[];
+  /** Metric values; per-engine and per-device values are suffixed, e.g. "loadTime (firefox)" */
+  metrics: Record<string, unknown>;
+  scores: Record<string, number>;
+  analyzers: string[];
+  analyzerRuns: AnalyzerRun[];
+  summary: Summary;
+  scoring?: Scoring;
+  readiness?: ReadinessReport;
+  har?: HarReport;
+  /** Requests blocked, stubbed or delayed by the network config ("METHOD url") */
+  network?: { blocked: string[]; stubbed: string[]; delayed: string[] };
+  engines?: Engine[];
+  engineResults?: Record<string, VariantResult>;
+  failedEngines?: Engine[];
+  devices?: string[];
+  deviceResults?: Record<string, VariantResult>;
+  failedDevices?: string[];
+  /** Hidden by the baseline */
+  baselineIssues?: Issue[];
+  /** Baseline entries no longer found */
+  fixedIssues?: BaselineEntry[];
+  suppressedIssues?: SuppressedIssue[];
+  expiredSuppressions?: SuppressionSummary[];
+  gate?: GateResult;
+  trends?: Trends;
+  journey?: JourneyInfo;
+  checkpoints?: Checkpoint[];
+}
+
+/** Report written by JSONReporter, or an AnalysisResults object */
+export interface ReportLike {
+  issues: Issue[];
+  summary?: Partial<Summary>;
+  scores?: Record<string, number>;
+  metrics?: Record<string, unknown>;
+  meta?: { url?: string; timestamp?: string; analysisType?: string; [key: string]: unknown };
+  baseline?: { knownIssues?: Issue[]; [key: string]: unknown };
+  [key: string]: unknown;
+}
+
+export interface ValueChange {
+  name: string;
+  before: unknown;
+  after: unknown;
+  delta?: number;
+  percent?: number | null;
+  status: 'improved' | 'regressed' | 'changed';
+}
+
+export interface ReportDiff {
+  before: { file?: string; url?: string; timestamp?: string; analysisType?: string };
+  after: { file?: string; url?: string; timestamp?: string; analysisType?: string };
+  summary: Record<string, { before: number; after: number; delta: number }>;
+  added: Issue[];
+  resolved: Issue[];
+  changed: Array<{
+    issue: Issue;
+    before: Issue;
+    changes: Array<{ field: string; before: unknown; after: unknown; worse: boolean }>;
+    worse: boolean;
+  }>;
+  unchanged: number;
+  scores: ValueChange[];
+  metrics: ValueChange[];
+  metricTolerance: number;
+  regressions: Array<{ kind: string; name: string; detail: string }>;
+  improvements: Array<{ kind: string; name: string; detail: string }>;
+}
+
+export interface CrawlPage {
+  url: string;
+  depth: number | null;
+  status: number | null;
+  source?: string;
+  error?: string;
+  nonHtml?: boolean;
+  duplicateOf?: string;
+  inLinks: number;
+  outLinks: number;
+  analyzable: boolean;
+  [key: string]: unknown;
+}
+
+export interface CrawlResult {
+  startUrl: string;
+  timestamp: string;
+  options: Record<string, unknown>;
+  stats: {
+    pagesVisited: number;
+    analyzablePages: number;
+    sitemapUrls: number;
+    edges: number;
+    maxDepthReached: number;
+    depthDistribution: Record<string, number>;
+  };
+  pages: CrawlPage[];
+  edges: Array<{ from: string; to: string }>;
+  orphans: string[];
+  deadEnds: string[];
+  broken: Array<{ url: string; status: number | null; error?: string }>;
+  duplicates: Array<{ url: string; duplicateOf: string }>;
+  skipped: Array<{ url: string; reason: string; from?: string }>;
+}
+
+// ---------------------------------------------------------------------------
+// Analyzers
+// ---------------------------------------------------------------------------
+
+export interface AnalyzerContext {
+  /** Analyzer mode being run */
+  mode: AnalyzerMode;
+  /** Analysis the user asked for */
+  analysisType: string;
+  engine: Engine;
+  url: string;
+  selector?: string;
+  checkpoint?: string;
+  config: OrchestratorConfig;
+}
+
+/** Raw analyzer output; findings are normalized to Issue and Recommendation */
+export interface AnalyzerResult {
+  issues?: Array<Partial<Issue> & { title: string; solution?: string; suggestion?: string; element?: string; selector?: string }>;
+  recommendations?: Array<Partial<Recommendation> & { title: string }>;
+  metrics?: Record<string, unknown>;
+  scores?: Record<string, number>;
+}
+
+export interface Analyzer {
+  analyze(page: Page, context: AnalyzerContext): AnalyzerResult | void | Promise<AnalyzerResult | void>;
+  modes?: AnalyzerMode[];
+  isolation?: Isolation;
+  enabled?: boolean;
+  /** Rules registered in the catalogue along with the analyzer */
+  rules?: Rule[];
+}
+
+/** Plugin module export: one definition or a list of them */
+export interface AnalyzerPlugin extends Analyzer {
+  name: string;
+}
+
+export interface AnalyzerEntry {
+  name: string;
+  analyzer: Analyzer;
+  modes: AnalyzerMode[];
+  isolation: Isolation;
+  enabled: boolean;
+  /** 'builtin', 'custom' or the plugin specifier it was loaded from */
+  source: string;
+}
+
+export declare class AnalyzerRegistry {
+  static ANALYZER_MODES: AnalyzerMode[];
+  static ISOLATION_LEVELS: Isolation[];
+  entries: Map<string, AnalyzerEntry>;
+  register(name: string, analyzer: Analyzer, options?: { modes?: AnalyzerMode[]; isolation?: Isolation; enabled?: boolean; source?: string }): AnalyzerEntry;
+  unregister(name: string): boolean;
+  has(name: string): boolean;
+  get(name: string): AnalyzerEntry;
+  enable(name: string): void;
+  disable(name: string): void;
+  list(): AnalyzerEntry[];
+  forMode(analysisType: string): Array<{ entry: AnalyzerEntry; mode: AnalyzerMode }>;
+}
+
+/** The bundled analyzers; each method resolves to an AnalyzerResult */
+export declare class AccessibilityAnalyzer {
+  constructor(options?: Record<string, unknown>);
+  quickCheck(page: Page): Promise<AnalyzerResult>;
+  fullAudit(page: Page): Promise<AnalyzerResult>;
+  elementCheck(page: Page, selector?: string): Promise<AnalyzerResult>;
+}
+
+export declare class PerformanceAnalyzer {
+  constructor(options?: Record<string, unknown>);
+  quickMetrics(page: Page): Promise<AnalyzerResult>;
+  detailedMetrics(page: Page): Promise<AnalyzerResult>;
+}
+
+export declare class VisualAnalyzer {
+  constructor(options?: Record<string, unknown>);
+  basicAnalysis(page: Page): Promise<AnalyzerResult>;
+  comprehensiveAnalysis(page: Page): Promise<AnalyzerResult>;
+  elementAnalysis(page: Page, selector?: string): Promise<AnalyzerResult>;
+}
+
+export declare class MobileAnalyzer {
+  constructor(options?: Record<string, unknown>);
+  quickMobileCheck(page: Page): Promise<AnalyzerResult>;
+  responsivenessTest(page: Page): Promise<AnalyzerResult>;
+  fullMobileAudit(page: Page): Promise<AnalyzerResult>;
+}
+
+export declare class BugDetector {
+  constructor(options?: Record<string, unknown>);
+  quickScan(page: Page): Promise<AnalyzerResult>;
+  fullBugScan(page: Page): Promise<AnalyzerResult>;
+}
+
+// ---------------------------------------------------------------------------
+// Orchestrator
+// ---------------------------------------------------------------------------
+
+export interface ReadinessConditionConfig {
+  selector?: string;
+  state?: 'attached' | 'visible';
+  predicate?: string | (() => unknown);
+  domQuiet?: number;
+  networkIdle?: boolean;
+  fonts?: boolean;
+  images?: boolean;
+  custom?: string | ((page: Page, options: { url: string; timeout: number }) => Promise<unknown>);
+}
+
+export interface ReadinessConfig {
+  waitUntil?: 'load' | 'domcontentloaded' | 'networkidle' | 'commit';
+  conditions?: ReadinessConditionConfig[];
+  timeout?: number;
+  onTimeout?: 'analyze' | 'fail';
+}
+
+export type HarNotFoundPolicy = 'abort' | 'fallback';
+
+/** Record the run's traffic to a HAR file, or serve responses from one */
+export interface HarConfig {
+  record?: string | null;
+  replay?: string | null;
+  /** Requests missing from the replayed HAR; abort by default */
+  notFound?: HarNotFoundPolicy;
+  /** Keep cookies and authorization headers in the recording; they are redacted by default */
+  keepSecrets?: boolean;
+}
+
+/**
+ * Request interception; patterns containing "/" are globs over the full URL,
+ * anything else matches a host and its subdomains
+ */
+export interface NetworkConfig {
+  block?: string[];
+  /** Served from a local fixture (file) or inline (body); the first match wins */
+  stub?: Array<{ url: string; file?: string; body?: string; status?: number; contentType?: string; headers?: Record<string, string> }>;
+  /** delay in ms */
+  latency?: Array<{ url: string; delay: number }>;
+  /** Hosts besides the analyzed page's that are not third parties */
+  firstParty?: string[];
+}
+
+/** Orchestrator settings; the same keys as the claude-ux config file */
+export interface OrchestratorConfig {
+  baseUrl?: string;
+  outputDir?: string;
+  screenshotDir?: string;
+  timeout?: number;
+  viewport?: { width: number; height: number };
+  mobileDevice?: string;
+  devices?: string[];
+  deviceProfiles?: Record<string, Record<string, unknown>>;
+  plugins?: string[];
+  pluginDiscovery?: boolean;
+  pluginConfigPath?: string;
+  enableAnalyzers?: string[];
+  disableAnalyzers?: string[];
+  analyzerOptions?: Record<string, Record<string, unknown>>;
+  auth?: Record<string, unknown>;
+  concurrency?: number;
+  browserProcesses?: number;
+  pageTimeout?: number;
+  retries?: number;
+  browsers?: Engine[];
+  thresholds?: Record<string, Record<string, number>>;
+  analysis?: Record<string, unknown>;
+  reportFormat?: ReportFormat;
+  reporting?: { generateTrends?: boolean; [key: string]: unknown };
+  captureScreenshots?: boolean;
+  /** Baseline file, or false to ignore baselines */
+  baseline?: string | false;
+  suppressions?: Suppression[];
+  history?: string;
+  budgets?: {
+    issues?: Record<string, Partial<Record<Severity | 'total', number>>>;
+    scores?: Record<string, number>;
+    metrics?: Record<string, number>;
+  };
+  failOn?: Severity | 'none' | null;
+  scoring?: Record<string, unknown>;
+  analyzerTimeout?: number;
+  analyzerTimeouts?: Record<string, number>;
+  strictAnalyzers?: boolean;
+  strictFindings?: boolean;
+  readiness?: ReadinessConfig;
+  har?: HarConfig;
+  network?: NetworkConfig;
+  [key: string]: unknown;
+}
+
+export type ReportFormat = 'html' | 'json' | 'markdown';
+
+export interface AnalyzePageOptions {
+  selector?: string;
+  devices?: string[];
+  /** Overrides the configured readiness; a list sets only the conditions */
+  readiness?: ReadinessConfig | ReadinessConditionConfig[];
+  file?: string;
+  /** Run once in this context instead of every configured engine */
+  context?: BrowserContext;
+  /** Context per engine, e.g. from createEngineContexts() */
+  contexts?: Partial<Record<Engine, BrowserContext>>;
+}
+
+export interface BatchPage {
+  url: string;
+  type?: AnalysisType;
+  selector?: string;
+  readiness?: ReadinessConfig | ReadinessConditionConfig[];
+  file?: string;
+}
+
+export interface BatchOptions {
+  concurrency?: number;
+  browserProcesses?: number;
+  pageTimeout?: number;
+  retries?: number;
+  onProgress?(progress: { completed: number; total: number; index: number; result: AnalysisResults }): void;
+}
+
+interface EventScope {
+  url: string;
+  engine: Engine;
+  device?: string;
+  checkpoint?: string;
+}
+
+/** Payloads of the orchestrator's progress events */
+export interface OrchestratorEvents {
+  'analysis:start': { url: string; analysisType: AnalysisType | 'journey'; selector?: string; file?: string; journey?: string };
+  'analyzer:done': EventScope & { analyzer: string; run: AnalyzerRun; issues: number };
+  /** Reported issues as analyzers finish, before the baseline and suppressions are applied */
+  issue: EventScope & { analyzer: string; issue: Issue };
+  screenshot: { url: string; engine: Engine; path: string };
+  'analysis:end': { url: string; analysisType: AnalysisType | 'journey'; duration: number; results: AnalysisResults };
+}
+
+export declare class UXOrchestrator extends EventEmitter {
+  constructor(config?: OrchestratorConfig);
+  config: Required<Pick<OrchestratorConfig, 'baseUrl' | 'outputDir' | 'screenshotDir' | 'timeout' | 'browsers'>> & OrchestratorConfig;
+  browser: Browser | null;
+  context: BrowserContext | null;
+  analyzers: AnalyzerRegistry;
+  rules: RuleRegistry;
+  baseline: BaselineManager;
+  history: HistoryStore;
+  gate: QualityGate;
+  scoring: ScoreEngine;
+  reporters: { html: HTMLReporter; json: JSONReporter; markdown: MarkdownReporter };
+
+  on<E extends keyof OrchestratorEvents>(event: E, listener: (payload: OrchestratorEvents[E]) => void): this;
+  once<E extends keyof OrchestratorEvents>(event: E, listener: (payload: OrchestratorEvents[E]) => void): this;
+  off<E extends keyof OrchestratorEvents>(event: E, listener: (payload: OrchestratorEvents[E]) => void): this;
+  emit<E extends keyof OrchestratorEvents>(event: E, payload: OrchestratorEvents[E]): boolean;
+
+  /** Load plugins and the baseline, launch the browser */
+  initialize(): Promise<void>;
+  close(): Promise<void>;
+  loadPlugins(): Promise<void>;
+  registerAnalyzer(name: string, analyzer: Analyzer, options?: { modes?: AnalyzerMode[]; isolation?: Isolation; enabled?: boolean }): AnalyzerEntry;
+  registerRule(rule: Rule): void;
+
+  analyzePage(url: string, analysisType?: AnalysisType, options?: AnalyzePageOptions): Promise<AnalysisResults>;
+  analyzeBatch(pages: BatchPage[], options?: BatchOptions): Promise<AnalysisResults[]>;
+  analyzeJourney(journey: Journey): Promise<AnalysisResults>;
+  crawl(startUrl: string, options?: CrawlOptions): Promise<CrawlResult>;
+  compareThirdParties(url: string, options?: ThirdPartyComparisonOptions): Promise<ThirdPartyComparisonResult>;
+
+  createEngineContexts(browser?: Browser): Promise<Partial<Record<Engine, BrowserContext>>>;
+  /** Writes the report to the output directory and resolves to its path */
+  generateReport(results: AnalysisResults, format?: ReportFormat): Promise<string>;
+  displayImmediateFeedback(results: AnalysisResults): void;
+}
+
+/** Analyze one page with a short-lived orchestrator: launch, analyze, close */
+export declare function analyze(url: string, options?: {
+  type?: AnalysisType;
+  selector?: string;
+  devices?: string[];
+  readiness?: ReadinessConfig | ReadinessConditionConfig[];
+  config?: OrchestratorConfig;
+  on?: { [E in keyof OrchestratorEvents]?: (payload: OrchestratorEvents[E]) => void };
+}): Promise<AnalysisResults>;
+
+// ---------------------------------------------------------------------------
+// Reporters
+// ---------------------------------------------------------------------------
+
+export declare class HTMLReporter {
+  generate(results: AnalysisResults, options?: { outputPath?: string; includeScreenshots?: boolean }): Promise<string>;
+}
+
+export declare class JSONReporter {
+  generate(results: AnalysisResults, options?: { outputPath?: string }): Promise<string>;
+}
+
+export declare class MarkdownReporter {
+  generate(results: AnalysisResults, options?: { outputPath?: string }): Promise<string>;
+}
+
+export declare class DiffReporter {
+  generate(diff: ReportDiff, options?: { format?: 'markdown' | 'html'; outputPath?: string }): Promise<string>;
+  renderText(diff: ReportDiff): string;
+  renderMarkdown(diff: ReportDiff): string;
+  renderHtml(diff: ReportDiff): string;
+}
+
+// ---------------------------------------------------------------------------
+// Findings, scoring and gates
+// ---------------------------------------------------------------------------
+
+export declare class RuleRegistry {
+  constructor(rules?: Rule[]);
+  register(rule: Rule): void;
+  has(id: string): boolean;
+  get(id: string): Rule | undefined;
+  list(): Rule[];
+}
+
+export declare class FindingNormalizer {
+  constructor(options?: { strict?: boolean }, context?: { rules?: RuleRegistry });
+  normalize(findings: unknown[] | undefined, kind: 'issue', source: string): Issue[];
+  normalize(findings: unknown[] | undefined, kind: 'recommendation', source: string): Recommendation[];
+}
+
+export declare class ScoreEngine {
+  static DEFAULT_WEIGHTS: Record<string, number>;
+  static DEFAULT_PENALTIES: Record<Severity, number>;
+  constructor(options?: Record<string, unknown>, context?: { rules?: RuleRegistry });
+  score(results: Pick<AnalysisResults, 'issues' | 'analyzers' | 'metrics'> & Partial<AnalysisResults>): Scoring;
+}
+
+export declare class QualityGate {
+  static FAIL_ON_VALUES: string[];
+  constructor(options?: { budgets?: OrchestratorConfig['budgets']; failOn?: Severity | 'none' | null; strictAnalyzers?: boolean }, context?: { rules?: RuleRegistry });
+  readonly enabled: boolean;
+  evaluate(results: AnalysisResults): GateResult;
+}
+
+export declare const SEVERITIES: Severity[];
+export declare function issueSeverity(issue: Partial<Issue>): Severity;
+export declare function countBySeverity(issues: Array<Partial<Issue>>): Record<Severity, number>;
+
+// ---------------------------------------------------------------------------
+// Baselines, history and diffs
+// ---------------------------------------------------------------------------
+
+export declare class BaselineManager {
+  static DEFAULT_BASELINE_FILE: string;
+  static create(resultsList: AnalysisResults[]): Baseline;
+  static save(file: string, baseline: Baseline): Promise<void>;
+  constructor(options?: { file?: string | null; required?: boolean; suppressions?: Suppression[] });
+  readonly enabled: boolean;
+  loaded: boolean;
+  load(): Promise<void>;
+  apply<T extends { issues: Issue[] }>(target: T, scope: { url: string; checkpoint?: string }): T;
+}
+
+export declare class HistoryStore {
+  static DEFAULT_HISTORY_FILE: string;
+  static parseHistoryDate(value: string, options?: { endOfDay?: boolean }): Date;
+  static compare(previous: HistoryEntry | null, entry: HistoryEntry, runs?: number): Trends;
+  constructor(options?: { file?: string; enabled?: boolean });
+  enabled: boolean;
+  record(results: AnalysisResults, options?: { selector?: string }): Promise<Trends>;
+  query(filter?: { url?: string; analysisType?: string; since?: Date; until?: Date; limit?: number }): Promise<HistoryEntry[]>;
+}
+
+export declare function fingerprintIssue(issue: Partial<Issue>, scope?: { url?: string; checkpoint?: string }): {
+  fingerprint: string;
+  ruleId: string;
+  url: string;
+  checkpoint: string | null;
+  element: string;
+};
+export declare function issueKey(issue: Partial<Issue>): string;
+export declare function diffReports(before: ReportLike | AnalysisResults, after: ReportLike | AnalysisResults, options?: {
+  metricTolerance?: number;
+  beforeFile?: string;
+  afterFile?: string;
+}): ReportDiff;
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+export declare const CONFIG_SCHEMA: Record<string, unknown>;
+export declare function loadConfig(options?: { cwd?: string; configPath?: string; profile?: string; env?: NodeJS.ProcessEnv }): Promise<{
+  config: OrchestratorConfig;
+  sources: string[];
+  profile: string | null;
+}>;
+export declare function mergeConfig(base: OrchestratorConfig, overrides: OrchestratorConfig): OrchestratorConfig;
+/** Problems with a config object, each prefixed with its key path */
+export declare function validateConfig(config: unknown): string[];
+
+// ---------------------------------------------------------------------------
+// Journeys, devices, readiness and crawling
+// ---------------------------------------------------------------------------
+
+export interface JourneyStep {
+  action: string;
+  name?: string;
+  mode?: AnalyzerMode;
+  url?: string;
+  selector?: string;
+  [key: string]: unknown;
+}
+
+export interface Journey {
+  name: string;
+  description?: string;
+  baseUrl?: string;
+  steps: JourneyStep[];
+}
+
+export declare function loadJourney(file: string): Promise<Journey>;
+export declare function normalizeJourney(definition: Partial<Journey>, fallbackName?: string): Journey;
+
+export interface DeviceProfile {
+  name: string;
+  viewport: { width: number; height: number };
+  deviceScaleFactor?: number;
+  isMobile?: boolean;
+  hasTouch?: boolean;
+  userAgent?: string;
+  [key: string]: unknown;
+}
+
+export declare function listDevices(customProfiles?: Record<string, Record<string, unknown>>): Array<{
+  name: string;
+  alias?: string;
+  custom?: boolean;
+  viewport: { width: number; height: number };
+  deviceScaleFactor: number;
+  isMobile: boolean;
+  hasTouch: boolean;
+}>;
+export declare function resolveDevice(name: string, customProfiles?: Record<string, Record<string, unknown>>): DeviceProfile;
+export declare function normalizeReadiness(readiness?: ReadinessConfig | ReadinessConditionConfig[], defaults?: { timeout?: number }): Required<ReadinessConfig>;
+
+export interface CrawlOptions {
+  maxDepth?: number;
+  maxPages?: number;
+  sameOrigin?: boolean;
+  include?: string[];
+  exclude?: string[];
+  respectRobots?: boolean;
+  useSitemap?: boolean;
+  ignoreParams?: string[];
+  stripQuery?: boolean;
+  timeout?: number;
+  userAgent?: string;
+}
+
+export declare class SiteCrawler {
+  constructor(context: BrowserContext, options?: CrawlOptions);
+  crawl(startUrl: string): Promise<CrawlResult>;
+}
+
+// ---------------------------------------------------------------------------
+// Network
+// ---------------------------------------------------------------------------
+
+export declare class HarManager {
+  static NOT_FOUND_POLICIES: HarNotFoundPolicy[];
+  constructor(options?: HarConfig);
+  readonly mode: 'record' | 'replay' | null;
+  prepare(): Promise<void>;
+  contextOptions(): { recordHar?: { path: string; content: 'embed'; mode: 'full' } };
+  attach(context: BrowserContext, sink?: string[]): Promise<void>;
+  unmatchedRequests(context: BrowserContext): string[];
+  describe(unmatched?: string[]): HarReport;
+  /** Resolves to the number of recorded requests, or null when not recording */
+  save(transform?: (har: object) => object): Promise<number | null>;
+}
+
+export declare class RequestInterceptor {
+  constructor(options?: NetworkConfig);
+  readonly active: boolean;
+  prepare(): Promise<void>;
+  attach(context: BrowserContext, sink?: object[]): Promise<void>;
+  describe(entries?: object[]): NonNullable<AnalysisResults['network']>;
+}
+
+export type ThirdPartyMetric = 'loadTime' | 'longTasks' | 'longTaskTime' | 'cumulativeLayoutShift' | 'consoleErrors';
+
+export interface ThirdPartyComparisonOptions {
+  /** Loads per side; medians are compared (default 3) */
+  runs?: number;
+  /** Default: network.firstParty */
+  firstParty?: string[];
+  readiness?: ReadinessConfig | ReadinessConditionConfig[];
+  /** ms to keep measuring once the page is ready (default 1000) */
+  settle?: number;
+}
+
+export interface ThirdPartyComparisonResult {
+  url: string;
+  timestamp: string;
+  runs: number;
+  /** Sites counted as the page's own */
+  firstParty: string[];
+  /** Average requests per load */
+  thirdParties: Array<{ host: string; requests: number }>;
+  /** Medians; null where the engine does not report a metric (long tasks and layout shift are Chromium only) */
+  withThirdParties: Record<ThirdPartyMetric, number | null>;
+  withoutThirdParties: Record<ThirdPartyMetric, number | null>;
+  /** with minus without: what the third parties add */
+  delta: Record<ThirdPartyMetric, number | null>;
+  consoleErrors: { withThirdParties: string[]; withoutThirdParties: string[] };
+}
+
+export declare class ThirdPartyComparison {
+  static COMPARED_METRICS: ThirdPartyMetric[];
+  static DEFAULT_RUNS: number;
+  constructor(orchestrator: UXOrchestrator, options?: Omit<ThirdPartyComparisonOptions, 'readiness'> & { readiness?: Required<ReadinessConfig> });
+  run(url: string): Promise<ThirdPartyComparisonResult>;
+}
+
+// ---------------------------------------------------------------------------
+// Servers
+// ---------------------------------------------------------------------------
+
+export declare class StaticServer {
+  static DEFAULT_PORT: number;
+  static localPath(target: string): string | null;
+  constructor(options?: { root?: string; port?: number; spa?: boolean });
+  root: string;
+  baseUrl: string | null;
+  /** Resolves to the base URL */
+  start(): Promise<string>;
+  stop(): Promise<void>;
+  urlFor(file: string): string;
+  listPages(): Promise<string[]>;
+}
+
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface Job {
+  id: string;
+  status: JobStatus;
+  input: { url: string; mode: AnalysisType; selector?: string; devices?: string[]; readiness?: ReadinessConfig };
+  createdAt: string;
+  startedAt?: string;
+  finishedAt?: string;
+  error?: string;
+  result?: AnalysisResults;
+  progress: Array<{ stage: string; timestamp: string; [key: string]: unknown }>;
+}
+
+export declare class AnalysisServer {
+  static DEFAULT_PORT: number;
+  static ANALYSIS_MODES: AnalysisType[];
+  constructor(orchestrator: UXOrchestrator, options?: {
+    port?: number;
+    host?: string;
+    concurrency?: number;
+    retain?: number;
+    /** Bearer token every request must carry; a random one is generated when omitted */
+    token?: string;
+    cors?: string;
+  });
+  url: string | null;
+  token: string;
+  /** Whether the token was generated rather than configured */
+  generatedToken: boolean;
+  queue: EventEmitter & { concurrency: number; get(id: string): Job | null; list(): Job[] };
+  /** Resolves to the base URL of the API */
+  start(): Promise<string>;
+  stop(): Promise<void>;
+}
+
+/** Payloads of the watch session's events */
+export interface WatchSessionEvents {
+  watching: string[];
+  waiting: string[];
+  'server-unavailable': string;
+  analyzing: string[];
+  run: { run: number; files: string[]; results: AnalysisResults; diff: ReportDiff | null };
+  failed: Error;
+}
+
+export declare class WatchSession extends EventEmitter {
+  static DEFAULT_SETTLE: number;
+  constructor(orchestrator: UXOrchestrator, options: {
+    url: string;
+    analysisType?: AnalysisType;
+    selector?: string;
+    files: string[];
+    ignore?: string[];
+    debounce?: number;
+    settle?: number;
+    serverTimeout?: number;
+    cwd?: string;
+  });
+  on<E extends keyof WatchSessionEvents>(event: E, listener: (payload: WatchSessionEvents[E]) => void): this;
+  start(): Promise<void>;
+  stop(): Promise<void>;
+}
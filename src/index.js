@@ -0,0 +1,120 @@
+/**
+ * Claude UX Consultant
+ * Programmatic entry point: the orchestrator, analyzers, reporters and helpers
+ * behind the claude-ux CLI. Types are in index.d.ts.
+ */
+
+const UXOrchestrator = require('./orchestrator');
+const AccessibilityAnalyzer = require('./analyzers/accessibility');
+const PerformanceAnalyzer = require('./analyzers/performance');
+const VisualAnalyzer = require('./analyzers/visual');
+const MobileAnalyzer = require('./analyzers/mobile');
+const BugDetector = require('./analyzers/bug-detector');
+const AnalyzerRegistry = require('./plugins/analyzer-registry');
+const HTMLReporter = require('./reporters/html-reporter');
+const JSONReporter = require('./reporters/json-reporter');
+const MarkdownReporter = require('./reporters/markdown-reporter');
+const DiffReporter = require('./reporters/diff-reporter');
+const RuleRegistry = require('./rules/rule-registry');
+const FindingNormalizer = require('./model/finding');
+const ScoreEngine = require('./scoring/score-engine');
+const BaselineManager = require('./baseline/baseline-manager');
+const HistoryStore = require('./history/history-store');
+const QualityGate = require('./gates/quality-gate');
+const SiteCrawler = require('./crawler/site-crawler');
+const StaticServer = require('./static/static-server');
+const AnalysisServer = require('./service/analysis-server');
+const WatchSession = require('./watch/watch-session');
+const HarManager = require('./network/har-manager');
+const RequestInterceptor = require('./network/request-interceptor');
+const ThirdPartyComparison = require('./network/third-party-comparison');
+const { SEVERITIES, issueSeverity, countBySeverity } = require('./rules/severity');
+const { fingerprintIssue, issueKey } = require('./baseline/fingerprint');
+const { diffReports } = require('./diff/report-diff');
+const { loadConfig, mergeConfig } = require('./config/config-loader');
+const { CONFIG_SCHEMA, validate } = require('./config/config-schema');
+const { loadJourney, normalizeJourney } = require('./journeys/journey-loader');
+const { listDevices, resolveDevice } = require('./devices/device-profiles');
+const { normalizeReadiness } = require('./readiness/page-readiness');
+
+/**
+ * Analyze one page with a short-lived orchestrator: launch, analyze, close
+ * @param {string} url - Page to analyze
+ * @param {Object} options - { type: quick, deep, element or full (default quick), selector,
+ *   devices, readiness, config: orchestrator config, on: { [event]: listener } }
+ * @returns {Promise<Object>} Analysis results
+ */
+async function analyze(url, options = {}) {
+  const orchestrator = new UXOrchestrator(options.config);
+  Object.entries(options.on || {}).forEach(([event, listener]) => orchestrator.on(event, listener));
+
+  try {
+    await orchestrator.initialize();
+    return await orchestrator.analyzePage(url, options.type || 'quick', {
+      selector: options.selector,
+      devices: options.devices,
+      readiness: options.readiness
+    });
+  } finally {
+    await orchestrator.close();
+  }
+}
+
+module.exports = {
+  UXOrchestrator,
+  analyze,
+
+  // Analyzers
+  AccessibilityAnalyzer,
+  PerformanceAnalyzer,
+  VisualAnalyzer,
+  MobileAnalyzer,
+  BugDetector,
+  AnalyzerRegistry,
+
+  // Reporters
+  HTMLReporter,
+  JSONReporter,
+  MarkdownReporter,
+  DiffReporter,
+
+  // Findings, scoring and gates
+  RuleRegistry,
+  FindingNormalizer,
+  ScoreEngine,
+  QualityGate,
+  SEVERITIES,
+  issueSeverity,
+  countBySeverity,
+
+  // Baselines, history and diffs
+  BaselineManager,
+  HistoryStore,
+  fingerprintIssue,
+  issueKey,
+  diffReports,
+
+  // Configuration
+  CONFIG_SCHEMA,
+  loadConfig,
+  mergeConfig,
+  validateConfig: validate,
+
+  // Journeys, devices, readiness and crawling
+  loadJourney,
+  normalizeJourney,
+  listDevices,
+  resolveDevice,
+  normalizeReadiness,
+  SiteCrawler,
+
+  // Network
+  HarManager,
+  RequestInterceptor,
+  ThirdPartyComparison,
+
+  // Servers
+  StaticServer,
+  AnalysisServer,
+  WatchSession
+};
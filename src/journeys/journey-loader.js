@@ -0,0 +1,70 @@
+/**
+ * Journey Loader
+ * Reads and validates multi-step user journey definitions (YAML or JSON)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { STEP_ACTIONS } = require('../utils/steps');
+
+const CHECKPOINT_MODES = ['quick', 'deep', 'element'];
+
+/**
+ * Load a journey file
+ * @param {string} file - Path to a .yml, .yaml or .json journey
+ */
+async function loadJourney(file) {
+  const source = await fs.readFile(file, 'utf8');
+  const definition = /\.ya?ml$/i.test(file) ? yaml.load(source) : JSON.parse(source);
+
+  return normalizeJourney(definition, path.basename(file).replace(/\.(ya?ml|json)$/i, ''));
+}
+
+/**
+ * Validate a journey definition and fill in defaults
+ * @param {Object} definition - { name, baseUrl, steps: [...] }
+ */
+function normalizeJourney(definition, fallbackName = 'journey') {
+  if (!definition || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error('Journey must define a non-empty steps list');
+  }
+
+  const steps = definition.steps.map((step, index) => {
+    const label = `Journey step ${index + 1}`;
+
+    if (!step || typeof step.action !== 'string') {
+      throw new Error(`${label} is missing an action`);
+    }
+
+    if (step.action === 'checkpoint') {
+      if (!step.name) {
+        throw new Error(`${label}: checkpoint needs a name`);
+      }
+      const mode = step.mode || 'quick';
+      if (!CHECKPOINT_MODES.includes(mode)) {
+        throw new Error(`${label}: checkpoint mode must be one of ${CHECKPOINT_MODES.join(', ')}`);
+      }
+      return { ...step, mode };
+    }
+
+    if (!STEP_ACTIONS.includes(step.action)) {
+      throw new Error(`${label}: unknown action "${step.action}" (expected ${[...STEP_ACTIONS, 'checkpoint'].join(', ')})`);
+    }
+
+    return step;
+  });
+
+  if (!steps.some(step => step.action === 'checkpoint')) {
+    throw new Error('Journey must define at least one checkpoint');
+  }
+
+  return {
+    name: definition.name || fallbackName,
+    description: definition.description,
+    baseUrl: definition.baseUrl,
+    steps
+  };
+}
+
+module.exports = { loadJourney, normalizeJourney, CHECKPOINT_MODES };
@@ -0,0 +1,197 @@
+/**
+ * Finding Model
+ * Canonical issues and recommendations: every analyzer result is normalized to the
+ * shape described by finding.schema.json and checked against it
+ */
+
+const FINDING_SCHEMA = require('./finding.schema.json');
+const { issueSeverity } = require('../rules/severity');
+
+// Built-in analyzers whose name differs from the category of their findings
+const ANALYZER_CATEGORIES = { bugs: 'bug' };
+
+class FindingNormalizer {
+  /**
+   * @param {Object} options - { strict: throw on a malformed finding instead of skipping it }
+   * @param {Object} context - { rules: RuleRegistry providing categories and default severities }
+   */
+  constructor(options = {}, context = {}) {
+    this.strict = Boolean(options.strict);
+    this.rules = context.rules || null;
+  }
+
+  /**
+   * Normalize an analyzer's issues or recommendations
+   * Findings that are still malformed afterwards throw in strict mode and are skipped with a warning otherwise
+   * @param {Array} findings - Raw findings as returned by the analyzer
+   * @param {string} kind - 'issue' or 'recommendation'
+   * @param {string} source - Name of the analyzer that reported them
+   */
+  normalize(findings, kind, source) {
+    return (findings || []).reduce((accepted, raw) => {
+      const finding = normalizeFinding(raw, kind, { rules: this.rules, source });
+      const problems = validateFinding(finding, kind);
+
+      if (problems.length === 0) {
+        accepted.push(finding);
+        return accepted;
+      }
+
+      const message = `Analyzer "${source}" reported a malformed ${kind}${raw && raw.title ? ` "${raw.title}"` : ''}: ${problems.join('; ')}`;
+      if (this.strict) {
+        throw new Error(message);
+      }
+
+      console.warn(`⚠️  ${message} - skipped`);
+      return accepted;
+    }, []);
+  }
+}
+
+/**
+ * Map the field variants analyzers use onto the canonical model:
+ * - solution and suggestion become fix
+ * - category is the rule's catalogue category, a known category named by category or type,
+ *   or the reporting analyzer's; a free-form category or type is kept as topic
+ * - issues always get a severity: their own, the rule default, or the one implied by impact
+ * - elements given as selectors (or a single element/selector) become [{ selector }]
+ */
+function normalizeFinding(raw, kind, context = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return raw;
+  }
+
+  const { rules, source } = context;
+  const { solution, suggestion, element, selector, ...rest } = raw;
+  const rule = rules && raw.ruleId ? rules.get(raw.ruleId) : null;
+  const known = knownCategories(rules);
+  const labels = [raw.category, raw.type].filter(label => typeof label === 'string' && label);
+
+  const category = (rule && rule.category) ||
+    labels.find(label => known.includes(label)) ||
+    analyzerCategory(source) ||
+    labels[0] ||
+    'other';
+  const topic = labels.find(label => label !== category);
+
+  let finding = {
+    ...rest,
+    category,
+    type: category,
+    ...(topic && { topic }),
+    ...(raw.fix || solution || suggestion ? { fix: raw.fix || solution || suggestion } : {})
+  };
+
+  const elements = normalizeElements(raw.elements || (element || selector ? [element || selector] : undefined));
+  if (elements) finding.elements = elements;
+
+  finding = rules ? rules.enrich(finding, kind) : finding;
+
+  if (kind === 'issue' && finding.severity === undefined) {
+    finding.severity = issueSeverity(finding);
+  }
+
+  if (kind === 'recommendation' && finding.impact === undefined) {
+    finding.impact = 'medium';
+  }
+
+  return finding;
+}
+
+function normalizeElements(elements) {
+  if (!Array.isArray(elements)) return elements;
+  return elements.map(entry => (typeof entry === 'string' ? { selector: entry } : entry));
+}
+
+/**
+ * Problems with a normalized finding, each prefixed with the offending field
+ * @param {string} kind - 'issue' or 'recommendation'
+ * @returns {string[]}
+ */
+function validateFinding(finding, kind) {
+  // Both halves of an allOf report a finding that is not an object
+  return [...new Set(check(finding, FINDING_SCHEMA.definitions[kind], kind))];
+}
+
+/**
+ * Category for the findings of an analyzer without a more specific one
+ */
+function analyzerCategory(name) {
+  return name ? ANALYZER_CATEGORIES[name] || name : null;
+}
+
+function knownCategories(rules) {
+  return rules ? [...new Set(rules.list().map(rule => rule.category))] : [];
+}
+
+/**
+ * The subset of JSON Schema used by finding.schema.json:
+ * $ref, allOf, type, enum, required, properties, items, minimum, minLength and pattern
+ */
+function check(value, schema, label) {
+  if (schema.$ref) {
+    return check(value, resolve(schema.$ref), label);
+  }
+
+  if (schema.allOf) {
+    return schema.allOf.flatMap(part => check(value, part, label));
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    return [`${label} must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`} (got ${actual === 'string' ? `"${value}"` : actual})`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label} must be one of ${schema.enum.join(', ')} (got "${value}")`];
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return [`${label} must be at least ${schema.minimum} (got ${value})`];
+  }
+
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return [`${label} must not be empty`];
+  }
+
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return [`${label} must match ${schema.pattern} (got "${value}")`];
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.flatMap((item, index) => check(item, schema.items, `${label}[${index}]`));
+  }
+
+  if (schema.type !== 'object') {
+    return [];
+  }
+
+  const missing = (schema.required || [])
+    .filter(key => value[key] === undefined)
+    .map(key => `${label}.${key} is required`);
+
+  return [
+    ...missing,
+    ...Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .flatMap(([key, node]) => check(value[key], node, `${label}.${key}`))
+  ];
+}
+
+function matchesType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && isFinite(value);
+  return typeof value === type;
+}
+
+function resolve(ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], FINDING_SCHEMA);
+}
+
+module.exports = FindingNormalizer;
+module.exports.FINDING_SCHEMA = FINDING_SCHEMA;
+module.exports.normalizeFinding = normalizeFinding;
+module.exports.validateFinding = validateFinding;
+module.exports.analyzerCategory = analyzerCategory;
@@ -0,0 +1,166 @@
+/**
+ * HAR Manager
+ * Records the network traffic of every browser context into one HAR file, or
+ * serves a recorded HAR file so pages get the same responses on every run
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { REDACTED } = require('../auth/auth-manager');
+
+// What happens to a request the replayed HAR has no response for
+const NOT_FOUND_POLICIES = ['abort', 'fallback'];
+
+// Headers that carry the session of the recorded run
+const SECRET_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+
+class HarManager {
+  /**
+   * @param {Object} options - { record: HAR file to write, replay: HAR file to serve,
+   *   notFound: 'abort' (default) or 'fallback' to send unmatched requests to the network,
+   *   keepSecrets: keep cookies and authorization headers in the recording }
+   */
+  constructor(options = {}) {
+    this.record = options.record || null;
+    this.replay = options.replay || null;
+    this.notFound = options.notFound || 'abort';
+    this.keepSecrets = Boolean(options.keepSecrets);
+    this.parts = [];
+    this.directory = null;
+    this.unmatched = new WeakMap();
+
+    if (this.record && this.replay) {
+      throw new Error('A run can record a HAR or replay one, not both');
+    }
+    if (!NOT_FOUND_POLICIES.includes(this.notFound)) {
+      throw new Error(`Unknown har.notFound "${this.notFound}" (expected ${NOT_FOUND_POLICIES.join(', ')})`);
+    }
+  }
+
+  get mode() {
+    return this.record ? 'record' : this.replay ? 'replay' : null;
+  }
+
+  /**
+   * Check the replayed file exists, or create the directory recorded contexts write to
+   */
+  async prepare() {
+    if (this.replay && !await fs.stat(this.replay).catch(() => null)) {
+      throw new Error(`HAR file ${this.replay} not found`);
+    }
+    if (this.record && !this.directory) {
+      this.directory = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-har-'));
+    }
+  }
+
+  /**
+   * Options for a new browser context: when recording, each context writes its own
+   * part, and the parts are merged into the HAR file by save()
+   */
+  contextOptions() {
+    if (!this.record) return {};
+
+    const part = path.join(this.directory, `context-${this.parts.length + 1}.har`);
+    this.parts.push(part);
+    return { recordHar: { path: part, content: 'embed', mode: 'full' } };
+  }
+
+  /**
+   * Serve a context's requests from the replayed HAR
+   * Requests it has no response for are collected, then aborted or sent to the network
+   * @param {Array} sink - List to collect unmatched requests in, e.g. the one of the context
+   *   this context was derived from; by default the context gets its own
+   */
+  async attach(context, sink = []) {
+    if (!this.replay) return;
+
+    this.unmatched.set(context, sink);
+
+    // Routes run newest first: the HAR answers what it can and falls back to this handler
+    await context.route('**/*', route => {
+      const request = route.request();
+      sink.push(`${request.method()} ${request.url()}`);
+      return this.notFound === 'abort' ? route.abort('internetdisconnected') : route.continue();
+    });
+    await context.routeFromHAR(this.replay, { notFound: 'fallback' });
+  }
+
+  /**
+   * Requests of a context (and the contexts derived from it) the HAR had no response for
+   */
+  unmatchedRequests(context) {
+    return this.unmatched.get(context) || [];
+  }
+
+  /**
+   * What results record about the HAR in use
+   * @param {string[]} unmatched - Unmatched requests of the analysis
+   */
+  describe(unmatched = []) {
+    if (this.record) {
+      return { mode: 'record', file: this.record };
+    }
+    return { mode: 'replay', file: this.replay, notFound: this.notFound, unmatched };
+  }
+
+  /**
+   * Merge the recorded parts into the HAR file; contexts write their part when they close
+   * Cookies and authorization headers are redacted unless keepSecrets is set
+   * @param {Function} transform - Applied to the merged HAR before writing, e.g. to redact credentials
+   * @returns {number|null} Recorded requests, or null when not recording
+   */
+  async save(transform = har => har) {
+    if (!this.record || !this.directory) return null;
+
+    const logs = [];
+    for (const part of this.parts) {
+      try {
+        logs.push(JSON.parse(await fs.readFile(part, 'utf8')).log);
+      } catch (error) {
+        // The context was never closed, so it wrote nothing
+      }
+    }
+
+    const entries = logs
+      .flatMap(log => log.entries || [])
+      .map(entry => (this.keepSecrets ? entry : redactEntry(entry)))
+      .sort((a, b) => String(a.startedDateTime).localeCompare(String(b.startedDateTime)));
+    const har = {
+      log: {
+        version: '1.2',
+        ...(logs[0] && { creator: logs[0].creator, browser: logs[0].browser }),
+        pages: logs.flatMap(log => log.pages || []),
+        entries
+      }
+    };
+
+    await fs.mkdir(path.dirname(path.resolve(this.record)), { recursive: true });
+    await fs.writeFile(this.record, JSON.stringify(transform(har), null, 2));
+    await fs.rm(this.directory, { recursive: true, force: true });
+    this.directory = null;
+    this.parts = [];
+
+    return entries.length;
+  }
+}
+
+/**
+ * A HAR entry without the cookie and authorization values of its request and response
+ */
+function redactEntry(entry) {
+  const redactMessage = message => message && {
+    ...message,
+    ...(message.headers && {
+      headers: message.headers.map(header => (SECRET_HEADERS.includes(String(header.name).toLowerCase())
+        ? { ...header, value: REDACTED }
+        : header))
+    }),
+    ...(message.cookies && { cookies: message.cookies.map(cookie => ({ ...cookie, value: REDACTED })) })
+  };
+
+  return { ...entry, request: redactMessage(entry.request), response: redactMessage(entry.response) };
+}
+
+module.exports = HarManager;
+module.exports.NOT_FOUND_POLICIES = NOT_FOUND_POLICIES;
@@ -0,0 +1,177 @@
+/**
+ * Request Interceptor
+ * Blocks, stubs and delays requests of every browser context as configured,
+ * e.g. to keep analytics and ad tags out of an analysis
+ */
+
+const fs = require('fs').promises;
+const { globToRegExp } = require('../crawler/url-rules');
+
+// Second-level labels under which a country code TLD registers domains (example.co.uk)
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go']);
+
+/**
+ * Match a request URL against a pattern: patterns containing "/" are globs over the
+ * full URL, anything else is a host glob that also matches its subdomains
+ */
+function matchesRequest(url, pattern) {
+  if (pattern.includes('/')) {
+    return globToRegExp(pattern).test(url);
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return false;
+  }
+  const host = pattern.toLowerCase();
+  return hostname === host || hostname.endsWith(`.${host}`) || globToRegExp(host).test(hostname);
+}
+
+/**
+ * Registrable part of a hostname (shop.example.co.uk -> example.co.uk); hosts
+ * without a dot and IP addresses are their own site
+ */
+function siteOf(hostname) {
+  const labels = hostname.toLowerCase().split('.');
+  if (labels.length <= 2 || /^[\d.]+$/.test(hostname) || hostname.includes(':')) {
+    return hostname.toLowerCase();
+  }
+
+  const secondLevel = labels[labels.length - 2];
+  const keep = labels[labels.length - 1].length === 2 && SECOND_LEVEL_LABELS.has(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+/**
+ * Whether a request goes to another site than the first-party hosts
+ * data:, blob: and other non-network URLs are never third-party
+ */
+function isThirdParty(url, firstParty) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (!['http:', 'https:', 'ws:', 'wss:'].includes(parsed.protocol)) return false;
+
+  const site = siteOf(parsed.hostname);
+  return !firstParty.some(host => siteOf(host) === site);
+}
+
+class RequestInterceptor {
+  /**
+   * @param {Object} options - { block: [patterns], stub: [{ url, file or body, status,
+   *   contentType, headers }], latency: [{ url, delay }] }; the first matching stub wins
+   */
+  constructor(options = {}) {
+    this.block = options.block || [];
+    this.stub = options.stub || [];
+    this.latency = options.latency || [];
+    this.log = new WeakMap();
+
+    this.stub.forEach((stub, index) => {
+      if (!stub.url) {
+        throw new Error(`network.stub[${index}] needs a url pattern`);
+      }
+      if ((stub.file === undefined) === (stub.body === undefined)) {
+        throw new Error(`network.stub[${index}] needs either a fixture file or a body`);
+      }
+    });
+    this.latency.forEach((rule, index) => {
+      if (!rule.url || !(rule.delay >= 0)) {
+        throw new Error(`network.latency[${index}] needs a url pattern and a delay in ms`);
+      }
+    });
+  }
+
+  get active() {
+    return this.block.length > 0 || this.stub.length > 0 || this.latency.length > 0;
+  }
+
+  /**
+   * Check the stub fixtures exist before any page loads
+   */
+  async prepare() {
+    for (const stub of this.stub) {
+      if (stub.file && !await fs.stat(stub.file).catch(() => null)) {
+        throw new Error(`Stub fixture ${stub.file} not found (for ${stub.url})`);
+      }
+    }
+  }
+
+  /**
+   * Intercept a context's requests
+   * Requests no rule blocks or stubs fall through to earlier routes (a replayed HAR) or the network
+   * @param {Array} sink - List to log intercepted requests in, e.g. the one of the context
+   *   this context was derived from; by default the context gets its own
+   */
+  async attach(context, sink = []) {
+    if (!this.active) return;
+
+    this.log.set(context, sink);
+    // A delayed request's page may close before the delay is over
+    await context.route('**/*', route => this.handle(route, sink).catch(() => {}));
+  }
+
+  async handle(route, sink) {
+    const request = route.request();
+    const url = request.url();
+    const entry = `${request.method()} ${url}`;
+
+    if (this.block.some(pattern => matchesRequest(url, pattern))) {
+      sink.push({ action: 'blocked', request: entry });
+      return route.abort('blockedbyclient');
+    }
+
+    const latency = this.latency.find(rule => matchesRequest(url, rule.url));
+    if (latency) {
+      sink.push({ action: 'delayed', request: entry, delay: latency.delay });
+      await delay(latency.delay);
+    }
+
+    const stub = this.stub.find(rule => matchesRequest(url, rule.url));
+    if (stub) {
+      sink.push({ action: 'stubbed', request: entry });
+      return route.fulfill({
+        status: stub.status || 200,
+        headers: stub.headers,
+        contentType: stub.contentType,
+        ...(stub.file !== undefined ? { path: stub.file } : { body: stub.body })
+      });
+    }
+
+    return route.fallback();
+  }
+
+  /**
+   * Requests intercepted in a context (and the contexts derived from it)
+   */
+  interceptedRequests(context) {
+    return this.log.get(context) || [];
+  }
+
+  /**
+   * What results record about intercepted requests
+   * @param {Object[]} entries - Requests intercepted during the analysis
+   */
+  describe(entries = []) {
+    const requestsOf = action => entries.filter(entry => entry.action === action).map(entry => entry.request);
+    return {
+      blocked: requestsOf('blocked'),
+      stubbed: requestsOf('stubbed'),
+      delayed: requestsOf('delayed')
+    };
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = RequestInterceptor;
+module.exports.matchesRequest = matchesRequest;
+module.exports.siteOf = siteOf;
+module.exports.isThirdParty = isThirdParty;
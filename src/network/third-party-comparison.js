@@ -0,0 +1,176 @@
+/**
+ * Third-Party Comparison
+ * Loads a page with and without its third-party requests and reports what the
+ * third parties cost in load time, long tasks, layout shift and console errors
+ */
+
+const { isThirdParty, siteOf } = require('./request-interceptor');
+
+const COMPARED_METRICS = ['loadTime', 'longTasks', 'longTaskTime', 'cumulativeLayoutShift', 'consoleErrors'];
+const DEFAULT_RUNS = 3;
+const DEFAULT_SETTLE = 1000;
+
+class ThirdPartyComparison {
+  /**
+   * @param {UXOrchestrator} orchestrator - Initialized orchestrator
+   * @param {Object} options - { runs: loads per side (median is reported), firstParty: hosts
+   *   that count as the site's own besides the page's, readiness: normalized readiness,
+   *   settle: ms to keep measuring after the page is ready }
+   */
+  constructor(orchestrator, options = {}) {
+    this.orchestrator = orchestrator;
+    this.runs = options.runs || DEFAULT_RUNS;
+    this.firstParty = options.firstParty || [];
+    this.readiness = options.readiness;
+    this.settle = options.settle !== undefined ? options.settle : DEFAULT_SETTLE;
+  }
+
+  async run(url) {
+    const firstParty = [new URL(url).hostname, ...this.firstParty];
+    const hosts = new Map();
+    const withRuns = [];
+    const withoutRuns = [];
+
+    console.log(`🧪 Comparing ${url} with and without third parties (${this.runs} run(s) each)...`);
+
+    // Alternate the sides so a server warming up favors neither
+    for (let run = 0; run < this.runs; run++) {
+      withRuns.push(await this.measure(url, firstParty, { hosts }));
+      withoutRuns.push(await this.measure(url, firstParty, { block: true }));
+    }
+
+    const withThirdParties = medianMetrics(withRuns);
+    const withoutThirdParties = medianMetrics(withoutRuns);
+
+    return {
+      url,
+      timestamp: new Date().toISOString(),
+      runs: this.runs,
+      firstParty: Array.from(new Set(firstParty.map(siteOf))),
+      thirdParties: Array.from(hosts, ([host, requests]) => ({ host, requests: Math.round(requests / this.runs) }))
+        .sort((a, b) => b.requests - a.requests || a.host.localeCompare(b.host)),
+      withThirdParties,
+      withoutThirdParties,
+      // What the third parties add; positive is worse
+      delta: Object.fromEntries(COMPARED_METRICS.map(metric => [
+        metric,
+        withThirdParties[metric] === null || withoutThirdParties[metric] === null
+          ? null
+          : round(withThirdParties[metric] - withoutThirdParties[metric], metric)
+      ])),
+      consoleErrors: {
+        withThirdParties: uniqueErrors(withRuns),
+        withoutThirdParties: uniqueErrors(withoutRuns)
+      }
+    };
+  }
+
+  /**
+   * Load the page once in a fresh context
+   * @param {Object} options - { block: abort third-party requests, hosts: Map to count third-party requests per host in }
+   */
+  async measure(url, firstParty, options = {}) {
+    const context = await this.orchestrator.createContext(this.orchestrator.defaultContextOptions());
+    const errors = [];
+
+    try {
+      // Routes run newest first, so this runs before the configured interception
+      if (options.block) {
+        await context.route('**/*', route => (isThirdParty(route.request().url(), firstParty)
+          ? route.abort('blockedbyclient')
+          : route.fallback()));
+      }
+      if (options.hosts) {
+        context.on('request', request => {
+          if (isThirdParty(request.url(), firstParty)) {
+            const host = new URL(request.url()).hostname;
+            options.hosts.set(host, (options.hosts.get(host) || 0) + 1);
+          }
+        });
+      }
+
+      const page = await context.newPage();
+      page.on('console', message => {
+        // The blocked requests themselves log "Failed to load resource"; those are not the page's errors
+        if (message.type() !== 'error') return;
+        if (options.block && isThirdParty(message.location().url, firstParty)) return;
+        errors.push(message.text());
+      });
+      page.on('pageerror', error => errors.push(error.message));
+      await page.addInitScript(observePerformance);
+
+      await this.orchestrator.navigate(page, url, this.readiness);
+      await page.waitForTimeout(this.settle);
+
+      return { ...await page.evaluate(collectMetrics), consoleErrors: errors.length, errors };
+    } finally {
+      await context.close();
+    }
+  }
+}
+
+/**
+ * Runs in the page before its own scripts: record long tasks and layout shifts from the start
+ */
+function observePerformance() {
+  const metrics = { longTasks: 0, longTaskTime: 0, cumulativeLayoutShift: 0 };
+  window.__claudeUxThirdPartyMetrics = metrics;
+
+  try {
+    new PerformanceObserver(list => {
+      list.getEntries().forEach(entry => {
+        metrics.longTasks++;
+        metrics.longTaskTime += entry.duration;
+      });
+    }).observe({ type: 'longtask', buffered: true });
+  } catch (error) {
+    // Long tasks are only reported by Chromium
+    metrics.longTasks = null;
+    metrics.longTaskTime = null;
+  }
+
+  try {
+    new PerformanceObserver(list => {
+      list.getEntries().forEach(entry => {
+        if (!entry.hadRecentInput) metrics.cumulativeLayoutShift += entry.value;
+      });
+    }).observe({ type: 'layout-shift', buffered: true });
+  } catch (error) {
+    metrics.cumulativeLayoutShift = null;
+  }
+}
+
+function collectMetrics() {
+  const metrics = window.__claudeUxThirdPartyMetrics || { longTasks: null, longTaskTime: null, cumulativeLayoutShift: null };
+  const [navigation] = performance.getEntriesByType('navigation');
+
+  return {
+    loadTime: navigation && navigation.loadEventEnd > 0 ? navigation.loadEventEnd : null,
+    longTasks: metrics.longTasks,
+    longTaskTime: metrics.longTaskTime,
+    cumulativeLayoutShift: metrics.cumulativeLayoutShift
+  };
+}
+
+function medianMetrics(runs) {
+  return Object.fromEntries(COMPARED_METRICS.map(metric => {
+    const values = runs.map(run => run[metric]).filter(value => typeof value === 'number').sort((a, b) => a - b);
+    if (values.length === 0) return [metric, null];
+
+    const middle = Math.floor(values.length / 2);
+    const median = values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+    return [metric, round(median, metric)];
+  }));
+}
+
+function round(value, metric) {
+  return metric === 'cumulativeLayoutShift' ? Math.round(value * 1000) / 1000 : Math.round(value);
+}
+
+function uniqueErrors(runs) {
+  return Array.from(new Set(runs.flatMap(run => run.errors)));
+}
+
+module.exports = ThirdPartyComparison;
+module.exports.COMPARED_METRICS = COMPARED_METRICS;
+module.exports.DEFAULT_RUNS = DEFAULT_RUNS;
@@ -7,44 +7,202 @@
  * No external APIs required - completely local analysis
  */
 
-const { chromium } = require('playwright');
+const EventEmitter = require('events');
+const { chromium, firefox, webkit } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
-const AccessibilityAnalyzer = require('./analyzers/accessibility');
-const PerformanceAnalyzer = require('./analyzers/performance');
-const VisualAnalyzer = require('./analyzers/visual');
-const MobileAnalyzer = require('./analyzers/mobile');
-const BugDetector = require('./analyzers/bug-detector');
+const AnalyzerRegistry = require('./plugins/analyzer-registry');
+const { createBuiltinPlugins } = require('./plugins/builtin');
+const { discoverInstalledPlugins, readConfiguredPlugins, loadPlugin } = require('./plugins/loader');
+const RuleRegistry = require('./rules/rule-registry');
+const AuthManager = require('./auth/auth-manager');
+const HarManager = require('./network/har-manager');
+const RequestInterceptor = require('./network/request-interceptor');
+const ThirdPartyComparison = require('./network/third-party-comparison');
+const { runStep, resolveUrl } = require('./utils/steps');
+const { normalizeReadiness, waitForReadiness, readinessProblem } = require('./readiness/page-readiness');
+const SiteCrawler = require('./crawler/site-crawler');
+const { resolveDevice, deviceContextOptions } = require('./devices/device-profiles');
+const { thresholdOptions, analysisToggles } = require('./config/analyzer-settings');
+const { mergeConfig } = require('./config/config-loader');
+const BaselineManager = require('./baseline/baseline-manager');
+const { issueKey } = require('./baseline/fingerprint');
+const HistoryStore = require('./history/history-store');
+const QualityGate = require('./gates/quality-gate');
+const ScoreEngine = require('./scoring/score-engine');
+const { countBySeverity, issueSeverity } = require('./rules/severity');
+const FindingNormalizer = require('./model/finding');
 const HTMLReporter = require('./reporters/html-reporter');
 const JSONReporter = require('./reporters/json-reporter');
 const MarkdownReporter = require('./reporters/markdown-reporter');
 
-class UXOrchestrator {
+const ENGINES = { chromium, firefox, webkit };
+const ANALYZER_TIMED_OUT = Symbol('analyzer timed out');
+const DEFAULT_MOBILE_DEVICE = 'iphone';
+
+/**
+ * Progress events, each emitted with one payload object:
+ *   analysis:start  { url, analysisType, selector, file, journey }
+ *   analyzer:done   { url, engine, device, checkpoint, analyzer, run, issues: count }
+ *   issue           { url, engine, device, checkpoint, analyzer, issue } as reported, before the baseline
+ *   screenshot      { url, engine, path }
+ *   analysis:end    { url, analysisType, duration, results }
+ */
+class UXOrchestrator extends EventEmitter {
   constructor(config = {}) {
+    super();
     this.config = {
       baseUrl: config.baseUrl || 'http://localhost:3000',
       outputDir: config.outputDir || './reports',
       screenshotDir: config.screenshotDir || './screenshots',
       timeout: config.timeout || 30000,
       viewport: config.viewport || { width: 1920, height: 1080 },
-      mobileViewport: config.mobileViewport || { width: 375, height: 667 },
-      ...config
+      devices: config.devices || [],
+      deviceProfiles: config.deviceProfiles || {},
+      plugins: config.plugins || [],
+      pluginDiscovery: config.pluginDiscovery !== false,
+      pluginConfigPath: config.pluginConfigPath || './claude-ux-config.json',
+      enableAnalyzers: config.enableAnalyzers || [],
+      disableAnalyzers: config.disableAnalyzers || [],
+      auth: config.auth || {},
+      concurrency: config.concurrency || 1,
+      browserProcesses: config.browserProcesses || 1,
+      pageTimeout: config.pageTimeout || 120000,
+      retries: config.retries !== undefined ? config.retries : 1,
+      browsers: config.browsers && config.browsers.length > 0 ? config.browsers : ['chromium'],
+      thresholds: config.thresholds || {},
+      analysis: config.analysis || {},
+      reportFormat: config.reportFormat || 'html',
+      captureScreenshots: config.captureScreenshots !== false,
+      baseline: config.baseline !== undefined ? config.baseline : BaselineManager.DEFAULT_BASELINE_FILE,
+      suppressions: config.suppressions || [],
+      history: config.history || path.join(config.outputDir || './reports', HistoryStore.DEFAULT_HISTORY_FILE),
+      budgets: config.budgets || {},
+      failOn: config.failOn || null,
+      scoring: config.scoring || {},
+      analyzerTimeout: config.analyzerTimeout || 30000,
+      analyzerTimeouts: config.analyzerTimeouts || {},
+      strictAnalyzers: Boolean(config.strictAnalyzers),
+      strictFindings: config.strictFindings !== undefined ? config.strictFindings : process.env.NODE_ENV === 'development',
+      readiness: config.readiness || {},
+      har: config.har || {},
+      network: config.network || {},
+      // Options left undefined keep their defaults, as they do when the CLI merges its config
+      ...mergeConfig({}, config)
     };
     
+    const unknownEngines = this.config.browsers.filter(engine => !ENGINES[engine]);
+    if (unknownEngines.length > 0) {
+      throw new Error(`Unknown browser engine(s): ${unknownEngines.join(', ')} (expected ${Object.keys(ENGINES).join(', ')})`);
+    }
+    
     this.browser = null;
     this.context = null;
+    this.engineBrowsers = new Map();
+    this.engineContexts = new Map();
+    this.contextOptions = new WeakMap();
+    this.readiness = normalizeReadiness(this.config.readiness, { timeout: this.config.timeout });
+    this.pageReadiness = new WeakMap();
+    this.auth = new AuthManager(this.config.auth, {
+      baseUrl: this.config.baseUrl,
+      timeout: this.config.timeout
+    });
+    this.har = new HarManager(this.config.har);
+    this.network = new RequestInterceptor(this.config.network);
+    this.baseline = new BaselineManager({
+      file: this.config.baseline || null,
+      required: Boolean(this.config.baseline) && this.config.baseline !== BaselineManager.DEFAULT_BASELINE_FILE,
+      suppressions: this.config.suppressions
+    });
+    this.history = new HistoryStore({
+      file: this.config.history,
+      enabled: (this.config.reporting || {}).generateTrends !== false
+    });
+    this.rules = new RuleRegistry();
+    this.gate = new QualityGate({
+      budgets: this.config.budgets,
+      failOn: this.config.failOn,
+      strictAnalyzers: this.config.strictAnalyzers
+    }, { rules: this.rules });
+    this.scoring = new ScoreEngine(this.config.scoring, { rules: this.rules });
+    this.findings = new FindingNormalizer({ strict: this.config.strictFindings }, { rules: this.rules });
     this.analyzers = this.initializeAnalyzers();
     this.reporters = this.initializeReporters();
   }
 
   initializeAnalyzers() {
-    return {
-      accessibility: new AccessibilityAnalyzer(),
-      performance: new PerformanceAnalyzer(),
-      visual: new VisualAnalyzer(),
-      mobile: new MobileAnalyzer(),
-      bugDetector: new BugDetector()
+    const registry = new AnalyzerRegistry();
+    
+    // Explicit analyzerOptions win over values derived from thresholds
+    const analyzerOptions = this.config.analyzerOptions || {};
+    const fromThresholds = thresholdOptions(this.config.thresholds);
+    const pluginOptions = {};
+    new Set([...Object.keys(fromThresholds), ...Object.keys(analyzerOptions)]).forEach(name => {
+      pluginOptions[name] = { ...fromThresholds[name], ...analyzerOptions[name] };
+    });
+    pluginOptions.mobile = {
+      deviceProfiles: this.config.deviceProfiles,
+      ...(this.config.devices.length > 0 && { responsiveDevices: this.config.devices }),
+      ...pluginOptions.mobile
     };
+    
+    createBuiltinPlugins(pluginOptions).forEach(plugin => {
+      registry.register(plugin.name, plugin, { modes: plugin.modes, source: 'builtin' });
+    });
+    
+    return registry;
+  }
+
+  /**
+   * Register a custom analyzer
+   * @param {string} name - Unique analyzer name
+   * @param {Object} analyzer - Object implementing analyze(page, context)
+   * @param {Object} options - { modes: ['quick', 'deep', 'element', 'mobile'], enabled }
+   */
+  registerAnalyzer(name, analyzer, options = {}) {
+    (analyzer.rules || []).forEach(rule => this.registerRule(rule));
+    return this.analyzers.register(name, analyzer, options);
+  }
+
+  /**
+   * Register a rule in the central catalogue
+   * @param {Object} rule - { id, title, category, severity, wcag, help, docsUrl }
+   */
+  registerRule(rule) {
+    this.rules.register(rule);
+  }
+
+  /**
+   * Load plugins from the config, the plugin config file and node_modules,
+   * then apply the `analysis` section and the enable/disable overrides
+   */
+  async loadPlugins() {
+    const cwd = process.cwd();
+    const specifiers = [
+      ...this.config.plugins,
+      ...await readConfiguredPlugins(path.resolve(cwd, this.config.pluginConfigPath))
+    ];
+    
+    if (this.config.pluginDiscovery) {
+      specifiers.push(...await discoverInstalledPlugins(cwd));
+    }
+    
+    for (const specifier of new Set(specifiers)) {
+      loadPlugin(specifier, cwd).forEach(definition => {
+        this.registerAnalyzer(definition.name, definition, {
+          modes: definition.modes,
+          source: specifier
+        });
+      });
+    }
+    
+    const builtins = this.analyzers.list().filter(entry => entry.source === 'builtin').map(entry => entry.name);
+    const toggles = analysisToggles(this.config.analysis, builtins);
+    
+    [...toggles.enable, ...this.config.enableAnalyzers].forEach(name => this.analyzers.enable(name));
+    [...toggles.disable, ...this.config.disableAnalyzers]
+      .filter(name => !this.config.enableAnalyzers.includes(name))
+      .forEach(name => this.analyzers.disable(name));
   }
 
   initializeReporters() {
@@ -62,49 +220,275 @@ class UXOrchestrator {
     await fs.mkdir(this.config.outputDir, { recursive: true });
     await fs.mkdir(this.config.screenshotDir, { recursive: true });
     
-    this.browser = await chromium.launch({ 
+    await this.loadPlugins();
+    await this.baseline.load();
+    await this.har.prepare();
+    await this.network.prepare();
+    
+    const primaryEngine = this.config.browsers[0];
+    this.browser = await this.launchBrowser(primaryEngine);
+    this.context = await this.createContext(this.defaultContextOptions());
+    this.engineBrowsers.set(primaryEngine, this.browser);
+    this.engineContexts.set(primaryEngine, this.context);
+    
+    console.log('✅ Claude UX Consultant initialized and ready');
+  }
+
+  async launchBrowser(engine = this.config.browsers[0]) {
+    return ENGINES[engine].launch({ 
       headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
+      // Sandbox flags are Chromium switches; other engines reject them
+      args: engine === 'chromium' ? ['--no-sandbox', '--disable-setuid-sandbox'] : []
     });
-    
-    this.context = await this.browser.newContext({
+  }
+
+  /**
+   * Browser for an engine, launched on first use
+   */
+  async engineBrowser(engine) {
+    if (!this.engineBrowsers.has(engine)) {
+      console.log(`🌐 Launching ${engine}...`);
+      this.engineBrowsers.set(engine, await this.launchBrowser(engine));
+    }
+    return this.engineBrowsers.get(engine);
+  }
+
+  /**
+   * Shared context for an engine, created on first use
+   */
+  async engineContext(engine) {
+    if (!this.engineContexts.has(engine)) {
+      this.engineContexts.set(engine, await this.createContext(this.defaultContextOptions(), await this.engineBrowser(engine)));
+    }
+    return this.engineContexts.get(engine);
+  }
+
+  /**
+   * A fresh context in every configured engine, for analyzePage's `contexts` option
+   * @param {Browser} browser - Browser of the primary engine; other engines use their shared browser
+   */
+  async createEngineContexts(browser = this.browser) {
+    const contexts = {};
+    for (const engine of this.config.browsers) {
+      const engineBrowser = engine === this.config.browsers[0] ? browser : await this.engineBrowser(engine);
+      contexts[engine] = await this.createContext(this.defaultContextOptions(), engineBrowser);
+    }
+    return contexts;
+  }
+
+  /**
+   * Name of the engine a page runs in (chromium, firefox or webkit)
+   */
+  engineOf(page) {
+    try {
+      return page.context().browser().browserType().name();
+    } catch (error) {
+      return this.config.browsers[0];
+    }
+  }
+
+  defaultContextOptions() {
+    return {
       viewport: this.config.viewport,
       userAgent: 'Claude-UX-Consultant/1.0'
+    };
+  }
+
+  /**
+   * Create a browser context carrying the configured authentication
+   * The first context runs the login; later ones reuse its session
+   */
+  async createContext(options = {}, browser = this.browser) {
+    const context = await browser.newContext({
+      ...options,
+      ...this.auth.contextOptions(),
+      ...this.har.contextOptions()
     });
+    this.contextOptions.set(context, options);
     
-    console.log('✅ Claude UX Consultant initialized and ready');
+    try {
+      await this.har.attach(context);
+      await this.network.attach(context);
+      await this.auth.prepare(context);
+    } catch (error) {
+      await context.close();
+      throw error;
+    }
+    
+    return context;
   }
 
   /**
    * Main analysis entry point
+   * Runs once per configured device and browser engine, merges the results
+   * and applies the baseline and suppressions, evaluates the quality gate and
+   * records the run in the history
+   * @param {Object} options - { selector, devices, readiness (overrides the configured readiness),
+   *   file (local file served at url), context (single run in that context), contexts (per-engine) }
    */
   async analyzePage(url, analysisType = 'quick', options = {}) {
     const startTime = Date.now();
-    console.log(`🔍 Analyzing ${url} (${analysisType} analysis)...`);
-    
-    const page = await this.context.newPage();
-    const results = {
+    this.notify('analysis:start', {
       url,
       analysisType,
-      timestamp: new Date().toISOString(),
-      issues: [],
-      recommendations: [],
-      screenshots: [],
-      metrics: {},
-      scores: {},
-      summary: {}
+      ...(options.selector && { selector: options.selector }),
+      ...(options.file && { file: options.file })
+    });
+    
+    const results = this.applyBaseline(await this.analyzeVariants(url, analysisType, options), { url });
+    if (options.file) {
+      results.file = options.file;
+    }
+    this.evaluateGate(results);
+    await this.recordHistory(results, options);
+    
+    this.notify('analysis:end', { url, analysisType, duration: Date.now() - startTime, results });
+    return results;
+  }
+
+  /**
+   * Emit a progress event; a failing listener is reported but never aborts the analysis
+   */
+  notify(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      console.warn(`⚠️  "${event}" listener failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Attach the quality gate result when budgets or a fail-on severity are configured
+   * Baselined and suppressed issues are not counted
+   */
+  evaluateGate(results) {
+    if (this.gate.enabled) {
+      results.gate = this.gate.evaluate(results);
+    }
+    return results;
+  }
+
+  /**
+   * Append a completed run to the history and attach trends against the previous run
+   * Failed runs are not recorded; they would show every issue as resolved
+   */
+  async recordHistory(results, options = {}) {
+    if (!this.history.enabled || results.error) {
+      return;
+    }
+    
+    try {
+      results.trends = await this.history.record(results, { selector: options.selector });
+    } catch (error) {
+      console.warn(`⚠️  Could not update history: ${error.message}`);
+    }
+  }
+
+  async analyzeVariants(url, analysisType, options) {
+    if (options.context) {
+      return this.runPageAnalysis(url, analysisType, options);
+    }
+    
+    const devices = options.devices || this.config.devices;
+    if (devices.length === 0) {
+      return this.analyzeAcrossEngines(url, analysisType, options);
+    }
+    
+    console.log(`📱 Device matrix: ${devices.join(', ')}`);
+    
+    const perDevice = [];
+    for (const deviceName of devices) {
+      const device = resolveDevice(deviceName, this.config.deviceProfiles);
+      perDevice.push(await this.analyzeAcrossEngines(url, analysisType, { ...options, device }));
+    }
+    
+    return perDevice.length === 1 ? perDevice[0] : this.mergeRunResults(url, analysisType, perDevice, 'device');
+  }
+
+  /**
+   * Run the analysis in every configured engine, optionally emulating a device
+   */
+  async analyzeAcrossEngines(url, analysisType, options) {
+    const engines = this.config.browsers;
+    
+    const runIn = async (engine) => {
+      if (!options.device) {
+        const context = (options.contexts && options.contexts[engine]) || await this.engineContext(engine);
+        return this.runPageAnalysis(url, analysisType, { ...options, context });
+      }
+      
+      // Device runs get their own context carrying the device's emulation settings
+      const context = await this.createContext(deviceContextOptions(options.device, engine), await this.engineBrowser(engine));
+      try {
+        return await this.runPageAnalysis(url, analysisType, { ...options, context });
+      } finally {
+        await context.close();
+      }
+    };
+    
+    if (engines.length === 1) {
+      return runIn(engines[0]);
+    }
+    
+    console.log(`🌐 Cross-engine analysis in ${engines.join(', ')}`);
+    
+    const perEngine = [];
+    for (const engine of engines) {
+      perEngine.push(await runIn(engine));
+    }
+    
+    const merged = this.mergeRunResults(url, analysisType, perEngine, 'engine');
+    if (options.device) {
+      merged.device = options.device.name;
+    }
+    return merged;
+  }
+
+  /**
+   * Analyze a page in one browser context
+   */
+  async runPageAnalysis(url, analysisType, options) {
+    const startTime = Date.now();
+    // The context may be reused for other pages, so only this analysis's requests count
+    const unmatched = this.har.unmatchedRequests(options.context);
+    const unmatchedBefore = unmatched.length;
+    const intercepted = this.network.interceptedRequests(options.context);
+    const interceptedBefore = intercepted.length;
+    const page = await options.context.newPage();
+    const results = this.createResults(url, analysisType);
+    results.engine = this.engineOf(page);
+    if (options.device) {
+      results.device = options.device.name;
+    }
+    
+    const variant = [results.device, this.config.browsers.length > 1 ? results.engine : null].filter(Boolean);
+    console.log(`🔍 Analyzing ${url} (${analysisType} analysis${variant.length > 0 ? `, ${variant.join(', ')}` : ''})...`);
+    
+    const describeHar = () => {
+      if (!this.har.mode) return;
+      results.har = this.har.describe(unmatched.slice(unmatchedBefore));
+      if (results.har.unmatched && results.har.unmatched.length > 0) {
+        console.warn(`📼 ${results.har.unmatched.length} request(s) not in ${results.har.file} ${results.har.notFound === 'abort' ? 'were aborted' : 'went to the network'}`);
+      }
+    };
+    const describeNetwork = () => {
+      if (!this.network.active) return;
+      results.network = this.network.describe(intercepted.slice(interceptedBefore));
+      const counts = Object.entries(results.network).filter(([, requests]) => requests.length > 0);
+      if (counts.length > 0) {
+        console.log(`🚧 Intercepted requests: ${counts.map(([action, requests]) => `${requests.length} ${action}`).join(', ')}`);
+      }
     };
     
     try {
       // Navigate to page
-      await page.goto(url, { 
-        waitUntil: 'networkidle',
-        timeout: this.config.timeout 
-      });
+      results.readiness = await this.navigate(page, url, this.resolveReadiness(options.readiness));
       
       // Take screenshot
-      const screenshotPath = await this.captureScreenshot(page, url);
-      results.screenshots.push(screenshotPath);
+      if (this.config.captureScreenshots) {
+        const screenshotPath = await this.captureScreenshot(page, url, this.sanitizeFilename(variant.join('-')));
+        results.screenshots.push(screenshotPath);
+      }
       
       // Run analysis based on type
       switch (analysisType) {
@@ -122,6 +506,9 @@ class UXOrchestrator {
           break;
       }
       
+      describeHar();
+      describeNetwork();
+      
       // Calculate summary
       this.calculateSummary(results);
       
@@ -130,38 +517,452 @@ class UXOrchestrator {
       
       console.log(`✅ Analysis completed in ${duration}ms - Found ${results.issues.length} issues`);
       
-      return results;
+      return this.redact(results);
       
     } catch (error) {
-      console.error(`❌ Error analyzing ${url}:`, error.message);
+      console.error(`❌ Error analyzing ${url}:`, this.auth.redact(error.message));
       results.error = error.message;
-      return results;
+      describeHar();
+      describeNetwork();
+      return this.redact(results);
     } finally {
       await page.close();
     }
   }
 
   /**
-   * Quick 5-second analysis for immediate feedback
+   * Combine per-engine or per-device results: identical issues are merged and
+   * tagged with the variants they reproduce in, metrics and scores are suffixed
+   * with the variant name
+   * @param {string} dimension - 'engine' or 'device' (the results field naming each run)
    */
-  async runQuickAnalysis(page, results) {
-    console.log('⚡ Running quick analysis (5-second feedback)...');
+  mergeRunResults(url, analysisType, runs, dimension) {
+    const plural = `${dimension}s`;
+    const merged = this.createResults(url, analysisType);
+    merged[plural] = runs.map(result => result[dimension]);
+    merged[`${dimension}Results`] = {};
     
-    const analysisPromises = [
-      this.analyzers.bugDetector.quickScan(page),
-      this.analyzers.accessibility.quickCheck(page),
-      this.analyzers.performance.quickMetrics(page)
-    ];
+    const issues = new Map();
+    const recommendations = new Map();
+    const collect = (findings, target, variant) => findings.forEach(finding => {
+      const key = this.issueFingerprint(finding);
+      if (target.has(key)) {
+        target.get(key)[plural].push(variant);
+      } else {
+        target.set(key, { ...finding, [plural]: [variant] });
+      }
+    });
+    
+    runs.forEach(result => {
+      const variant = result[dimension];
+      
+      merged[`${dimension}Results`][variant] = {
+        analysisTime: result.analysisTime,
+        error: result.error,
+        summary: result.summary,
+        metrics: result.metrics,
+        scores: result.scores,
+        screenshots: result.screenshots
+      };
+      
+      collect(result.issues, issues, variant);
+      (result.analyzers || []).forEach(name => {
+        if (!merged.analyzers.includes(name)) merged.analyzers.push(name);
+      });
+      merged.analyzerRuns.push(...(result.analyzerRuns || []).map(run => ({ ...run, [dimension]: variant })));
+      if (result.har) {
+        merged.har = {
+          ...result.har,
+          ...(result.har.unmatched && { unmatched: [...new Set([...(merged.har ? merged.har.unmatched : []), ...result.har.unmatched])] })
+        };
+      }
+      if (result.network) {
+        merged.network = merged.network || { blocked: [], stubbed: [], delayed: [] };
+        Object.keys(merged.network).forEach(action => {
+          merged.network[action] = [...new Set([...merged.network[action], ...result.network[action]])];
+        });
+      }
+      if (result.readiness) {
+        merged.readiness = merged.readiness || { ready: true, duration: 0, conditions: [] };
+        merged.readiness.ready = merged.readiness.ready && result.readiness.ready;
+        merged.readiness.duration = Math.max(merged.readiness.duration, result.readiness.duration);
+        merged.readiness.conditions.push(...result.readiness.conditions.map(entry => ({ ...entry, [dimension]: variant })));
+      }
+      collect(result.recommendations, recommendations, variant);
+      
+      Object.entries(result.metrics).forEach(([key, value]) => {
+        merged.metrics[`${key} (${variant})`] = value;
+      });
+      Object.entries(result.scores).forEach(([key, value]) => {
+        merged.scores[`${key} (${variant})`] = value;
+      });
+      merged.screenshots.push(...result.screenshots);
+    });
+    
+    merged.issues = Array.from(issues.values()).map(issue => ({
+      ...issue,
+      [`${dimension}Specific`]: issue[plural].length === 1
+    }));
+    merged.recommendations = Array.from(recommendations.values());
+    
+    const failed = runs.filter(result => result.error);
+    if (failed.length > 0) {
+      merged[`failed${dimension[0].toUpperCase()}${plural.slice(1)}`] = failed.map(result => result[dimension]);
+    }
+    if (failed.length === runs.length) {
+      merged.error = failed.map(result => `${result[dimension]}: ${result.error}`).join('; ');
+    }
+    
+    this.calculateSummary(merged);
+    merged.summary[`${dimension}SpecificIssues`] = merged.issues.filter(issue => issue[`${dimension}Specific`]).length;
+    merged.analysisTime = `${runs.reduce((total, result) => total + (parseInt(result.analysisTime) || 0), 0)}ms`;
+    
+    return merged;
+  }
+
+  /**
+   * Identity of a finding across runs and engines
+   */
+  issueFingerprint(issue) {
+    return issueKey(issue);
+  }
+
+  /**
+   * Hide baselined and suppressed issues and recount the summary over what is left
+   * @param {Object} scope - { url, checkpoint }
+   */
+  applyBaseline(results, scope) {
+    if (!this.baseline.enabled) {
+      return results;
+    }
+    
+    const previous = results.summary;
+    this.baseline.apply(results, scope);
+    this.calculateSummary(results);
+    
+    // Keep counts added after the summary was first built, recounted over the remaining issues
+    Object.keys(previous)
+      .filter(key => key.endsWith('SpecificIssues'))
+      .forEach(key => {
+        const flag = key.replace(/Issues$/, '');
+        results.summary[key] = results.issues.filter(issue => issue[flag]).length;
+      });
+    
+    this.addBaselineSummary(results);
+    return results;
+  }
+
+  addBaselineSummary(results) {
+    results.summary.suppressedIssues = results.suppressedIssues.length;
+    results.summary.expiredSuppressions = results.expiredSuppressions.length;
+    
+    if (this.baseline.loaded) {
+      results.summary.newIssues = results.issues.length;
+      results.summary.knownIssues = results.baselineIssues.length;
+      results.summary.fixedIssues = results.fixedIssues.length;
+    }
+  }
+
+  createResults(url, analysisType) {
+    return {
+      url,
+      analysisType,
+      timestamp: new Date().toISOString(),
+      issues: [],
+      recommendations: [],
+      screenshots: [],
+      metrics: {},
+      scores: {},
+      analyzers: [],
+      analyzerRuns: [],
+      summary: {}
+    };
+  }
+
+  /**
+   * Analyze many pages across a pool of isolated browser contexts
+   * Results are returned in the same order as the input pages
+   * @param {Array} pages - [{ url, type, selector, readiness, file }]
+   * @param {Object} options - { concurrency, browserProcesses, pageTimeout, retries, onProgress }
+   */
+  async analyzeBatch(pages, options = {}) {
+    const concurrency = Math.max(1, Math.min(options.concurrency || this.config.concurrency, pages.length));
+    const processes = Math.max(1, Math.min(options.browserProcesses || this.config.browserProcesses, concurrency));
+    const pageTimeout = options.pageTimeout || this.config.pageTimeout;
+    const retries = options.retries !== undefined ? options.retries : this.config.retries;
+    
+    console.log(`📋 Analyzing ${pages.length} pages (concurrency ${concurrency}, ${processes} browser process${processes > 1 ? 'es' : ''})...`);
+    
+    const browsers = [this.browser];
+    for (let i = 1; i < processes; i++) {
+      browsers.push(await this.launchBrowser());
+    }
     
-    const analysisResults = await Promise.allSettled(analysisPromises);
+    const results = new Array(pages.length);
+    let nextIndex = 0;
+    let completed = 0;
     
-    analysisResults.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value) {
-        results.issues.push(...(result.value.issues || []));
-        results.recommendations.push(...(result.value.recommendations || []));
-        Object.assign(results.metrics, result.value.metrics || {});
+    // One isolated context per engine for each worker
+    const createContexts = browser => this.createEngineContexts(browser);
+    const closeContexts = contexts => Promise.all(Object.values(contexts).map(context => context.close().catch(() => {})));
+    
+    const worker = async (workerIndex) => {
+      const browser = browsers[workerIndex % browsers.length];
+      let contexts = await createContexts(browser);
+      
+      try {
+        while (nextIndex < pages.length) {
+          const index = nextIndex++;
+          const target = pages[index];
+          let result;
+          let attempt = 0;
+          
+          for (;;) {
+            attempt++;
+            result = await this.analyzeWithTimeout(target, contexts, pageTimeout);
+            
+            if (result.timedOut) {
+              // The abandoned analysis keeps running in its contexts; neither a retry
+              // nor the worker's next page may share them
+              await closeContexts(contexts);
+              contexts = await createContexts(browser);
+            }
+            
+            if (!result.error || attempt > retries || !this.isTransientError(result.error)) break;
+            
+            console.log(`🔁 Retrying ${target.url} (attempt ${attempt + 1}/${retries + 1})...`);
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+          }
+          
+          result.attempts = attempt;
+          results[index] = result;
+          completed++;
+          
+          if (options.onProgress) {
+            options.onProgress({ completed, total: pages.length, index, result });
+          }
+        }
+      } finally {
+        await closeContexts(contexts);
       }
+    };
+    
+    try {
+      await Promise.all(Array.from({ length: concurrency }, (_, i) => worker(i)));
+    } finally {
+      await Promise.all(browsers.slice(1).map(browser => browser.close().catch(() => {})));
+    }
+    
+    return results;
+  }
+
+  /**
+   * Run analyzePage with an overall time limit
+   * On timeout the analysis is abandoned and a failed result is returned
+   */
+  async analyzeWithTimeout(target, contexts, timeout) {
+    const analysis = this.analyzePage(target.url, target.type || 'quick', {
+      selector: target.selector,
+      readiness: target.readiness,
+      file: target.file,
+      contexts
+    });
+    
+    let timer;
+    const expired = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), timeout);
     });
+    
+    const result = await Promise.race([analysis, expired]);
+    clearTimeout(timer);
+    
+    if (result) return result;
+    
+    analysis.catch(() => {});
+    console.error(`⏱️  ${target.url} timed out after ${timeout}ms`);
+    
+    const timedOut = this.createResults(target.url, target.type || 'quick');
+    timedOut.error = `Page analysis timed out after ${timeout}ms`;
+    if (target.file) {
+      timedOut.file = target.file;
+    }
+    timedOut.timedOut = true;
+    this.calculateSummary(timedOut);
+    return this.evaluateGate(timedOut);
+  }
+
+  /**
+   * Navigation and browser failures worth retrying
+   */
+  isTransientError(message) {
+    return /net::ERR_|timed out|Timeout \d+ms exceeded|ECONNRESET|ECONNREFUSED|socket hang up|Target (page, context or browser )?(has been )?closed|crashed/i.test(message);
+  }
+
+  /**
+   * Discover pages from a start URL (sitemap + links) using the authenticated context
+   * @param {string} startUrl
+   * @param {Object} options - SiteCrawler options (maxDepth, maxPages, include, exclude, ...)
+   */
+  async crawl(startUrl, options = {}) {
+    const crawler = new SiteCrawler(this.context, {
+      timeout: this.config.timeout,
+      ...options
+    });
+    
+    return this.redact(await crawler.crawl(startUrl));
+  }
+
+  /**
+   * Load a page with and without its third-party requests and report what they cost
+   * @param {Object} options - { runs, firstParty (hosts besides the page's that are not
+   *   third parties; default network.firstParty), readiness, settle }
+   */
+  async compareThirdParties(url, options = {}) {
+    const comparison = new ThirdPartyComparison(this, {
+      runs: options.runs,
+      firstParty: options.firstParty || this.config.network.firstParty,
+      readiness: this.resolveReadiness(options.readiness),
+      settle: options.settle
+    });
+    
+    return this.redact(await comparison.run(url));
+  }
+
+  /**
+   * Walk a multi-step journey, analyzing the page at each named checkpoint
+   * @param {Object} journey - Normalized journey from journeys/journey-loader
+   */
+  async analyzeJourney(journey) {
+    const startTime = Date.now();
+    console.log(`🧭 Running journey "${journey.name}" (${journey.steps.length} steps)...`);
+    
+    const baseUrl = journey.baseUrl || this.config.baseUrl;
+    const firstNavigation = journey.steps.find(step => step.action === 'goto' || step.action === 'navigate');
+    const page = await this.context.newPage();
+    const results = this.createResults(firstNavigation ? resolveUrl(firstNavigation.url, baseUrl) : baseUrl, 'journey');
+    this.notify('analysis:start', { url: results.url, analysisType: 'journey', journey: journey.name });
+    results.journey = {
+      name: journey.name,
+      description: journey.description,
+      totalSteps: journey.steps.length,
+      completedSteps: 0,
+      status: 'completed'
+    };
+    results.checkpoints = [];
+    
+    try {
+      for (const step of journey.steps) {
+        if (step.action === 'checkpoint') {
+          await this.runCheckpoint(page, step, results);
+        } else {
+          await runStep(page, step, { baseUrl, timeout: this.config.timeout });
+        }
+        results.journey.completedSteps++;
+      }
+    } catch (error) {
+      const failedStep = journey.steps[results.journey.completedSteps];
+      console.error(`❌ Journey step ${results.journey.completedSteps + 1} (${failedStep.action}) failed:`, this.auth.redact(error.message));
+      
+      results.journey.status = 'failed';
+      results.journey.failedStep = {
+        index: results.journey.completedSteps + 1,
+        action: failedStep.action,
+        name: failedStep.name,
+        error: error.message
+      };
+      results.error = `Journey failed at step ${results.journey.failedStep.index}: ${error.message}`;
+      
+      try {
+        if (this.config.captureScreenshots) {
+          results.screenshots.push(await this.captureScreenshot(page, page.url(), 'journey-failure'));
+        }
+      } catch (screenshotError) {
+        // The page may already be gone; the error above is what matters
+      }
+    } finally {
+      await page.close();
+    }
+    
+    this.calculateSummary(results);
+    if (this.baseline.enabled) {
+      results.suppressedIssues = results.suppressedIssues || [];
+      results.expiredSuppressions = results.expiredSuppressions || [];
+      if (this.baseline.loaded) {
+        results.baselineIssues = results.baselineIssues || [];
+        results.fixedIssues = results.fixedIssues || [];
+      }
+      this.addBaselineSummary(results);
+    }
+    this.evaluateGate(results);
+    
+    const duration = Date.now() - startTime;
+    results.analysisTime = `${duration}ms`;
+    
+    console.log(`✅ Journey ${results.journey.status} in ${duration}ms - ${results.checkpoints.length} checkpoints, ${results.issues.length} issues`);
+    
+    const redacted = this.redact(results);
+    this.notify('analysis:end', { url: results.url, analysisType: 'journey', duration, results: redacted });
+    return redacted;
+  }
+
+  /**
+   * Analyze the current journey state and record it as a checkpoint section
+   */
+  async runCheckpoint(page, step, results) {
+    console.log(`📍 Checkpoint "${step.name}" (${step.mode} analysis)...`);
+    
+    const checkpoint = {
+      name: step.name,
+      mode: step.mode,
+      url: page.url(),
+      timestamp: new Date().toISOString(),
+      issues: [],
+      recommendations: [],
+      screenshots: [],
+      metrics: {},
+      scores: {},
+      analyzers: [],
+      analyzerRuns: [],
+      summary: {}
+    };
+    
+    if (step.screenshot !== false && this.config.captureScreenshots) {
+      checkpoint.screenshots.push(await this.captureScreenshot(page, checkpoint.url, `checkpoint-${this.sanitizeFilename(step.name)}`));
+    }
+    
+    await this.runAnalyzers(step.mode, page, checkpoint, { selector: step.selector, checkpoint: step.name }, { reload: false });
+    if (this.baseline.enabled) {
+      this.baseline.apply(checkpoint, { url: checkpoint.url, checkpoint: step.name });
+    }
+    this.calculateSummary(checkpoint);
+    
+    const tag = findings => findings.map(finding => ({ ...finding, checkpoint: step.name }));
+    
+    results.checkpoints.push(checkpoint);
+    results.issues.push(...tag(checkpoint.issues));
+    results.recommendations.push(...tag(checkpoint.recommendations));
+    results.screenshots.push(...checkpoint.screenshots);
+    checkpoint.analyzers
+      .filter(name => !results.analyzers.includes(name))
+      .forEach(name => results.analyzers.push(name));
+    results.analyzerRuns.push(...checkpoint.analyzerRuns.map(run => ({ ...run, checkpoint: step.name })));
+    
+    if (this.baseline.enabled) {
+      ['suppressedIssues', 'expiredSuppressions', 'baselineIssues', 'fixedIssues']
+        .filter(key => checkpoint[key])
+        .forEach(key => {
+          results[key] = [...(results[key] || []), ...(key === 'expiredSuppressions' ? checkpoint[key] : tag(checkpoint[key]))];
+        });
+    }
+  }
+
+  /**
+   * Quick 5-second analysis for immediate feedback
+   */
+  async runQuickAnalysis(page, results) {
+    console.log('⚡ Running quick analysis (5-second feedback)...');
+    
+    await this.runAnalyzers('quick', page, results);
   }
 
   /**
@@ -170,40 +971,229 @@ class UXOrchestrator {
   async runDeepAnalysis(page, results) {
     console.log('🔬 Running deep analysis...');
     
-    // Run quick analysis first
-    await this.runQuickAnalysis(page, results);
+    await this.runAnalyzers('deep', page, results);
+  }
+
+  /**
+   * Element-specific analysis
+   */
+  async runElementAnalysis(page, results, selector) {
+    console.log(`🎯 Running element-specific analysis for: ${selector || 'common elements'}`);
     
-    // Add deep analysis
-    const deepAnalysisPromises = [
-      this.analyzers.accessibility.fullAudit(page),
-      this.analyzers.visual.comprehensiveAnalysis(page),
-      this.analyzers.performance.detailedMetrics(page),
-      this.analyzers.mobile.responsivenessTest(page)
-    ];
+    await this.runAnalyzers('element', page, results, { selector });
+  }
+
+  /**
+   * Run every enabled analyzer registered for an analysis type and merge the results
+   * Each run is recorded in results.analyzerRuns; failed and timed-out analyzers add no findings
+   *
+   * Analyzers run in phases so they cannot disturb each other's measurements (see
+   * AnalyzerRegistry for the isolation levels): context analyzers one at a time on
+   * freshly loaded pages, then shared analyzers together, then exclusive analyzers
+   * one at a time. Results are merged in registration order whatever the phase.
+   * @param {Object} options - { reload: false when the page state cannot be recreated by
+   *   loading its URL (journeys); context analyzers then run as exclusive ones }
+   */
+  async runAnalyzers(analysisType, page, results, context = {}, options = {}) {
+    const selected = this.analyzers.forMode(analysisType).map(({ entry, mode }) => ({
+      entry,
+      mode,
+      isolation: entry.isolation === 'context' && options.reload === false ? 'exclusive' : entry.isolation
+    }));
+    const analyzerContext = {
+      ...context,
+      analysisType,
+      engine: this.engineOf(page),
+      url: results.url,
+      config: this.config
+    };
+    const viewport = page.viewportSize();
+    const runs = new Array(selected.length);
+    const phase = isolation => selected
+      .map((analyzer, index) => ({ ...analyzer, index }))
+      .filter(analyzer => analyzer.isolation === isolation);
+    const scope = {
+      url: results.url,
+      engine: analyzerContext.engine,
+      ...(results.device && { device: results.device }),
+      ...(context.checkpoint && { checkpoint: context.checkpoint })
+    };
     
-    const deepResults = await Promise.allSettled(deepAnalysisPromises);
+    // Findings are normalized as each analyzer finishes so they can be streamed as events
+    const settle = ({ run, value }) => {
+      const findings = run.status === 'ok' && value ? {
+        issues: this.findings.normalize(value.issues, 'issue', run.name),
+        recommendations: this.findings.normalize(value.recommendations, 'recommendation', run.name)
+      } : null;
+      
+      (findings ? findings.issues : []).forEach(issue => this.notify('issue', { ...scope, analyzer: run.name, issue }));
+      this.notify('analyzer:done', { ...scope, analyzer: run.name, run, issues: findings ? findings.issues.length : 0 });
+      return { run, value, findings };
+    };
+    
+    for (const { entry, mode, index } of phase('context')) {
+      runs[index] = settle(await this.runAnalyzer(entry, page, { ...analyzerContext, mode }, { isolation: 'context' }));
+    }
     
-    deepResults.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value) {
-        results.issues.push(...(result.value.issues || []));
-        results.recommendations.push(...(result.value.recommendations || []));
-        Object.assign(results.metrics, result.value.metrics || {});
-        Object.assign(results.scores, result.value.scores || {});
+    await Promise.all(phase('shared').map(async ({ entry, mode, index }) => {
+      runs[index] = settle(await this.runAnalyzer(entry, page, { ...analyzerContext, mode }));
+    }));
+    
+    for (const { entry, mode, index } of phase('exclusive')) {
+      runs[index] = settle(await this.runAnalyzer(entry, page, { ...analyzerContext, mode }, { isolation: 'exclusive', viewport }));
+    }
+    
+    runs.forEach(({ run, value, findings }) => {
+      results.analyzerRuns.push(run);
+      if (!findings) return;
+      
+      if (!results.analyzers.includes(run.name)) {
+        results.analyzers.push(run.name);
       }
+      results.issues.push(...findings.issues);
+      results.recommendations.push(...findings.recommendations);
+      Object.assign(results.metrics, value.metrics || {});
+      Object.assign(results.scores, value.scores || {});
     });
   }
 
   /**
-   * Element-specific analysis
+   * Run one analyzer within its time limit, never throwing
+   * A timed-out analyzer may keep working in the page, but its result is discarded
+   * @param {Object} options - { isolation: 'shared' | 'exclusive' | 'context', viewport: restored after an exclusive run }
+   * @returns {{ run: { name, mode, status: 'ok'|'failed'|'timed-out', duration, error, stack }, value }}
    */
-  async runElementAnalysis(page, results, selector) {
-    console.log(`🎯 Running element-specific analysis for: ${selector || 'common elements'}`);
+  async runAnalyzer(entry, page, context, options = {}) {
+    const timeout = this.config.analyzerTimeouts[entry.name] || this.config.analyzerTimeout;
+    const startTime = Date.now();
+    const run = { name: entry.name, mode: context.mode, status: 'ok' };
+    let isolatedContext = null;
+    let timer;
+    
+    try {
+      let target = page;
+      if (options.isolation === 'context') {
+        isolatedContext = await this.createIsolatedContext(page);
+        target = await isolatedContext.newPage();
+        await this.navigate(target, page.url(), this.pageReadiness.get(page));
+      }
+      
+      const analysis = Promise.resolve().then(() => entry.analyzer.analyze(target, context));
+      const expired = new Promise(resolve => {
+        timer = setTimeout(() => resolve(ANALYZER_TIMED_OUT), timeout);
+      });
+      
+      const value = await Promise.race([analysis, expired]);
+      run.duration = Date.now() - startTime;
+      
+      if (value !== ANALYZER_TIMED_OUT) {
+        return { run, value };
+      }
+      
+      analysis.catch(() => {});
+      console.warn(`⏱️  Analyzer "${entry.name}" timed out after ${timeout}ms`);
+      return { run: { ...run, status: 'timed-out', error: `Timed out after ${timeout}ms` } };
+    } catch (error) {
+      console.warn(`⚠️  Analyzer "${entry.name}" failed: ${error.message}`);
+      return {
+        run: {
+          ...run,
+          status: 'failed',
+          duration: Date.now() - startTime,
+          error: error.message,
+          stack: error.stack
+        }
+      };
+    } finally {
+      clearTimeout(timer);
+      if (isolatedContext) {
+        await isolatedContext.close().catch(() => {});
+      }
+      if (options.isolation === 'exclusive') {
+        await this.restorePage(page, options.viewport);
+      }
+    }
+  }
+
+  /**
+   * A new browser context with the emulation settings and session (cookies, storage)
+   * of the page's context, so a page load can be measured with a cold cache
+   */
+  async createIsolatedContext(page) {
+    const context = page.context();
+    const options = this.contextOptions.get(context) || this.defaultContextOptions();
+    
+    const isolated = await context.browser().newContext({
+      ...options,
+      ...this.auth.contextOptions(),
+      ...this.har.contextOptions(),
+      storageState: await context.storageState()
+    });
+    this.contextOptions.set(isolated, options);
+    
+    try {
+      await this.har.attach(isolated, this.har.unmatchedRequests(context));
+      await this.network.attach(isolated, this.network.interceptedRequests(context));
+    } catch (error) {
+      await isolated.close();
+      throw error;
+    }
+    return isolated;
+  }
+
+  /**
+   * Undo what an exclusive analyzer may have changed: the context's viewport and the scroll position
+   */
+  async restorePage(page, viewport) {
+    try {
+      if (viewport) {
+        await page.setViewportSize(viewport);
+      }
+      await page.evaluate(() => window.scrollTo(0, 0));
+    } catch (error) {
+      // The page is gone (closed or crashed); later analyzers will report that themselves
+    }
+  }
+
+  /**
+   * Load a URL and wait until the page is ready to be analyzed
+   * A page that does not get ready in time is analyzed as loaded, unless
+   * readiness.onTimeout is 'fail'
+   * @param {Object} readiness - Normalized readiness config (see readiness/page-readiness)
+   * @returns {Object} Readiness report: { ready, duration, conditions }
+   */
+  async navigate(page, url, readiness = this.readiness) {
+    await page.goto(url, {
+      waitUntil: readiness.waitUntil,
+      timeout: this.config.timeout
+    });
+    this.pageReadiness.set(page, readiness);
     
-    const elementResults = await this.analyzers.visual.elementAnalysis(page, selector);
-    const accessibilityResults = await this.analyzers.accessibility.elementCheck(page, selector);
+    const report = await waitForReadiness(page, readiness);
+    if (!report.ready) {
+      const problem = readinessProblem(report);
+      if (readiness.onTimeout === 'fail') {
+        throw new Error(`Page not ready: ${problem}`);
+      }
+      console.warn(`⏳ Page not ready (${problem}) - analyzing what has loaded`);
+    }
     
-    results.issues.push(...elementResults.issues, ...accessibilityResults.issues);
-    results.recommendations.push(...elementResults.recommendations, ...accessibilityResults.recommendations);
+    return report;
+  }
+
+  /**
+   * The configured readiness with a page's own settings on top
+   * @param {Object|Array} readiness - Page readiness config, or just its conditions
+   */
+  resolveReadiness(readiness) {
+    if (!readiness) {
+      return this.readiness;
+    }
+    
+    return normalizeReadiness({
+      ...this.readiness,
+      ...(Array.isArray(readiness) ? { conditions: readiness } : readiness)
+    });
   }
 
   /**
@@ -214,24 +1204,31 @@ class UXOrchestrator {
     
     await this.runDeepAnalysis(page, results);
     
-    // Add mobile testing
-    const mobileContext = await this.browser.newContext({
-      viewport: this.config.mobileViewport,
-      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7_1 like Mac OS X) AppleWebKit/605.1.15'
-    });
-    
-    const mobilePage = await mobileContext.newPage();
-    await mobilePage.goto(results.url);
-    
-    const mobileScreenshot = await this.captureScreenshot(mobilePage, results.url, 'mobile');
-    results.screenshots.push(mobileScreenshot);
+    // Add mobile testing on an emulated device
+    const device = resolveDevice(this.config.mobileDevice || DEFAULT_MOBILE_DEVICE, this.config.deviceProfiles);
+    console.log(`📱 Mobile testing on ${device.name}`);
+    results.mobileDevice = device.name;
     
-    const mobileResults = await this.analyzers.mobile.fullMobileAudit(mobilePage);
-    results.issues.push(...mobileResults.issues);
-    results.recommendations.push(...mobileResults.recommendations);
+    // mobileViewport (written by scripts/setup.js) only resizes the default device, never a selected one
+    const mobileContext = await this.createContext({
+      ...deviceContextOptions(device, results.engine),
+      ...(!this.config.mobileDevice && this.config.mobileViewport && { viewport: this.config.mobileViewport })
+    }, page.context().browser());
     
-    await mobilePage.close();
-    await mobileContext.close();
+    // Closing the context also closes its page, whether or not the mobile run got through
+    try {
+      const mobilePage = await mobileContext.newPage();
+      await this.navigate(mobilePage, results.url, this.pageReadiness.get(page));
+      
+      if (this.config.captureScreenshots) {
+        const mobileScreenshot = await this.captureScreenshot(mobilePage, results.url, this.config.browsers.length > 1 ? `mobile-${results.engine}` : 'mobile');
+        results.screenshots.push(mobileScreenshot);
+      }
+      
+      await this.runAnalyzers('mobile', mobilePage, results);
+    } finally {
+      await mobileContext.close();
+    }
   }
 
   async captureScreenshot(page, url, suffix = '') {
@@ -244,36 +1241,32 @@ class UXOrchestrator {
       timeout: 10000
     });
     
+    this.notify('screenshot', { url, engine: this.engineOf(page), path: screenshotPath });
     return screenshotPath;
   }
 
+  /**
+   * Each issue is counted once, in the bucket of its severity (impact only as a fallback)
+   */
   calculateSummary(results) {
-    const criticalIssues = results.issues.filter(i => i.severity === 'critical' || i.impact === 'high');
-    const highIssues = results.issues.filter(i => i.severity === 'high' || i.impact === 'medium');
-    const mediumIssues = results.issues.filter(i => i.severity === 'medium' || i.impact === 'low');
+    const counts = countBySeverity(results.issues);
+    results.scoring = this.scoring.score(results);
     
     results.summary = {
       totalIssues: results.issues.length,
-      criticalIssues: criticalIssues.length,
-      highIssues: highIssues.length,
-      mediumIssues: mediumIssues.length,
+      criticalIssues: counts.critical,
+      highIssues: counts.high,
+      mediumIssues: counts.medium,
+      lowIssues: counts.low,
       recommendations: results.recommendations.length,
-      overallScore: this.calculateOverallScore(results),
+      failedAnalyzers: (results.analyzerRuns || []).filter(run => run.status !== 'ok').length,
+      overallScore: results.scoring.overall,
       estimatedFixTime: this.estimateFixTime(results.issues),
       priorityActions: this.getPriorityActions(results.issues),
       quickWins: results.recommendations.filter(r => r.effort === 'low' || r.impact === 'quick').length
     };
   }
 
-  calculateOverallScore(results) {
-    const maxScore = 100;
-    const criticalPenalty = results.summary?.criticalIssues * 20;
-    const highPenalty = results.summary?.highIssues * 10;
-    const mediumPenalty = results.summary?.mediumIssues * 5;
-    
-    return Math.max(0, maxScore - criticalPenalty - highPenalty - mediumPenalty);
-  }
-
   estimateFixTime(issues) {
     const timeEstimates = {
       critical: 120,  // 2 hours
@@ -283,29 +1276,37 @@ class UXOrchestrator {
     };
     
     return issues.reduce((total, issue) => {
-      const severity = issue.severity || issue.impact || 'medium';
-      return total + (timeEstimates[severity] || 30);
+      return total + (timeEstimates[issueSeverity(issue)] || 30);
     }, 0);
   }
 
   getPriorityActions(issues) {
     return issues
-      .filter(issue => issue.severity === 'critical' || issue.impact === 'high')
+      .filter(issue => issueSeverity(issue) === 'critical')
       .slice(0, 3)
       .map(issue => ({
+        ruleId: issue.ruleId,
         title: issue.title,
         description: issue.description,
-        action: issue.fix || issue.solution,
+        action: issue.fix,
         impact: issue.impact || issue.severity
       }));
   }
 
+  /**
+   * Strip credentials (headers, cookies, passwords, env-provided values) from results
+   */
+  redact(results) {
+    return this.auth.redact(results);
+  }
+
   /**
    * Generate comprehensive report
    */
   async generateReport(analysisResults, format = 'html') {
     const timestamp = Date.now();
     const reportName = `ux-analysis-${timestamp}`;
+    analysisResults = this.redact(analysisResults);
     
     let reportPath;
     switch (format) {
@@ -341,6 +1342,51 @@ class UXOrchestrator {
     console.log(`⚡ Quick Wins: ${results.summary.quickWins}`);
     console.log(`⏱️  Estimated Fix Time: ${results.summary.estimatedFixTime} minutes`);
     console.log(`📈 Overall Score: ${results.summary.overallScore}/100`);
+    if (results.scoring && results.scoring.categories.length > 0) {
+      console.log(`   ${results.scoring.categories.map(category => `${category.name} ${category.score}`).join(' · ')}`);
+    }
+
+    if (results.summary.knownIssues !== undefined) {
+      console.log(`🧊 Baseline: ${results.summary.newIssues} new, ${results.summary.knownIssues} known (hidden), ${results.summary.fixedIssues} fixed`);
+      (results.fixedIssues || []).forEach(entry => {
+        console.log(`   ✅ Fixed: ${entry.title} (${entry.ruleId}${entry.element ? ` at ${entry.element}` : ''})`);
+      });
+    }
+    
+    if (results.summary.suppressedIssues > 0) {
+      console.log(`🔕 Suppressed: ${results.summary.suppressedIssues}`);
+    }
+    
+    (results.expiredSuppressions || []).forEach(suppression => {
+      console.log(`⌛ Expired suppression for ${suppression.rule || suppression.fingerprint} (owner: ${suppression.owner || 'unassigned'}, expired ${suppression.expires}) - its issues are reported again`);
+    });
+
+    if (results.readiness && !results.readiness.ready) {
+      console.log(`⏳ Readiness not reached: ${readinessProblem(results.readiness)} (analyzed what had loaded)`);
+    }
+
+    const analyzerRuns = results.analyzerRuns || [];
+    if (analyzerRuns.length > 0) {
+      const problems = analyzerRuns.filter(run => run.status !== 'ok');
+      console.log(`🧩 Analyzers: ${analyzerRuns.length - problems.length} ok${problems.length > 0 ? `, ${problems.length} failed or timed out` : ''}`);
+      problems.forEach(run => {
+        const where = [run.checkpoint, run.engine, run.device].filter(Boolean).join(', ');
+        console.log(`   ${run.status === 'timed-out' ? '⏱️ ' : '❌'} ${run.name}${where ? ` (${where})` : ''}: ${run.error}`);
+      });
+    }
+
+    if (results.gate) {
+      const { status, passed, failed, skipped } = results.gate;
+      console.log(`🚦 Quality Gate: ${status === 'passed' ? '✅ PASSED' : '❌ FAILED'} (${passed} passed, ${failed} failed${skipped > 0 ? `, ${skipped} not measured` : ''})`);
+      results.gate.checks.filter(entry => entry.status === 'failed').forEach(entry => {
+        console.log(`   ❌ ${entry.label}: ${entry.actual}${entry.comparison ? ` (${entry.comparison} ${entry.limit})` : ''}`);
+      });
+    }
+    
+    if (results.trends && results.trends.lastAnalysis) {
+      const { scoreChange, newIssues, resolvedIssues, lastAnalysis } = results.trends;
+      console.log(`🕘 Since ${new Date(lastAnalysis).toLocaleString()}: score ${scoreChange >= 0 ? '+' : ''}${scoreChange}, ${newIssues} new, ${resolvedIssues} resolved`);
+    }
     
     if (results.summary.priorityActions.length > 0) {
       console.log('\\n🔥 PRIORITY ACTIONS:');
@@ -385,9 +1431,26 @@ class UXOrchestrator {
   }
 
   async close() {
+    // Contexts write their recorded traffic when they close, which closing the browser skips
+    if (this.har.mode === 'record') {
+      for (const context of this.engineContexts.values()) {
+        await context.close().catch(() => {});
+      }
+      const recorded = await this.har.save(har => this.auth.redact(har));
+      if (recorded !== null) {
+        console.log(`📼 Recorded ${recorded} requests to ${this.har.record}`);
+      }
+    }
+    
     if (this.browser) {
       await this.browser.close();
     }
+    
+    for (const browser of this.engineBrowsers.values()) {
+      if (browser !== this.browser) {
+        await browser.close();
+      }
+    }
   }
 }
 
@@ -0,0 +1,123 @@
+/**
+ * Analyzer Registry
+ * Keeps track of the analyzers the orchestrator runs and the modes each one takes part in
+ *
+ * Analyzer contract:
+ *   {
+ *     analyze(page, context) => Promise<{ issues, recommendations, metrics, scores }>
+ *   }
+ *
+ * `context.mode` is the analyzer mode being run (quick, deep, element or mobile),
+ * `context.analysisType` the analysis the user asked for, plus `url`, `selector`,
+ * `checkpoint` (in journeys) and the orchestrator `config`. Every result field is optional.
+ *
+ * `isolation` says how an analyzer may use the page:
+ *   shared    - only reads the page; runs concurrently with other shared analyzers (default)
+ *   exclusive - changes the page (viewport, scroll position); runs alone, and the
+ *               orchestrator restores the page afterwards
+ *   context   - measures a page load; gets its own freshly loaded page in a new browser
+ *               context with the same emulation and session, and runs alone
+ */
+
+const ANALYZER_MODES = ['quick', 'deep', 'element', 'mobile'];
+const ISOLATION_LEVELS = ['shared', 'exclusive', 'context'];
+
+// Analyzer modes tried, in order, for each analysis type. An analyzer runs once
+// per analysis with the first mode it is registered for.
+const MODE_FALLBACKS = {
+  quick: ['quick'],
+  deep: ['deep', 'quick'],
+  element: ['element'],
+  mobile: ['mobile']
+};
+
+class AnalyzerRegistry {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Register an analyzer under a unique name
+   */
+  register(name, analyzer, options = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Analyzer name must be a non-empty string');
+    }
+
+    if (!analyzer || typeof analyzer.analyze !== 'function') {
+      throw new Error(`Analyzer "${name}" must implement analyze(page, context)`);
+    }
+
+    const modes = options.modes || analyzer.modes || ['quick'];
+    const unknownModes = modes.filter(mode => !ANALYZER_MODES.includes(mode));
+
+    if (unknownModes.length > 0) {
+      throw new Error(`Analyzer "${name}" uses unknown modes: ${unknownModes.join(', ')} (expected ${ANALYZER_MODES.join(', ')})`);
+    }
+
+    const isolation = options.isolation || analyzer.isolation || 'shared';
+    if (!ISOLATION_LEVELS.includes(isolation)) {
+      throw new Error(`Analyzer "${name}" uses unknown isolation "${isolation}" (expected ${ISOLATION_LEVELS.join(', ')})`);
+    }
+
+    const entry = {
+      name,
+      analyzer,
+      modes: [...modes],
+      isolation,
+      enabled: options.enabled !== undefined ? options.enabled : analyzer.enabled !== false,
+      source: options.source || 'custom'
+    };
+
+    this.entries.set(name, entry);
+    return entry;
+  }
+
+  unregister(name) {
+    return this.entries.delete(name);
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  get(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      const known = Array.from(this.entries.keys()).join(', ') || 'none';
+      throw new Error(`Unknown analyzer "${name}" (registered: ${known})`);
+    }
+    return entry;
+  }
+
+  enable(name) {
+    this.get(name).enabled = true;
+  }
+
+  disable(name) {
+    this.get(name).enabled = false;
+  }
+
+  list() {
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * Enabled analyzers taking part in an analysis type, paired with the mode to run
+   */
+  forMode(analysisType) {
+    const fallbacks = MODE_FALLBACKS[analysisType] || [analysisType];
+
+    return this.list()
+      .filter(entry => entry.enabled)
+      .map(entry => ({
+        entry,
+        mode: fallbacks.find(mode => entry.modes.includes(mode))
+      }))
+      .filter(({ mode }) => mode);
+  }
+}
+
+module.exports = AnalyzerRegistry;
+module.exports.ANALYZER_MODES = ANALYZER_MODES;
+module.exports.ISOLATION_LEVELS = ISOLATION_LEVELS;
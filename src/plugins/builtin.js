@@ -0,0 +1,77 @@
+/**
+ * Built-in Analyzer Plugins
+ * Expresses the bundled analyzers through the same contract as third-party plugins
+ */
+
+const AccessibilityAnalyzer = require('../analyzers/accessibility');
+const PerformanceAnalyzer = require('../analyzers/performance');
+const VisualAnalyzer = require('../analyzers/visual');
+const MobileAnalyzer = require('../analyzers/mobile');
+const BugDetector = require('../analyzers/bug-detector');
+
+/**
+ * Create plugin definitions for the bundled analyzers
+ * @param {Object} options - Per-analyzer config keyed by plugin name
+ * @returns {Array<Object>} Plugin definitions ({ name, modes, isolation, analyze })
+ */
+function createBuiltinPlugins(options = {}) {
+  const accessibility = new AccessibilityAnalyzer(options.accessibility);
+  const performance = new PerformanceAnalyzer(options.performance);
+  const visual = new VisualAnalyzer(options.visual);
+  const mobile = new MobileAnalyzer(options.mobile);
+  const bugs = new BugDetector(options.bugs);
+
+  return [
+    {
+      name: 'bugs',
+      modes: ['quick'],
+      instance: bugs,
+      analyze: (page) => bugs.quickScan(page)
+    },
+    {
+      name: 'accessibility',
+      modes: ['quick', 'deep', 'element'],
+      instance: accessibility,
+      analyze: (page, context) => {
+        switch (context.mode) {
+          case 'deep':
+            return accessibility.fullAudit(page);
+          case 'element':
+            return accessibility.elementCheck(page, context.selector);
+          default:
+            return accessibility.quickCheck(page);
+        }
+      }
+    },
+    {
+      name: 'performance',
+      modes: ['quick', 'deep'],
+      // Load timings and CDP throttling need a page load of their own
+      isolation: 'context',
+      instance: performance,
+      analyze: (page, context) => context.mode === 'deep' ?
+        performance.detailedMetrics(page) :
+        performance.quickMetrics(page)
+    },
+    {
+      name: 'visual',
+      modes: ['deep', 'element'],
+      instance: visual,
+      analyze: (page, context) => context.mode === 'element' ?
+        visual.elementAnalysis(page, context.selector) :
+        visual.comprehensiveAnalysis(page)
+    },
+    {
+      name: 'mobile',
+      modes: ['deep', 'mobile'],
+      // The responsiveness test resizes the viewport
+      isolation: 'exclusive',
+      instance: mobile,
+      analyze: (page, context) => context.mode === 'mobile' ?
+        mobile.fullMobileAudit(page) :
+        mobile.responsivenessTest(page)
+    }
+  ];
+}
+
+module.exports = { createBuiltinPlugins };
@@ -0,0 +1,89 @@
+/**
+ * Plugin Loader
+ * Discovers analyzer plugins in node_modules and the project config file
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const PLUGIN_PREFIX = 'claude-ux-plugin-';
+
+/**
+ * Find installed packages named claude-ux-plugin-* or @scope/claude-ux-plugin-*
+ */
+async function discoverInstalledPlugins(cwd = process.cwd()) {
+  const nodeModules = path.join(cwd, 'node_modules');
+  const found = [];
+
+  let entries;
+  try {
+    entries = await fs.readdir(nodeModules);
+  } catch (error) {
+    return found;
+  }
+
+  for (const entry of entries) {
+    if (entry.startsWith(PLUGIN_PREFIX)) {
+      found.push(entry);
+    } else if (entry.startsWith('@')) {
+      const scoped = await fs.readdir(path.join(nodeModules, entry)).catch(() => []);
+      scoped
+        .filter(name => name.startsWith(PLUGIN_PREFIX))
+        .forEach(name => found.push(`${entry}/${name}`));
+    }
+  }
+
+  return found.sort();
+}
+
+/**
+ * Read the `plugins` list from a JSON config file, resolving relative paths
+ * against the file's directory
+ */
+async function readConfiguredPlugins(configPath) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Failed to read plugin config ${configPath}: ${error.message}`);
+  }
+
+  const baseDir = path.dirname(path.resolve(configPath));
+  return (config.plugins || []).map(specifier => resolveSpecifier(specifier, baseDir));
+}
+
+function resolveSpecifier(specifier, baseDir) {
+  return specifier.startsWith('.') ? path.resolve(baseDir, specifier) : specifier;
+}
+
+/**
+ * Load a plugin module and return its analyzer definitions
+ * A plugin exports one definition ({ name, modes, analyze }) or an array of them
+ */
+function loadPlugin(specifier, cwd = process.cwd()) {
+  let modulePath;
+  try {
+    modulePath = require.resolve(resolveSpecifier(specifier, cwd), { paths: [cwd] });
+  } catch (error) {
+    throw new Error(`Cannot find analyzer plugin "${specifier}"`);
+  }
+
+  const exported = require(modulePath);
+  const definitions = Array.isArray(exported) ? exported : [exported];
+
+  definitions.forEach(definition => {
+    if (!definition || !definition.name || typeof definition.analyze !== 'function') {
+      throw new Error(`Plugin "${specifier}" must export { name, modes, analyze(page, context) }`);
+    }
+  });
+
+  return definitions;
+}
+
+module.exports = {
+  PLUGIN_PREFIX,
+  discoverInstalledPlugins,
+  readConfiguredPlugins,
+  loadPlugin
+};
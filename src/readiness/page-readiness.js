@@ -0,0 +1,228 @@
+/**
+ * Page Readiness
+ * Conditions a page has to meet before it is analyzed, checked after navigation
+ *
+ * readiness: {
+ *   waitUntil: 'load',              // navigation event to wait for (load, domcontentloaded, networkidle, commit)
+ *   conditions: [                   // checked in order, all must hold
+ *     { selector: '#app .loaded', state: 'visible' },
+ *     { predicate: 'window.appReady === true' },
+ *     { domQuiet: 500 },            // ms without DOM mutations
+ *     { networkIdle: true },
+ *     { fonts: true },
+ *     { images: true },
+ *     { custom: './wait-for-app.js' } // module path or async function (page, { url, timeout })
+ *   ],
+ *   timeout: 15000,                 // ms for all conditions together
+ *   onTimeout: 'analyze'            // analyze what loaded, or 'fail' the page
+ * }
+ */
+
+const path = require('path');
+
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle', 'commit'];
+const CONDITION_TYPES = ['selector', 'predicate', 'domQuiet', 'networkIdle', 'fonts', 'images', 'custom'];
+const TIMEOUT_POLICIES = ['analyze', 'fail'];
+// Conditions that run no caller-supplied code, the only ones accepted from untrusted input
+const DECLARATIVE_CONDITION_TYPES = ['selector', 'domQuiet', 'networkIdle', 'fonts', 'images'];
+
+// Without configured conditions pages are analyzed once the network has settled
+const DEFAULT_CONDITIONS = [{ networkIdle: true }];
+
+/**
+ * Fill in defaults and check a readiness config
+ * @param {Object|Array} readiness - Readiness config, or just its list of conditions
+ * @param {Object} defaults - { timeout }
+ */
+function normalizeReadiness(readiness = {}, defaults = {}) {
+  const config = Array.isArray(readiness) ? { conditions: readiness } : readiness;
+  const normalized = {
+    waitUntil: config.waitUntil || 'load',
+    conditions: config.conditions || DEFAULT_CONDITIONS,
+    timeout: config.timeout || defaults.timeout || 30000,
+    onTimeout: config.onTimeout || 'analyze'
+  };
+
+  if (!WAIT_UNTIL.includes(normalized.waitUntil)) {
+    throw new Error(`Unknown readiness.waitUntil "${normalized.waitUntil}" (expected ${WAIT_UNTIL.join(', ')})`);
+  }
+  if (!TIMEOUT_POLICIES.includes(normalized.onTimeout)) {
+    throw new Error(`Unknown readiness.onTimeout "${normalized.onTimeout}" (expected ${TIMEOUT_POLICIES.join(', ')})`);
+  }
+  normalized.conditions.forEach(condition => conditionType(condition));
+
+  return normalized;
+}
+
+/**
+ * The type of a condition: the one condition key it sets
+ */
+function conditionType(condition) {
+  const types = CONDITION_TYPES.filter(type => condition && condition[type] !== undefined && condition[type] !== false);
+  if (types.length !== 1) {
+    throw new Error(`Readiness conditions need exactly one of ${CONDITION_TYPES.join(', ')} (got ${JSON.stringify(condition)})`);
+  }
+  return types[0];
+}
+
+/**
+ * Short description of a condition for reports
+ */
+function describeCondition(condition) {
+  const type = conditionType(condition);
+  switch (type) {
+    case 'selector':
+      return `selector ${condition.selector}${condition.state ? ` (${condition.state})` : ''}`;
+    case 'predicate':
+      return `predicate ${typeof condition.predicate === 'function' ? condition.predicate.name || 'function' : condition.predicate}`;
+    case 'domQuiet':
+      return `DOM quiet for ${condition.domQuiet}ms`;
+    case 'networkIdle':
+      return 'network idle';
+    case 'fonts':
+      return 'fonts loaded';
+    case 'images':
+      return 'images loaded';
+    default:
+      return `custom ${typeof condition.custom === 'function' ? condition.custom.name || 'function' : condition.custom}`;
+  }
+}
+
+/**
+ * Wait for every condition in order, within the readiness timeout
+ * Never throws: a condition that times out or fails is recorded, and once the
+ * time is up the remaining conditions are skipped
+ * @param {Page} page - Playwright page, already navigated
+ * @param {Object} readiness - Normalized readiness config
+ * @returns {Object} { ready, duration, timeout, onTimeout, conditions: [{ condition, status, duration, error }] }
+ */
+async function waitForReadiness(page, readiness) {
+  const startTime = Date.now();
+  const deadline = startTime + readiness.timeout;
+  const conditions = [];
+
+  for (const condition of readiness.conditions) {
+    const entry = { condition: describeCondition(condition) };
+    const remaining = deadline - Date.now();
+    const conditionStart = Date.now();
+
+    if (remaining <= 0) {
+      conditions.push({ ...entry, status: 'skipped' });
+      continue;
+    }
+
+    try {
+      await waitForCondition(page, condition, remaining);
+      conditions.push({ ...entry, status: 'met', duration: Date.now() - conditionStart });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || Date.now() >= deadline;
+      conditions.push({
+        ...entry,
+        status: timedOut ? 'timed-out' : 'failed',
+        duration: Date.now() - conditionStart,
+        error: timedOut ? `Not met within ${readiness.timeout}ms` : error.message
+      });
+    }
+  }
+
+  return {
+    ready: conditions.every(entry => entry.status === 'met'),
+    duration: Date.now() - startTime,
+    timeout: readiness.timeout,
+    onTimeout: readiness.onTimeout,
+    conditions
+  };
+}
+
+/**
+ * Why a page is not ready, e.g. "selector #app timed out"
+ */
+function readinessProblem(report) {
+  return report.conditions
+    .filter(entry => entry.status === 'timed-out' || entry.status === 'failed')
+    .map(entry => {
+      const where = [entry.engine, entry.device].filter(Boolean).join(', ');
+      return `${entry.condition}${where ? ` (${where})` : ''} ${entry.status === 'timed-out' ? 'timed out' : `failed: ${entry.error}`}`;
+    })
+    .join(', ');
+}
+
+async function waitForCondition(page, condition, timeout) {
+  switch (conditionType(condition)) {
+    case 'selector':
+      await page.waitForSelector(condition.selector, { state: condition.state || 'visible', timeout });
+      break;
+    case 'predicate':
+      await page.waitForFunction(condition.predicate, null, { timeout, polling: 100 });
+      break;
+    case 'domQuiet':
+      await page.waitForFunction(quietPeriod => {
+        // The observer lives on the page until it navigates
+        if (!window.__claudeUxMutations) {
+          window.__claudeUxMutations = { last: performance.now() };
+          new MutationObserver(() => {
+            window.__claudeUxMutations.last = performance.now();
+          }).observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+        }
+        return performance.now() - window.__claudeUxMutations.last >= quietPeriod;
+      }, condition.domQuiet, { timeout, polling: 100 });
+      break;
+    case 'networkIdle':
+      await page.waitForLoadState('networkidle', { timeout });
+      break;
+    case 'fonts':
+      await page.waitForFunction(() => !document.fonts || document.fonts.status === 'loaded', null, { timeout, polling: 100 });
+      break;
+    case 'images':
+      // Lazy images below the fold only load when scrolled to
+      await page.waitForFunction(() => Array.from(document.images)
+        .filter(image => image.loading !== 'lazy')
+        .every(image => image.complete), null, { timeout, polling: 100 });
+      break;
+    case 'custom':
+      await withTimeout(resolveCustom(condition.custom)(page, { url: page.url(), timeout }), timeout);
+      break;
+  }
+}
+
+function resolveCustom(custom) {
+  if (typeof custom === 'function') {
+    return custom;
+  }
+
+  const loaded = require(path.resolve(process.cwd(), custom));
+  const wait = typeof loaded === 'function' ? loaded : loaded.waitForReady;
+  if (typeof wait !== 'function') {
+    throw new Error(`${custom} must export a function (or waitForReady)`);
+  }
+  return wait;
+}
+
+async function withTimeout(promise, timeout) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeout}ms`);
+      error.name = 'TimeoutError';
+      reject(error);
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([promise, expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  WAIT_UNTIL,
+  CONDITION_TYPES,
+  DECLARATIVE_CONDITION_TYPES,
+  TIMEOUT_POLICIES,
+  normalizeReadiness,
+  conditionType,
+  describeCondition,
+  waitForReadiness,
+  readinessProblem
+};
@@ -0,0 +1,223 @@
+/**
+ * Diff Reporter
+ * Renders a report diff for the terminal, as Markdown or as an HTML page
+ */
+
+const fs = require('fs').promises;
+
+class DiffReporter {
+  /**
+   * Write a Markdown or HTML diff
+   * @param {Object} diff - Result of diffReports
+   * @param {Object} options - { format: 'markdown' | 'html', outputPath }
+   */
+  async generate(diff, options = {}) {
+    const format = options.format || 'markdown';
+    const extension = format === 'html' ? 'html' : 'md';
+    const outputPath = options.outputPath || `./reports/ux-diff-${Date.now()}.${extension}`;
+
+    const content = format === 'html' ? this.renderHtml(diff) : this.renderMarkdown(diff);
+    await fs.writeFile(outputPath, content);
+
+    return outputPath;
+  }
+
+  renderText(diff) {
+    const lines = [
+      '🔀 UX DIFF:',
+      '========================',
+      `📄 ${this.describeSide(diff.before)}`,
+      `📄 ${this.describeSide(diff.after)}`,
+      `📈 Overall Score: ${this.formatChange(diff.summary.overallScore)}`,
+      `📊 Issues: ${this.formatChange(diff.summary.totalIssues)} (critical ${this.formatChange(diff.summary.criticalIssues)})`,
+      `➕ Added: ${diff.added.length}   ✅ Resolved: ${diff.resolved.length}   🔁 Changed: ${diff.changed.length}   ⏸️  Unchanged: ${diff.unchanged}`
+    ];
+
+    if (diff.added.length > 0) {
+      lines.push('', '➕ ADDED ISSUES:');
+      diff.added.forEach(issue => lines.push(`  [${issue.severity}] ${issue.title}${this.issueLocation(issue)}`));
+    }
+
+    if (diff.resolved.length > 0) {
+      lines.push('', '✅ RESOLVED ISSUES:');
+      diff.resolved.forEach(issue => lines.push(`  [${issue.severity}] ${issue.title}${this.issueLocation(issue)}`));
+    }
+
+    if (diff.changed.length > 0) {
+      lines.push('', '🔁 CHANGED ISSUES:');
+      diff.changed.forEach(entry => {
+        lines.push(`  ${entry.worse ? '⬆️ ' : '⬇️ '} ${entry.issue.title}${this.issueLocation(entry.issue)}: ${entry.changes.map(change => `${change.field} ${change.before} → ${change.after}`).join(', ')}`);
+      });
+    }
+
+    const values = [...diff.scores, ...diff.metrics];
+    if (values.length > 0) {
+      lines.push('', `📏 SCORES & METRICS (changes over ${diff.metricTolerance}%):`);
+      values.forEach(entry => lines.push(`  ${this.statusIcon(entry.status)} ${entry.name}: ${this.formatValueChange(entry)}`));
+    }
+
+    lines.push('', diff.regressions.length > 0 ?
+      `⚠️  ${diff.regressions.length} regression(s), ${diff.improvements.length} improvement(s)` :
+      `✅ No regressions, ${diff.improvements.length} improvement(s)`);
+
+    return lines.join('\n');
+  }
+
+  renderMarkdown(diff) {
+    const issueRows = (issues) => issues.map(issue =>
+      `| ${issue.severity} | ${this.escapeMarkdown(issue.title)} | \`${issue.ruleId || '-'}\` | ${this.issueElement(issue) ? `\`${this.escapeMarkdown(this.issueElement(issue))}\`` : '-'} |`
+    ).join('\n');
+    const issueTable = (title, issues) => (issues.length === 0 ? '' : `### ${title} (${issues.length})
+
+| Severity | Issue | Rule | Element |
+|----------|-------|------|---------|
+${issueRows(issues)}
+
+`);
+    const values = [...diff.scores, ...diff.metrics];
+
+    return `# 🔀 UX Diff
+
+**Before:** ${this.describeSide(diff.before)}
+**After:** ${this.describeSide(diff.after)}
+
+## 📊 Summary
+
+| | Before | After | Change |
+|---|--------|-------|--------|
+${Object.entries(diff.summary).map(([key, value]) => `| ${this.formatLabel(key)} | ${value.before} | ${value.after} | ${this.formatDelta(value.delta)} |`).join('\n')}
+
+**Regressions:** ${diff.regressions.length} · **Improvements:** ${diff.improvements.length} · **Unchanged issues:** ${diff.unchanged}
+
+## 🐛 Issues
+
+${issueTable('➕ Added', diff.added)}${issueTable('✅ Resolved', diff.resolved)}${diff.changed.length === 0 ? '' : `### 🔁 Changed (${diff.changed.length})
+
+| Issue | Rule | Changes |
+|-------|------|---------|
+${diff.changed.map(entry => `| ${entry.worse ? '⬆️' : '⬇️'} ${this.escapeMarkdown(entry.issue.title)} | \`${entry.issue.ruleId || '-'}\` | ${entry.changes.map(change => `${change.field} ${change.before} → ${change.after}`).join(', ')} |`).join('\n')}
+
+`}${diff.added.length + diff.resolved.length + diff.changed.length === 0 ? 'No issue changes.\n\n' : ''}## 📏 Scores & Metrics
+
+${values.length === 0 ? `No changes over ${diff.metricTolerance}%.` : `| | Metric | Before | After | Change |
+|---|--------|--------|-------|--------|
+${values.map(entry => `| ${this.statusIcon(entry.status)} | ${entry.name} | ${this.formatValue(entry.before)} | ${this.formatValue(entry.after)} | ${this.formatPercent(entry)} |`).join('\n')}
+
+Changes of ${diff.metricTolerance}% or less are not listed.`}
+`;
+  }
+
+  renderHtml(diff) {
+    const issueList = (title, issues, color) => (issues.length === 0 ? '' : `
+        <h3 class="font-semibold text-${color}-700 mt-4 mb-2">${title} (${issues.length})</h3>
+        <ul class="space-y-1 text-sm">
+            ${issues.map(issue => `<li><span class="inline-block w-20 text-gray-500">${this.escapeHtml(issue.severity)}</span>${this.escapeHtml(issue.title)} <span class="text-xs text-gray-500">${this.escapeHtml(issue.ruleId || '')}${this.issueElement(issue) ? ` · ${this.escapeHtml(this.issueElement(issue))}` : ''}</span></li>`).join('')}
+        </ul>`);
+    const values = [...diff.scores, ...diff.metrics];
+    const statusColor = { improved: 'green', regressed: 'red', changed: 'gray' };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>UX Diff</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50 min-h-screen">
+    <div class="container mx-auto px-4 py-8">
+        <h1 class="text-3xl font-bold text-gray-800 mb-2">🔀 UX Diff</h1>
+        <p class="text-gray-600"><strong>Before:</strong> ${this.escapeHtml(this.describeSide(diff.before))}</p>
+        <p class="text-gray-600 mb-6"><strong>After:</strong> ${this.escapeHtml(this.describeSide(diff.after))}</p>
+
+        <div class="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            <div class="bg-white rounded-lg shadow p-4"><h3 class="text-gray-700 font-semibold">Overall Score</h3><p class="text-2xl font-bold">${this.escapeHtml(this.formatChange(diff.summary.overallScore))}</p></div>
+            <div class="bg-white rounded-lg shadow p-4"><h3 class="text-gray-700 font-semibold">Issues</h3><p class="text-2xl font-bold">${this.escapeHtml(this.formatChange(diff.summary.totalIssues))}</p></div>
+            <div class="bg-white rounded-lg shadow p-4"><h3 class="text-gray-700 font-semibold">Regressions</h3><p class="text-2xl font-bold text-red-600">${diff.regressions.length}</p></div>
+            <div class="bg-white rounded-lg shadow p-4"><h3 class="text-gray-700 font-semibold">Improvements</h3><p class="text-2xl font-bold text-green-600">${diff.improvements.length}</p></div>
+        </div>
+
+        <div class="bg-white rounded-lg shadow-lg p-6 mb-6">
+            <h2 class="text-2xl font-bold text-gray-800">🐛 Issues</h2>
+            ${issueList('➕ Added', diff.added, 'red')}
+            ${issueList('✅ Resolved', diff.resolved, 'green')}
+            ${diff.changed.length === 0 ? '' : `
+            <h3 class="font-semibold text-yellow-700 mt-4 mb-2">🔁 Changed (${diff.changed.length})</h3>
+            <ul class="space-y-1 text-sm">
+                ${diff.changed.map(entry => `<li>${entry.worse ? '⬆️' : '⬇️'} ${this.escapeHtml(entry.issue.title)} <span class="text-xs text-gray-500">${this.escapeHtml(entry.changes.map(change => `${change.field} ${change.before} → ${change.after}`).join(', '))}</span></li>`).join('')}
+            </ul>`}
+            <p class="text-sm text-gray-500 mt-4">${diff.unchanged} unchanged issue(s)</p>
+        </div>
+
+        <div class="bg-white rounded-lg shadow-lg p-6">
+            <h2 class="text-2xl font-bold text-gray-800 mb-4">📏 Scores &amp; Metrics</h2>
+            ${values.length === 0 ? `<p class="text-gray-600">No changes over ${diff.metricTolerance}%.</p>` : `
+            <table class="w-full text-sm">
+                <thead><tr class="text-left text-gray-600"><th>Metric</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+                <tbody>
+                    ${values.map(entry => `<tr class="text-${statusColor[entry.status]}-700"><td>${this.escapeHtml(entry.name)}</td><td>${this.escapeHtml(this.formatValue(entry.before))}</td><td>${this.escapeHtml(this.formatValue(entry.after))}</td><td>${this.escapeHtml(this.formatPercent(entry))}</td></tr>`).join('')}
+                </tbody>
+            </table>`}
+        </div>
+    </div>
+</body>
+</html>`;
+  }
+
+  describeSide(side) {
+    const when = side.timestamp ? new Date(side.timestamp).toLocaleString() : 'unknown time';
+    return `${side.file ? `${side.file}: ` : ''}${side.url || 'unknown URL'} (${side.analysisType || 'analysis'}, ${when})`;
+  }
+
+  issueElement(issue) {
+    return issue.elements && issue.elements[0] ? issue.elements[0].selector : issue.element;
+  }
+
+  issueLocation(issue) {
+    const parts = [issue.checkpoint, this.issueElement(issue)].filter(Boolean);
+    return parts.length > 0 ? ` (${parts.join(' · ')})` : '';
+  }
+
+  statusIcon(status) {
+    return { improved: '🟢', regressed: '🔴', changed: '⚪' }[status] || '⚪';
+  }
+
+  formatChange(value) {
+    return `${value.before} → ${value.after} (${this.formatDelta(value.delta)})`;
+  }
+
+  formatDelta(delta) {
+    return delta > 0 ? `+${delta}` : String(delta);
+  }
+
+  formatValue(value) {
+    return value === undefined ? '-' : String(value);
+  }
+
+  formatValueChange(entry) {
+    return `${this.formatValue(entry.before)} → ${this.formatValue(entry.after)}${entry.delta !== undefined ? ` (${this.formatPercent(entry)})` : ''}`;
+  }
+
+  formatPercent(entry) {
+    if (entry.delta === undefined) return entry.status;
+    return entry.percent !== null ? `${this.formatDelta(entry.percent)}%` : this.formatDelta(entry.delta);
+  }
+
+  formatLabel(key) {
+    return key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+  }
+
+  escapeMarkdown(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|');
+  }
+
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = DiffReporter;
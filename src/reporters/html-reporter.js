@@ -15,15 +15,32 @@ class HTMLReporter {
     const outputPath = options.outputPath || `./reports/ux-analysis-${Date.now()}.html`;
     
     const reportData = {
-      title: `UX Analysis Report - ${new URL(analysisResults.url).hostname}`,
+      title: `UX Analysis Report - ${analysisResults.file || new URL(analysisResults.url).hostname}`,
       timestamp: new Date().toLocaleString(),
       url: analysisResults.url,
+      file: analysisResults.file,
+      analysisType: analysisResults.analysisType,
+      engines: analysisResults.engines || [analysisResults.engine || 'chromium'],
+      devices: analysisResults.devices || (analysisResults.device ? [analysisResults.device] : []),
+      mobileDevice: analysisResults.mobileDevice,
       summary: analysisResults.summary,
       issues: analysisResults.issues,
       recommendations: analysisResults.recommendations,
       metrics: analysisResults.metrics,
       scores: analysisResults.scores || {},
-      screenshots: analysisResults.screenshots || []
+      screenshots: analysisResults.screenshots || [],
+      journey: analysisResults.journey,
+      checkpoints: analysisResults.checkpoints || [],
+      fixedIssues: analysisResults.fixedIssues || [],
+      suppressedIssues: analysisResults.suppressedIssues || [],
+      expiredSuppressions: analysisResults.expiredSuppressions || [],
+      trends: analysisResults.trends,
+      gate: analysisResults.gate,
+      analyzerRuns: analysisResults.analyzerRuns || [],
+      readiness: analysisResults.readiness,
+      har: analysisResults.har,
+      network: analysisResults.network,
+      scoring: analysisResults.scoring
     };
     
     const html = this.renderTemplate(reportData);
@@ -103,16 +120,37 @@ class HTMLReporter {
             <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
                     <p class="text-gray-600"><strong>URL:</strong> ${data.url}</p>
+                    ${data.file ? `<p class="text-gray-600"><strong>File:</strong> ${this.escapeHtml(data.file)}</p>` : ''}
                     <p class="text-gray-600"><strong>Timestamp:</strong> ${data.timestamp}</p>
                     <p class="text-gray-600"><strong>Analysis Type:</strong> ${data.analysisType || 'Standard'}</p>
+                    <p class="text-gray-600"><strong>Browser Engines:</strong> ${data.engines.join(', ')}</p>
+                    ${data.devices.length > 0 ? `<p class="text-gray-600"><strong>Devices:</strong> ${this.escapeHtml(data.devices.join(', '))}</p>` : ''}
+                    ${data.mobileDevice ? `<p class="text-gray-600"><strong>Mobile Device:</strong> ${this.escapeHtml(data.mobileDevice)}</p>` : ''}
+                    ${data.har ? `<p class="text-gray-600"><strong>Network:</strong> ${this.escapeHtml(this.describeHar(data.har))}</p>` : ''}
+                    ${this.describeInterception(data.network) ? `<p class="text-gray-600"><strong>Intercepted Requests:</strong> ${this.describeInterception(data.network)}</p>` : ''}
                 </div>
                 <div>
                     <p class="text-gray-600"><strong>Fix Time:</strong> ${data.summary.estimatedFixTime || 0} minutes</p>
                     <p class="text-gray-600"><strong>Recommendations:</strong> ${data.recommendations.length}</p>
+                    ${data.summary.knownIssues !== undefined ? `<p class="text-gray-600"><strong>Baseline:</strong> ${data.summary.newIssues} new, ${data.summary.knownIssues} known (not listed), ${data.summary.fixedIssues} fixed</p>` : ''}
+                    ${data.summary.suppressedIssues ? `<p class="text-gray-600"><strong>Suppressed:</strong> ${data.summary.suppressedIssues}</p>` : ''}
+                    ${data.trends && data.trends.lastAnalysis ? `<p class="text-gray-600"><strong>Since Last Run:</strong> score ${data.trends.scoreChange >= 0 ? '+' : ''}${data.trends.scoreChange}, ${data.trends.newIssues} new, ${data.trends.resolvedIssues} resolved (${new Date(data.trends.lastAnalysis).toLocaleString()})</p>` : ''}
                 </div>
             </div>
         </div>
 
+        ${this.renderScoring(data)}
+
+        ${this.renderGate(data)}
+
+        ${this.renderAnalyzerRuns(data)}
+
+        ${this.renderReadiness(data)}
+
+        ${this.renderJourney(data)}
+
+        ${this.renderBaseline(data)}
+
         <!-- Priority Actions -->
         ${data.summary.priorityActions && data.summary.priorityActions.length > 0 ? `
         <div class="mb-6 bg-white rounded-lg shadow-lg p-6">
@@ -135,17 +173,22 @@ class HTMLReporter {
             <h2 class="text-2xl font-bold text-gray-800 mb-4">🚨 Issues Found</h2>
             <div class="space-y-4">
                 ${data.issues.map(issue => `
-                    <div class="issue-${issue.severity || issue.impact || 'medium'} p-4 rounded-lg bg-gray-50">
+                    <div class="issue-${issue.severity} p-4 rounded-lg bg-gray-50">
                         <div class="flex justify-between items-start mb-2">
                             <h3 class="font-semibold text-gray-800">${issue.title}</h3>
-                            <span class="px-2 py-1 rounded text-xs font-medium bg-${this.getSeverityColor(issue.severity || issue.impact)}-100 text-${this.getSeverityColor(issue.severity || issue.impact)}-800">
-                                ${issue.severity || issue.impact || 'medium'}
+                            <span class="px-2 py-1 rounded text-xs font-medium bg-${this.getSeverityColor(issue.severity)}-100 text-${this.getSeverityColor(issue.severity)}-800">
+                                ${issue.severity}
                             </span>
                         </div>
                         <p class="text-gray-700 mb-2">${issue.description}</p>
-                        <p class="text-sm text-gray-600"><strong>Fix:</strong> ${issue.fix || issue.solution || 'See description'}</p>
-                        ${issue.category ? `<p class="text-xs text-gray-500 mt-1">Category: ${issue.category}</p>` : ''}
+                        <p class="text-sm text-gray-600"><strong>Fix:</strong> ${issue.fix || 'See description'}</p>
+                        <p class="text-xs text-gray-500 mt-1">Category: ${this.escapeHtml(issue.category)}${issue.topic ? ` (${this.escapeHtml(issue.topic)})` : ''}</p>
+                        ${issue.checkpoint ? `<p class="text-xs text-purple-600 mt-1">Checkpoint: ${this.escapeHtml(issue.checkpoint)}</p>` : ''}
+                        ${issue.devices ? `<p class="text-xs ${issue.deviceSpecific ? 'text-orange-600' : 'text-gray-500'} mt-1">${issue.deviceSpecific ? `⚠️ Only on ${this.escapeHtml(issue.devices[0])}` : `Devices: ${this.escapeHtml(issue.devices.join(', '))}`}</p>` : ''}
+                        ${issue.engines ? `<p class="text-xs ${issue.engineSpecific ? 'text-orange-600' : 'text-gray-500'} mt-1">${issue.engineSpecific ? `⚠️ Only reproduces in ${issue.engines[0]}` : `Engines: ${issue.engines.join(', ')}`}</p>` : ''}
                         ${issue.wcag ? `<p class="text-xs text-blue-600 mt-1">WCAG: ${issue.wcag}</p>` : ''}
+                        ${this.renderElements(issue.elements)}
+                        ${issue.ruleId ? `<p class="text-xs text-gray-500 mt-1">Rule: <code>${issue.ruleId}</code>${issue.docsUrl ? ` · <a href="${issue.docsUrl}" class="text-blue-600 underline" target="_blank" rel="noopener">Learn more</a>` : ''}</p>` : ''}
                     </div>
                 `).join('')}
             </div>
@@ -161,8 +204,10 @@ class HTMLReporter {
                     <div class="p-4 rounded-lg bg-blue-50 border-l-4 border-blue-400">
                         <h3 class="font-semibold text-blue-800">${rec.title}</h3>
                         <p class="text-blue-700 mt-2">${rec.description}</p>
-                        <p class="text-sm text-blue-600 mt-1"><strong>Suggestion:</strong> ${rec.suggestion || rec.fix || 'See description'}</p>
-                        ${rec.category ? `<p class="text-xs text-blue-500 mt-1">Category: ${rec.category}</p>` : ''}
+                        <p class="text-sm text-blue-600 mt-1"><strong>Suggestion:</strong> ${rec.fix || 'See description'}</p>
+                        <p class="text-xs text-blue-500 mt-1">Category: ${this.escapeHtml(rec.category)}${rec.topic ? ` (${this.escapeHtml(rec.topic)})` : ''} · Impact: ${rec.impact}</p>
+                        ${this.renderElements(rec.elements)}
+                        ${rec.ruleId ? `<p class="text-xs text-blue-500 mt-1">Rule: <code>${rec.ruleId}</code>${rec.docsUrl ? ` · <a href="${rec.docsUrl}" class="underline" target="_blank" rel="noopener">Learn more</a>` : ''}</p>` : ''}
                     </div>
                 `).join('')}
             </div>
@@ -261,6 +306,233 @@ class HTMLReporter {
     `;
   }
 
+  /**
+   * Journey status plus one section per checkpoint
+   */
+  renderJourney(data) {
+    if (!data.journey) return '';
+    
+    const journey = data.journey;
+    const completed = journey.status === 'completed';
+    
+    return `
+        <!-- Journey Section -->
+        <div class="mb-6 bg-white rounded-lg shadow-lg p-6">
+            <h2 class="text-2xl font-bold text-gray-800 mb-2">🧭 Journey: ${this.escapeHtml(journey.name)}</h2>
+            ${journey.description ? `<p class="text-gray-600 mb-2">${this.escapeHtml(journey.description)}</p>` : ''}
+            <p class="mb-4 ${completed ? 'text-green-700' : 'text-red-700'}">
+                <strong>${completed ? '✅ Completed' : '❌ Failed'}</strong> (${journey.completedSteps}/${journey.totalSteps} steps)
+                ${journey.failedStep ? ` - step ${journey.failedStep.index} (${journey.failedStep.action}): ${this.escapeHtml(journey.failedStep.error)}` : ''}
+            </p>
+            <div class="space-y-4">
+                ${data.checkpoints.map((checkpoint, index) => `
+                    <div class="p-4 rounded-lg bg-gray-50 border-l-4 border-purple-400">
+                        <div class="flex justify-between items-start mb-2">
+                            <h3 class="font-semibold text-gray-800">📍 ${index + 1}. ${this.escapeHtml(checkpoint.name)}</h3>
+                            <span class="text-sm font-medium text-blue-600">${checkpoint.summary.overallScore || 0}/100</span>
+                        </div>
+                        <p class="text-xs text-gray-500 mb-2">${this.escapeHtml(checkpoint.url)} · ${checkpoint.mode} analysis · ${checkpoint.issues.length} issues (${checkpoint.summary.criticalIssues || 0} critical)</p>
+                        ${checkpoint.issues.length > 0 ? `
+                        <ul class="text-sm text-gray-700 list-disc ml-5 mb-2">
+                            ${checkpoint.issues.map(issue => `<li>${this.escapeHtml(issue.title)} <span class="text-xs text-gray-500">${issue.severity}${issue.ruleId ? ` · ${issue.ruleId}` : ''}</span></li>`).join('')}
+                        </ul>
+                        ` : ''}
+                        ${checkpoint.screenshots.map(screenshot => `
+                            <div class="screenshot-container mt-2">
+                                <img src="${screenshot}" alt="Checkpoint ${this.escapeHtml(checkpoint.name)}" class="w-full h-auto" />
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        </div>`;
+  }
+
+  /**
+   * Category scores, weights and the largest deductions behind the overall score
+   */
+  renderScoring(data) {
+    if (!data.scoring || (data.scoring.categories.length === 0 && !data.scoring.note)) return '';
+    
+    const scoring = data.scoring;
+    const deductions = scoring.categories
+      .flatMap(category => category.deductions.map(deduction => ({ ...deduction, category: category.name })))
+      .sort((a, b) => b.points - a.points)
+      .slice(0, 5);
+    
+    return `
+        <!-- Scoring Section -->
+        <div class="mb-6 bg-white rounded-lg shadow-lg p-6">
+            <h2 class="text-2xl font-bold text-gray-800 mb-4">🧮 How the Score Was Calculated</h2>
+            ${scoring.note ? `<p class="text-gray-600">${this.escapeHtml(scoring.note)}.</p>` : `
+            <table class="w-full text-sm text-left mb-4">
+                <thead><tr class="text-gray-500"><th>Category</th><th>Score</th><th>Weight</th><th>Issues</th><th>Points Deducted</th></tr></thead>
+                <tbody>
+                    ${scoring.categories.map(category => `
+                    <tr class="border-t">
+                        <td class="py-1">${this.escapeHtml(category.name)}</td>
+                        <td class="font-semibold">${category.score}/100</td>
+                        <td>${category.weight}</td>
+                        <td>${category.issues}</td>
+                        <td>${category.penalty}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            <p class="text-sm text-gray-600">Weighted average of the category scores. Each issue deducts ${Object.entries(scoring.model.penalties).map(([severity, points]) => `${points} (${severity})`).join(', ')} points; every further issue of the same rule counts ×${scoring.model.repeatDecay} of the previous one${scoring.pageSize.factor > 1 ? `, and deductions are divided by ${scoring.pageSize.factor} for a page of ${scoring.pageSize.domSize} DOM elements` : ''}.</p>
+            ${deductions.length > 0 ? `
+            <h3 class="font-semibold text-gray-700 mt-4 mb-2">Largest deductions</h3>
+            <ul class="text-sm text-gray-700 list-disc ml-5">
+                ${deductions.map(deduction => `<li>-${deduction.points} ${this.escapeHtml(deduction.title)} <span class="text-xs text-gray-500">${deduction.severity} · ${this.escapeHtml(deduction.category)}${deduction.occurrence > 1 ? ` · occurrence ${deduction.occurrence}` : ''}</span></li>`).join('')}
+            </ul>` : ''}`}
+        </div>`;
+  }
+
+  renderGate(data) {
+    if (!data.gate) return '';
+    
+    const colors = { passed: 'green', failed: 'red', skipped: 'gray' };
+    
+    return `
+        <!-- Quality Gate Section -->
+        <div class="mb-6 bg-white rounded-lg shadow-lg p-6 issue-${data.gate.status === 'passed' ? 'low' : 'critical'}">
+            <h2 class="text-2xl font-bold text-gray-800 mb-4">🚦 Quality Gate: <span class="text-${colors[data.gate.status]}-600">${data.gate.status === 'passed' ? 'Passed' : 'Failed'}</span></h2>
+            <table class="w-full text-sm text-left">
+                <thead><tr class="text-gray-500"><th>Budget</th><th>Actual</th><th>Limit</th><th>Status</th></tr></thead>
+                <tbody>
+                    ${data.gate.checks.map(check => `
+                    <tr class="border-t">
+                        <td class="py-1">${this.escapeHtml(check.label)}</td>
+                        <td>${this.escapeHtml(check.status === 'skipped' ? 'not measured' : check.actual)}</td>
+                        <td>${check.comparison ? `${check.comparison} ${this.escapeHtml(check.limit)}` : '-'}</td>
+                        <td class="font-semibold text-${colors[check.status]}-600">${check.status}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>`;
+  }
+
+  renderAnalyzerRuns(data) {
+    if (data.analyzerRuns.length === 0) return '';
+    
+    const colors = { ok: 'green', failed: 'red', 'timed-out': 'yellow' };
+    const problems = data.analyzerRuns.filter(run => run.status !== 'ok');
+    
+    return `
+        <!-- Analyzer Runs Section -->
+        <div class="mb-6 bg-white rounded-lg shadow-lg p-6${problems.length > 0 ? ' issue-high' : ''}">
+            <h2 class="text-2xl font-bold text-gray-800 mb-4">🧩 Analyzer Runs${problems.length > 0 ? ` <span class="text-red-600">(${problems.length} failed or timed out)</span>` : ''}</h2>
+            <table class="w-full text-sm text-left">
+                <thead><tr class="text-gray-500"><th>Analyzer</th><th>Mode</th><th>Status</th><th>Duration</th></tr></thead>
+                <tbody>
+                    ${data.analyzerRuns.map(run => `
+                    <tr class="border-t">
+                        <td class="py-1">${this.escapeHtml(run.name)}${[run.checkpoint, run.engine, run.device].some(Boolean) ? ` <span class="text-xs text-gray-500">${this.escapeHtml([run.checkpoint, run.engine, run.device].filter(Boolean).join(', '))}</span>` : ''}</td>
+                        <td>${this.escapeHtml(run.mode)}</td>
+                        <td class="font-semibold text-${colors[run.status]}-600">${run.status}</td>
+                        <td>${run.duration}ms</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            ${problems.map(run => `
+            <details class="mt-3">
+                <summary class="text-sm text-red-700 cursor-pointer"><strong>${this.escapeHtml(run.name)}:</strong> ${this.escapeHtml(run.error)}</summary>
+                ${run.stack ? `<pre class="text-xs bg-gray-100 p-2 mt-1 overflow-x-auto">${this.escapeHtml(run.stack)}</pre>` : ''}
+            </details>`).join('')}
+        </div>`;
+  }
+
+  renderReadiness(data) {
+    if (!data.readiness || data.readiness.ready) return '';
+    
+    const colors = { met: 'green', 'timed-out': 'yellow', failed: 'red', skipped: 'gray' };
+    
+    return `
+        <!-- Readiness Section -->
+        <div class="mb-6 bg-white rounded-lg shadow-lg p-6 issue-high">
+            <h2 class="text-2xl font-bold text-gray-800 mb-2">⏳ Page Readiness Not Reached</h2>
+            <p class="text-sm text-gray-600 mb-4">The page was analyzed as loaded before it got ready, so some findings may describe a half-rendered page.</p>
+            <table class="w-full text-sm text-left">
+                <thead><tr class="text-gray-500"><th>Condition</th><th>Status</th><th>Duration</th></tr></thead>
+                <tbody>
+                    ${data.readiness.conditions.map(entry => `
+                    <tr class="border-t">
+                        <td class="py-1">${this.escapeHtml(entry.condition)}${[entry.engine, entry.device].some(Boolean) ? ` <span class="text-xs text-gray-500">${this.escapeHtml([entry.engine, entry.device].filter(Boolean).join(', '))}</span>` : ''}</td>
+                        <td class="font-semibold text-${colors[entry.status]}-600">${entry.status}${entry.error ? ` <span class="text-xs font-normal text-gray-500">${this.escapeHtml(entry.error)}</span>` : ''}</td>
+                        <td>${entry.duration !== undefined ? `${entry.duration}ms` : '-'}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>`;
+  }
+
+  renderBaseline(data) {
+    if (data.fixedIssues.length === 0 && data.suppressedIssues.length === 0 && data.expiredSuppressions.length === 0) return '';
+    
+    return `
+        <!-- Baseline Section -->
+        <div class="mb-6 bg-white rounded-lg shadow-lg p-6">
+            <h2 class="text-2xl font-bold text-gray-800 mb-4">🧊 Baseline & Suppressions</h2>
+            ${data.fixedIssues.length > 0 ? `
+            <h3 class="font-semibold text-green-700 mb-2">✅ Fixed since baseline (${data.fixedIssues.length})</h3>
+            <ul class="text-sm text-gray-700 list-disc ml-5 mb-4">
+                ${data.fixedIssues.map(entry => `<li>${this.escapeHtml(entry.title)} <span class="text-xs text-gray-500">${this.escapeHtml(entry.ruleId)}${entry.element ? ` · ${this.escapeHtml(entry.element)}` : ''}</span></li>`).join('')}
+            </ul>
+            ` : ''}
+            ${data.suppressedIssues.length > 0 ? `
+            <h3 class="font-semibold text-gray-700 mb-2">🔕 Suppressed (${data.suppressedIssues.length})</h3>
+            <table class="w-full text-sm text-left mb-4">
+                <thead><tr class="text-gray-500"><th>Issue</th><th>Justification</th><th>Owner</th><th>Expires</th></tr></thead>
+                <tbody>
+                    ${data.suppressedIssues.map(issue => `
+                    <tr class="border-t">
+                        <td class="py-1">${this.escapeHtml(issue.title)} <span class="text-xs text-gray-500">${this.escapeHtml(issue.ruleId || '')}</span></td>
+                        <td>${this.escapeHtml(issue.suppression.justification)}</td>
+                        <td>${this.escapeHtml(issue.suppression.owner || '-')}</td>
+                        <td>${this.escapeHtml(issue.suppression.expires || 'never')}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            ` : ''}
+            ${data.expiredSuppressions.length > 0 ? `
+            <h3 class="font-semibold text-orange-700 mb-2">⌛ Expired suppressions (${data.expiredSuppressions.length})</h3>
+            <ul class="text-sm text-gray-700 list-disc ml-5">
+                ${data.expiredSuppressions.map(suppression => `<li>${this.escapeHtml(suppression.rule || suppression.fingerprint)} expired ${this.escapeHtml(suppression.expires)} (owner: ${this.escapeHtml(suppression.owner || 'unassigned')}) - issues are reported again</li>`).join('')}
+            </ul>
+            ` : ''}
+        </div>`;
+  }
+
+  /**
+   * Collapsible list of the DOM nodes behind an issue
+   */
+  renderElements(elements) {
+    if (!elements || elements.length === 0) return '';
+    
+    return `
+                        <details class="mt-2">
+                            <summary class="text-sm text-gray-700 cursor-pointer">Affected elements (${elements.length})</summary>
+                            <ul class="mt-2 space-y-2">
+                                ${elements.map(element => `
+                                    <li class="text-xs bg-white border rounded p-2">
+                                        <p><strong>Selector:</strong> <code>${this.escapeHtml(element.selector)}</code></p>
+                                        <p><strong>XPath:</strong> <code>${this.escapeHtml(element.xpath)}</code></p>
+                                        ${element.boundingBox ? `<p><strong>Box:</strong> ${element.boundingBox.width}x${element.boundingBox.height} at (${element.boundingBox.x}, ${element.boundingBox.y})</p>` : ''}
+                                        ${element.values && Object.keys(element.values).length > 0 ? `<p><strong>Values:</strong> <code>${this.escapeHtml(JSON.stringify(element.values))}</code></p>` : ''}
+                                        <pre class="mt-1 p-2 bg-gray-100 rounded overflow-x-auto">${this.escapeHtml(element.snippet)}</pre>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </details>`;
+  }
+
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   getSeverityColor(severity) {
     switch (severity) {
       case 'critical': return 'red';
@@ -278,6 +550,23 @@ class HTMLReporter {
       .trim();
   }
 
+  describeHar(har) {
+    if (har.mode === 'record') return `recorded to ${har.file}`;
+    
+    const unmatched = har.unmatched.length;
+    return `replayed from ${har.file}` +
+      (unmatched > 0 ? ` (${unmatched} request${unmatched === 1 ? '' : 's'} not in the HAR ${har.notFound === 'abort' ? 'aborted' : 'sent to the network'})` : '');
+  }
+
+  describeInterception(network) {
+    if (!network) return '';
+    
+    return Object.entries(network)
+      .filter(([, requests]) => requests.length > 0)
+      .map(([action, requests]) => `${requests.length} ${action}`)
+      .join(', ');
+  }
+
   getTemplate() {
     // Template is now inline in renderTemplate method
     return null;
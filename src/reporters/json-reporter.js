@@ -4,10 +4,12 @@
  */
 
 const fs = require('fs').promises;
+const { countBySeverity } = require('../rules/severity');
 
 class JSONReporter {
   async generate(analysisResults, options = {}) {
     const outputPath = options.outputPath || `./reports/ux-analysis-${Date.now()}.json`;
+    const severityCounts = countBySeverity(analysisResults.issues || []);
     
     const reportData = {
       meta: {
@@ -15,51 +17,110 @@ class JSONReporter {
         generator: 'Claude UX Consultant',
         timestamp: new Date().toISOString(),
         url: analysisResults.url,
+        file: analysisResults.file,
         analysisType: analysisResults.analysisType,
-        analysisTime: analysisResults.analysisTime
+        analysisTime: analysisResults.analysisTime,
+        engines: analysisResults.engines || (analysisResults.engine ? [analysisResults.engine] : undefined),
+        devices: analysisResults.devices || (analysisResults.device ? [analysisResults.device] : undefined),
+        mobileDevice: analysisResults.mobileDevice,
+        har: analysisResults.har,
+        network: analysisResults.network
       },
       summary: {
         overallScore: analysisResults.summary?.overallScore || 0,
         totalIssues: analysisResults.issues?.length || 0,
-        criticalIssues: analysisResults.issues?.filter(i => i.severity === 'critical' || i.impact === 'high').length || 0,
-        highIssues: analysisResults.issues?.filter(i => i.severity === 'high' || i.impact === 'medium').length || 0,
-        mediumIssues: analysisResults.issues?.filter(i => i.severity === 'medium' || i.impact === 'low').length || 0,
-        lowIssues: analysisResults.issues?.filter(i => i.severity === 'low').length || 0,
+        criticalIssues: severityCounts.critical,
+        highIssues: severityCounts.high,
+        mediumIssues: severityCounts.medium,
+        lowIssues: severityCounts.low,
         recommendations: analysisResults.recommendations?.length || 0,
         quickWins: analysisResults.recommendations?.filter(r => r.effort === 'low' || r.impact === 'quick').length || 0,
-        estimatedFixTime: analysisResults.summary?.estimatedFixTime || 0
+        estimatedFixTime: analysisResults.summary?.estimatedFixTime || 0,
+        newIssues: analysisResults.summary?.newIssues,
+        knownIssues: analysisResults.summary?.knownIssues,
+        fixedIssues: analysisResults.summary?.fixedIssues,
+        suppressedIssues: analysisResults.summary?.suppressedIssues
       },
       issues: (analysisResults.issues || []).map(issue => ({
-        id: this.generateId(issue.title),
+        id: issue.ruleId || this.generateId(issue.title),
+        ruleId: issue.ruleId,
         type: issue.type,
-        severity: issue.severity || issue.impact || 'medium',
+        category: issue.category,
+        topic: issue.topic,
+        severity: issue.severity,
+        impact: issue.impact,
         title: issue.title,
         description: issue.description,
-        category: issue.category,
-        impact: issue.impact || issue.severity,
-        fix: issue.fix || issue.solution,
+        fix: issue.fix,
         wcag: issue.wcag,
+        help: issue.help,
+        docsUrl: issue.docsUrl,
         count: issue.count,
-        details: issue.details
+        details: issue.details,
+        elements: issue.elements,
+        checkpoint: issue.checkpoint,
+        engines: issue.engines,
+        engineSpecific: issue.engineSpecific,
+        devices: issue.devices,
+        deviceSpecific: issue.deviceSpecific,
+        fingerprint: issue.fingerprint,
+        baselineStatus: issue.baselineStatus
       })),
       recommendations: (analysisResults.recommendations || []).map(rec => ({
-        id: this.generateId(rec.title),
+        id: rec.ruleId || this.generateId(rec.title),
+        ruleId: rec.ruleId,
         type: rec.type,
         category: rec.category,
+        topic: rec.topic,
         title: rec.title,
         description: rec.description,
         impact: rec.impact,
         effort: rec.effort,
-        suggestion: rec.suggestion || rec.fix,
+        fix: rec.fix,
+        // Older name of fix
+        suggestion: rec.fix,
+        docsUrl: rec.docsUrl,
+        elements: rec.elements,
+        checkpoint: rec.checkpoint,
+        engines: rec.engines,
+        devices: rec.devices,
         priority: this.calculatePriority(rec)
       })),
       metrics: analysisResults.metrics || {},
       scores: analysisResults.scores || {},
+      scoring: analysisResults.scoring,
       screenshots: (analysisResults.screenshots || []).map(screenshot => ({
         path: screenshot,
         type: this.getScreenshotType(screenshot),
         timestamp: new Date().toISOString()
       })),
+      engineResults: analysisResults.engineResults,
+      deviceResults: analysisResults.deviceResults,
+      baseline: analysisResults.baselineIssues && {
+        knownIssues: analysisResults.baselineIssues.map(issue => this.findingReference(issue)),
+        fixedIssues: analysisResults.fixedIssues
+      },
+      suppressedIssues: analysisResults.suppressedIssues && analysisResults.suppressedIssues.map(issue => ({
+        ...this.findingReference(issue),
+        suppression: issue.suppression
+      })),
+      expiredSuppressions: analysisResults.expiredSuppressions,
+      gate: analysisResults.gate,
+      analyzerRuns: analysisResults.analyzerRuns,
+      readiness: analysisResults.readiness,
+      journey: analysisResults.journey,
+      checkpoints: analysisResults.checkpoints && analysisResults.checkpoints.map(checkpoint => ({
+        name: checkpoint.name,
+        mode: checkpoint.mode,
+        url: checkpoint.url,
+        timestamp: checkpoint.timestamp,
+        summary: checkpoint.summary,
+        scoring: checkpoint.scoring,
+        metrics: checkpoint.metrics,
+        scores: checkpoint.scores,
+        screenshots: checkpoint.screenshots,
+        issues: checkpoint.issues.map(issue => issue.ruleId || this.generateId(issue.title))
+      })),
       categories: this.categorizeResults(analysisResults),
       compliance: this.assessCompliance(analysisResults),
       trends: this.calculateTrends(analysisResults)
@@ -70,6 +131,20 @@ class JSONReporter {
     return outputPath;
   }
 
+  /**
+   * Compact reference to an issue that is not reported in full (baselined or suppressed)
+   */
+  findingReference(issue) {
+    return {
+      fingerprint: issue.fingerprint,
+      ruleId: issue.ruleId,
+      title: issue.title,
+      severity: issue.severity,
+      checkpoint: issue.checkpoint,
+      element: issue.elements && issue.elements[0] ? issue.elements[0].selector : undefined
+    };
+  }
+
   generateId(title) {
     return title.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
   }
@@ -134,7 +209,7 @@ class JSONReporter {
 
     // Count issues by category
     (analysisResults.issues || []).forEach(issue => {
-      const category = issue.type || issue.category || 'other';
+      const category = issue.category;
       if (categories[category]) {
         categories[category].issues++;
       }
@@ -142,7 +217,7 @@ class JSONReporter {
 
     // Count recommendations by category
     (analysisResults.recommendations || []).forEach(rec => {
-      const category = rec.type || rec.category || 'other';
+      const category = rec.category;
       if (categories[category]) {
         categories[category].recommendations++;
       }
@@ -180,7 +255,7 @@ class JSONReporter {
 
     // WCAG compliance assessment
     const accessibilityIssues = (analysisResults.issues || []).filter(issue => 
-      issue.type === 'accessibility' || issue.wcag
+      issue.category === 'accessibility' || issue.wcag
     );
     
     compliance.wcag.violations = accessibilityIssues.length;
@@ -198,12 +273,12 @@ class JSONReporter {
 
     // Mobile compliance
     const mobileIssues = (analysisResults.issues || []).filter(issue => 
-      issue.type === 'mobile'
+      issue.category === 'mobile'
     );
     
     compliance.mobile.issues = mobileIssues.length;
-    compliance.mobile.responsive = !mobileIssues.some(i => i.title.includes('Viewport'));
-    compliance.mobile.touchFriendly = !mobileIssues.some(i => i.title.includes('Touch Target'));
+    compliance.mobile.responsive = !mobileIssues.some(i => i.ruleId === 'mobile/viewport-meta');
+    compliance.mobile.touchFriendly = !mobileIssues.some(i => i.ruleId === 'mobile/touch-target');
 
     // Performance compliance
     if (analysisResults.metrics?.largestContentfulPaint) {
@@ -223,14 +298,22 @@ class JSONReporter {
     return compliance;
   }
 
+  /**
+   * Trends against the previous run recorded in the history (zeros for a first run)
+   */
   calculateTrends(analysisResults) {
-    // This would be enhanced with historical data in a real implementation
+    const trends = analysisResults.trends || {};
+    
     return {
-      scoreChange: 0,
-      issuesTrend: 'stable',
-      newIssues: 0,
-      resolvedIssues: 0,
-      lastAnalysis: null,
+      scoreChange: trends.scoreChange || 0,
+      previousScore: trends.previousScore,
+      issuesTrend: trends.issuesTrend || 'stable',
+      newIssues: trends.newIssues || 0,
+      resolvedIssues: trends.resolvedIssues || 0,
+      lastAnalysis: trends.lastAnalysis || null,
+      runs: trends.runs || 0,
+      introduced: trends.introduced || [],
+      resolved: trends.resolved || [],
       improvementAreas: this.identifyImprovementAreas(analysisResults)
     };
   }
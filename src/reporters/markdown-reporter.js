@@ -19,14 +19,15 @@ class MarkdownReporter {
     const url = new URL(data.url);
     const hostname = url.hostname;
     
-    return `# 🎯 UX Analysis Report - ${hostname}
+    return `# 🎯 UX Analysis Report - ${data.file || hostname}
 
 **Generated by:** Claude UX Consultant  
 **Date:** ${new Date().toLocaleString()}  
 **URL:** ${data.url}  
-**Analysis Type:** ${data.analysisType || 'Standard'}  
-**Analysis Time:** ${data.analysisTime || 'N/A'}  
-
+${data.file ? `**File:** ${data.file}  \n` : ''}**Analysis Type:** ${data.analysisType || 'Standard'}  
+**Browser Engines:** ${(data.engines || [data.engine || 'chromium']).join(', ')}  
+${data.devices || data.device ? `**Devices:** ${(data.devices || [data.device]).join(', ')}  \n` : ''}${data.mobileDevice ? `**Mobile Device:** ${data.mobileDevice}  \n` : ''}**Analysis Time:** ${data.analysisTime || 'N/A'}  
+${data.har ? `**Network:** ${this.describeHar(data.har)}  \n` : ''}${this.describeInterception(data.network) ? `**Intercepted Requests:** ${this.describeInterception(data.network)}  \n` : ''}${data.readiness ? `**Readiness:** ${data.readiness.ready ? `ready after ${data.readiness.duration}ms` : '⚠️ not reached, analyzed what had loaded'}  \n` : ''}
 ---
 
 ## 📊 Executive Summary
@@ -38,11 +39,22 @@ class MarkdownReporter {
 - **Critical Issues:** ${data.summary?.criticalIssues || 0}
 - **Recommendations:** ${data.recommendations?.length || 0}
 - **Estimated Fix Time:** ${data.summary?.estimatedFixTime || 0} minutes
-
+${data.summary?.knownIssues !== undefined ? `- **Baseline:** ${data.summary.newIssues} new, ${data.summary.knownIssues} known (not listed), ${data.summary.fixedIssues} fixed\n` : ''}${data.summary?.suppressedIssues ? `- **Suppressed:** ${data.summary.suppressedIssues}\n` : ''}${data.trends?.lastAnalysis ? `- **Since Last Run (${new Date(data.trends.lastAnalysis).toLocaleString()}):** score ${data.trends.scoreChange >= 0 ? '+' : ''}${data.trends.scoreChange}, ${data.trends.newIssues} new, ${data.trends.resolvedIssues} resolved\n` : ''}
 ${this.generateScoreBreakdown(data)}
+${this.generateScoringExplanation(data)}
 
 ---
 
+${this.generateGateSection(data)}
+
+${this.generateAnalyzerRunsSection(data)}
+
+${this.generateReadinessSection(data)}
+
+${this.generateJourneySection(data)}
+
+${this.generateBaselineSection(data)}
+
 ${this.generatePriorityActions(data)}
 
 ${this.generateIssuesSection(data)}
@@ -119,6 +131,190 @@ For questions about this analysis or Claude UX Consultant:
     return breakdown + '\n';
   }
 
+  /**
+   * How the overall score was derived: category scores, weights and the largest deductions
+   */
+  generateScoringExplanation(data) {
+    if (!data.scoring) return '';
+    
+    const scoring = data.scoring;
+    let section = '### How the Score Was Calculated\n\n';
+    
+    if (scoring.note) {
+      return section + `${scoring.note}.\n\n`;
+    }
+    
+    section += '| Category | Score | Weight | Issues | Points Deducted |\n|----------|-------|--------|--------|-----------------|\n';
+    scoring.categories.forEach(category => {
+      section += `| ${this.formatCategoryName(category.name)} | ${category.score}/100 ${this.getScoreEmoji(category.score)} | ${category.weight} | ${category.issues} | ${category.penalty} |\n`;
+    });
+    
+    section += `\nThe overall score is the weighted average of the category scores. Each issue deducts ${Object.entries(scoring.model.penalties).map(([severity, points]) => `${points} (${severity})`).join(', ')} points; every further issue of the same rule counts ×${scoring.model.repeatDecay} of the previous one`;
+    section += scoring.pageSize.factor > 1 ?
+      `, and deductions are divided by ${scoring.pageSize.factor} for a page of ${scoring.pageSize.domSize} DOM elements.\n` :
+      '.\n';
+    
+    const deductions = scoring.categories
+      .flatMap(category => category.deductions.map(deduction => ({ ...deduction, category: category.name })))
+      .sort((a, b) => b.points - a.points)
+      .slice(0, 5);
+    
+    if (deductions.length > 0) {
+      section += '\n**Largest deductions:**\n';
+      deductions.forEach(deduction => {
+        section += `- -${deduction.points} ${deduction.title} (${deduction.severity}, ${deduction.category}${deduction.occurrence > 1 ? `, occurrence ${deduction.occurrence}` : ''})\n`;
+      });
+    }
+    
+    return section + '\n';
+  }
+
+  generateJourneySection(data) {
+    if (!data.journey) return '';
+    
+    const journey = data.journey;
+    const status = journey.status === 'completed' ? '✅ Completed' : '❌ Failed';
+    
+    let section = `## 🧭 Journey: ${journey.name}\n\n`;
+    if (journey.description) {
+      section += `${journey.description}\n\n`;
+    }
+    section += `**Status:** ${status} (${journey.completedSteps}/${journey.totalSteps} steps)\n\n`;
+    
+    if (journey.failedStep) {
+      section += `**Failed at step ${journey.failedStep.index}** (\`${journey.failedStep.action}\`): ${journey.failedStep.error}\n\n`;
+    }
+    
+    (data.checkpoints || []).forEach((checkpoint, index) => {
+      section += `### 📍 Checkpoint ${index + 1}: ${checkpoint.name}\n\n`;
+      section += `- **URL:** ${checkpoint.url}\n`;
+      section += `- **Analysis:** ${checkpoint.mode}\n`;
+      section += `- **Score:** ${checkpoint.summary?.overallScore || 0}/100\n`;
+      section += `- **Issues:** ${checkpoint.issues.length} (${checkpoint.summary?.criticalIssues || 0} critical)\n`;
+      
+      checkpoint.screenshots.forEach(screenshot => {
+        section += `- **Screenshot:** ${screenshot}\n`;
+      });
+      section += '\n';
+      
+      if (checkpoint.issues.length > 0) {
+        checkpoint.issues.forEach(issue => {
+          section += `- ${this.getSeverityEmoji(issue.severity)} ${issue.title}${issue.ruleId ? ` (\`${issue.ruleId}\`)` : ''}\n`;
+        });
+        section += '\n';
+      }
+      
+      const metrics = Object.entries(checkpoint.metrics || {});
+      if (metrics.length > 0) {
+        section += '| Metric | Value |\n|--------|-------|\n';
+        metrics.forEach(([key, value]) => {
+          section += `| ${this.formatMetricName(key)} | ${value} |\n`;
+        });
+        section += '\n';
+      }
+    });
+    
+    return section + '---\n';
+  }
+
+  generateGateSection(data) {
+    if (!data.gate) return '';
+    
+    const icons = { passed: '✅', failed: '❌', skipped: '⏭️' };
+    let section = `## 🚦 Quality Gate: ${data.gate.status === 'passed' ? '✅ Passed' : '❌ Failed'}\n\n`;
+    section += '| | Budget | Actual | Limit |\n|---|--------|--------|-------|\n';
+    data.gate.checks.forEach(check => {
+      const actual = check.status === 'skipped' ? 'not measured' : check.actual;
+      const limit = check.comparison ? `${check.comparison} ${check.limit}` : '-';
+      section += `| ${icons[check.status]} | ${check.label} | ${String(actual).replace(/\|/g, '\\|')} | ${limit} |\n`;
+    });
+    
+    return section + '\n---\n';
+  }
+
+  /**
+   * Status of every analyzer run, with the error and stack of those that failed
+   */
+  generateAnalyzerRunsSection(data) {
+    const runs = data.analyzerRuns || [];
+    if (runs.length === 0) return '';
+    
+    const icons = { ok: '✅', failed: '❌', 'timed-out': '⏱️' };
+    const problems = runs.filter(run => run.status !== 'ok');
+    let section = `## 🧩 Analyzer Runs${problems.length > 0 ? ` (${problems.length} failed or timed out)` : ''}\n\n`;
+    section += '| | Analyzer | Mode | Status | Duration |\n|---|----------|------|--------|----------|\n';
+    runs.forEach(run => {
+      const where = [run.checkpoint, run.engine, run.device].filter(Boolean).join(', ');
+      section += `| ${icons[run.status]} | ${run.name}${where ? ` (${where})` : ''} | ${run.mode} | ${run.status} | ${run.duration}ms |\n`;
+    });
+    
+    problems.forEach(run => {
+      section += `\n**${run.name}:** ${run.error}\n`;
+      if (run.stack) {
+        section += '\n```\n' + run.stack + '\n```\n';
+      }
+    });
+    
+    return section + '\n---\n';
+  }
+
+  /**
+   * Readiness conditions of a page that was analyzed before it got ready
+   */
+  generateReadinessSection(data) {
+    if (!data.readiness || data.readiness.ready) return '';
+    
+    const icons = { met: '✅', 'timed-out': '⏱️', failed: '❌', skipped: '⏭️' };
+    let section = '## ⏳ Page Readiness Not Reached\n\n';
+    section += 'The page was analyzed as loaded before it got ready, so some findings may describe a half-rendered page.\n\n';
+    section += '| | Condition | Status | Duration |\n|---|-----------|--------|----------|\n';
+    data.readiness.conditions.forEach(entry => {
+      const where = [entry.engine, entry.device].filter(Boolean).join(', ');
+      const status = entry.error ? `${entry.status}: ${entry.error}` : entry.status;
+      section += `| ${icons[entry.status]} | ${entry.condition.replace(/\|/g, '\\|')}${where ? ` (${where})` : ''} | ${status.replace(/\|/g, '\\|')} | ${entry.duration !== undefined ? `${entry.duration}ms` : '-'} |\n`;
+    });
+    
+    return section + '\n---\n';
+  }
+
+  generateBaselineSection(data) {
+    const fixed = data.fixedIssues || [];
+    const suppressed = data.suppressedIssues || [];
+    const expired = data.expiredSuppressions || [];
+    if (fixed.length === 0 && suppressed.length === 0 && expired.length === 0) return '';
+    
+    let section = '## 🧊 Baseline & Suppressions\n\n';
+    
+    if (fixed.length > 0) {
+      section += `### ✅ Fixed Since Baseline (${fixed.length})\n\n`;
+      fixed.forEach(entry => {
+        section += `- ${entry.title} (\`${entry.ruleId}\`)${entry.element ? ` at \`${entry.element}\`` : ''}${entry.checkpoint ? ` - checkpoint ${entry.checkpoint}` : ''}\n`;
+      });
+      section += '\n';
+    }
+    
+    if (suppressed.length > 0) {
+      section += `### 🔕 Suppressed Issues (${suppressed.length})\n\n`;
+      section += '| Issue | Rule | Justification | Owner | Expires |\n|-------|------|---------------|-------|---------|\n';
+      suppressed.forEach(issue => {
+        const { justification, owner, expires } = issue.suppression;
+        section += `| ${issue.title} | ${issue.ruleId ? `\`${issue.ruleId}\`` : '-'} | ${justification} | ${owner || '-'} | ${expires || 'never'} |\n`;
+      });
+      section += '\n';
+    }
+    
+    if (expired.length > 0) {
+      section += `### ⌛ Expired Suppressions (${expired.length})\n\n`;
+      section += 'These no longer hide issues; renew or remove them.\n\n';
+      expired.forEach(suppression => {
+        section += `- \`${suppression.rule || suppression.fingerprint}\` expired ${suppression.expires} (owner: ${suppression.owner || 'unassigned'}) - ${suppression.justification}\n`;
+      });
+      section += '\n';
+    }
+    
+    return section + '---\n';
+  }
+
   generatePriorityActions(data) {
     if (!data.summary?.priorityActions || data.summary.priorityActions.length === 0) {
       return '';
@@ -146,7 +342,7 @@ For questions about this analysis or Claude UX Consultant:
     let section = '## 🚨 Issues Found\n\n';
     
     // Group issues by severity
-    const grouped = this.groupBy(data.issues, 'severity', 'impact');
+    const grouped = this.groupBy(data.issues, 'severity');
     
     ['critical', 'high', 'medium', 'low'].forEach(severity => {
       if (grouped[severity] && grouped[severity].length > 0) {
@@ -155,20 +351,39 @@ For questions about this analysis or Claude UX Consultant:
         grouped[severity].forEach((issue, index) => {
           section += `#### ${index + 1}. ${issue.title}\n\n`;
           section += `**Description:** ${issue.description}\n\n`;
-          section += `**Fix:** ${issue.fix || issue.solution || 'See description'}\n\n`;
-          
-          if (issue.category) {
-            section += `**Category:** ${issue.category}\n\n`;
-          }
+          section += `**Fix:** ${issue.fix || 'See description'}\n\n`;
+          section += `**Category:** ${this.formatCategoryName(issue.category)}${issue.topic ? ` (${issue.topic})` : ''}\n\n`;
           
           if (issue.wcag) {
             section += `**WCAG Reference:** ${issue.wcag}\n\n`;
           }
           
+          if (issue.checkpoint) {
+            section += `**Checkpoint:** ${issue.checkpoint}\n\n`;
+          }
+          
+          if (issue.devices) {
+            section += issue.deviceSpecific
+              ? `**Devices:** ⚠️ only on ${issue.devices[0]}\n\n`
+              : `**Devices:** ${issue.devices.join(', ')}\n\n`;
+          }
+          
+          if (issue.engines) {
+            section += issue.engineSpecific
+              ? `**Engines:** ⚠️ only reproduces in ${issue.engines[0]}\n\n`
+              : `**Engines:** ${issue.engines.join(', ')}\n\n`;
+          }
+          
+          if (issue.ruleId) {
+            section += `**Rule:** \`${issue.ruleId}\`${issue.docsUrl ? ` ([docs](${issue.docsUrl}))` : ''}\n\n`;
+          }
+          
           if (issue.count) {
             section += `**Affected Elements:** ${issue.count}\n\n`;
           }
           
+          section += this.generateElementList(issue.elements);
+          
           section += '---\n\n';
         });
       }
@@ -185,7 +400,7 @@ For questions about this analysis or Claude UX Consultant:
     let section = '## 💡 Recommendations\n\n';
     
     // Group recommendations by category
-    const grouped = this.groupBy(data.recommendations, 'category', 'type');
+    const grouped = this.groupBy(data.recommendations, 'category');
     
     Object.entries(grouped).forEach(([category, recs]) => {
       if (recs.length > 0) {
@@ -194,13 +409,19 @@ For questions about this analysis or Claude UX Consultant:
         recs.forEach((rec, index) => {
           section += `#### ${index + 1}. ${rec.title}\n\n`;
           section += `**Description:** ${rec.description}\n\n`;
-          section += `**Suggestion:** ${rec.suggestion || rec.fix || 'See description'}\n\n`;
-          section += `**Impact:** ${rec.impact || 'Medium'}\n\n`;
+          section += `**Suggestion:** ${rec.fix || 'See description'}\n\n`;
+          section += `**Impact:** ${rec.impact}\n\n`;
           
           if (rec.effort) {
             section += `**Effort:** ${rec.effort}\n\n`;
           }
           
+          if (rec.ruleId) {
+            section += `**Rule:** \`${rec.ruleId}\`${rec.docsUrl ? ` ([docs](${rec.docsUrl}))` : ''}\n\n`;
+          }
+          
+          section += this.generateElementList(rec.elements);
+          
           section += '---\n\n';
         });
       }
@@ -252,7 +473,7 @@ For questions about this analysis or Claude UX Consultant:
     
     // WCAG Compliance
     const accessibilityIssues = (data.issues || []).filter(issue => 
-      issue.type === 'accessibility' || issue.wcag
+      issue.category === 'accessibility' || issue.wcag
     );
     
     section += '### WCAG 2.1 Compliance\n\n';
@@ -265,7 +486,7 @@ For questions about this analysis or Claude UX Consultant:
     }
     
     // Mobile Compliance
-    const mobileIssues = (data.issues || []).filter(issue => issue.type === 'mobile');
+    const mobileIssues = (data.issues || []).filter(issue => issue.category === 'mobile');
     
     section += '### Mobile Responsiveness\n\n';
     if (mobileIssues.length === 0) {
@@ -301,7 +522,7 @@ For questions about this analysis or Claude UX Consultant:
     
     if (quickWins.length > 0) {
       quickWins.slice(0, 5).forEach((rec, index) => {
-        section += `${index + 1}. **${rec.title}** - ${rec.suggestion || rec.fix}\n`;
+        section += `${index + 1}. **${rec.title}** - ${rec.fix}\n`;
       });
       section += '\n';
     } else {
@@ -362,6 +583,27 @@ For questions about this analysis or Claude UX Consultant:
     return section;
   }
 
+  generateElementList(elements) {
+    if (!elements || elements.length === 0) return '';
+    
+    let list = '<details>\n<summary>Affected elements</summary>\n\n';
+    
+    elements.forEach(element => {
+      list += `- \`${element.selector}\``;
+      if (element.boundingBox) {
+        list += ` (${element.boundingBox.width}x${element.boundingBox.height} at ${element.boundingBox.x},${element.boundingBox.y})`;
+      }
+      list += '\n';
+      if (element.values && Object.keys(element.values).length > 0) {
+        list += `  - Values: \`${JSON.stringify(element.values)}\`\n`;
+      }
+      list += `  - XPath: \`${element.xpath}\`\n`;
+      list += '\n  ```html\n  ' + element.snippet + '\n  ```\n';
+    });
+    
+    return list + '\n</details>\n\n';
+  }
+
   // Helper methods
   groupBy(array, ...keys) {
     return array.reduce((grouped, item) => {
@@ -420,6 +662,23 @@ For questions about this analysis or Claude UX Consultant:
       .trim();
   }
 
+  describeHar(har) {
+    if (har.mode === 'record') return `recorded to ${har.file}`;
+    
+    const unmatched = har.unmatched.length;
+    return `replayed from ${har.file}` +
+      (unmatched > 0 ? ` (${unmatched} request${unmatched === 1 ? '' : 's'} not in the HAR ${har.notFound === 'abort' ? 'aborted' : 'sent to the network'})` : '');
+  }
+
+  describeInterception(network) {
+    if (!network) return '';
+    
+    return Object.entries(network)
+      .filter(([, requests]) => requests.length > 0)
+      .map(([action, requests]) => `${requests.length} ${action}`)
+      .join(', ');
+  }
+
   generateProgressBar(percentage) {
     const filled = Math.round(percentage / 5);
     const empty = 20 - filled;
@@ -0,0 +1,552 @@
+/**
+ * Rule Catalog
+ * Stable identifiers and metadata for every check performed by the built-in analyzers
+ */
+
+const WCAG_DOCS = 'https://www.w3.org/WAI/WCAG21/Understanding';
+const LIGHTHOUSE_DOCS = 'https://developer.chrome.com/docs/lighthouse';
+const MDN_DOCS = 'https://developer.mozilla.org/en-US/docs';
+
+const rules = [
+  // Accessibility
+  {
+    id: 'a11y/img-alt',
+    title: 'Images must have alternate text',
+    category: 'accessibility',
+    severity: 'high',
+    wcag: ['1.1.1'],
+    help: 'Every informative image needs a descriptive alt attribute; decorative images use alt="".',
+    docsUrl: `${WCAG_DOCS}/non-text-content.html`
+  },
+  {
+    id: 'a11y/form-label',
+    title: 'Form controls must have labels',
+    category: 'accessibility',
+    severity: 'critical',
+    wcag: ['1.3.1', '3.3.2'],
+    help: 'Associate a <label>, aria-label or aria-labelledby with every form control.',
+    docsUrl: `${WCAG_DOCS}/labels-or-instructions.html`
+  },
+  {
+    id: 'a11y/document-title',
+    title: 'Page must have a title',
+    category: 'accessibility',
+    severity: 'medium',
+    wcag: ['2.4.2'],
+    help: 'Add a descriptive <title> so users can identify the page.',
+    docsUrl: `${WCAG_DOCS}/page-titled.html`
+  },
+  {
+    id: 'a11y/landmark-main',
+    title: 'Page should have a main landmark',
+    category: 'accessibility',
+    severity: 'medium',
+    wcag: ['1.3.1'],
+    help: 'Wrap the primary content in <main> or role="main".',
+    docsUrl: `${WCAG_DOCS}/info-and-relationships.html`
+  },
+  {
+    id: 'a11y/link-text',
+    title: 'Links should have descriptive text',
+    category: 'accessibility',
+    severity: 'medium',
+    wcag: ['2.4.4'],
+    help: 'Avoid generic link text such as "click here" or "read more".',
+    docsUrl: `${WCAG_DOCS}/link-purpose-in-context.html`
+  },
+  {
+    id: 'a11y/heading-order',
+    title: 'Heading levels should increase by one',
+    category: 'accessibility',
+    severity: 'medium',
+    wcag: ['1.3.1'],
+    help: 'Do not skip heading levels (e.g. h2 followed by h4).',
+    docsUrl: `${WCAG_DOCS}/info-and-relationships.html`
+  },
+  {
+    id: 'a11y/tabindex-positive',
+    title: 'Avoid positive tabindex values',
+    category: 'accessibility',
+    severity: 'medium',
+    wcag: ['2.4.3'],
+    help: 'Use tabindex="0" or the natural DOM order instead of positive tabindex values.',
+    docsUrl: `${WCAG_DOCS}/focus-order.html`
+  },
+  {
+    id: 'a11y/aria-valid',
+    title: 'ARIA attributes must be valid',
+    category: 'accessibility',
+    severity: 'medium',
+    wcag: ['4.1.2'],
+    help: 'ARIA labels must not be empty and aria-labelledby must reference existing ids.',
+    docsUrl: `${WCAG_DOCS}/name-role-value.html`
+  },
+  {
+    id: 'a11y/color-contrast',
+    title: 'Text must have sufficient color contrast',
+    category: 'accessibility',
+    severity: 'high',
+    wcag: ['1.4.3'],
+    help: 'Give normal text a 4.5:1 contrast ratio with its background and large text 3:1; thresholds.accessibility.contrastRatio raises or lowers both.',
+    docsUrl: `${WCAG_DOCS}/contrast-minimum.html`
+  },
+  {
+    id: 'a11y/button-name',
+    title: 'Buttons must have an accessible name',
+    category: 'accessibility',
+    severity: 'high',
+    wcag: ['4.1.2'],
+    help: 'Give every button visible text or an aria-label.',
+    docsUrl: `${WCAG_DOCS}/name-role-value.html`
+  },
+  {
+    id: 'a11y/target-size',
+    title: 'Interactive elements should be large enough to activate',
+    category: 'accessibility',
+    severity: 'medium',
+    wcag: ['2.5.5'],
+    help: 'Make buttons and links at least 44x44 CSS pixels.',
+    docsUrl: `${WCAG_DOCS}/target-size.html`
+  },
+  {
+    id: 'a11y/keyboard-trap',
+    title: 'Keyboard focus must not be trapped',
+    category: 'accessibility',
+    severity: 'high',
+    wcag: ['2.1.2'],
+    help: 'Users must be able to move focus into and out of every component with the keyboard.',
+    docsUrl: `${WCAG_DOCS}/no-keyboard-trap.html`
+  },
+
+  // Performance
+  {
+    id: 'perf/load-time',
+    title: 'Page should load quickly',
+    category: 'performance',
+    severity: 'high',
+    help: 'Reduce JavaScript, compress assets and optimize images to keep load time under 3 seconds.',
+    docsUrl: 'https://web.dev/articles/fast'
+  },
+  {
+    id: 'perf/dom-size',
+    title: 'Avoid an excessive DOM size',
+    category: 'performance',
+    severity: 'medium',
+    help: 'Keep the page under 1500 DOM elements; virtualize long lists.',
+    docsUrl: `${LIGHTHOUSE_DOCS}/performance/dom-size`
+  },
+  {
+    id: 'perf/image-format',
+    title: 'Serve images in modern formats',
+    category: 'performance',
+    severity: 'medium',
+    help: 'WebP and AVIF compress better than JPEG and PNG.',
+    docsUrl: `${LIGHTHOUSE_DOCS}/performance/uses-webp-images`
+  },
+  {
+    id: 'perf/inline-scripts',
+    title: 'Limit inline scripts',
+    category: 'performance',
+    severity: 'low',
+    help: 'External scripts can be cached between page views.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Element/script`
+  },
+  {
+    id: 'perf/slow-resource',
+    title: 'Resources should load in under a second',
+    category: 'performance',
+    severity: 'medium',
+    help: 'Optimize, cache or lazy-load resources that take longer than one second.',
+    docsUrl: `${MDN_DOCS}/Web/API/PerformanceResourceTiming`
+  },
+  {
+    id: 'perf/large-resource',
+    title: 'Avoid very large resources',
+    category: 'performance',
+    severity: 'medium',
+    help: 'Compress or split resources larger than 500KB.',
+    docsUrl: `${LIGHTHOUSE_DOCS}/performance/total-byte-weight`
+  },
+  {
+    id: 'perf/font-count',
+    title: 'Limit web font files',
+    category: 'performance',
+    severity: 'low',
+    help: 'Each font variant is a separate download; keep to four or fewer.',
+    docsUrl: 'https://web.dev/articles/font-best-practices'
+  },
+  {
+    id: 'perf/lcp',
+    title: 'Largest Contentful Paint should be under 2.5s',
+    category: 'performance',
+    severity: 'high',
+    help: 'Speed up the server response and the loading of the largest above-the-fold element.',
+    docsUrl: 'https://web.dev/articles/lcp'
+  },
+  {
+    id: 'perf/fid',
+    title: 'First Input Delay should be under 100ms',
+    category: 'performance',
+    severity: 'medium',
+    help: 'Break up long JavaScript tasks so the main thread can respond to input.',
+    docsUrl: 'https://web.dev/articles/fid'
+  },
+  {
+    id: 'perf/cls',
+    title: 'Cumulative Layout Shift should be under 0.1',
+    category: 'performance',
+    severity: 'medium',
+    help: 'Reserve space for images, ads and embeds; avoid inserting content above existing content.',
+    docsUrl: 'https://web.dev/articles/cls'
+  },
+  {
+    id: 'perf/slow-network',
+    title: 'Optimize for slow connections',
+    category: 'performance',
+    severity: 'high',
+    help: 'Serve lighter assets when the connection is 2g or slower.',
+    docsUrl: `${MDN_DOCS}/Web/API/NetworkInformation/effectiveType`
+  },
+  {
+    id: 'perf/service-worker',
+    title: 'Consider a service worker',
+    category: 'performance',
+    severity: 'low',
+    help: 'A service worker enables caching and offline support.',
+    docsUrl: `${MDN_DOCS}/Web/API/Service_Worker_API`
+  },
+
+  // Visual design
+  {
+    id: 'visual/font-families',
+    title: 'Limit font families',
+    category: 'visual',
+    severity: 'medium',
+    help: 'Use two or three font families at most.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/font-family`
+  },
+  {
+    id: 'visual/color-palette',
+    title: 'Limit the color palette',
+    category: 'visual',
+    severity: 'low',
+    help: 'More than 20 unique colors usually indicates missing design tokens.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/Using_CSS_custom_properties`
+  },
+  {
+    id: 'visual/button-consistency',
+    title: 'Buttons should share a consistent style',
+    category: 'visual',
+    severity: 'medium',
+    help: 'Standardize button height, padding, radius and color.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Element/button`
+  },
+  {
+    id: 'visual/spacing-consistency',
+    title: 'Use a consistent spacing scale',
+    category: 'visual',
+    severity: 'low',
+    help: 'Pick margins from a fixed scale such as 8, 16, 24 and 32px.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/margin`
+  },
+  {
+    id: 'visual/image-dimensions',
+    title: 'Images should have explicit dimensions',
+    category: 'visual',
+    severity: 'medium',
+    help: 'Set width and height attributes so the browser can reserve space.',
+    docsUrl: `${LIGHTHOUSE_DOCS}/performance/unsized-images`
+  },
+  {
+    id: 'visual/readability',
+    title: 'Text should be readable',
+    category: 'visual',
+    severity: 'medium',
+    help: 'Use at least 14px text and a line-height of 1.2 or more.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/line-height`
+  },
+  {
+    id: 'visual/h1-missing',
+    title: 'Page should have a primary heading',
+    category: 'visual',
+    severity: 'medium',
+    help: 'Add an h1 describing the page to anchor the visual hierarchy.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Element/Heading_Elements`
+  },
+  {
+    id: 'visual/h1-multiple',
+    title: 'Page should have a single h1',
+    category: 'visual',
+    severity: 'low',
+    help: 'Use one h1 per page and h2-h6 for sections.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Element/Heading_Elements`
+  },
+  {
+    id: 'visual/color-contrast',
+    title: 'Text must have sufficient color contrast',
+    category: 'visual',
+    severity: 'high',
+    wcag: ['1.4.3'],
+    help: 'Ensure a 4.5:1 contrast ratio for normal text and 3:1 for large text.',
+    docsUrl: `${WCAG_DOCS}/contrast-minimum.html`
+  },
+  {
+    id: 'visual/layout-width',
+    title: 'Constrain content width',
+    category: 'visual',
+    severity: 'low',
+    help: 'Apply max-width to wide containers and break up very tall sections.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/max-width`
+  },
+  {
+    id: 'visual/element-hidden',
+    title: 'Targeted element should be visible',
+    category: 'visual',
+    severity: 'medium',
+    help: 'The element has zero width or height; check display, visibility and sizing.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/display`
+  },
+  {
+    id: 'visual/button-background',
+    title: 'Buttons should have a background',
+    category: 'visual',
+    severity: 'low',
+    help: 'A background color makes buttons recognizable as actions.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/background-color`
+  },
+  {
+    id: 'visual/text-size',
+    title: 'Text should be at least 14px',
+    category: 'visual',
+    severity: 'medium',
+    help: 'Increase the font size of small text for readability.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/font-size`
+  },
+  {
+    id: 'visual/button-padding',
+    title: 'Buttons should have comfortable padding',
+    category: 'visual',
+    severity: 'low',
+    help: 'Use at least 8px vertical padding on buttons.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/padding`
+  },
+
+  // Mobile
+  {
+    id: 'mobile/touch-target',
+    title: 'Touch targets should be at least 44x44px',
+    category: 'mobile',
+    severity: 'medium',
+    wcag: ['2.5.5'],
+    help: 'Small interactive elements are hard to tap accurately.',
+    docsUrl: `${WCAG_DOCS}/target-size.html`
+  },
+  {
+    id: 'mobile/viewport-meta',
+    title: 'Page must have a viewport meta tag',
+    category: 'mobile',
+    severity: 'high',
+    help: 'Add <meta name="viewport" content="width=device-width, initial-scale=1">.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Viewport_meta_tag`
+  },
+  {
+    id: 'mobile/viewport-width',
+    title: 'Viewport should use the device width',
+    category: 'mobile',
+    severity: 'medium',
+    help: 'Include width=device-width in the viewport meta tag.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Viewport_meta_tag`
+  },
+  {
+    id: 'mobile/horizontal-scroll',
+    title: 'Content should not scroll horizontally',
+    category: 'mobile',
+    severity: 'medium',
+    wcag: ['1.4.10'],
+    help: 'Remove fixed widths so content fits the viewport.',
+    docsUrl: `${WCAG_DOCS}/reflow.html`
+  },
+  {
+    id: 'mobile/text-size',
+    title: 'Body text should be at least 16px on mobile',
+    category: 'mobile',
+    severity: 'medium',
+    help: 'Small text forces users to zoom on phones.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/font-size`
+  },
+  {
+    id: 'mobile/navigation-toggle',
+    title: 'Large navigation menus need a mobile toggle',
+    category: 'mobile',
+    severity: 'medium',
+    help: 'Collapse navigation with more than five links behind a menu button.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Element/nav`
+  },
+  {
+    id: 'mobile/viewport-overflow',
+    title: 'Content should fit each tested viewport',
+    category: 'mobile',
+    severity: 'medium',
+    wcag: ['1.4.10'],
+    help: 'Adjust breakpoints so content does not overflow this viewport size.',
+    docsUrl: `${WCAG_DOCS}/reflow.html`
+  },
+  {
+    id: 'mobile/fixed-element-size',
+    title: 'Fixed elements should fit the viewport',
+    category: 'mobile',
+    severity: 'medium',
+    help: 'Fixed-position elements larger than the viewport cannot be dismissed or scrolled.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/position`
+  },
+  {
+    id: 'mobile/form-width',
+    title: 'Form controls should keep a margin on mobile',
+    category: 'mobile',
+    severity: 'low',
+    help: 'Add margin or max-width to inputs that span the whole viewport.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/max-width`
+  },
+  {
+    id: 'mobile/image-size',
+    title: 'Serve appropriately sized images on mobile',
+    category: 'mobile',
+    severity: 'medium',
+    help: 'Use srcset and sizes to avoid downloading desktop-sized images.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Responsive_images`
+  },
+  {
+    id: 'mobile/tables',
+    title: 'Tables should adapt to small screens',
+    category: 'mobile',
+    severity: 'medium',
+    help: 'Use responsive tables or card layouts on mobile.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Element/table`
+  },
+  {
+    id: 'mobile/hover-dependent',
+    title: 'Avoid hover-only interactions',
+    category: 'mobile',
+    severity: 'low',
+    help: 'Touch devices have no hover; expose the same functionality on tap.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/@media/hover`
+  },
+  {
+    id: 'mobile/zoom-disabled',
+    title: 'Users must be able to zoom',
+    category: 'mobile',
+    severity: 'medium',
+    wcag: ['1.4.4'],
+    help: 'Remove user-scalable=no and maximum-scale=1 from the viewport meta tag.',
+    docsUrl: `${WCAG_DOCS}/resize-text.html`
+  },
+  {
+    id: 'mobile/orientation-lock',
+    title: 'Avoid locking orientation',
+    category: 'mobile',
+    severity: 'low',
+    wcag: ['1.3.4'],
+    help: 'Support both portrait and landscape unless an orientation is essential.',
+    docsUrl: `${WCAG_DOCS}/orientation.html`
+  },
+
+  // Bugs
+  {
+    id: 'bug/broken-image',
+    title: 'Images must load',
+    category: 'bug',
+    severity: 'critical',
+    help: 'Check image URLs and make sure the files are reachable.',
+    docsUrl: `${MDN_DOCS}/Web/API/HTMLImageElement/complete`
+  },
+  {
+    id: 'bug/empty-element',
+    title: 'Remove empty containers',
+    category: 'bug',
+    severity: 'low',
+    help: 'Empty div, section and article elements add DOM weight without content.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/:empty`
+  },
+  {
+    id: 'bug/overlapping-interactive',
+    title: 'Interactive elements must not overlap',
+    category: 'bug',
+    severity: 'medium',
+    help: 'Overlapping buttons and links intercept each other\'s clicks.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/position`
+  },
+  {
+    id: 'bug/form-missing-submit',
+    title: 'Forms with required fields need a submit button',
+    category: 'bug',
+    severity: 'medium',
+    help: 'Add a submit button so the form can be completed.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Element/input/submit`
+  },
+  {
+    id: 'bug/placeholder-link',
+    title: 'Links should lead somewhere',
+    category: 'bug',
+    severity: 'low',
+    help: 'Replace href="#" and javascript:void(0) links with real destinations or buttons.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Element/a`
+  },
+  {
+    id: 'bug/text-overflow',
+    title: 'Text must not be clipped',
+    category: 'bug',
+    severity: 'medium',
+    help: 'Text overflowing a container with overflow: hidden is cut off.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/overflow`
+  },
+  {
+    id: 'bug/duplicate-id',
+    title: 'IDs must be unique',
+    category: 'bug',
+    severity: 'high',
+    help: 'Duplicate ids break label associations, ARIA references and scripts.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Global_attributes/id`
+  },
+  {
+    id: 'bug/console-error',
+    title: 'Page should not log JavaScript errors',
+    category: 'bug',
+    severity: 'high',
+    help: 'Fix the errors reported in the browser console.',
+    docsUrl: `${MDN_DOCS}/Web/API/console/error_static`
+  },
+  {
+    id: 'bug/http-error',
+    title: 'Requests should not fail',
+    category: 'bug',
+    severity: 'high',
+    help: 'Fix 4xx and 5xx responses for page resources.',
+    docsUrl: `${MDN_DOCS}/Web/HTTP/Status`
+  },
+  {
+    id: 'bug/inline-styles',
+    title: 'Avoid excessive inline styles',
+    category: 'bug',
+    severity: 'low',
+    help: 'Move inline styles into CSS classes.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Global_attributes/style`
+  },
+  {
+    id: 'bug/clickable-cursor',
+    title: 'Clickable elements should show a pointer cursor',
+    category: 'bug',
+    severity: 'low',
+    help: 'Add cursor: pointer to clickable non-button elements.',
+    docsUrl: `${MDN_DOCS}/Web/CSS/cursor`
+  },
+  {
+    id: 'bug/large-inline-script',
+    title: 'Avoid large inline scripts',
+    category: 'bug',
+    severity: 'medium',
+    help: 'Move inline scripts over 5KB into external, cacheable files.',
+    docsUrl: `${MDN_DOCS}/Web/HTML/Element/script`
+  }
+];
+
+module.exports = rules;
@@ -0,0 +1,67 @@
+/**
+ * Rule Registry
+ * Central catalogue of rule metadata, keyed by stable rule ID (e.g. a11y/img-alt)
+ */
+
+const builtinRules = require('./catalog');
+const { SEVERITIES } = require('./severity');
+
+const RULE_ID_PATTERN = /^[a-z0-9-]+\/[a-z0-9-]+$/;
+
+class RuleRegistry {
+  constructor(rules = builtinRules) {
+    this.rules = new Map();
+    rules.forEach(rule => this.register(rule));
+  }
+
+  /**
+   * Register a rule definition
+   * @param {Object} rule - { id, title, category, severity, wcag, help, docsUrl }
+   */
+  register(rule) {
+    if (!rule || !RULE_ID_PATTERN.test(rule.id || '')) {
+      throw new Error(`Invalid rule ID "${rule && rule.id}" (expected <namespace>/<name>, e.g. a11y/img-alt)`);
+    }
+
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id} has unknown severity "${rule.severity}"`);
+    }
+
+    this.rules.set(rule.id, {
+      wcag: [],
+      severity: 'medium',
+      ...rule
+    });
+  }
+
+  has(id) {
+    return this.rules.has(id);
+  }
+
+  get(id) {
+    return this.rules.get(id);
+  }
+
+  list() {
+    return Array.from(this.rules.values());
+  }
+
+  /**
+   * Attach catalogue metadata to an issue or recommendation carrying a ruleId
+   * Issues without a severity inherit the rule's default severity
+   */
+  enrich(finding, kind = 'issue') {
+    const rule = finding.ruleId && this.rules.get(finding.ruleId);
+    if (!rule) return finding;
+
+    return {
+      ...finding,
+      ...(kind === 'issue' && { severity: finding.severity || rule.severity }),
+      wcag: finding.wcag || (rule.wcag.length > 0 ? rule.wcag.join(', ') : undefined),
+      help: finding.help || rule.help,
+      docsUrl: finding.docsUrl || rule.docsUrl
+    };
+  }
+}
+
+module.exports = RuleRegistry;
@@ -0,0 +1,42 @@
+/**
+ * Severity
+ * One severity per issue, shared by summary counts, scoring and quality gates
+ */
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Older analyzers only set impact; it maps one level up
+const IMPACT_SEVERITY = { high: 'critical', medium: 'high', low: 'medium' };
+
+/**
+ * An issue's severity: its own severity, else the one implied by its impact
+ */
+function issueSeverity(issue) {
+  return SEVERITIES.includes(issue.severity) ? issue.severity : IMPACT_SEVERITY[issue.impact] || 'medium';
+}
+
+/**
+ * Issue counts per severity, each issue counted once
+ */
+function countBySeverity(issues) {
+  return issues.reduce((counts, issue) => {
+    counts[issueSeverity(issue)]++;
+    return counts;
+  }, { critical: 0, high: 0, medium: 0, low: 0 });
+}
+
+/**
+ * Category of an issue: its rule's catalogue category, else its type
+ * @param {RuleRegistry} rules
+ */
+function issueCategory(issue, rules) {
+  const rule = rules && issue.ruleId && rules.get(issue.ruleId);
+  return (rule && rule.category) || issue.type || 'other';
+}
+
+module.exports = {
+  SEVERITIES,
+  issueSeverity,
+  countBySeverity,
+  issueCategory
+};
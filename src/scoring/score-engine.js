@@ -0,0 +1,138 @@
+/**
+ * Score Engine
+ * Weighted per-category scores with diminishing penalties and page-size normalization,
+ * returned with an explanation of how every point was deducted
+ *
+ * For each category: score = 100 - sum(penalty[severity] * repeatDecay^n / sizeFactor)
+ *   where n counts earlier issues of the same rule in that category (worst first)
+ *   and sizeFactor = clamp(sqrt(domSize / referenceDomSize), 1, maxSizeFactor).
+ * Overall: the weighted average of the category scores.
+ */
+
+const { SEVERITIES, issueSeverity, issueCategory } = require('../rules/severity');
+const { analyzerCategory } = require('../model/finding');
+
+const DEFAULT_WEIGHTS = {
+  accessibility: 0.3,
+  performance: 0.25,
+  bug: 0.2,
+  mobile: 0.15,
+  visual: 0.1
+};
+
+const DEFAULT_PENALTIES = { critical: 20, high: 10, medium: 5, low: 2 };
+
+class ScoreEngine {
+  /**
+   * @param {Object} options - { weights, defaultWeight, penalties, repeatDecay, referenceDomSize, maxSizeFactor }
+   * @param {Object} context - { rules: RuleRegistry used to find each issue's category }
+   */
+  constructor(options = {}, context = {}) {
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    this.defaultWeight = options.defaultWeight !== undefined ? options.defaultWeight : 0.1;
+    this.penalties = { ...DEFAULT_PENALTIES, ...options.penalties };
+    this.repeatDecay = options.repeatDecay !== undefined ? options.repeatDecay : 0.5;
+    this.referenceDomSize = options.referenceDomSize || 1500;
+    this.maxSizeFactor = options.maxSizeFactor || 2;
+    this.rules = context.rules || null;
+
+    if (this.repeatDecay < 0 || this.repeatDecay > 1) {
+      throw new Error(`scoring.repeatDecay must be between 0 and 1 (got ${this.repeatDecay})`);
+    }
+  }
+
+  /**
+   * Score a page from its issues
+   * Baselined issues still count (the baseline hides them from lists, it does not fix them);
+   * suppressed issues do not
+   * @param {Object} results - { issues, baselineIssues, analyzers, metrics, error }
+   * @returns {Object} { overall, categories, pageSize, model }
+   */
+  score(results) {
+    const issues = [...results.issues, ...(results.baselineIssues || [])];
+    const pageSize = this.pageSize(results.metrics || {});
+    const model = {
+      weights: this.weights,
+      defaultWeight: this.defaultWeight,
+      penalties: this.penalties,
+      repeatDecay: this.repeatDecay,
+      referenceDomSize: this.referenceDomSize,
+      maxSizeFactor: this.maxSizeFactor
+    };
+
+    if (results.error) {
+      return { overall: 0, categories: [], pageSize, model, note: 'The analysis failed, so the page scores 0' };
+    }
+
+    // Every category an analyzer covered is scored, even without issues
+    const names = new Set((results.analyzers || []).map(analyzerCategory)
+      .filter(name => this.weights[name] !== undefined));
+    issues.forEach(issue => names.add(issueCategory(issue, this.rules)));
+
+    const categories = Array.from(names).map(name => this.scoreCategory(
+      name,
+      issues.filter(issue => issueCategory(issue, this.rules) === name),
+      pageSize.factor
+    ));
+
+    const weighted = categories.filter(category => category.weight > 0);
+    const totalWeight = weighted.reduce((sum, category) => sum + category.weight, 0);
+    const overall = totalWeight > 0 ?
+      Math.round(weighted.reduce((sum, category) => sum + category.score * category.weight, 0) / totalWeight) :
+      100;
+
+    return { overall, categories, pageSize, model };
+  }
+
+  scoreCategory(name, issues, sizeFactor) {
+    const seen = new Map();
+
+    // Worst first, so a rule's most severe occurrence takes the full penalty
+    const deductions = issues
+      .slice()
+      .sort((a, b) => SEVERITIES.indexOf(issueSeverity(a)) - SEVERITIES.indexOf(issueSeverity(b)))
+      .map(issue => {
+        const rule = issue.ruleId || issue.title;
+        const occurrence = seen.get(rule) || 0;
+        seen.set(rule, occurrence + 1);
+
+        const severity = issueSeverity(issue);
+        const points = this.penalties[severity] * Math.pow(this.repeatDecay, occurrence) / sizeFactor;
+
+        return { ruleId: issue.ruleId, title: issue.title, severity, occurrence: occurrence + 1, points: round(points) };
+      });
+
+    const penalty = round(deductions.reduce((sum, deduction) => sum + deduction.points, 0));
+
+    return {
+      name,
+      score: Math.max(0, Math.round(100 - penalty)),
+      weight: this.weights[name] !== undefined ? this.weights[name] : this.defaultWeight,
+      issues: issues.length,
+      penalty,
+      deductions
+    };
+  }
+
+  /**
+   * Pages larger than the reference DOM size get proportionally smaller penalties,
+   * up to maxSizeFactor; per-engine variants use the largest DOM
+   */
+  pageSize(metrics) {
+    const sizes = Object.entries(metrics)
+      .filter(([key, value]) => key.replace(/ \([^)]*\)$/, '') === 'domSize' && typeof value === 'number')
+      .map(([, value]) => value);
+    const domSize = sizes.length > 0 ? Math.max(...sizes) : null;
+    const factor = domSize ? Math.min(this.maxSizeFactor, Math.max(1, Math.sqrt(domSize / this.referenceDomSize))) : 1;
+
+    return { domSize, factor: round(factor) };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = ScoreEngine;
+module.exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+module.exports.DEFAULT_PENALTIES = DEFAULT_PENALTIES;
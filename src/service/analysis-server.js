@@ -0,0 +1,408 @@
+/**
+ * Analysis Server
+ * Local REST API around UXOrchestrator: queued analysis jobs sharing one warm
+ * browser, reports in every format, history and server-sent progress events
+ *
+ *   GET    /health                   server and queue status
+ *   POST   /jobs                     submit { url, mode, selector, devices, readiness }
+ *   GET    /jobs                     list jobs, newest first
+ *   GET    /jobs/:id                 job status and progress
+ *   DELETE /jobs/:id                 cancel a queued job
+ *   GET    /jobs/:id/result?format=  report of a finished job (json, html, markdown)
+ *   GET    /jobs/:id/events          progress of one job as server-sent events
+ *   GET    /events                   progress of every job as server-sent events
+ *   GET    /history?url=&type=&since=&until=&limit=
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const JobQueue = require('./job-queue');
+const { FINISHED } = JobQueue;
+const { isHttpUrl } = require('../crawler/url-rules');
+const { parseHistoryDate } = require('../history/history-store');
+const { normalizeReadiness, conditionType, DECLARATIVE_CONDITION_TYPES } = require('../readiness/page-readiness');
+
+const DEFAULT_PORT = 4700;
+const ANALYSIS_MODES = ['quick', 'deep', 'full', 'element'];
+const REPORT_CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8'
+};
+const MAX_BODY_SIZE = 1024 * 1024;
+const KEEP_ALIVE_INTERVAL = 15000;
+
+class AnalysisServer {
+  /**
+   * @param {UXOrchestrator} orchestrator - Initialized orchestrator; its browsers are shared by every job
+   * @param {Object} options - { port, host, concurrency, retain, token: bearer token every request must carry
+   *   (a random one is generated when none is given), cors (allowed origin) }
+   */
+  constructor(orchestrator, options = {}) {
+    this.orchestrator = orchestrator;
+    this.port = options.port !== undefined ? options.port : DEFAULT_PORT;
+    this.host = options.host || '127.0.0.1';
+    // Without a token any web page could reach a loopback server through DNS rebinding
+    this.generatedToken = !options.token;
+    this.token = options.token || crypto.randomBytes(24).toString('base64url');
+    this.cors = options.cors || null;
+    this.queue = new JobQueue((job, progress) => this.runJob(job, progress), {
+      concurrency: options.concurrency || 2,
+      retain: options.retain
+    });
+    this.streams = new Set();
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {string} Base URL of the API
+   */
+  async start() {
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch(error => {
+        if (!response.headersSent) {
+          this.sendJson(response, error.status || 500, { error: error.message });
+        } else {
+          response.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const { port } = this.server.address();
+    this.url = `http://${this.host.includes(':') ? `[${this.host}]` : this.host}:${port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop accepting requests, cancel queued jobs and wait for running ones
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    const closed = new Promise(resolve => server.close(() => resolve()));
+
+    this.queue.pending.slice().forEach(job => this.queue.cancel(job.id));
+    await this.queue.idle();
+
+    this.streams.forEach(response => response.end());
+    server.closeAllConnections();
+    await closed;
+  }
+
+  /**
+   * Analyze a job's page in fresh contexts of the shared browsers
+   */
+  async runJob(job, progress) {
+    const { url, mode, selector, devices, readiness } = job.input;
+    let contexts = {};
+    job.reports = {};
+
+    try {
+      contexts = await this.orchestrator.createEngineContexts();
+
+      progress('analyzing', { url, mode });
+      const result = await this.orchestrator.analyzePage(url, mode, { selector, devices, readiness, contexts });
+
+      if (result.error) {
+        job.result = result;
+        throw new Error(result.error);
+      }
+      return result;
+    } finally {
+      await Promise.all(Object.values(contexts).map(context => context.close().catch(() => {})));
+    }
+  }
+
+  async handle(request, response) {
+    const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+
+    if (this.cors) {
+      response.setHeader('Access-Control-Allow-Origin', this.cors);
+      response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      response.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    }
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    // EventSource cannot send headers, so the token may also come as ?token=
+    const authorization = request.headers.authorization || '';
+    if (authorization !== `Bearer ${this.token}` && searchParams.get('token') !== this.token) {
+      throw httpError(401, 'Missing or invalid bearer token');
+    }
+
+    const route = `${request.method} ${pathname.replace(/\/+$/, '') || '/'}`;
+    const jobRoute = /^(GET|DELETE) \/jobs\/([^/]+)(\/result|\/events)?$/.exec(route);
+
+    if (route === 'GET /health') {
+      return this.sendJson(response, 200, {
+        status: 'ok',
+        browsers: this.orchestrator.config.browsers,
+        concurrency: this.queue.concurrency,
+        jobs: this.queue.counts()
+      });
+    }
+    if (route === 'POST /jobs') {
+      const job = this.queue.submit(this.parseJob(await readJson(request)));
+      response.setHeader('Location', `/jobs/${job.id}`);
+      return this.sendJson(response, 202, this.describe(job));
+    }
+    if (route === 'GET /jobs') {
+      const status = searchParams.get('status');
+      return this.sendJson(response, 200, {
+        jobs: this.queue.list().filter(job => !status || job.status === status).map(job => this.describe(job))
+      });
+    }
+    if (route === 'GET /events') {
+      return this.streamEvents(request, response, null);
+    }
+    if (route === 'GET /history') {
+      return this.sendJson(response, 200, { runs: await this.queryHistory(searchParams) });
+    }
+    if (!jobRoute) {
+      throw httpError(404, `No route for ${request.method} ${pathname}`);
+    }
+
+    const [, method, id, action] = jobRoute;
+    const job = this.queue.get(id);
+    if (!job) {
+      throw httpError(404, `Unknown job ${id}`);
+    }
+
+    if (method === 'DELETE') {
+      if (!action && this.queue.cancel(id)) {
+        return this.sendJson(response, 200, this.describe(job));
+      }
+      throw httpError(409, `Job ${id} is ${job.status}; only queued jobs can be cancelled`);
+    }
+    if (action === '/events') {
+      return this.streamEvents(request, response, job);
+    }
+    if (action === '/result') {
+      return this.sendReport(response, job, searchParams.get('format') || 'json');
+    }
+    return this.sendJson(response, 200, { ...this.describe(job), progress: job.progress });
+  }
+
+  /**
+   * Validate a submitted job
+   */
+  parseJob(body) {
+    const mode = body.mode || 'quick';
+
+    if (!body.url || !isHttpUrl(body.url)) {
+      throw httpError(400, 'url must be an http(s) URL');
+    }
+    if (!ANALYSIS_MODES.includes(mode)) {
+      throw httpError(400, `mode must be one of ${ANALYSIS_MODES.join(', ')} (got "${mode}")`);
+    }
+    if (mode === 'element' && !body.selector) {
+      throw httpError(400, 'element analyses need a selector');
+    }
+    if (body.devices !== undefined && !Array.isArray(body.devices)) {
+      throw httpError(400, 'devices must be a list of device profile names');
+    }
+    if (body.readiness !== undefined) {
+      this.checkReadiness(body.readiness);
+    }
+
+    return {
+      url: body.url,
+      mode,
+      ...(body.selector && { selector: body.selector }),
+      ...(body.devices && { devices: body.devices }),
+      ...(body.readiness && { readiness: body.readiness })
+    };
+  }
+
+  /**
+   * Reject readiness settings that are malformed or would run code: custom conditions
+   * load modules from the server's disk and predicates evaluate arbitrary JavaScript
+   */
+  checkReadiness(readiness) {
+    if (readiness === null || typeof readiness !== 'object') {
+      throw httpError(400, 'readiness must be an object or a list of conditions');
+    }
+
+    let normalized;
+    try {
+      normalized = normalizeReadiness(readiness);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+
+    if (!(typeof normalized.timeout === 'number' && normalized.timeout > 0)) {
+      throw httpError(400, 'readiness.timeout must be a positive number of milliseconds');
+    }
+    normalized.conditions.forEach(condition => {
+      const type = conditionType(condition);
+      if (!DECLARATIVE_CONDITION_TYPES.includes(type)) {
+        throw httpError(400, `readiness conditions of type ${type} are not accepted over HTTP (allowed: ${DECLARATIVE_CONDITION_TYPES.join(', ')})`);
+      }
+    });
+  }
+
+  /**
+   * A job without its full result
+   */
+  describe(job) {
+    const result = job.result;
+    return {
+      id: job.id,
+      status: job.status,
+      input: job.input,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      ...(result && {
+        summary: {
+          overallScore: result.summary.overallScore,
+          totalIssues: result.summary.totalIssues,
+          criticalIssues: result.summary.criticalIssues,
+          gate: result.gate ? result.gate.status : null
+        },
+        links: {
+          json: `/jobs/${job.id}/result?format=json`,
+          html: `/jobs/${job.id}/result?format=html`,
+          markdown: `/jobs/${job.id}/result?format=markdown`
+        }
+      })
+    };
+  }
+
+  /**
+   * Send a finished job's report, generated once per format
+   */
+  async sendReport(response, job, format) {
+    if (!REPORT_CONTENT_TYPES[format]) {
+      throw httpError(400, `format must be one of ${Object.keys(REPORT_CONTENT_TYPES).join(', ')} (got "${format}")`);
+    }
+    if (!job.result) {
+      throw httpError(409, `Job ${job.id} is ${job.status} and has no result${FINISHED.includes(job.status) ? '' : ' yet'}`);
+    }
+
+    if (!job.reports[format]) {
+      job.reports[format] = await this.orchestrator.generateReport(job.result, format);
+    }
+
+    const body = await fs.readFile(job.reports[format]);
+    response.writeHead(200, { 'Content-Type': REPORT_CONTENT_TYPES[format], 'Content-Length': body.length });
+    response.end(body);
+  }
+
+  /**
+   * Server-sent events for one job (ending when it finishes) or for every job
+   * A job stream first replays the progress so far
+   */
+  streamEvents(request, response, job) {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    const send = (target, event) => {
+      response.write(`event: ${event.stage}\ndata: ${JSON.stringify({ ...event, job: this.describe(target) })}\n\n`);
+    };
+
+    if (job) {
+      job.progress.forEach(event => send(job, event));
+      if (FINISHED.includes(job.status)) {
+        response.end();
+        return;
+      }
+    }
+
+    const listener = (target, event) => {
+      if (job && target !== job) return;
+      send(target, event);
+      if (job && FINISHED.includes(job.status)) response.end();
+    };
+    const keepAlive = setInterval(() => response.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+    const cleanup = () => {
+      clearInterval(keepAlive);
+      this.queue.off('job', listener);
+      this.streams.delete(response);
+    };
+
+    this.queue.on('job', listener);
+    this.streams.add(response);
+    response.on('close', cleanup);
+    response.on('finish', cleanup);
+  }
+
+  async queryHistory(searchParams) {
+    try {
+      return await this.orchestrator.history.query({
+        url: searchParams.get('url') || undefined,
+        analysisType: searchParams.get('type') || undefined,
+        since: searchParams.get('since') ? parseHistoryDate(searchParams.get('since')) : undefined,
+        until: searchParams.get('until') ? parseHistoryDate(searchParams.get('until'), { endOfDay: true }) : undefined,
+        limit: searchParams.get('limit') ? parseInt(searchParams.get('limit'), 10) : undefined
+      });
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+  }
+
+  sendJson(response, status, body) {
+    const json = JSON.stringify(body, null, 2);
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+    response.end(json);
+  }
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function readJson(request) {
+  // Browsers send text/plain cross-origin without a preflight; JSON bodies need one
+  const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') {
+    throw httpError(415, 'Request body must be sent as Content-Type: application/json');
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw httpError(413, `Request body is larger than ${MAX_BODY_SIZE} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('expected an object');
+    }
+    return body;
+  } catch (error) {
+    throw httpError(400, `Request body must be a JSON object: ${error.message}`);
+  }
+}
+
+module.exports = AnalysisServer;
+module.exports.DEFAULT_PORT = DEFAULT_PORT;
+module.exports.ANALYSIS_MODES = ANALYSIS_MODES;
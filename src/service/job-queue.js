@@ -0,0 +1,141 @@
+/**
+ * Job Queue
+ * Runs submitted jobs in order with a concurrency limit and keeps the latest
+ * finished jobs for lookup; every change is emitted as a 'job' event
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Function} run - async (job, progress) => result; progress(stage, details) reports a step
+   * @param {Object} options - { concurrency, retain: finished jobs kept for lookup }
+   */
+  constructor(run, options = {}) {
+    super();
+    this.run = run;
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.retain = options.retain || 100;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} input - What to run, passed to the run function as job.input
+   * @returns {Object} The job
+   */
+  submit(input) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      input,
+      createdAt: new Date().toISOString(),
+      progress: []
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.notify(job, 'queued', { position: this.pending.length });
+    this.prune();
+    this.pump();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * All known jobs, newest first
+   */
+  list() {
+    return Array.from(this.jobs.values()).reverse();
+  }
+
+  /**
+   * Cancel a job that has not started yet
+   * @returns {boolean} Whether the job was cancelled
+   */
+  cancel(id) {
+    const index = this.pending.findIndex(job => job.id === id);
+    if (index === -1) return false;
+
+    const [job] = this.pending.splice(index, 1);
+    this.finish(job, 'cancelled');
+    return true;
+  }
+
+  /**
+   * Jobs per status
+   */
+  counts() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    this.jobs.forEach(job => counts[job.status]++);
+    return counts;
+  }
+
+  /**
+   * Resolves once no job is queued or running
+   */
+  async idle() {
+    while (this.running > 0 || this.pending.length > 0) {
+      await new Promise(resolve => this.once('job', resolve));
+    }
+  }
+
+  pump() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.start(this.pending.shift());
+    }
+  }
+
+  async start(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.notify(job, 'started');
+    this.pending.forEach((waiting, index) => this.notify(waiting, 'queued', { position: index + 1 }));
+
+    let status = 'completed';
+    try {
+      job.result = await this.run(job, (stage, details) => this.notify(job, stage, details));
+    } catch (error) {
+      job.error = error.message;
+      status = 'failed';
+    }
+
+    this.running--;
+    this.finish(job, status);
+    this.pump();
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    this.notify(job, status, job.error ? { error: job.error } : {});
+  }
+
+  notify(job, stage, details = {}) {
+    const event = { stage, timestamp: new Date().toISOString(), ...details };
+    job.progress.push(event);
+    this.emit('job', job, event);
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond the retention limit
+   */
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(job => FINISHED.includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - this.retain)).forEach(job => this.jobs.delete(job.id));
+  }
+}
+
+module.exports = JobQueue;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.FINISHED = FINISHED;
@@ -0,0 +1,225 @@
+/**
+ * Static Server
+ * Serves a local build directory over HTTP so its pages can be analyzed like a deployed site
+ */
+
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+// A fixed port keeps page URLs, and so baselines and history, stable between runs
+const DEFAULT_PORT = 4800;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.wasm': 'application/wasm',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+// Not enumerated as pages
+const SKIPPED_DIRECTORIES = ['node_modules'];
+
+class StaticServer {
+  /**
+   * @param {Object} options - { root, port, spa: serve root index.html for unknown extensionless paths }
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || '.');
+    this.port = options.port !== undefined ? options.port : DEFAULT_PORT;
+    this.spa = Boolean(options.spa);
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  /**
+   * Start listening on localhost; falls back to a free port when the port is taken
+   * @returns {string} Base URL of the server
+   */
+  async start() {
+    const stats = await fs.stat(this.root).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Static root ${this.root} is not a directory`);
+    }
+
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch(error => {
+        response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end(error.message);
+      });
+    });
+
+    try {
+      await this.listen(this.port);
+    } catch (error) {
+      if (error.code !== 'EADDRINUSE' || this.port === 0) throw error;
+      console.warn(`⚠️  Port ${this.port} is in use; serving on a random port, so page URLs will not match earlier runs`);
+      await this.listen(0);
+    }
+
+    this.baseUrl = `http://localhost:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  listen(port) {
+    return new Promise((resolve, reject) => {
+      const onError = error => {
+        this.server.off('listening', onListening);
+        reject(error);
+      };
+      const onListening = () => {
+        this.server.off('error', onError);
+        resolve();
+      };
+      this.server.once('error', onError);
+      this.server.once('listening', onListening);
+      this.server.listen(port, '127.0.0.1');
+    });
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Served URL of a file inside the root; index.html files are served as their directory
+   */
+  urlFor(file) {
+    const relative = path.relative(this.root, path.resolve(file));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`${file} is outside the static root ${this.root}`);
+    }
+
+    const segments = relative.split(path.sep).filter(Boolean);
+    if (segments[segments.length - 1] === 'index.html') {
+      segments.pop();
+      return `${this.baseUrl}/${segments.map(encodeURIComponent).join('/')}${segments.length > 0 ? '/' : ''}`;
+    }
+    return `${this.baseUrl}/${segments.map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Every HTML file under the root, sorted, skipping hidden directories and node_modules
+   */
+  async listPages() {
+    return (await listHtmlFiles(this.root)).sort();
+  }
+
+  async handle(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { Allow: 'GET, HEAD' });
+      response.end();
+      return;
+    }
+
+    const file = await this.resolve(new URL(request.url, 'http://localhost').pathname);
+    if (!file) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found');
+      return;
+    }
+
+    const body = await fs.readFile(file);
+    response.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': body.length,
+      'Cache-Control': 'no-cache'
+    });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * File for a request path: the file itself, its index.html, the same path with .html,
+   * or in SPA mode the root index.html for extensionless paths
+   */
+  async resolve(pathname) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (error) {
+      return null;
+    }
+
+    const target = path.join(this.root, decoded);
+    if (target !== this.root && !target.startsWith(this.root + path.sep)) {
+      return null;
+    }
+
+    const candidates = [target, path.join(target, 'index.html'), `${target}.html`];
+    for (const candidate of candidates) {
+      const stats = await fs.stat(candidate).catch(() => null);
+      if (stats && stats.isFile()) return candidate;
+    }
+
+    if (this.spa && !path.extname(decoded)) {
+      const fallback = path.join(this.root, 'index.html');
+      const stats = await fs.stat(fallback).catch(() => null);
+      if (stats && stats.isFile()) return fallback;
+    }
+
+    return null;
+  }
+}
+
+async function listHtmlFiles(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+        files.push(...await listHtmlFiles(fullPath));
+      }
+    } else if (/\.html?$/i.test(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Local path named by a CLI target, or null when the target is a web URL
+ * Accepts file:// URLs and plain (relative or absolute) paths
+ */
+function localPath(target) {
+  if (/^file:\/\//i.test(target)) {
+    return fileURLToPath(target);
+  }
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(target)) {
+    return null;
+  }
+  return path.resolve(target);
+}
+
+module.exports = StaticServer;
+module.exports.DEFAULT_PORT = DEFAULT_PORT;
+module.exports.localPath = localPath;
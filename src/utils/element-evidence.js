@@ -0,0 +1,108 @@
+/**
+ * Element Evidence
+ * Browser-side helpers that describe offending DOM nodes so issues point at real markup
+ */
+
+const DEFAULT_OPTIONS = {
+  maxElements: 20,
+  snippetLength: 200
+};
+
+/**
+ * Installed in the page as window.__claudeUxEvidence
+ * Runs in the browser: must not reference anything outside its own body
+ */
+function installEvidenceHelpers(options) {
+  if (window.__claudeUxEvidence) return;
+
+  const cssSelector = (element) => {
+    if (element.id && document.querySelectorAll(`#${CSS.escape(element.id)}`).length === 1) {
+      return `#${CSS.escape(element.id)}`;
+    }
+
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+      if (current.id && document.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (sameTag.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+        }
+      }
+
+      parts.unshift(part);
+      current = parent;
+    }
+
+    if (current === document.documentElement) {
+      parts.unshift('html');
+    }
+
+    return parts.join(' > ');
+  };
+
+  const xpath = (element) => {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      let index = 1;
+      let sibling = current.previousElementSibling;
+      while (sibling) {
+        if (sibling.tagName === current.tagName) index++;
+        sibling = sibling.previousElementSibling;
+      }
+      parts.unshift(`${current.tagName.toLowerCase()}[${index}]`);
+      current = current.parentElement;
+    }
+
+    return `/${parts.join('/')}`;
+  };
+
+  const snippet = (element) => {
+    const html = element.outerHTML.replace(/\s+/g, ' ').trim();
+    return html.length > options.snippetLength ? `${html.slice(0, options.snippetLength)}…` : html;
+  };
+
+  const describe = (element, values = {}) => {
+    const rect = element.getBoundingClientRect();
+    return {
+      selector: cssSelector(element),
+      xpath: xpath(element),
+      snippet: snippet(element),
+      boundingBox: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      },
+      values
+    };
+  };
+
+  window.__claudeUxEvidence = {
+    selector: cssSelector,
+    describe,
+    collect: (elements, valuesFn) => Array.from(elements)
+      .slice(0, options.maxElements)
+      .map(element => describe(element, valuesFn ? valuesFn(element) : {}))
+  };
+}
+
+/**
+ * Make window.__claudeUxEvidence available on the current document
+ * Safe to call repeatedly; navigation clears it, so analyzers call this before evaluating
+ */
+async function injectEvidenceHelpers(page, options = {}) {
+  await page.evaluate(installEvidenceHelpers, { ...DEFAULT_OPTIONS, ...options });
+}
+
+module.exports = { injectEvidenceHelpers };
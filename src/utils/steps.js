@@ -0,0 +1,128 @@
+/**
+ * Step Runner
+ * Executes declarative browser steps against a Playwright page
+ * Shared by scripted logins and user journeys
+ */
+
+const STEP_ACTIONS = ['goto', 'navigate', 'click', 'fill', 'select', 'press', 'waitFor', 'assert'];
+
+/**
+ * Run a single step
+ * @param {Page} page - Playwright page object
+ * @param {Object} step - { action, selector, value, url, ... }
+ * @param {Object} options - { baseUrl, timeout }
+ */
+async function runStep(page, step, options = {}) {
+  const timeout = step.timeout || options.timeout || 30000;
+
+  switch (step.action) {
+    case 'goto':
+    case 'navigate':
+      await page.goto(resolveUrl(step.url, options.baseUrl), {
+        waitUntil: step.waitUntil || 'load',
+        timeout
+      });
+      break;
+    case 'fill':
+      await page.fill(step.selector, String(step.value ?? ''), { timeout });
+      break;
+    case 'click':
+      await page.click(step.selector, { timeout });
+      break;
+    case 'select':
+      await page.selectOption(step.selector, step.value, { timeout });
+      break;
+    case 'press':
+      if (step.selector) {
+        await page.press(step.selector, step.key, { timeout });
+      } else {
+        await page.keyboard.press(step.key);
+      }
+      break;
+    case 'waitFor':
+      if (step.selector) {
+        await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+      } else if (step.url) {
+        await page.waitForURL(step.url, { timeout });
+      } else if (step.loadState) {
+        await page.waitForLoadState(step.loadState, { timeout });
+      } else {
+        await page.waitForTimeout(step.ms || 1000);
+      }
+      break;
+    case 'assert':
+      await runAssertion(page, step, timeout);
+      break;
+    default:
+      throw new Error(`Unknown step action "${step.action}"`);
+  }
+}
+
+/**
+ * Run steps in order, naming the failing step in the error
+ */
+async function runSteps(page, steps, options = {}) {
+  for (let i = 0; i < steps.length; i++) {
+    try {
+      await runStep(page, steps[i], options);
+    } catch (error) {
+      throw new Error(`Step ${i + 1} (${steps[i].action}) failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Check a condition on the page, throwing when it does not hold
+ * Supports { selector, state, text, count }, { url } and { title }
+ */
+async function runAssertion(page, step, timeout) {
+  if (step.selector) {
+    const locator = page.locator(step.selector);
+
+    if (step.count !== undefined) {
+      const count = await locator.count();
+      if (count !== step.count) {
+        throw new Error(`Expected ${step.count} element(s) matching ${step.selector}, found ${count}`);
+      }
+      return;
+    }
+
+    try {
+      await locator.first().waitFor({ state: step.state || 'visible', timeout });
+    } catch (error) {
+      throw new Error(`Expected ${step.selector} to be ${step.state || 'visible'}`);
+    }
+
+    if (step.text !== undefined) {
+      const text = await locator.first().innerText();
+      if (!text.includes(step.text)) {
+        throw new Error(`Expected ${step.selector} to contain "${step.text}", got "${text.slice(0, 100)}"`);
+      }
+    }
+    return;
+  }
+
+  if (step.url) {
+    if (!page.url().includes(step.url)) {
+      throw new Error(`Expected URL to contain "${step.url}", got ${page.url()}`);
+    }
+    return;
+  }
+
+  if (step.title) {
+    const title = await page.title();
+    if (!title.includes(step.title)) {
+      throw new Error(`Expected title to contain "${step.title}", got "${title}"`);
+    }
+    return;
+  }
+
+  throw new Error('assert step needs a selector, url or title');
+}
+
+function resolveUrl(url, baseUrl) {
+  if (!url) throw new Error('goto step requires a url');
+  return baseUrl ? new URL(url, baseUrl).toString() : url;
+}
+
+module.exports = { STEP_ACTIONS, runStep, runSteps, resolveUrl };
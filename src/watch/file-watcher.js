@@ -0,0 +1,144 @@
+/**
+ * File Watcher
+ * Watches source files matching glob patterns and emits debounced batches of changes
+ */
+
+const EventEmitter = require('events');
+const fsSync = require('fs');
+const path = require('path');
+const { globToRegExp } = require('../crawler/url-rules');
+
+const DEFAULT_DEBOUNCE = 300;
+
+// Changes here never come from editing the watched sources
+const DEFAULT_IGNORE = ['**/node_modules/**', '**/.git/**'];
+
+class FileWatcher extends EventEmitter {
+  /**
+   * @param {Object} options - { patterns: globs relative to cwd, ignore: globs, debounce: ms, cwd }
+   */
+  constructor(options = {}) {
+    super();
+    this.cwd = path.resolve(options.cwd || '.');
+    this.patterns = (options.patterns || []).map(pattern => normalizePattern(pattern, this.cwd));
+    this.ignore = [...DEFAULT_IGNORE, ...(options.ignore || []).map(pattern => normalizePattern(pattern, this.cwd))];
+    this.debounce = options.debounce !== undefined ? options.debounce : DEFAULT_DEBOUNCE;
+    this.matchers = this.patterns.flatMap(globVariants).map(globToRegExp);
+    this.ignored = this.ignore.flatMap(globVariants).map(globToRegExp);
+    this.watchers = [];
+    this.changed = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Start watching the base directory of every pattern
+   * @returns {string[]} Watched directories
+   */
+  start() {
+    if (this.patterns.length === 0) {
+      throw new Error('No file patterns to watch');
+    }
+
+    const directories = watchedDirectories(this.patterns.map(globBase), this.cwd);
+    directories.forEach(directory => {
+      if (!fsSync.existsSync(directory)) {
+        throw new Error(`Cannot watch ${path.relative(this.cwd, directory) || '.'}: no such directory`);
+      }
+    });
+
+    this.watchers = directories.map(directory => {
+      const watcher = fsSync.watch(directory, { recursive: true }, (event, filename) => {
+        if (filename) this.record(path.join(directory, filename.toString()));
+      });
+      watcher.on('error', error => this.emit('error', error));
+      return watcher;
+    });
+
+    return directories;
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.changed.clear();
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+
+  /**
+   * Whether a path relative to cwd is watched
+   */
+  matches(file) {
+    const relative = file.split(path.sep).join('/');
+    return this.matchers.some(pattern => pattern.test(relative)) &&
+      !this.ignored.some(pattern => pattern.test(relative));
+  }
+
+  record(fullPath) {
+    const relative = path.relative(this.cwd, fullPath);
+    if (!this.matches(relative)) return;
+
+    this.changed.add(relative.split(path.sep).join('/'));
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const files = Array.from(this.changed).sort();
+      this.changed.clear();
+      this.timer = null;
+      this.emit('change', files);
+    }, this.debounce);
+  }
+}
+
+/**
+ * Glob relative to cwd with forward slashes
+ */
+function normalizePattern(pattern, cwd) {
+  const relative = path.isAbsolute(pattern) ? path.relative(cwd, pattern) : pattern;
+  return relative.split(path.sep).join('/').replace(/^(\.\/)+/, '');
+}
+
+/**
+ * A glob and its forms with "**\/" standing for no directory, which globToRegExp
+ * does not allow on its own: src/**\/*.js also watches src/app.js
+ */
+function globVariants(pattern) {
+  const variants = new Set([pattern]);
+  variants.forEach(variant => {
+    for (const match of variant.matchAll(/(?:^|\/)\*\*\//g)) {
+      const separator = match[0].startsWith('/') ? '/' : '';
+      variants.add(variant.slice(0, match.index) + separator + variant.slice(match.index + match[0].length));
+    }
+  });
+  return Array.from(variants);
+}
+
+/**
+ * Directory part of a glob before its first wildcard, e.g. src for src/**\/*.js
+ */
+function globBase(pattern) {
+  const segments = pattern.split('/');
+  const base = [];
+
+  for (const segment of segments) {
+    if (/[*?]/.test(segment)) break;
+    base.push(segment);
+  }
+
+  // A plain file path is watched through its directory
+  if (base.length === segments.length) base.pop();
+  return base.join('/') || '.';
+}
+
+/**
+ * Absolute base directories, without those inside another watched directory
+ */
+function watchedDirectories(bases, cwd) {
+  const directories = Array.from(new Set(bases.map(base => path.resolve(cwd, base)))).sort();
+  return directories.filter(directory => !directories.some(other =>
+    other !== directory && directory.startsWith(other.endsWith(path.sep) ? other : other + path.sep)
+  ));
+}
+
+module.exports = FileWatcher;
+module.exports.DEFAULT_DEBOUNCE = DEFAULT_DEBOUNCE;
+module.exports.globBase = globBase;
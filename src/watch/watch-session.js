@@ -0,0 +1,150 @@
+/**
+ * Watch Session
+ * Re-analyzes a page in the warm browser whenever watched source files change,
+ * and reports the issues that appeared or disappeared since the previous run
+ */
+
+const EventEmitter = require('events');
+const FileWatcher = require('./file-watcher');
+const { diffReports } = require('../diff/report-diff');
+
+const DEFAULT_SETTLE = 500;
+const SERVER_POLL_INTERVAL = 250;
+
+class WatchSession extends EventEmitter {
+  /**
+   * Emits 'watching' (directories), 'waiting' (files), 'server-unavailable' (url),
+   * 'analyzing' (files), 'run' ({ run, files, results, diff }) and 'failed' (error)
+   * @param {UXOrchestrator} orchestrator - Initialized orchestrator
+   * @param {Object} options - { url, analysisType, selector, files, ignore, debounce, settle, serverTimeout, cwd }
+   */
+  constructor(orchestrator, options = {}) {
+    super();
+    this.orchestrator = orchestrator;
+    this.url = options.url;
+    this.analysisType = options.analysisType || 'quick';
+    this.selector = options.selector;
+    this.settle = options.settle !== undefined ? options.settle : DEFAULT_SETTLE;
+    this.serverTimeout = options.serverTimeout || orchestrator.config.timeout;
+    this.watcher = new FileWatcher({
+      patterns: options.files,
+      ignore: options.ignore,
+      debounce: options.debounce,
+      cwd: options.cwd
+    });
+    this.previous = null;
+    this.runs = 0;
+    this.queued = null;
+    this.running = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Start watching and run the first analysis
+   */
+  async start() {
+    this.watcher.on('change', files => this.schedule(files));
+    this.watcher.on('error', error => this.emit('failed', error));
+    this.emit('watching', this.watcher.start());
+
+    this.running = this.run([]);
+    await this.running;
+    this.running = null;
+    this.drain();
+  }
+
+  /**
+   * Stop watching and wait for a running analysis
+   */
+  async stop() {
+    this.stopped = true;
+    this.queued = null;
+    this.watcher.stop();
+    if (this.running) await this.running;
+  }
+
+  /**
+   * Queue a rerun; changes arriving while an analysis runs are folded into one rerun after it
+   */
+  schedule(files) {
+    if (this.stopped) return;
+
+    this.queued = Array.from(new Set([...(this.queued || []), ...files])).sort();
+    this.drain();
+  }
+
+  async drain() {
+    if (this.running) return;
+
+    while (this.queued && !this.stopped) {
+      const files = this.queued;
+      this.queued = null;
+      this.running = this.run(files);
+      await this.running;
+    }
+    this.running = null;
+  }
+
+  async run(files) {
+    let contexts = {};
+
+    try {
+      // Give the dev server time to notice the change before asking it for the page
+      if (files.length > 0) {
+        this.emit('waiting', files);
+        if (!await this.waitForServer()) {
+          this.emit('server-unavailable', this.url);
+          return;
+        }
+      }
+      if (this.stopped) return;
+
+      this.emit('analyzing', files);
+      contexts = await this.orchestrator.createEngineContexts();
+      const results = await this.orchestrator.analyzePage(this.url, this.analysisType, {
+        selector: this.selector,
+        contexts
+      });
+
+      // A failed run has no issues to compare; the next good run is compared to the last good one
+      const diff = this.previous && !results.error ? diffReports(this.previous, results) : null;
+      this.emit('run', { run: ++this.runs, files, results, diff });
+      if (!results.error) {
+        this.previous = results;
+      }
+    } catch (error) {
+      this.emit('failed', error);
+    } finally {
+      await Promise.all(Object.values(contexts).map(context => context.close().catch(() => {})));
+    }
+  }
+
+  /**
+   * Wait for the settle period, then until the page answers without a server error
+   * @returns {boolean} Whether the server answered in time
+   */
+  async waitForServer() {
+    await delay(this.settle);
+    const deadline = Date.now() + this.serverTimeout;
+
+    while (!this.stopped) {
+      try {
+        const response = await fetch(this.url, { redirect: 'manual', signal: AbortSignal.timeout(this.serverTimeout) });
+        if (response.status < 500) return true;
+      } catch (error) {
+        // Not listening yet while the dev server restarts
+      }
+
+      if (Date.now() >= deadline) return false;
+      await delay(SERVER_POLL_INTERVAL);
+    }
+    return false;
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = WatchSession;
+module.exports.DEFAULT_SETTLE = DEFAULT_SETTLE;
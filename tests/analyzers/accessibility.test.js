@@ -0,0 +1,65 @@
+const AccessibilityAnalyzer = require('../../src/analyzers/accessibility');
+const { thresholdOptions } = require('../../src/config/analyzer-settings');
+
+const TEXT_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, span, div, button, a, label, li, td';
+
+const element = (id, style, parentElement = null) => ({
+  id,
+  style: { backgroundColor: 'rgba(0, 0, 0, 0)', backgroundImage: 'none', fontSize: '16px', fontWeight: '400', ...style },
+  parentElement,
+  childNodes: [{ nodeType: 3, textContent: 'Some text' }],
+  getBoundingClientRect: () => ({ width: 100, height: 20 })
+});
+
+/**
+ * Runs the audit's in-page checks against a few fake text elements
+ */
+async function auditElements(analyzer, elements) {
+  global.Node = { TEXT_NODE: 3 };
+  global.document = { querySelectorAll: selector => (selector === TEXT_SELECTOR ? elements : []) };
+  global.window = {
+    getComputedStyle: node => node.style,
+    __claudeUxEvidence: { collect: (nodes, describe) => Array.from(nodes).map(node => ({ id: node.id, ...describe(node) })) }
+  };
+  analyzer.quickCheck = async () => ({ issues: [], recommendations: [], metrics: {} });
+  const page = { evaluate: async (check, arg) => (arg && arg.minContrastRatio ? check(arg) : undefined) };
+
+  try {
+    return await analyzer.fullAudit(page);
+  } finally {
+    delete global.Node;
+    delete global.document;
+    delete global.window;
+  }
+}
+
+describe('AccessibilityAnalyzer contrast check', () => {
+  const body = element('body', { backgroundColor: 'rgb(255, 255, 255)' });
+  const elements = () => [
+    element('black', { color: 'rgb(0, 0, 0)' }, body),
+    // #767676 on white is 4.54:1, #777 is 4.48:1
+    element('grey-ok', { color: 'rgb(118, 118, 118)' }, body),
+    element('grey-low', { color: 'rgb(119, 119, 119)' }, body),
+    element('grey-large', { color: 'rgb(119, 119, 119)', fontSize: '24px' }, body),
+    element('on-image', { color: 'rgb(250, 250, 250)', backgroundImage: 'url(hero.jpg)' }, body)
+  ];
+
+  test('flags text below 4.5:1, or 3:1 when large, against the background behind it', async () => {
+    const results = await auditElements(new AccessibilityAnalyzer(), elements());
+    const contrast = results.issues.find(issue => issue.ruleId === 'a11y/color-contrast');
+
+    expect(contrast.elements).toEqual([
+      { id: 'grey-low', ratio: 4.48, required: 4.5, color: 'rgb(119, 119, 119)', backgroundColor: 'rgb(255, 255, 255)' }
+    ]);
+    expect(results.metrics.contrastCheckedElements).toBe(5);
+  });
+
+  test('uses thresholds.accessibility.contrastRatio as the required ratio', async () => {
+    const analyzer = new AccessibilityAnalyzer(thresholdOptions({ accessibility: { contrastRatio: 7 } }).accessibility);
+    const results = await auditElements(analyzer, elements());
+    const contrast = results.issues.find(issue => issue.ruleId === 'a11y/color-contrast');
+
+    expect(contrast.elements.map(entry => [entry.id, entry.required])).toEqual([['grey-ok', 7], ['grey-low', 7], ['grey-large', 4.67]]);
+    expect(contrast.fix).toBe('Give text a contrast ratio of at least 7:1 (4.67:1 for large text)');
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AuthManager = require('../../src/auth/auth-manager');
+const { readLoginFile } = require('../../src/auth/auth-manager');
+
+describe('AuthManager', () => {
+  test('substitutes ${env:NAME} references and fails on unset variables', () => {
+    const auth = new AuthManager({ headers: { Authorization: 'Bearer ${env:API_TOKEN}' } }, { env: { API_TOKEN: 'abc123' } });
+
+    expect(auth.config.headers.Authorization).toBe('Bearer abc123');
+    expect(() => new AuthManager({ headers: { 'X-Key': '${env:MISSING}' } }, { env: {} }))
+      .toThrow('environment variable MISSING, which is not set');
+  });
+
+  test('redacts env values, headers, cookies and password fields but not other fill values', () => {
+    const auth = new AuthManager({
+      headers: { 'X-Api-Key': 'header-key' },
+      cookies: [{ name: 'session', value: 'cookie-value', domain: 'example.com' }],
+      login: {
+        steps: [
+          { action: 'fill', selector: '#email', value: '${env:LOGIN_EMAIL}' },
+          { action: 'fill', selector: '#username', value: 'jane' },
+          { action: 'fill', selector: 'input[name=password]', value: 'hunter2' },
+          { action: 'fill', selector: '#pin', value: '9876', secret: true },
+          { action: 'fill', selector: '#search', value: 'shoes' }
+        ]
+      }
+    }, { env: { LOGIN_EMAIL: 'jane@example.com' } });
+
+    const redacted = auth.redact({
+      message: 'jane@example.com typed hunter2 and 9876 after searching shoes as jane',
+      list: ['header-key', 'cookie-value']
+    });
+
+    expect(redacted).toEqual({
+      message: '[REDACTED] typed [REDACTED] and [REDACTED] after searching shoes as jane',
+      list: ['[REDACTED]', '[REDACTED]']
+    });
+  });
+
+  test('builds context options, preferring the logged-in storage state', () => {
+    const auth = new AuthManager({
+      storageState: 'state.json',
+      headers: { 'X-Team': 'ux' },
+      httpCredentials: { username: 'ci', password: 'pw' }
+    });
+
+    expect(auth.enabled).toBe(true);
+    expect(auth.contextOptions()).toEqual({
+      storageState: 'state.json',
+      httpCredentials: { username: 'ci', password: 'pw' },
+      extraHTTPHeaders: { 'X-Team': 'ux' }
+    });
+
+    auth.loggedInState = { cookies: [], origins: [] };
+    expect(auth.contextOptions().storageState).toEqual({ cookies: [], origins: [] });
+    expect(new AuthManager().enabled).toBe(false);
+  });
+
+  test('scopes cookies without url or domain to the base URL', () => {
+    const auth = new AuthManager({}, { baseUrl: 'https://example.com' });
+
+    expect(auth.normalizeCookie({ name: 'a', value: '1' })).toEqual({ name: 'a', value: '1', url: 'https://example.com' });
+    expect(auth.normalizeCookie({ name: 'b', value: '2', domain: '.example.com' })).toEqual({ name: 'b', value: '2', domain: '.example.com', path: '/' });
+    expect(() => new AuthManager().normalizeCookie({ name: 'c', value: '3' })).toThrow('Cookie "c" needs a url or domain');
+  });
+
+  test('runs the login steps once and keeps their storage state', async () => {
+    const page = { goto: jest.fn(async () => {}), fill: jest.fn(async () => {}), click: jest.fn(async () => {}), close: jest.fn(async () => {}) };
+    const context = {
+      addCookies: jest.fn(async () => {}),
+      newPage: jest.fn(async () => page),
+      storageState: jest.fn(async () => ({ cookies: [{ name: 'session' }], origins: [] }))
+    };
+    const auth = new AuthManager({
+      login: { steps: [{ action: 'goto', url: '/login' }, { action: 'fill', selector: '#password', value: 'pw' }, { action: 'click', selector: 'button' }] }
+    }, { baseUrl: 'https://example.com' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await auth.prepare(context);
+    await auth.prepare(context);
+
+    expect(context.newPage).toHaveBeenCalledTimes(1);
+    expect(page.goto).toHaveBeenCalledWith('https://example.com/login', expect.any(Object));
+    expect(auth.contextOptions().storageState).toEqual({ cookies: [{ name: 'session' }], origins: [] });
+    expect(page.close).toHaveBeenCalled();
+    console.log.mockRestore();
+  });
+
+  test('redacts credentials from login errors', async () => {
+    const page = { fill: jest.fn(async () => { throw new Error('could not type s3cret'); }), close: async () => {} };
+    const context = { newPage: async () => page };
+    const auth = new AuthManager({ login: { steps: [{ action: 'fill', selector: '#password', value: 's3cret' }] } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await expect(auth.prepare(context)).rejects.toThrow('Login failed: Step 1 (fill) failed: could not type [REDACTED]');
+    console.log.mockRestore();
+  });
+});
+
+describe('readLoginFile', () => {
+  test('treats JS files as scripts and JSON files as steps', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-login-'));
+    try {
+      await fs.writeFile(path.join(dir, 'steps.json'), JSON.stringify([{ action: 'click', selector: 'button' }]));
+      await fs.writeFile(path.join(dir, 'login.json'), JSON.stringify({ steps: [], saveStorageState: 'state.json' }));
+
+      expect(await readLoginFile('login.js')).toEqual({ script: 'login.js' });
+      expect(await readLoginFile(path.join(dir, 'steps.json'))).toEqual({ steps: [{ action: 'click', selector: 'button' }] });
+      expect(await readLoginFile(path.join(dir, 'login.json'))).toEqual({ steps: [], saveStorageState: 'state.json' });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BaselineManager = require('../../src/baseline/baseline-manager');
+
+const URL = 'https://example.com/';
+const altIssue = { ruleId: 'a11y/img-alt', title: 'Images without alt', severity: 'high', elements: [{ selector: 'img.hero' }] };
+const contrastIssue = { ruleId: 'a11y/color-contrast', title: 'Low contrast', severity: 'medium', elements: [{ selector: '.footer a' }] };
+const consoleIssue = { ruleId: 'bugs/console-error', title: 'Console errors', severity: 'high' };
+
+describe('BaselineManager', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-baseline-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const saveBaseline = async (issues) => {
+    const file = path.join(dir, 'baseline.json');
+    await BaselineManager.save(file, BaselineManager.create([{ url: URL, issues }]));
+    return file;
+  };
+
+  test('splits issues into new, known and fixed against a saved baseline', async () => {
+    const manager = new BaselineManager({ file: await saveBaseline([altIssue, contrastIssue]) });
+    await manager.load();
+
+    const results = manager.apply({ url: URL, issues: [altIssue, consoleIssue] }, { url: URL });
+
+    expect(results.issues.map(issue => [issue.ruleId, issue.baselineStatus])).toEqual([['bugs/console-error', 'new']]);
+    expect(results.baselineIssues.map(issue => issue.ruleId)).toEqual(['a11y/img-alt']);
+    expect(results.fixedIssues.map(issue => issue.ruleId)).toEqual(['a11y/color-contrast']);
+  });
+
+  test('reports nothing as fixed when the analysis failed', async () => {
+    const manager = new BaselineManager({ file: await saveBaseline([altIssue]) });
+    await manager.load();
+
+    expect(manager.apply({ url: URL, issues: [], error: 'net::ERR_CONNECTION_REFUSED' }, { url: URL }).fixedIssues).toEqual([]);
+  });
+
+  test('only requires the baseline file when it was asked for', async () => {
+    const optional = new BaselineManager({ file: path.join(dir, 'missing.json') });
+    await optional.load();
+    expect(optional.enabled).toBe(false);
+
+    await expect(new BaselineManager({ file: path.join(dir, 'missing.json'), required: true }).load())
+      .rejects.toThrow('not found (create one with "claude-ux baseline create")');
+  });
+
+  test('suppresses matching issues until the suppression expires', () => {
+    const manager = new BaselineManager({
+      suppressions: [
+        { rule: 'a11y/*', url: '/', selector: 'img.hero', justification: 'Hero image is decorative', owner: 'web-team', expires: '2030-01-31' },
+        { rule: 'bugs/console-error', justification: 'Known third-party error', expires: '2024-01-31' }
+      ]
+    }, { now: new Date('2030-01-31T12:00:00Z') });
+
+    const results = manager.apply({ url: URL, issues: [altIssue, contrastIssue, consoleIssue] }, { url: URL });
+
+    expect(results.suppressedIssues.map(issue => [issue.ruleId, issue.suppression.owner])).toEqual([['a11y/img-alt', 'web-team']]);
+    expect(results.issues.map(issue => issue.ruleId)).toEqual(['a11y/color-contrast', 'bugs/console-error']);
+    expect(results.expiredSuppressions).toEqual([expect.objectContaining({ rule: 'bugs/console-error', expires: '2024-01-31' })]);
+  });
+
+  test('matches suppressions by fingerprint', () => {
+    const [entry] = BaselineManager.create([{ url: URL, issues: [altIssue] }]).issues;
+    const manager = new BaselineManager({ suppressions: [{ fingerprint: entry.fingerprint, justification: 'Tracked in the design system' }] });
+
+    expect(manager.apply({ url: URL, issues: [altIssue, contrastIssue] }, { url: URL }).suppressedIssues).toHaveLength(1);
+  });
+
+  test('rejects incomplete suppressions', () => {
+    expect(() => new BaselineManager({ suppressions: [{ justification: 'x' }] })).toThrow('Suppression 1 needs a rule or a fingerprint');
+    expect(() => new BaselineManager({ suppressions: [{ rule: 'a11y/img-alt' }] })).toThrow('Suppression 1 (a11y/img-alt) needs a justification');
+    expect(() => new BaselineManager({ suppressions: [{ rule: 'a11y/img-alt', justification: 'x', expires: 'soon' }] }))
+      .toThrow('has an invalid expires date "soon" (expected YYYY-MM-DD)');
+  });
+
+  test('accepts Date expiry values', () => {
+    const manager = new BaselineManager({
+      suppressions: [{ rule: 'a11y/img-alt', justification: 'x', expires: new Date('2025-09-30T00:00:00Z') }]
+    }, { now: new Date('2025-10-01T00:00:00Z') });
+
+    expect(manager.suppressions[0].expired).toBe(true);
+  });
+
+  test('creates baselines with one entry per fingerprint, using checkpoint URLs for journeys', () => {
+    const baseline = BaselineManager.create([
+      { url: URL, issues: [altIssue, altIssue] },
+      { url: URL, issues: [{ ...contrastIssue, checkpoint: 'Cart' }], checkpoints: [{ name: 'Cart', url: 'https://example.com/cart' }] }
+    ]);
+
+    expect(baseline.version).toBe(1);
+    expect(baseline.pages).toEqual([URL]);
+    expect(baseline.issues.map(entry => [entry.ruleId, entry.url, entry.checkpoint])).toEqual([
+      ['a11y/img-alt', URL, null],
+      ['a11y/color-contrast', 'https://example.com/cart', 'Cart']
+    ]);
+  });
+});
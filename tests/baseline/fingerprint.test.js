@@ -0,0 +1,33 @@
+const { issueElement, issueKey, fingerprintIssue } = require('../../src/baseline/fingerprint');
+
+describe('issue fingerprints', () => {
+  const issue = { ruleId: 'a11y/img-alt', title: '3 images without alt', count: 3, elements: [{ selector: 'img.hero' }, { selector: 'img.logo' }] };
+
+  test('identify issues by rule and first element', () => {
+    expect(issueElement(issue)).toBe('img.hero');
+    expect(issueElement({ element: 'nav' })).toBe('nav');
+    expect(issueKey(issue)).toBe('a11y/img-alt img.hero');
+    expect(issueKey({ title: 'Slow page' })).toBe('Slow page ');
+  });
+
+  test('ignore titles, counts and tracking parameters', () => {
+    const first = fingerprintIssue(issue, { url: 'https://example.com/?utm_source=mail' });
+    const second = fingerprintIssue({ ...issue, title: '4 images without alt', count: 4 }, { url: 'https://example.com/#top' });
+
+    expect(first.fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    expect(second.fingerprint).toBe(first.fingerprint);
+    expect(first).toMatchObject({ ruleId: 'a11y/img-alt', url: 'https://example.com/', checkpoint: null, element: 'img.hero' });
+  });
+
+  test('differ by page, checkpoint and element', () => {
+    const base = fingerprintIssue(issue, { url: 'https://example.com/' }).fingerprint;
+
+    expect(fingerprintIssue(issue, { url: 'https://example.com/about' }).fingerprint).not.toBe(base);
+    expect(fingerprintIssue(issue, { url: 'https://example.com/', checkpoint: 'Cart' }).fingerprint).not.toBe(base);
+    expect(fingerprintIssue({ ...issue, elements: [{ selector: 'img.logo' }] }, { url: 'https://example.com/' }).fingerprint).not.toBe(base);
+  });
+
+  test('keep local file paths as they are', () => {
+    expect(fingerprintIssue(issue, { url: 'dist/index.html' }).url).toBe('dist/index.html');
+  });
+});
@@ -0,0 +1,51 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const UXOrchestrator = require('../../src/orchestrator');
+const { loadConfig } = require('../../src/config/config-loader');
+
+const CLI = path.join(__dirname, '../../bin/claude-ux-cli.js');
+const URL = 'https://example.com/';
+const altIssue = { ruleId: 'a11y/img-alt', title: 'Images without alt', severity: 'high', elements: [{ selector: 'img.hero' }] };
+const consoleIssue = { ruleId: 'bugs/console-error', title: 'Console errors', severity: 'high' };
+
+describe('baseline create', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-baseline-cli-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('writes the configured baseline that later runs read', async () => {
+    await fs.writeFile(path.join(dir, 'claude-ux.config.json'), JSON.stringify({ baseline: './qa/baseline.json' }));
+    await fs.writeFile(path.join(dir, 'report.json'), JSON.stringify({ meta: { url: URL }, issues: [altIssue] }));
+
+    await promisify(execFile)(process.execPath, [CLI, 'baseline', 'create', '--from', 'report.json'], {
+      cwd: dir,
+      env: { ...process.env, NO_COLOR: '1' }
+    });
+
+    expect(await fs.stat(path.join(dir, 'qa/baseline.json'))).toBeTruthy();
+    await expect(fs.stat(path.join(dir, 'claude-ux-baseline.json'))).rejects.toThrow();
+
+    const { config } = await loadConfig({ cwd: dir, env: {} });
+    const orchestrator = new UXOrchestrator({ ...config, pluginDiscovery: false, reporting: { generateTrends: false } });
+    await orchestrator.baseline.load();
+    const results = orchestrator.createResults(URL, 'quick');
+    results.issues = [altIssue, consoleIssue];
+    orchestrator.calculateSummary(results);
+
+    orchestrator.applyBaseline(results, { url: URL });
+
+    expect(results.issues.map(issue => issue.ruleId)).toEqual(['bugs/console-error']);
+    expect(results.summary).toMatchObject({ newIssues: 1, knownIssues: 1 });
+  });
+});
@@ -0,0 +1,21 @@
+const { thresholdOptions, analysisToggles } = require('../../src/config/analyzer-settings');
+
+describe('analyzer settings', () => {
+  test('maps thresholds onto analyzer options and passes unknown keys through', () => {
+    expect(thresholdOptions({ performance: { loadTime: 2500, lcp: 2000 }, mobile: { touchTargetSize: 48 } })).toEqual({
+      performance: { thresholds: { loadTime: 2500, lcp: 2000 }, loadTimeThreshold: 2500, lcp: 2000 },
+      mobile: { thresholds: { touchTargetSize: 48 }, minTouchTargetSize: 48 }
+    });
+  });
+
+  test('disables analyzers set to false', () => {
+    expect(analysisToggles({ visual: false }, ['accessibility', 'visual'])).toEqual({ enable: [], disable: ['visual'] });
+  });
+
+  test('disables built-in analyzers left out once any is enabled, using the setup aliases', () => {
+    expect(analysisToggles({ accessibility: true, bugDetection: true }, ['bugs', 'accessibility', 'performance', 'visual'])).toEqual({
+      enable: ['accessibility', 'bugs'],
+      disable: ['performance', 'visual']
+    });
+  });
+});
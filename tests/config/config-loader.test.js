@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loadConfig, discoverConfigFiles, mergeConfig } = require('../../src/config/config-loader');
+
+describe('config loader', () => {
+  let dir;
+
+  const write = async (name, content) => {
+    const file = path.join(dir, name);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('finds the config files of the nearest directory that has any, in merge order', async () => {
+    await write('claude-ux.config.yml', 'timeout: 5000\n');
+    await write('config/default.json', { timeout: 1000 });
+    await fs.mkdir(path.join(dir, 'src/components'), { recursive: true });
+
+    expect(await discoverConfigFiles(path.join(dir, 'src/components'))).toEqual([
+      path.join(dir, 'config/default.json'),
+      path.join(dir, 'claude-ux.config.yml')
+    ]);
+  });
+
+  test('layers files, the environment profile and CLAUDE_UX_* variables', async () => {
+    await write('claude-ux-config.json', { baseUrl: 'http://localhost:3000', thresholds: { performance: { loadTime: 3000 } }, browsers: ['chromium', 'firefox'] });
+    await write('claude-ux.config.yml', [
+      'thresholds:',
+      '  performance:',
+      '    domSize: 1500',
+      'environments:',
+      '  staging:',
+      '    baseUrl: https://staging.example.com',
+      '    browsers: [webkit]'
+    ].join('\n'));
+
+    const { config, sources, profile } = await loadConfig({
+      cwd: dir,
+      profile: 'staging',
+      env: { CLAUDE_UX_THRESHOLDS__PERFORMANCE__LOAD_TIME: '2500', CLAUDE_UX_CAPTURE_SCREENSHOTS: 'false' }
+    });
+
+    expect(profile).toBe('staging');
+    expect(config.baseUrl).toBe('https://staging.example.com');
+    expect(config.browsers).toEqual(['webkit']);
+    expect(config.thresholds.performance).toEqual({ loadTime: 2500, domSize: 1500 });
+    expect(config.captureScreenshots).toBe(false);
+    expect(sources).toEqual([
+      'claude-ux-config.json',
+      'claude-ux.config.yml',
+      'environment (CLAUDE_UX_CAPTURE_SCREENSHOTS, CLAUDE_UX_THRESHOLDS__PERFORMANCE__LOAD_TIME)'
+    ]);
+  });
+
+  test('picks the NODE_ENV profile when none is requested and rejects unknown ones', async () => {
+    await write('claude-ux.config.json', { timeout: 1000, environments: { ci: { timeout: 9000 } } });
+
+    expect((await loadConfig({ cwd: dir, env: { NODE_ENV: 'ci' } })).config.timeout).toBe(9000);
+    expect((await loadConfig({ cwd: dir, env: { NODE_ENV: 'production' } })).config.timeout).toBe(1000);
+    await expect(loadConfig({ cwd: dir, env: {}, profile: 'qa' })).rejects.toThrow('Unknown environment profile "qa" (available: ci)');
+  });
+
+  test('lists every invalid option with its source', async () => {
+    await write('claude-ux.config.json', { timout: 1000, reportFormat: 'pdf' });
+
+    await expect(loadConfig({ cwd: dir, env: { CLAUDE_UX_CONCURRENCY: 'many', CLAUDE_UX_NOPE: '1' } })).rejects.toThrow([
+      'Invalid configuration:',
+      '  - claude-ux.config.json: timout is not a known option (did you mean "timeout"?)',
+      '  - claude-ux.config.json: reportFormat must be one of html, json, markdown (got "pdf")',
+      '  - CLAUDE_UX_CONCURRENCY: concurrency must be a number (got "many")',
+      '  - CLAUDE_UX_NOPE: nope is not a known option'
+    ].join('\n'));
+  });
+
+  test('resolves paths against the project directory, also for config/default.json', async () => {
+    await write('config/default.json', { outputDir: './reports', auth: { storageState: 'state.json' } });
+    const file = await write('ci/claude-ux.json', { baseline: 'baseline.json' });
+
+    expect((await loadConfig({ cwd: dir, env: {} })).config).toMatchObject({
+      outputDir: path.join(dir, 'reports'),
+      auth: { storageState: path.join(dir, 'state.json') }
+    });
+    expect((await loadConfig({ cwd: dir, env: {}, configPath: 'ci/claude-ux.json' })).config.baseline).toBe(path.join(path.dirname(file), 'baseline.json'));
+    await expect(loadConfig({ cwd: dir, env: {}, configPath: 'missing.json' })).rejects.toThrow('Config file missing.json not found');
+  });
+
+  test('lets a later file replace the analysis section and maps the setup aliases', async () => {
+    await write('config/default.json', { analysis: { accessibility: true, performance: true }, reporting: { defaultFormat: 'markdown', includeScreenshots: false } });
+    await write('claude-ux-config.json', { analysis: { visual: true } });
+
+    const { config } = await loadConfig({ cwd: dir, env: {} });
+
+    expect(config.analysis).toEqual({ visual: true });
+    expect(config.reportFormat).toBe('markdown');
+    expect(config.captureScreenshots).toBe(false);
+  });
+
+  test('reads unquoted YAML dates as date strings', async () => {
+    await write('claude-ux.config.yml', [
+      'suppressions:',
+      '  - rule: a11y/color-contrast',
+      '    justification: Brand colors under review',
+      '    expires: 2025-09-30'
+    ].join('\n'));
+
+    expect((await loadConfig({ cwd: dir, env: {} })).config.suppressions[0].expires).toBe('2025-09-30');
+  });
+
+  test('loads JS configs exporting a function of the profile', async () => {
+    await write('claude-ux.config.js', 'module.exports = ({ profile }) => ({ baseUrl: profile ? "https://" + profile + ".example.com" : "http://localhost:3000", environments: { qa: {} } });');
+
+    expect((await loadConfig({ cwd: dir, env: {}, profile: 'qa' })).config.baseUrl).toBe('https://qa.example.com');
+  });
+});
+
+describe('mergeConfig', () => {
+  test('deep-merges objects, replaces arrays and skips undefined values', () => {
+    expect(mergeConfig(
+      { thresholds: { performance: { loadTime: 3000 } }, browsers: ['chromium', 'firefox'], timeout: 1000 },
+      { thresholds: { performance: { domSize: 1500 } }, browsers: ['webkit'], timeout: undefined }
+    )).toEqual({
+      thresholds: { performance: { loadTime: 3000, domSize: 1500 } },
+      browsers: ['webkit'],
+      timeout: 1000
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { validate, schemaAt } = require('../../src/config/config-schema');
+
+describe('config schema', () => {
+  test('accepts a config written by the setup scripts', () => {
+    expect(validate({
+      baseUrl: 'http://localhost:3000',
+      viewport: { width: 1920, height: 1080 },
+      analysis: { accessibility: true, bugDetection: false },
+      thresholds: { performance: { loadTime: 3000 } },
+      reporting: { defaultFormat: 'html', includeScreenshots: true },
+      createdAt: '2025-01-01T00:00:00.000Z'
+    })).toEqual([]);
+  });
+
+  test('explains type, enum, format, range and required problems with their key path', () => {
+    expect(validate({
+      baseUrl: 'localhost:3000',
+      timeout: '30s',
+      browsers: ['chromium', 'edge'],
+      viewport: { width: 0 },
+      concurrency: 0
+    })).toEqual([
+      'baseUrl must be an http(s) URL (got "localhost:3000")',
+      'timeout must be a number (got "30s")',
+      'browsers[1] must be one of chromium, firefox, webkit (got "edge")',
+      'viewport.height is required',
+      'viewport.width must be at least 1 (got 0)',
+      'concurrency must be at least 1 (got 0)'
+    ]);
+  });
+
+  test('suggests the closest known option for typos', () => {
+    expect(validate({ reporting: { defaultFromat: 'html' } })).toEqual([
+      'reporting.defaultFromat is not a known option (did you mean "defaultFormat"?)'
+    ]);
+    expect(validate({ colour: 'blue' })).toEqual(['colour is not a known option']);
+  });
+
+  test('validates environment profiles like the top level', () => {
+    expect(validate({ environments: { ci: { timeout: -1 } } })).toEqual(['environments.ci.timeout must be at least 1 (got -1)']);
+  });
+
+  test('looks up schema nodes by key path', () => {
+    expect(schemaAt(['thresholds', 'performance', 'loadTime'])).toEqual({ type: 'number', min: 0 });
+    expect(schemaAt(['timeout', 'value'])).toBeNull();
+    expect(schemaAt(['unknown'])).toBeNull();
+  });
+});
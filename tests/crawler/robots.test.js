@@ -0,0 +1,40 @@
+const { parseRobots } = require('../../src/crawler/robots');
+
+const ROBOTS = `
+# Global rules
+User-agent: *
+Disallow: /private/
+Allow: /private/press$
+Disallow: /*.pdf$
+
+User-agent: Googlebot
+User-agent: Claude-UX-Consultant
+Disallow: /drafts
+Disallow:
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+describe('parseRobots', () => {
+  test('applies the group naming the user agent instead of the wildcard group', () => {
+    const robots = parseRobots(ROBOTS);
+
+    expect(robots.isAllowed('/drafts/1')).toBe(false);
+    expect(robots.isAllowed('/private/x')).toBe(true);
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+  });
+
+  test('lets the longest match win, with $ anchoring and * wildcards', () => {
+    const robots = parseRobots(ROBOTS, 'OtherBot');
+
+    expect(robots.isAllowed('/private/report')).toBe(false);
+    expect(robots.isAllowed('/private/press')).toBe(true);
+    expect(robots.isAllowed('/private/press/2024')).toBe(false);
+    expect(robots.isAllowed('/files/guide.pdf')).toBe(false);
+    expect(robots.isAllowed('/files/guide.pdf?download=1')).toBe(true);
+  });
+
+  test('allows everything without a robots.txt', () => {
+    expect(parseRobots(null).isAllowed('/anything')).toBe(true);
+  });
+});
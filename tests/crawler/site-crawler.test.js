@@ -0,0 +1,124 @@
+const SiteCrawler = require('../../src/crawler/site-crawler');
+
+/**
+ * A browser context serving a small site: { url: { status, title, links, canonical, contentType } }
+ */
+function fakeContext(site, files = {}) {
+  return {
+    newPage: async () => {
+      let current;
+      return {
+        goto: async url => {
+          current = url;
+          const entry = site[url];
+          if (!entry) throw new Error(`net::ERR_NAME_NOT_RESOLVED at ${url}`);
+          return { status: () => entry.status || 200, headers: () => ({ 'content-type': entry.contentType || 'text/html' }) };
+        },
+        url: () => (site[current] && site[current].redirect) || current,
+        evaluate: async () => {
+          const entry = site[site[current].redirect || current];
+          return { title: entry.title || '', canonical: entry.canonical || null, links: entry.links || [] };
+        },
+        close: async () => {}
+      };
+    },
+    request: {
+      get: async url => ({ ok: () => url in files, text: async () => files[url] })
+    }
+  };
+}
+
+describe('SiteCrawler', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('builds the crawl graph from links and sitemap pages', async () => {
+    const site = {
+      'https://example.com/': { title: 'Home', links: ['https://example.com/about', 'https://example.com/blog?utm_source=nav', 'https://other.com/', 'https://example.com/terms.pdf'] },
+      'https://example.com/about': { links: ['https://example.com/'] },
+      'https://example.com/blog': { links: ['https://example.com/missing'] },
+      'https://example.com/missing': { status: 404 },
+      'https://example.com/landing': { links: [] },
+      'https://example.com/private/a': {}
+    };
+    const files = {
+      'https://example.com/robots.txt': 'User-agent: *\nDisallow: /private\nSitemap: https://example.com/sitemap.xml',
+      'https://example.com/sitemap.xml': '<urlset><url><loc>https://example.com/landing</loc></url><url><loc>https://example.com/private/a</loc></url></urlset>'
+    };
+
+    const graph = await new SiteCrawler(fakeContext(site, files)).crawl('https://example.com/');
+
+    expect(graph.pages.map(page => page.url)).toEqual([
+      'https://example.com/',
+      'https://example.com/about',
+      'https://example.com/blog',
+      'https://example.com/missing',
+      'https://example.com/landing'
+    ]);
+    expect(graph.edges.some(edge => edge.to === 'https://other.com/')).toBe(false);
+    expect(graph.orphans).toEqual(['https://example.com/landing']);
+    expect(graph.deadEnds).toEqual(['https://example.com/landing']);
+    expect(graph.broken).toEqual([{ url: 'https://example.com/missing', status: 404, error: undefined }]);
+    expect(graph.skipped).toEqual(expect.arrayContaining([
+      { url: 'https://example.com/terms.pdf', reason: 'non-page', from: 'https://example.com/' },
+      { url: 'https://example.com/private/a', reason: 'robots', from: 'sitemap' }
+    ]));
+    expect(graph.stats).toMatchObject({ pagesVisited: 5, analyzablePages: 4, sitemapUrls: 2, maxDepthReached: 2 });
+    expect(graph.stats.depthDistribution).toEqual({ 0: 1, 1: 2, 2: 1, unlinked: 1 });
+  });
+
+  test('stops at the depth and page limits and flags canonical duplicates', async () => {
+    const site = {
+      'https://example.com/': { links: ['https://example.com/a', 'https://example.com/a-copy', 'https://example.com/b'] },
+      'https://example.com/a': { links: ['https://example.com/deep'] },
+      'https://example.com/a-copy': { canonical: 'https://example.com/a' },
+      'https://example.com/b': {}
+    };
+
+    const graph = await new SiteCrawler(fakeContext(site), { maxDepth: 1, maxPages: 3, useSitemap: false, respectRobots: false })
+      .crawl('https://example.com/');
+
+    expect(graph.pages).toHaveLength(3);
+    expect(graph.duplicates).toEqual([{ url: 'https://example.com/a-copy', duplicateOf: 'https://example.com/a' }]);
+    expect(graph.skipped).toEqual(expect.arrayContaining([
+      { url: 'https://example.com/deep', reason: 'max-depth', from: 'https://example.com/a' },
+      { url: 'https://example.com/b', reason: 'max-pages', from: null }
+    ]));
+  });
+
+  test('crawls the origin the start URL redirects to', async () => {
+    const site = {
+      'http://example.com/': { redirect: 'https://www.example.com/' },
+      'https://www.example.com/': { links: ['https://www.example.com/about', 'https://www.example.com/private'] },
+      'https://www.example.com/about': {}
+    };
+    const files = {
+      'https://www.example.com/robots.txt': 'User-agent: *\nDisallow: /private',
+      'https://www.example.com/sitemap.xml': '<urlset><url><loc>https://www.example.com/about</loc></url></urlset>'
+    };
+
+    const graph = await new SiteCrawler(fakeContext(site, files)).crawl('http://example.com/');
+
+    expect(graph.pages.map(page => page.url)).toEqual(['http://example.com/', 'https://www.example.com/about']);
+    expect(graph.pages[0].redirectedTo).toBe('https://www.example.com/');
+    expect(graph.pages[1].inSitemap).toBe(true);
+    expect(graph.skipped).toEqual([{ url: 'https://www.example.com/private', reason: 'robots', from: 'http://example.com/' }]);
+  });
+
+  test('honors robots.txt for the start URL', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const files = { 'https://example.com/robots.txt': 'User-agent: *\nDisallow: /admin' };
+
+    const graph = await new SiteCrawler(fakeContext({ 'https://example.com/admin': {} }, files)).crawl('https://example.com/admin');
+
+    expect(graph.pages).toEqual([]);
+    expect(graph.skipped).toEqual([{ url: 'https://example.com/admin', reason: 'robots', from: null }]);
+    expect(console.warn).toHaveBeenCalledWith('⚠️  robots.txt disallows https://example.com/admin; pass --ignore-robots to crawl it anyway');
+    console.warn.mockRestore();
+  });
+});
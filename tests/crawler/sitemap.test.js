@@ -0,0 +1,28 @@
+const { parseSitemap, readSitemaps } = require('../../src/crawler/sitemap');
+
+const urlset = locations => `<?xml version="1.0"?><urlset>${locations.map(loc => `<url><loc>${loc}</loc></url>`).join('')}</urlset>`;
+
+describe('sitemaps', () => {
+  test('extracts locations, CDATA and entities', () => {
+    const xml = '<urlset><url><loc> https://example.com/a?x=1&amp;y=2 </loc></url><url><loc><![CDATA[https://example.com/b]]></loc></url></urlset>';
+
+    expect(parseSitemap(xml)).toEqual({ isIndex: false, locations: ['https://example.com/a?x=1&y=2', 'https://example.com/b'] });
+    expect(parseSitemap('<sitemapindex><sitemap><loc>https://example.com/s1.xml</loc></sitemap></sitemapindex>').isIndex).toBe(true);
+  });
+
+  test('follows sitemap indexes once each and stops at the limit', async () => {
+    const documents = {
+      'https://example.com/index.xml': '<sitemapindex><sitemap><loc>https://example.com/s1.xml</loc></sitemap><sitemap><loc>https://example.com/s2.xml</loc></sitemap><sitemap><loc>https://example.com/s1.xml</loc></sitemap></sitemapindex>',
+      'https://example.com/s1.xml': urlset(['https://example.com/1', 'https://example.com/2']),
+      'https://example.com/s2.xml': urlset(['https://example.com/3', 'https://example.com/4'])
+    };
+    const fetchText = jest.fn(async url => documents[url] || null);
+
+    expect(await readSitemaps(fetchText, ['https://example.com/index.xml'])).toEqual([
+      'https://example.com/1', 'https://example.com/2', 'https://example.com/3', 'https://example.com/4'
+    ]);
+    expect(fetchText).toHaveBeenCalledTimes(3);
+    expect(await readSitemaps(fetchText, ['https://example.com/index.xml'], 3)).toHaveLength(3);
+    expect(await readSitemaps(fetchText, ['https://example.com/missing.xml'])).toEqual([]);
+  });
+});
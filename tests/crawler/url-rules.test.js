@@ -0,0 +1,33 @@
+const { globToRegExp, matchesAny, normalizeUrl, isHttpUrl, isLikelyPage } = require('../../src/crawler/url-rules');
+
+describe('URL rules', () => {
+  test('globs match within and across path segments', () => {
+    expect(globToRegExp('/blog/*').test('/blog/post')).toBe(true);
+    expect(globToRegExp('/blog/*').test('/blog/2024/post')).toBe(false);
+    expect(globToRegExp('/blog/**').test('/blog/2024/post')).toBe(true);
+    expect(globToRegExp('/page?.html').test('/page1.html')).toBe(true);
+    expect(globToRegExp('/a.b').test('/axb')).toBe(false);
+  });
+
+  test('matches paths, or full URLs for patterns with a scheme', () => {
+    expect(matchesAny('https://example.com/admin/users?x=1', ['/admin/**'])).toBe(true);
+    expect(matchesAny('https://example.com/admin', ['https://other.com/**'])).toBe(false);
+    expect(matchesAny('https://example.com/docs', ['https://example.com/**'])).toBe(true);
+  });
+
+  test('normalizes fragments, host case, tracking params, param order and trailing slashes', () => {
+    expect(normalizeUrl('https://Example.com:443/Shop/?b=2&utm_source=x&a=1&fbclid=y#top'))
+      .toBe('https://example.com/Shop?a=1&b=2');
+    expect(normalizeUrl('https://example.com/')).toBe('https://example.com/');
+    expect(normalizeUrl('https://example.com/list?page=2', { stripQuery: true })).toBe('https://example.com/list');
+    expect(normalizeUrl('https://example.com/?session=1&q=a', { ignoreParams: ['session'] })).toBe('https://example.com/?q=a');
+  });
+
+  test('recognizes crawlable URLs', () => {
+    expect(isHttpUrl('mailto:team@example.com')).toBe(false);
+    expect(isHttpUrl('not a url')).toBe(false);
+    expect(isHttpUrl('http://example.com')).toBe(true);
+    expect(isLikelyPage('https://example.com/brochure.PDF')).toBe(false);
+    expect(isLikelyPage('https://example.com/pricing')).toBe(true);
+  });
+});
@@ -0,0 +1,39 @@
+const { resolveDevice, deviceContextOptions, listDevices, DEVICE_ALIASES } = require('../../src/devices/device-profiles');
+
+describe('device profiles', () => {
+  test('resolves aliases and Playwright descriptor names case-insensitively', () => {
+    expect(resolveDevice('iphone').name).toBe(DEVICE_ALIASES.iphone);
+    expect(resolveDevice('pixel 7').name).toBe('Pixel 7');
+    expect(resolveDevice('iphone').descriptor.viewport).toEqual(expect.objectContaining({ width: expect.any(Number) }));
+  });
+
+  test('fills in custom profiles and prefers them over built-in devices', () => {
+    const device = resolveDevice('kiosk', { kiosk: { viewport: { width: 1080, height: 1920 }, hasTouch: true } });
+
+    expect(device).toEqual({
+      name: 'kiosk',
+      descriptor: { viewport: { width: 1080, height: 1920 }, deviceScaleFactor: 1, isMobile: false, hasTouch: true }
+    });
+  });
+
+  test('suggests similar devices for unknown names', () => {
+    expect(() => resolveDevice('iPhone 99')).toThrow(/Unknown device "iPhone 99" \(did you mean: iPhone/);
+    expect(() => resolveDevice('toaster')).toThrow('Unknown device "toaster"');
+  });
+
+  test('drops isMobile and the default browser for Firefox', () => {
+    const device = resolveDevice('iphone');
+
+    expect(deviceContextOptions(device, 'chromium')).toHaveProperty('isMobile', true);
+    expect(deviceContextOptions(device, 'firefox')).not.toHaveProperty('isMobile');
+    expect(deviceContextOptions(device)).not.toHaveProperty('defaultBrowserType');
+  });
+
+  test('lists aliases first, then other descriptors, then custom profiles', () => {
+    const list = listDevices({ kiosk: { viewport: { width: 1080, height: 1920 } } });
+
+    expect(list[0]).toMatchObject({ alias: 'iphone', name: DEVICE_ALIASES.iphone, isMobile: true });
+    expect(list[list.length - 1]).toEqual({ name: 'kiosk', custom: true, viewport: { width: 1080, height: 1920 }, deviceScaleFactor: 1, isMobile: false, hasTouch: false });
+    expect(list.filter(device => device.name === DEVICE_ALIASES.iphone)).toHaveLength(1);
+  });
+});
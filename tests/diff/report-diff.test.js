@@ -0,0 +1,70 @@
+const { diffReports, metricDirection } = require('../../src/diff/report-diff');
+
+const report = (issues, summary, extra = {}) => ({
+  meta: { url: 'https://example.com/', timestamp: '2025-01-01T00:00:00Z', analysisType: 'quick' },
+  summary,
+  issues,
+  scores: {},
+  metrics: {},
+  ...extra
+});
+
+const alt = { ruleId: 'a11y/img-alt', title: 'Images without alt', severity: 'medium', count: 2, elements: [{ selector: 'img.hero' }] };
+const contrast = { ruleId: 'a11y/color-contrast', title: 'Low contrast', severity: 'high', elements: [{ selector: 'footer a' }] };
+const consoleErrors = { ruleId: 'bugs/console-error', title: 'Console errors', severity: 'high' };
+
+describe('diffReports', () => {
+  test('matches issues by rule and element and lists added, resolved and changed ones', () => {
+    const diff = diffReports(
+      report([alt, contrast], { overallScore: 80, totalIssues: 2 }),
+      report([{ ...alt, severity: 'high', count: 5 }, consoleErrors], { overallScore: 70, totalIssues: 2 })
+    );
+
+    expect(diff.added.map(issue => issue.ruleId)).toEqual(['bugs/console-error']);
+    expect(diff.resolved.map(issue => issue.ruleId)).toEqual(['a11y/color-contrast']);
+    expect(diff.changed).toHaveLength(1);
+    expect(diff.changed[0].changes).toEqual([
+      { field: 'severity', before: 'medium', after: 'high', worse: true },
+      { field: 'count', before: 2, after: 5, worse: true }
+    ]);
+    expect(diff.summary.overallScore).toEqual({ before: 80, after: 70, delta: -10 });
+    expect(diff.regressions.map(entry => entry.kind)).toEqual(['issue', 'issue-change', 'score']);
+    expect(diff.improvements).toEqual([{ kind: 'issue', name: 'a11y/color-contrast', detail: 'Resolved: Low contrast' }]);
+  });
+
+  test('treats known baseline issues as still present', () => {
+    const diff = diffReports(
+      report([alt], {}),
+      report([], {}, { baseline: { knownIssues: [{ ruleId: 'a11y/img-alt', title: 'Images without alt', severity: 'medium', element: 'img.hero' }] } })
+    );
+
+    expect(diff.resolved).toEqual([]);
+    expect(diff.unchanged).toBe(1);
+  });
+
+  test('ignores metric changes within the tolerance and knows which direction is better', () => {
+    const diff = diffReports(
+      report([], {}, { metrics: { loadTime: 1000, domSize: 800, images: 10, 'loadTime (firefox)': 1000, hasViewportMeta: false } }),
+      report([], {}, { metrics: { loadTime: 1050, domSize: 1200, images: 20, 'loadTime (firefox)': 700, hasViewportMeta: true } })
+    );
+
+    expect(diff.metrics.map(entry => [entry.name, entry.status])).toEqual([
+      ['domSize', 'regressed'],
+      ['images', 'changed'],
+      ['loadTime (firefox)', 'improved'],
+      ['hasViewportMeta', 'improved']
+    ]);
+    expect(diff.metrics[0]).toMatchObject({ delta: 400, percent: 50 });
+    expect(diffReports(report([], {}, { metrics: { loadTime: 1000 } }), report([], {}, { metrics: { loadTime: 1050 } }), { metricTolerance: 0 }).metrics[0].status).toBe('regressed');
+  });
+
+  test('rejects files that are not JSON reports', () => {
+    expect(() => diffReports({ summary: {} }, report([], {}))).toThrow('Not a claude-ux JSON report (no issues list)');
+  });
+
+  test('knows metric directions', () => {
+    expect(metricDirection('largestContentfulPaint (iPhone 15)')).toBe('lower');
+    expect(metricDirection('accessibilityScore')).toBe('higher');
+    expect(metricDirection('images')).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+const QualityGate = require('../../src/gates/quality-gate');
+const RuleRegistry = require('../../src/rules/rule-registry');
+
+const results = {
+  url: 'https://example.com/',
+  summary: { overallScore: 72 },
+  scores: { 'accessibilityScore (chromium)': 90, 'accessibilityScore (firefox)': 78 },
+  metrics: { 'loadTime (chromium)': 1800, 'loadTime (firefox)': 2600, performanceScore: 65 },
+  issues: [
+    { ruleId: 'a11y/img-alt', severity: 'high' },
+    { ruleId: 'a11y/form-label', severity: 'critical' },
+    { type: 'bug', impact: 'low' }
+  ]
+};
+
+const statuses = evaluation => Object.fromEntries(evaluation.checks.map(entry => [entry.id, entry.status]));
+
+describe('QualityGate', () => {
+  test('is disabled without budgets or --fail-on', () => {
+    expect(new QualityGate().enabled).toBe(false);
+    expect(new QualityGate({ failOn: 'none' }).enabled).toBe(false);
+    expect(new QualityGate({ budgets: { scores: { overall: 80 } } }).enabled).toBe(true);
+  });
+
+  test('fails on issues at or above the --fail-on severity', () => {
+    expect(new QualityGate({ failOn: 'critical' }).evaluate(results).checks[0]).toMatchObject({ actual: 1, status: 'failed' });
+    expect(new QualityGate({ failOn: 'high' }).evaluate(results).checks[0].actual).toBe(2);
+    expect(new QualityGate({ failOn: 'critical' }).evaluate({ ...results, issues: [{ severity: 'high' }] }).status).toBe('passed');
+    expect(() => new QualityGate({ failOn: 'severe' })).toThrow('Unknown --fail-on severity "severe"');
+  });
+
+  test('counts issue budgets per catalogue category and severity', () => {
+    const gate = new QualityGate({
+      budgets: { issues: { accessibility: { critical: 0, total: 5 }, all: { medium: 0 } } }
+    }, { rules: new RuleRegistry() });
+
+    expect(statuses(gate.evaluate(results))).toEqual({
+      'issues.accessibility.critical': 'failed',
+      'issues.accessibility.total': 'passed',
+      'issues.all.medium': 'failed'
+    });
+  });
+
+  test('checks the worst score and metric across engines and skips unmeasured ones', () => {
+    const evaluation = new QualityGate({
+      budgets: {
+        scores: { overall: 70, accessibility: 80, performance: 60, seo: 90 },
+        metrics: { loadTime: 2500, cumulativeLayoutShift: 0.1 }
+      }
+    }).evaluate(results);
+
+    expect(statuses(evaluation)).toEqual({
+      'scores.overall': 'passed',
+      'scores.accessibility': 'failed',
+      'scores.performance': 'passed',
+      'scores.seo': 'skipped',
+      'metrics.loadTime': 'failed',
+      'metrics.cumulativeLayoutShift': 'skipped'
+    });
+    expect(evaluation).toMatchObject({ status: 'failed', passed: 2, failed: 2, skipped: 2 });
+    expect(evaluation.checks.find(entry => entry.id === 'scores.accessibility')).toMatchObject({ actual: 78, limit: 80, comparison: 'min' });
+  });
+
+  test('fails pages that could not be analyzed', () => {
+    const evaluation = new QualityGate({ failOn: 'critical' }).evaluate({ url: 'https://example.com/', issues: [], error: 'net::ERR_NAME_NOT_RESOLVED' });
+
+    expect(evaluation.status).toBe('failed');
+    expect(evaluation.checks[0]).toMatchObject({ kind: 'analysis', status: 'failed' });
+  });
+});
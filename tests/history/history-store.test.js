@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const HistoryStore = require('../../src/history/history-store');
+const { parseHistoryDate } = require('../../src/history/history-store');
+
+const altIssue = { ruleId: 'a11y/img-alt', title: 'Images without alt', severity: 'high', elements: [{ selector: 'img.hero' }] };
+const consoleIssue = { ruleId: 'bugs/console-error', title: 'Console errors', severity: 'medium' };
+
+function results(timestamp, issues, overallScore, extra = {}) {
+  return {
+    url: 'https://example.com/?utm_source=ci',
+    analysisType: 'quick',
+    timestamp,
+    issues,
+    summary: { overallScore, totalIssues: issues.length },
+    metrics: { loadTime: 1200, resources: [{ url: 'a.js' }] },
+    ...extra
+  };
+}
+
+describe('HistoryStore', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-history-'));
+    file = path.join(dir, 'reports/history.jsonl');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('appends runs and compares each with the previous run of the same target', async () => {
+    const store = new HistoryStore({ file });
+
+    const first = await store.record(results('2025-01-01T00:00:00Z', [altIssue], 70));
+    const second = await store.record(results('2025-01-02T00:00:00Z', [consoleIssue], 80, { baselineIssues: [altIssue] }));
+    const third = await store.record(results('2025-01-03T00:00:00Z', [], 95));
+
+    expect(first).toMatchObject({ runs: 1, lastAnalysis: null, issuesTrend: 'stable' });
+    expect(second).toMatchObject({ runs: 2, scoreChange: 10, previousScore: 70, issuesTrend: 'worsening', newIssues: 1, resolvedIssues: 0 });
+    expect(third).toMatchObject({ runs: 3, issuesTrend: 'improving', newIssues: 0, resolvedIssues: 2 });
+
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatchObject({ url: 'https://example.com/', metrics: { loadTime: 1200 } });
+    expect(lines[0].issues[0]).toMatchObject({ ruleId: 'a11y/img-alt', element: 'img.hero', fingerprint: expect.stringMatching(/^[0-9a-f]{16}$/) });
+  });
+
+  test('keeps every concurrent record and compares them in order', async () => {
+    const store = new HistoryStore({ file });
+
+    const trends = await Promise.all([
+      store.record(results('2025-01-01T00:00:00Z', [], 70)),
+      store.record(results('2025-01-02T00:00:00Z', [], 75)),
+      store.record(results('2025-01-01T00:00:00Z', [], 90, { analysisType: 'deep' }))
+    ]);
+
+    expect(trends.map(trend => trend.runs)).toEqual([1, 2, 1]);
+    expect((await new HistoryStore({ file }).load())).toHaveLength(3);
+  });
+
+  test('queries by page, type and date range with trends against runs outside the range', async () => {
+    const store = new HistoryStore({ file });
+    await store.record(results('2025-01-01T00:00:00Z', [altIssue], 70));
+    await store.record(results('2025-01-05T00:00:00Z', [], 90));
+    await store.record(results('2025-01-06T00:00:00Z', [], 40, { url: 'https://example.com/about' }));
+
+    const runs = await new HistoryStore({ file }).query({ url: 'https://example.com', since: new Date('2025-01-03T00:00:00Z') });
+
+    expect(runs).toHaveLength(1);
+    expect(runs[0].trends).toMatchObject({ runs: 2, scoreChange: 20, resolvedIssues: 1 });
+    expect(await store.query({ limit: 1 })).toEqual([expect.objectContaining({ url: 'https://example.com/about' })]);
+  });
+
+  test('skips damaged lines', async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, '{"url":"https://example.com/","analysisType":"quick","issues":[],"summary":{}}\n{"url":"https://exa\n');
+
+    expect(await new HistoryStore({ file }).load()).toHaveLength(1);
+  });
+});
+
+describe('parseHistoryDate', () => {
+  const now = new Date('2025-01-10T12:00:00Z');
+
+  test('accepts relative ages', () => {
+    expect(parseHistoryDate('12h', { now }).toISOString()).toBe('2025-01-10T00:00:00.000Z');
+    expect(parseHistoryDate('1w', { now }).toISOString()).toBe('2025-01-03T12:00:00.000Z');
+  });
+
+  test('includes the whole day for date-only upper bounds', () => {
+    expect(parseHistoryDate('2025-01-05').toISOString()).toBe('2025-01-05T00:00:00.000Z');
+    expect(parseHistoryDate('2025-01-05', { endOfDay: true }).toISOString()).toBe('2025-01-05T23:59:59.999Z');
+  });
+
+  test('rejects anything else', () => {
+    expect(() => parseHistoryDate('last week')).toThrow('Invalid date "last week"');
+  });
+});
@@ -0,0 +1,68 @@
+const claudeUx = require('../src');
+const UXOrchestrator = require('../src/orchestrator');
+
+describe('programmatic API', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('exports the orchestrator, building blocks and helpers', () => {
+    expect(claudeUx.UXOrchestrator).toBe(UXOrchestrator);
+    expect(claudeUx.RuleRegistry).toBe(require('../src/rules/rule-registry'));
+    expect(claudeUx.validateConfig).toBe(require('../src/config/config-schema').validate);
+    [
+      'AnalyzerRegistry', 'HTMLReporter', 'JSONReporter', 'MarkdownReporter', 'DiffReporter', 'ScoreEngine',
+      'QualityGate', 'BaselineManager', 'HistoryStore', 'SiteCrawler', 'HarManager', 'RequestInterceptor',
+      'ThirdPartyComparison', 'StaticServer', 'AnalysisServer', 'WatchSession'
+    ].forEach(name => expect(claudeUx[name]).toEqual(expect.any(Function)));
+    expect(Object.entries(claudeUx).filter(([, value]) => value === undefined)).toEqual([]);
+  });
+
+  test('analyze() runs one analysis with listeners attached and always closes', async () => {
+    const initialize = jest.spyOn(UXOrchestrator.prototype, 'initialize').mockResolvedValue();
+    const close = jest.spyOn(UXOrchestrator.prototype, 'close').mockResolvedValue();
+    jest.spyOn(UXOrchestrator.prototype, 'analyzePage').mockImplementation(async function (url, type, options) {
+      this.emit('analysis:start', { url, analysisType: type });
+      return { url, type, options };
+    });
+    const onStart = jest.fn();
+
+    const results = await claudeUx.analyze('https://example.com/', {
+      type: 'element',
+      selector: '#nav',
+      devices: ['iphone-12'],
+      config: { pluginDiscovery: false },
+      on: { 'analysis:start': onStart }
+    });
+
+    expect(initialize).toHaveBeenCalledTimes(1);
+    expect(results).toEqual({
+      url: 'https://example.com/',
+      type: 'element',
+      options: { selector: '#nav', devices: ['iphone-12'], readiness: undefined }
+    });
+    expect(onStart).toHaveBeenCalledWith({ url: 'https://example.com/', analysisType: 'element' });
+    expect(close).toHaveBeenCalledTimes(1);
+
+    initialize.mockRejectedValue(new Error('Browser failed to launch'));
+    await expect(claudeUx.analyze('https://example.com/')).rejects.toThrow('Browser failed to launch');
+    expect(close).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps the defaults of options passed as undefined', async () => {
+    const orchestrator = new claudeUx.UXOrchestrator({
+      pluginDiscovery: false,
+      devices: undefined,
+      timeout: undefined,
+      browsers: undefined,
+      reporting: { generateTrends: false, defaultFormat: undefined }
+    });
+    orchestrator.analyzeAcrossEngines = jest.fn(async url => ({ url, issues: [] }));
+
+    expect(orchestrator.config).toMatchObject({ devices: [], timeout: 30000, browsers: ['chromium'], reporting: { generateTrends: false } });
+    expect('defaultFormat' in orchestrator.config.reporting).toBe(false);
+    expect(orchestrator.readiness.timeout).toBe(30000);
+    await orchestrator.analyzeVariants('https://example.com/', 'quick', {});
+    expect(orchestrator.analyzeAcrossEngines).toHaveBeenCalledTimes(1);
+  });
+});
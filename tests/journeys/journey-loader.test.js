@@ -0,0 +1,47 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loadJourney, normalizeJourney } = require('../../src/journeys/journey-loader');
+
+describe('journey loader', () => {
+  test('loads YAML journeys, defaulting the name and checkpoint mode', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-journey-'));
+    try {
+      const file = path.join(dir, 'checkout.yml');
+      await fs.writeFile(file, [
+        'baseUrl: https://shop.example.com',
+        'steps:',
+        '  - action: goto',
+        '    url: /cart',
+        '  - action: checkpoint',
+        '    name: Cart'
+      ].join('\n'));
+
+      expect(await loadJourney(file)).toEqual({
+        name: 'checkout',
+        description: undefined,
+        baseUrl: 'https://shop.example.com',
+        steps: [
+          { action: 'goto', url: '/cart' },
+          { action: 'checkpoint', name: 'Cart', mode: 'quick' }
+        ]
+      });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('requires steps and at least one checkpoint', () => {
+    expect(() => normalizeJourney({ steps: [] })).toThrow('non-empty steps list');
+    expect(() => normalizeJourney({ steps: [{ action: 'goto', url: '/' }] })).toThrow('at least one checkpoint');
+  });
+
+  test('names the offending step', () => {
+    expect(() => normalizeJourney({ steps: [{ url: '/' }] })).toThrow('Journey step 1 is missing an action');
+    expect(() => normalizeJourney({ steps: [{ action: 'checkpoint' }] })).toThrow('Journey step 1: checkpoint needs a name');
+    expect(() => normalizeJourney({ steps: [{ action: 'checkpoint', name: 'Home', mode: 'mobile' }] }))
+      .toThrow('Journey step 1: checkpoint mode must be one of quick, deep, element');
+    expect(() => normalizeJourney({ steps: [{ action: 'checkpoint', name: 'Home' }, { action: 'hover' }] }))
+      .toThrow('Journey step 2: unknown action "hover"');
+  });
+});
@@ -0,0 +1,74 @@
+const FindingNormalizer = require('../../src/model/finding');
+const { normalizeFinding, validateFinding, analyzerCategory } = require('../../src/model/finding');
+const RuleRegistry = require('../../src/rules/rule-registry');
+
+const rules = new RuleRegistry();
+
+describe('finding model', () => {
+  test('maps field aliases onto the canonical shape', () => {
+    expect(normalizeFinding({
+      type: 'layout',
+      title: 'Horizontal scroll',
+      impact: 'medium',
+      solution: 'Constrain wide elements',
+      selector: '.carousel'
+    }, 'issue', { rules, source: 'mobile' })).toEqual({
+      type: 'mobile',
+      category: 'mobile',
+      topic: 'layout',
+      title: 'Horizontal scroll',
+      impact: 'medium',
+      severity: 'high',
+      fix: 'Constrain wide elements',
+      elements: [{ selector: '.carousel' }]
+    });
+  });
+
+  test('takes category and default severity from the rule catalogue', () => {
+    const finding = normalizeFinding({ ruleId: 'a11y/img-alt', type: 'bug', title: 'Images without alt' }, 'issue', { rules, source: 'bugs' });
+
+    expect(finding).toMatchObject({ category: 'accessibility', type: 'accessibility', topic: 'bug', severity: 'high', wcag: '1.1.1' });
+    expect(validateFinding(finding, 'issue')).toEqual([]);
+  });
+
+  test('names the analyzer category of built-in analyzers', () => {
+    expect(analyzerCategory('bugs')).toBe('bug');
+    expect(analyzerCategory('contrast-plugin')).toBe('contrast-plugin');
+    expect(analyzerCategory(undefined)).toBeNull();
+  });
+
+  test('gives recommendations a default impact', () => {
+    expect(normalizeFinding({ title: 'Add a skip link' }, 'recommendation', { source: 'accessibility' })).toMatchObject({ impact: 'medium', category: 'accessibility' });
+  });
+
+  test('explains what is wrong with a finding', () => {
+    expect(validateFinding({ category: 'bug', type: 'bug', title: '', severity: 'urgent', count: 1.5, elements: [{}] }, 'issue')).toEqual([
+      'issue.title must not be empty',
+      'issue.elements[0].selector is required',
+      'issue.severity must be one of critical, high, medium, low (got "urgent")',
+      'issue.count must be an integer (got number)'
+    ]);
+    expect(validateFinding('Slow page', 'issue')).toEqual(['issue must be an object (got "Slow page")']);
+  });
+
+  describe('FindingNormalizer', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('skips malformed findings with a warning', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const normalizer = new FindingNormalizer({}, { rules });
+
+      const findings = normalizer.normalize([{ title: 'Slow page', severity: 'high' }, { severity: 'high' }], 'issue', 'perf-plugin');
+
+      expect(findings).toEqual([{ title: 'Slow page', severity: 'high', category: 'perf-plugin', type: 'perf-plugin' }]);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Analyzer "perf-plugin" reported a malformed issue: issue.title is required'));
+    });
+
+    test('throws on malformed findings in strict mode', () => {
+      expect(() => new FindingNormalizer({ strict: true }).normalize([{ title: 'Bad', severity: 'urgent' }], 'issue', 'custom'))
+        .toThrow('Analyzer "custom" reported a malformed issue "Bad": issue.severity must be one of critical, high, medium, low (got "urgent")');
+    });
+  });
+});
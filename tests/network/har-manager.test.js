@@ -0,0 +1,140 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const HarManager = require('../../src/network/har-manager');
+
+const request = (method, url) => ({ method: () => method, url: () => url });
+
+function fakeContext() {
+  const context = {
+    routes: [],
+    harRoutes: [],
+    route: async (pattern, handler) => { context.routes.push({ pattern, handler }); },
+    routeFromHAR: async (file, options) => { context.harRoutes.push({ file, options }); }
+  };
+  return context;
+}
+
+const fakeRoute = url => ({
+  request: () => request('GET', url),
+  abort: jest.fn(async () => 'aborted'),
+  continue: jest.fn(async () => 'continued')
+});
+
+describe('HarManager', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-har-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('rejects recording and replaying at once and unknown policies', () => {
+    expect(new HarManager().mode).toBeNull();
+    expect(() => new HarManager({ record: 'a.har', replay: 'b.har' })).toThrow('record a HAR or replay one, not both');
+    expect(() => new HarManager({ replay: 'b.har', notFound: 'ignore' })).toThrow('Unknown har.notFound "ignore"');
+  });
+
+  test('merges the recorded parts of every context into one HAR file', async () => {
+    const file = path.join(dir, 'out/site.har');
+    const har = new HarManager({ record: file });
+    await har.prepare();
+
+    const first = har.contextOptions();
+    const second = har.contextOptions();
+    har.contextOptions();
+    expect(har.mode).toBe('record');
+    expect(first.recordHar).toMatchObject({ content: 'embed', mode: 'full' });
+
+    const part = (pages, entries) => JSON.stringify({ log: { creator: { name: 'Playwright' }, pages, entries } });
+    await fs.writeFile(first.recordHar.path, part([{ id: 'page@1' }], [
+      { startedDateTime: '2025-01-01T00:00:02Z', request: { url: 'https://example.com/app.js' } }
+    ]));
+    await fs.writeFile(second.recordHar.path, part([{ id: 'page@2' }], [
+      { startedDateTime: '2025-01-01T00:00:01Z', request: { url: 'https://example.com/' } }
+    ]));
+
+    const recorded = await har.save(log => ({ ...log, redacted: true }));
+
+    // The third context was never closed and wrote no part
+    expect(recorded).toBe(2);
+    const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+    expect(saved.redacted).toBe(true);
+    expect(saved.log.creator).toEqual({ name: 'Playwright' });
+    expect(saved.log.pages.map(page => page.id)).toEqual(['page@1', 'page@2']);
+    expect(saved.log.entries.map(entry => entry.request.url)).toEqual(['https://example.com/', 'https://example.com/app.js']);
+    expect(har.describe()).toEqual({ mode: 'record', file });
+    expect(await har.save()).toBeNull();
+  });
+
+  test('redacts cookies and authorization headers unless asked to keep them', async () => {
+    const entry = {
+      startedDateTime: '2025-01-01T00:00:01Z',
+      request: {
+        url: 'https://example.com/account',
+        headers: [{ name: 'Cookie', value: 'session=abc123' }, { name: 'authorization', value: 'Bearer xyz' }, { name: 'Accept', value: 'text/html' }],
+        cookies: [{ name: 'session', value: 'abc123' }]
+      },
+      response: {
+        status: 200,
+        headers: [{ name: 'set-cookie', value: 'session=def456; HttpOnly' }, { name: 'Content-Type', value: 'text/html' }],
+        cookies: [{ name: 'session', value: 'def456', httpOnly: true }]
+      }
+    };
+    const record = async options => {
+      const har = new HarManager({ record: path.join(dir, 'site.har'), ...options });
+      await har.prepare();
+      await fs.writeFile(har.contextOptions().recordHar.path, JSON.stringify({ log: { entries: [entry] } }));
+      await har.save();
+      return JSON.parse(await fs.readFile(path.join(dir, 'site.har'), 'utf8')).log.entries[0];
+    };
+
+    const redacted = await record();
+    expect(redacted.request.headers).toEqual([
+      { name: 'Cookie', value: '[REDACTED]' },
+      { name: 'authorization', value: '[REDACTED]' },
+      { name: 'Accept', value: 'text/html' }
+    ]);
+    expect(redacted.request.cookies).toEqual([{ name: 'session', value: '[REDACTED]' }]);
+    expect(redacted.response.headers[0]).toEqual({ name: 'set-cookie', value: '[REDACTED]' });
+    expect(redacted.response.cookies).toEqual([{ name: 'session', value: '[REDACTED]', httpOnly: true }]);
+    expect(redacted.response.status).toBe(200);
+
+    expect(await record({ keepSecrets: true })).toEqual(entry);
+  });
+
+  test('replays a HAR file and aborts or forwards the requests it lacks', async () => {
+    const file = path.join(dir, 'site.har');
+    await expect(new HarManager({ replay: file }).prepare()).rejects.toThrow(`HAR file ${file} not found`);
+    await fs.writeFile(file, '{"log":{"entries":[]}}');
+
+    const har = new HarManager({ replay: file });
+    await har.prepare();
+    expect(har.contextOptions()).toEqual({});
+
+    const context = fakeContext();
+    await har.attach(context);
+    expect(context.harRoutes).toEqual([{ file, options: { notFound: 'fallback' } }]);
+
+    const route = fakeRoute('https://cdn.example.com/font.woff2');
+    await context.routes[0].handler(route);
+    expect(route.abort).toHaveBeenCalledWith('internetdisconnected');
+    expect(har.unmatchedRequests(context)).toEqual(['GET https://cdn.example.com/font.woff2']);
+    expect(har.describe(har.unmatchedRequests(context))).toEqual({
+      mode: 'replay', file, notFound: 'abort', unmatched: ['GET https://cdn.example.com/font.woff2']
+    });
+
+    const forwarding = new HarManager({ replay: file, notFound: 'fallback' });
+    const sink = [];
+    const derived = fakeContext();
+    await forwarding.attach(derived, sink);
+    const forwarded = fakeRoute('https://example.com/api');
+    await derived.routes[0].handler(forwarded);
+    expect(forwarded.continue).toHaveBeenCalled();
+    expect(sink).toEqual(['GET https://example.com/api']);
+    expect(forwarding.unmatchedRequests(fakeContext())).toEqual([]);
+  });
+});
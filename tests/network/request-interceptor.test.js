@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RequestInterceptor = require('../../src/network/request-interceptor');
+const { matchesRequest, siteOf, isThirdParty } = RequestInterceptor;
+
+const fakeRoute = (url, method = 'GET') => ({
+  request: () => ({ method: () => method, url: () => url }),
+  abort: jest.fn(async () => {}),
+  fulfill: jest.fn(async () => {}),
+  fallback: jest.fn(async () => {})
+});
+
+describe('request matching', () => {
+  test('matches host patterns with their subdomains and URL globs', () => {
+    expect(matchesRequest('https://www.google-analytics.com/collect', 'google-analytics.com')).toBe(true);
+    expect(matchesRequest('https://notgoogle-analytics.com/', 'google-analytics.com')).toBe(false);
+    expect(matchesRequest('https://ads.example.net/tag.js', '*.example.net')).toBe(true);
+    expect(matchesRequest('https://example.com/api/users?page=2', 'https://example.com/api/**')).toBe(true);
+    expect(matchesRequest('https://example.com/app.js', 'https://example.com/api/**')).toBe(false);
+    expect(matchesRequest('not a url', 'example.com')).toBe(false);
+  });
+
+  test('groups hosts by registrable site', () => {
+    expect(siteOf('shop.example.co.uk')).toBe('example.co.uk');
+    expect(siteOf('cdn.assets.example.com')).toBe('example.com');
+    expect(siteOf('localhost')).toBe('localhost');
+    expect(siteOf('192.168.1.20')).toBe('192.168.1.20');
+  });
+
+  test('tells third-party requests from the site\'s own', () => {
+    const firstParty = ['www.example.com', 'example-cdn.net'];
+
+    expect(isThirdParty('https://static.example.com/app.js', firstParty)).toBe(false);
+    expect(isThirdParty('https://img.example-cdn.net/logo.png', firstParty)).toBe(false);
+    expect(isThirdParty('https://www.googletagmanager.com/gtm.js', firstParty)).toBe(true);
+    expect(isThirdParty('wss://chat.widget.io/socket', firstParty)).toBe(true);
+    expect(isThirdParty('data:image/png;base64,AAAA', firstParty)).toBe(false);
+  });
+});
+
+describe('RequestInterceptor', () => {
+  test('validates stub and latency rules', () => {
+    expect(new RequestInterceptor().active).toBe(false);
+    expect(() => new RequestInterceptor({ stub: [{ body: '{}' }] })).toThrow('network.stub[0] needs a url pattern');
+    expect(() => new RequestInterceptor({ stub: [{ url: '**/api/**' }] })).toThrow('network.stub[0] needs either a fixture file or a body');
+    expect(() => new RequestInterceptor({ stub: [{ url: '**/api/**', body: '', file: 'a.json' }] })).toThrow('either a fixture file or a body');
+    expect(() => new RequestInterceptor({ latency: [{ url: 'example.com', delay: -5 }] })).toThrow('network.latency[0] needs a url pattern and a delay in ms');
+  });
+
+  test('checks stub fixtures exist before any page loads', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-network-'));
+    try {
+      const fixture = path.join(dir, 'users.json');
+      await fs.writeFile(fixture, '[]');
+
+      await expect(new RequestInterceptor({ stub: [{ url: '**/users', file: fixture }] }).prepare()).resolves.toBeUndefined();
+      await expect(new RequestInterceptor({ stub: [{ url: '**/posts', file: path.join(dir, 'posts.json') }] }).prepare())
+        .rejects.toThrow(`Stub fixture ${path.join(dir, 'posts.json')} not found (for **/posts)`);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('blocks, delays and stubs requests and logs what it did', async () => {
+    const interceptor = new RequestInterceptor({
+      block: ['doubleclick.net'],
+      stub: [
+        { url: 'https://example.com/api/**', body: '{"users":[]}', contentType: 'application/json' },
+        { url: '**/api/**', body: 'never used' }
+      ],
+      latency: [{ url: 'https://example.com/api/**', delay: 5 }]
+    });
+    const routes = [];
+    const context = { route: async (pattern, handler) => routes.push(handler) };
+    await interceptor.attach(context);
+
+    const blocked = fakeRoute('https://ad.doubleclick.net/pixel');
+    const stubbed = fakeRoute('https://example.com/api/users', 'POST');
+    const passed = fakeRoute('https://example.com/');
+    await routes[0](blocked);
+    await routes[0](stubbed);
+    await routes[0](passed);
+
+    expect(blocked.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(stubbed.fulfill).toHaveBeenCalledWith({ status: 200, headers: undefined, contentType: 'application/json', body: '{"users":[]}' });
+    expect(passed.fallback).toHaveBeenCalled();
+    expect(interceptor.describe(interceptor.interceptedRequests(context))).toEqual({
+      blocked: ['GET https://ad.doubleclick.net/pixel'],
+      stubbed: ['POST https://example.com/api/users'],
+      delayed: ['POST https://example.com/api/users']
+    });
+  });
+
+  test('leaves contexts alone without rules', async () => {
+    const context = { route: jest.fn() };
+    await new RequestInterceptor().attach(context);
+
+    expect(context.route).not.toHaveBeenCalled();
+    expect(new RequestInterceptor().interceptedRequests(context)).toEqual([]);
+  });
+});
@@ -0,0 +1,114 @@
+const ThirdPartyComparison = require('../../src/network/third-party-comparison');
+
+const PAGE_REQUESTS = [
+  'https://www.example.com/',
+  'https://static.example.com/app.js',
+  'https://www.googletagmanager.com/gtm.js',
+  'https://www.googletagmanager.com/gtag.js',
+  'https://widget.chat.io/embed.js'
+];
+
+/**
+ * Orchestrator whose pages request PAGE_REQUESTS and report the next queued metrics
+ */
+function fakeOrchestrator(metrics) {
+  const orchestrator = {
+    measured: [],
+    closed: 0,
+    defaultContextOptions: () => ({ viewport: { width: 1280, height: 800 } }),
+    async createContext() {
+      const routes = [];
+      const listeners = { request: [] };
+      return {
+        route: async (pattern, handler) => routes.push(handler),
+        on: (event, listener) => listeners[event].push(listener),
+        close: async () => { orchestrator.closed++; },
+        async newPage() {
+          const pageListeners = { console: [], pageerror: [] };
+          return {
+            on: (event, listener) => pageListeners[event].push(listener),
+            addInitScript: async () => {},
+            waitForTimeout: async () => {},
+            async evaluate() {
+              const blocked = [];
+              for (const url of PAGE_REQUESTS) {
+                listeners.request.forEach(listener => listener({ url: () => url }));
+                for (const handler of routes) {
+                  await handler({
+                    request: () => ({ url: () => url }),
+                    abort: async () => blocked.push(url),
+                    fallback: async () => {}
+                  });
+                }
+              }
+              const message = (text, url) => ({ type: () => 'error', text: () => text, location: () => ({ url }) });
+              blocked.forEach(url => pageListeners.console.forEach(listener => listener(message('Failed to load resource', url))));
+              if (blocked.length === 0) {
+                pageListeners.pageerror.forEach(listener => listener(new Error('gtag is not defined')));
+              }
+              pageListeners.console.forEach(listener => listener(message('App error', 'https://www.example.com/')));
+
+              orchestrator.measured.push(blocked.length > 0 ? 'without' : 'with');
+              return metrics.shift();
+            }
+          };
+        }
+      };
+    },
+    navigate: async () => {}
+  };
+  return orchestrator;
+}
+
+describe('ThirdPartyComparison', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports the median cost of the third parties', async () => {
+    const orchestrator = fakeOrchestrator([
+      { loadTime: 1800, longTasks: 4, longTaskTime: 400, cumulativeLayoutShift: 0.12 },
+      { loadTime: 900, longTasks: 1, longTaskTime: 80, cumulativeLayoutShift: 0.02 },
+      { loadTime: 2000, longTasks: 6, longTaskTime: 520, cumulativeLayoutShift: 0.1 },
+      { loadTime: 1000, longTasks: 1, longTaskTime: 90, cumulativeLayoutShift: 0.02 },
+      { loadTime: 1700, longTasks: 5, longTaskTime: 450, cumulativeLayoutShift: 0.15 },
+      { loadTime: 950, longTasks: 2, longTaskTime: 100, cumulativeLayoutShift: 0.01 }
+    ]);
+    const comparison = new ThirdPartyComparison(orchestrator, { runs: 3, settle: 0 });
+
+    const report = await comparison.run('https://www.example.com/');
+
+    expect(orchestrator.measured).toEqual(['with', 'without', 'with', 'without', 'with', 'without']);
+    expect(orchestrator.closed).toBe(6);
+    expect(report.firstParty).toEqual(['example.com']);
+    expect(report.thirdParties).toEqual([
+      { host: 'www.googletagmanager.com', requests: 2 },
+      { host: 'widget.chat.io', requests: 1 }
+    ]);
+    expect(report.withThirdParties).toEqual({ loadTime: 1800, longTasks: 5, longTaskTime: 450, cumulativeLayoutShift: 0.12, consoleErrors: 2 });
+    expect(report.withoutThirdParties).toEqual({ loadTime: 950, longTasks: 1, longTaskTime: 90, cumulativeLayoutShift: 0.02, consoleErrors: 1 });
+    expect(report.delta).toEqual({ loadTime: 850, longTasks: 4, longTaskTime: 360, cumulativeLayoutShift: 0.1, consoleErrors: 1 });
+    expect(report.consoleErrors).toEqual({
+      withThirdParties: ['gtag is not defined', 'App error'],
+      withoutThirdParties: ['App error']
+    });
+  });
+
+  test('leaves metrics a browser does not report out of the delta', async () => {
+    const orchestrator = fakeOrchestrator([
+      { loadTime: 1200, longTasks: null, longTaskTime: null, cumulativeLayoutShift: null },
+      { loadTime: 800, longTasks: null, longTaskTime: null, cumulativeLayoutShift: null }
+    ]);
+
+    const report = await new ThirdPartyComparison(orchestrator, { runs: 1, settle: 0, firstParty: ['googletagmanager.com'] })
+      .run('https://www.example.com/');
+
+    expect(report.firstParty).toEqual(['example.com', 'googletagmanager.com']);
+    expect(report.thirdParties).toEqual([{ host: 'widget.chat.io', requests: 1 }]);
+    expect(report.delta).toMatchObject({ loadTime: 400, longTasks: null, cumulativeLayoutShift: null });
+  });
+});
@@ -0,0 +1,66 @@
+const UXOrchestrator = require('../../src/orchestrator');
+const AnalyzerRegistry = require('../../src/plugins/analyzer-registry');
+const QualityGate = require('../../src/gates/quality-gate');
+
+const fakePage = () => ({
+  viewportSize: () => ({ width: 1280, height: 800 }),
+  context: () => ({ browser: () => ({ browserType: () => ({ name: () => 'chromium' }) }) }),
+  setViewportSize: async () => {},
+  evaluate: async () => {}
+});
+
+function orchestratorWith(analyzers, config = {}) {
+  const orchestrator = new UXOrchestrator({ pluginDiscovery: false, baseline: false, reporting: { generateTrends: false }, ...config });
+  orchestrator.analyzers = new AnalyzerRegistry();
+  Object.entries(analyzers).forEach(([name, analyze]) => orchestrator.analyzers.register(name, { analyze }));
+  return orchestrator;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('analyzer runs', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records failed and timed-out analyzers and keeps the results of the others', async () => {
+    const orchestrator = orchestratorWith({
+      fine: async () => ({ issues: [{ title: 'Missing skip link', severity: 'low' }], metrics: { links: 12 } }),
+      broken: async () => { throw new Error('Cannot read properties of null'); },
+      slow: async () => { await wait(200); return { issues: [{ title: 'Late', severity: 'high' }] }; }
+    }, { analyzerTimeout: 20 });
+    const results = orchestrator.createResults('https://example.com/', 'quick');
+
+    await orchestrator.runAnalyzers('quick', fakePage(), results);
+
+    expect(results.analyzerRuns.map(run => [run.name, run.status])).toEqual([['fine', 'ok'], ['broken', 'failed'], ['slow', 'timed-out']]);
+    expect(results.analyzerRuns[1]).toMatchObject({ error: 'Cannot read properties of null', stack: expect.any(String) });
+    expect(results.analyzerRuns[2].error).toBe('Timed out after 20ms');
+    expect(results.analyzers).toEqual(['fine']);
+    expect(results.issues.map(issue => issue.title)).toEqual(['Missing skip link']);
+    expect(results.metrics).toEqual({ links: 12 });
+  });
+
+  test('lets a per-analyzer time limit override the default', async () => {
+    const orchestrator = orchestratorWith({
+      slow: async () => { await wait(50); return {}; }
+    }, { analyzerTimeout: 10, analyzerTimeouts: { slow: 1000 } });
+    const results = orchestrator.createResults('https://example.com/', 'quick');
+
+    await orchestrator.runAnalyzers('quick', fakePage(), results);
+
+    expect(results.analyzerRuns[0].status).toBe('ok');
+  });
+
+  test('fails the quality gate on analyzer problems only with strictAnalyzers', () => {
+    const results = { issues: [], analyzerRuns: [{ name: 'fine', status: 'ok' }, { name: 'slow', status: 'timed-out' }] };
+
+    expect(new QualityGate({ strictAnalyzers: true }).evaluate(results).checks[0]).toMatchObject({ id: 'strict-analyzers', actual: 1, status: 'failed' });
+    expect(new QualityGate({ strictAnalyzers: true }).evaluate({ issues: [], analyzerRuns: [{ status: 'ok' }] }).status).toBe('passed');
+    expect(new QualityGate().enabled).toBe(false);
+  });
+});
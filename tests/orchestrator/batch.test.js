@@ -0,0 +1,95 @@
+const UXOrchestrator = require('../../src/orchestrator');
+
+function batchOrchestrator(config = {}) {
+  const orchestrator = new UXOrchestrator({ pluginDiscovery: false, baseline: false, reporting: { generateTrends: false }, ...config });
+  const contexts = [];
+
+  orchestrator.browser = {};
+  orchestrator.createContext = jest.fn(async () => {
+    const context = { id: contexts.length + 1, close: jest.fn(async () => {}) };
+    contexts.push(context);
+    return context;
+  });
+
+  return { orchestrator, contexts };
+}
+
+describe('UXOrchestrator.analyzeBatch', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps results in input order and reports progress with bounded concurrency', async () => {
+    const { orchestrator, contexts } = batchOrchestrator();
+    let running = 0;
+    let peak = 0;
+    orchestrator.analyzePage = async (url) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, url.endsWith('1') ? 30 : 5));
+      running--;
+      return { url, issues: [] };
+    };
+    const progress = [];
+
+    const results = await orchestrator.analyzeBatch(
+      ['http://site/1', 'http://site/2', 'http://site/3', 'http://site/4'].map(url => ({ url })),
+      { concurrency: 2, onProgress: ({ completed, total }) => progress.push(`${completed}/${total}`) }
+    );
+
+    expect(results.map(result => result.url)).toEqual(['http://site/1', 'http://site/2', 'http://site/3', 'http://site/4']);
+    expect(results.every(result => result.attempts === 1)).toBe(true);
+    expect(peak).toBe(2);
+    expect(progress).toEqual(['1/4', '2/4', '3/4', '4/4']);
+    expect(contexts).toHaveLength(2);
+    expect(contexts.every(context => context.close.mock.calls.length === 1)).toBe(true);
+  });
+
+  test('retries transient errors only', async () => {
+    const { orchestrator } = batchOrchestrator({ retries: 1 });
+    const calls = {};
+    orchestrator.analyzePage = async (url) => {
+      calls[url] = (calls[url] || 0) + 1;
+      if (url.endsWith('flaky') && calls[url] === 1) return { url, error: 'net::ERR_CONNECTION_RESET' };
+      if (url.endsWith('broken')) return { url, error: 'Unknown analyzer "x"' };
+      return { url };
+    };
+    // Skip the one-second back-off before the retry
+    const realSetTimeout = global.setTimeout;
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => realSetTimeout(callback, ms === 1000 ? 0 : ms));
+
+    const results = await orchestrator.analyzeBatch([{ url: 'http://site/flaky' }, { url: 'http://site/broken' }]);
+
+    expect(results.map(result => [result.error, result.attempts])).toEqual([[undefined, 2], ['Unknown analyzer "x"', 1]]);
+  });
+
+  test('gives timed-out pages a failed result and fresh contexts for the next page', async () => {
+    const { orchestrator, contexts } = batchOrchestrator({ retries: 0, pageTimeout: 20 });
+    const used = [];
+    orchestrator.analyzePage = async (url, type, options) => {
+      used.push(options.contexts.chromium.id);
+      if (url.endsWith('slow')) await new Promise(resolve => setTimeout(resolve, 100));
+      return { url, issues: [] };
+    };
+
+    const results = await orchestrator.analyzeBatch([{ url: 'http://site/slow' }, { url: 'http://site/fast' }], { concurrency: 1 });
+
+    expect(results[0]).toMatchObject({ timedOut: true, error: 'Page analysis timed out after 20ms' });
+    expect(results[1].timedOut).toBeUndefined();
+    expect(used).toEqual([1, 2]);
+    expect(contexts[0].close).toHaveBeenCalled();
+  });
+
+  test('recognizes transient browser errors', () => {
+    const { orchestrator } = batchOrchestrator();
+
+    expect(orchestrator.isTransientError('page.goto: net::ERR_NAME_NOT_RESOLVED')).toBe(true);
+    expect(orchestrator.isTransientError('Target page, context or browser has been closed')).toBe(true);
+    expect(orchestrator.isTransientError('Invalid selector')).toBe(false);
+  });
+});
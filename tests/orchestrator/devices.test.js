@@ -0,0 +1,69 @@
+const UXOrchestrator = require('../../src/orchestrator');
+
+const config = { pluginDiscovery: false, baseline: false, reporting: { generateTrends: false }, captureScreenshots: false };
+
+function fullAnalysisOrchestrator(extra) {
+  const orchestrator = new UXOrchestrator({ ...config, ...extra });
+  const contextOptions = [];
+  const closed = [];
+
+  orchestrator.runDeepAnalysis = async () => {};
+  orchestrator.runAnalyzers = async () => {};
+  orchestrator.navigate = async () => {};
+  orchestrator.createContext = async options => {
+    contextOptions.push(options);
+    return { newPage: async () => ({ close: async () => {} }), close: async () => { closed.push(options); } };
+  };
+
+  const page = { context: () => ({ browser: () => ({}) }) };
+  const results = { url: 'https://example.com/', engine: 'chromium', screenshots: [] };
+  return { orchestrator, contextOptions, closed, run: () => orchestrator.runFullAnalysis(page, results).then(() => results) };
+}
+
+describe('device emulation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs the analysis once per device and merges by device', async () => {
+    const orchestrator = new UXOrchestrator({ ...config, devices: ['iphone', 'ipad'] });
+    orchestrator.analyzeAcrossEngines = jest.fn(async (url, type, options) => ({
+      url, device: options.device.name, issues: [], recommendations: [], metrics: {}, scores: {}, screenshots: []
+    }));
+
+    const merged = await orchestrator.analyzeVariants('https://example.com/', 'quick', {});
+
+    expect(merged.devices).toEqual(['iPhone 15', 'iPad (gen 7)']);
+    expect(orchestrator.analyzeAcrossEngines).toHaveBeenCalledTimes(2);
+  });
+
+  test('full analysis tests mobile on the default device resized to mobileViewport', async () => {
+    const { contextOptions, run } = fullAnalysisOrchestrator({ mobileViewport: { width: 360, height: 640 } });
+
+    const results = await run();
+
+    expect(results.mobileDevice).toBe('iPhone 15');
+    expect(contextOptions[0].viewport).toEqual({ width: 360, height: 640 });
+  });
+
+  test('full analysis keeps a selected device\'s own viewport', async () => {
+    const { contextOptions, run } = fullAnalysisOrchestrator({ mobileDevice: 'pixel', mobileViewport: { width: 360, height: 640 } });
+
+    const results = await run();
+
+    expect(results.mobileDevice).toBe('Pixel 7');
+    expect(contextOptions[0].viewport).not.toEqual({ width: 360, height: 640 });
+  });
+
+  test('full analysis closes the mobile context when the mobile run fails', async () => {
+    const { orchestrator, closed, run } = fullAnalysisOrchestrator();
+    orchestrator.navigate = async () => { throw new Error('Navigation timeout of 30000 ms exceeded'); };
+
+    await expect(run()).rejects.toThrow('Navigation timeout');
+    expect(closed).toHaveLength(1);
+  });
+});
@@ -0,0 +1,84 @@
+const UXOrchestrator = require('../../src/orchestrator');
+
+const config = { pluginDiscovery: false, baseline: false, reporting: { generateTrends: false } };
+
+function run(engine, issues, extra = {}) {
+  return {
+    url: 'https://example.com/',
+    engine,
+    issues,
+    recommendations: [],
+    metrics: { loadTime: engine === 'chromium' ? 900 : 1200 },
+    scores: { accessibility: 80 },
+    screenshots: [`${engine}.png`],
+    analyzers: ['accessibility'],
+    analyzerRuns: [{ analyzer: 'accessibility', status: 'ok' }],
+    analysisTime: '100ms',
+    ...extra
+  };
+}
+
+describe('cross-engine analysis', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects unknown engines', () => {
+    expect(() => new UXOrchestrator({ ...config, browsers: ['chromium', 'edge'] }))
+      .toThrow('Unknown browser engine(s): edge (expected chromium, firefox, webkit)');
+  });
+
+  test('merges identical issues and tags engine-specific ones', () => {
+    const orchestrator = new UXOrchestrator({ ...config, browsers: ['chromium', 'firefox'] });
+    const shared = { ruleId: 'a11y/img-alt', title: 'Images without alt', severity: 'high', type: 'accessibility' };
+    const firefoxOnly = { ruleId: 'bugs/console-error', title: 'Console error', severity: 'medium', type: 'bug' };
+
+    const merged = orchestrator.mergeRunResults('https://example.com/', 'quick', [
+      run('chromium', [shared]),
+      run('firefox', [shared, firefoxOnly])
+    ], 'engine');
+
+    expect(merged.engines).toEqual(['chromium', 'firefox']);
+    expect(merged.issues.map(issue => [issue.ruleId, issue.engines, issue.engineSpecific])).toEqual([
+      ['a11y/img-alt', ['chromium', 'firefox'], false],
+      ['bugs/console-error', ['firefox'], true]
+    ]);
+    expect(merged.metrics).toEqual({ 'loadTime (chromium)': 900, 'loadTime (firefox)': 1200 });
+    expect(merged.summary.engineSpecificIssues).toBe(1);
+    expect(merged.analyzerRuns.map(entry => entry.engine)).toEqual(['chromium', 'firefox']);
+    expect(merged.analysisTime).toBe('200ms');
+    expect(merged.error).toBeUndefined();
+  });
+
+  test('lists failed engines and fails the merge only when every engine failed', () => {
+    const orchestrator = new UXOrchestrator({ ...config, browsers: ['chromium', 'webkit'] });
+
+    const partly = orchestrator.mergeRunResults('https://example.com/', 'quick', [
+      run('chromium', []),
+      run('webkit', [], { error: 'crashed' })
+    ], 'engine');
+    const failed = orchestrator.mergeRunResults('https://example.com/', 'quick', [
+      run('chromium', [], { error: 'timeout' }),
+      run('webkit', [], { error: 'crashed' })
+    ], 'engine');
+
+    expect(partly.failedEngines).toEqual(['webkit']);
+    expect(partly.error).toBeUndefined();
+    expect(failed.error).toBe('chromium: timeout; webkit: crashed');
+  });
+
+  test('runs the analysis once per configured engine in that engine\'s context', async () => {
+    const orchestrator = new UXOrchestrator({ ...config, browsers: ['chromium', 'firefox'] });
+    orchestrator.engineContext = async engine => ({ engine });
+    orchestrator.runPageAnalysis = jest.fn(async (url, type, options) => run(options.context.engine, []));
+
+    const merged = await orchestrator.analyzeAcrossEngines('https://example.com/', 'quick', {});
+
+    expect(orchestrator.runPageAnalysis.mock.calls.map(([, , options]) => options.context.engine)).toEqual(['chromium', 'firefox']);
+    expect(merged.engines).toEqual(['chromium', 'firefox']);
+  });
+});
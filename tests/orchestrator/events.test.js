@@ -0,0 +1,71 @@
+const UXOrchestrator = require('../../src/orchestrator');
+const AnalyzerRegistry = require('../../src/plugins/analyzer-registry');
+
+const fakePage = () => ({
+  viewportSize: () => ({ width: 1280, height: 800 }),
+  context: () => ({ browser: () => ({ browserType: () => ({ name: () => 'chromium' }) }) }),
+  setViewportSize: async () => {},
+  evaluate: async () => {}
+});
+
+function orchestratorWith(analyzers) {
+  const orchestrator = new UXOrchestrator({ pluginDiscovery: false, baseline: false, reporting: { generateTrends: false } });
+  orchestrator.analyzers = new AnalyzerRegistry();
+  Object.entries(analyzers).forEach(([name, analyze]) => orchestrator.analyzers.register(name, { analyze }));
+  return orchestrator;
+}
+
+describe('progress events', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('announces the start and end of an analysis', async () => {
+    const orchestrator = orchestratorWith({});
+    orchestrator.analyzeVariants = async url => orchestrator.createResults(url, 'element');
+    orchestrator.recordHistory = async () => {};
+    const events = [];
+    orchestrator.on('analysis:start', payload => events.push(['start', payload]));
+    orchestrator.on('analysis:end', payload => events.push(['end', payload]));
+
+    const results = await orchestrator.analyzePage('https://example.com/', 'element', { selector: '#nav' });
+
+    expect(events[0]).toEqual(['start', { url: 'https://example.com/', analysisType: 'element', selector: '#nav' }]);
+    expect(events[1][1]).toMatchObject({ url: 'https://example.com/', analysisType: 'element', results });
+    expect(events[1][1].duration).toEqual(expect.any(Number));
+  });
+
+  test('streams issues and analyzer completions as each analyzer finishes', async () => {
+    const orchestrator = orchestratorWith({
+      contrast: async () => ({ issues: [{ title: 'Low contrast', severity: 'high' }, { title: 'Tiny text', severity: 'low' }] }),
+      broken: async () => { throw new Error('Analyzer crashed'); }
+    });
+    const issues = [];
+    const done = [];
+    orchestrator.on('issue', payload => issues.push(payload));
+    orchestrator.on('analyzer:done', payload => done.push(payload));
+
+    await orchestrator.runAnalyzers('quick', fakePage(), orchestrator.createResults('https://example.com/', 'quick'));
+
+    expect(issues.map(event => [event.analyzer, event.issue.title])).toEqual([['contrast', 'Low contrast'], ['contrast', 'Tiny text']]);
+    expect(issues[0]).toMatchObject({ url: 'https://example.com/', engine: 'chromium' });
+    expect(done.map(event => [event.analyzer, event.run.status, event.issues])).toEqual([['contrast', 'ok', 2], ['broken', 'failed', 0]]);
+  });
+
+  test('reports a failing listener without aborting the analysis', async () => {
+    const orchestrator = orchestratorWith({
+      contrast: async () => ({ issues: [{ title: 'Low contrast', severity: 'high' }] })
+    });
+    orchestrator.on('issue', () => { throw new Error('listener bug'); });
+    const results = orchestrator.createResults('https://example.com/', 'quick');
+
+    await orchestrator.runAnalyzers('quick', fakePage(), results);
+
+    expect(results.issues).toHaveLength(1);
+    expect(console.warn).toHaveBeenCalledWith('⚠️  "issue" listener failed: listener bug');
+  });
+});
@@ -0,0 +1,63 @@
+const UXOrchestrator = require('../../src/orchestrator');
+const AnalyzerRegistry = require('../../src/plugins/analyzer-registry');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function setup(isolations, options = {}) {
+  const orchestrator = new UXOrchestrator({ pluginDiscovery: false, baseline: false, reporting: { generateTrends: false } });
+  const log = [];
+  const isolatedPage = { name: 'isolated' };
+  const page = {
+    name: 'shared',
+    url: () => 'https://example.com/',
+    viewportSize: () => ({ width: 1280, height: 800 }),
+    context: () => ({ browser: () => ({ browserType: () => ({ name: () => 'chromium' }) }) }),
+    setViewportSize: jest.fn(async () => {}),
+    evaluate: jest.fn(async () => {})
+  };
+
+  orchestrator.analyzers = new AnalyzerRegistry();
+  Object.entries(isolations).forEach(([name, isolation]) => {
+    orchestrator.analyzers.register(name, {
+      analyze: async (target) => {
+        log.push(`start ${name} on ${target.name}`);
+        await wait(10);
+        log.push(`end ${name}`);
+        return { issues: [{ title: `${name} issue`, severity: 'low' }] };
+      }
+    }, { isolation });
+  });
+  orchestrator.createIsolatedContext = jest.fn(async () => ({ newPage: async () => isolatedPage, close: jest.fn(async () => {}) }));
+  orchestrator.navigate = jest.fn(async () => {});
+
+  const results = orchestrator.createResults('https://example.com/', 'quick');
+  return { orchestrator, log, page, results, run: () => orchestrator.runAnalyzers('quick', page, results, {}, options) };
+}
+
+describe('analyzer isolation', () => {
+  test('runs context analyzers on a fresh page, shared ones together and exclusive ones alone', async () => {
+    const { log, page, results, orchestrator, run } = setup({ layout: 'exclusive', a11y: 'shared', timing: 'context', bugs: 'shared' });
+
+    await run();
+
+    expect(log).toEqual([
+      'start timing on isolated', 'end timing',
+      'start a11y on shared', 'start bugs on shared', 'end a11y', 'end bugs',
+      'start layout on shared', 'end layout'
+    ]);
+    expect(orchestrator.createIsolatedContext).toHaveBeenCalledWith(page);
+    expect(orchestrator.navigate).toHaveBeenCalledWith({ name: 'isolated' }, 'https://example.com/', undefined);
+    expect(page.setViewportSize).toHaveBeenCalledWith({ width: 1280, height: 800 });
+    // Merged in registration order, whatever the phase
+    expect(results.analyzers).toEqual(['layout', 'a11y', 'timing', 'bugs']);
+  });
+
+  test('runs context analyzers as exclusive ones when the page cannot be reloaded', async () => {
+    const { log, orchestrator, run } = setup({ timing: 'context', a11y: 'shared' }, { reload: false });
+
+    await run();
+
+    expect(log).toEqual(['start a11y on shared', 'end a11y', 'start timing on shared', 'end timing']);
+    expect(orchestrator.createIsolatedContext).not.toHaveBeenCalled();
+  });
+});
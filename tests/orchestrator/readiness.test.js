@@ -0,0 +1,32 @@
+const UXOrchestrator = require('../../src/orchestrator');
+
+const config = { pluginDiscovery: false, baseline: false, reporting: { generateTrends: false } };
+
+describe('navigation readiness', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('layers page readiness over the configured readiness', () => {
+    const orchestrator = new UXOrchestrator({ ...config, readiness: { waitUntil: 'domcontentloaded', timeout: 5000 } });
+
+    expect(orchestrator.resolveReadiness()).toBe(orchestrator.readiness);
+    expect(orchestrator.resolveReadiness([{ selector: '#app' }])).toEqual({
+      waitUntil: 'domcontentloaded', conditions: [{ selector: '#app' }], timeout: 5000, onTimeout: 'analyze'
+    });
+  });
+
+  test('analyzes pages that are not ready unless onTimeout is fail', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const orchestrator = new UXOrchestrator(config);
+    const page = { goto: jest.fn(async () => {}), waitForSelector: async () => { throw new Error('Element is detached'); } };
+
+    const report = await orchestrator.navigate(page, 'https://example.com/', orchestrator.resolveReadiness([{ selector: '#app' }]));
+
+    expect(page.goto).toHaveBeenCalledWith('https://example.com/', { waitUntil: 'load', timeout: 30000 });
+    expect(report.ready).toBe(false);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Page not ready (selector #app failed: Element is detached)'));
+    await expect(orchestrator.navigate(page, 'https://example.com/', orchestrator.resolveReadiness({ conditions: [{ selector: '#app' }], onTimeout: 'fail' })))
+      .rejects.toThrow('Page not ready: selector #app failed: Element is detached');
+  });
+});
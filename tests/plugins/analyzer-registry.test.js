@@ -0,0 +1,60 @@
+const AnalyzerRegistry = require('../../src/plugins/analyzer-registry');
+
+const analyzer = (extra = {}) => ({ analyze: async () => ({}), ...extra });
+
+describe('AnalyzerRegistry', () => {
+  test('registers analyzers with default modes, isolation and source', () => {
+    const registry = new AnalyzerRegistry();
+    const entry = registry.register('custom', analyzer());
+
+    expect(entry).toMatchObject({ name: 'custom', modes: ['quick'], isolation: 'shared', enabled: true, source: 'custom' });
+    expect(registry.has('custom')).toBe(true);
+  });
+
+  test('takes modes, isolation and enabled from the analyzer when no options are given', () => {
+    const registry = new AnalyzerRegistry();
+    const entry = registry.register('timing', analyzer({ modes: ['deep'], isolation: 'context', enabled: false }));
+
+    expect(entry).toMatchObject({ modes: ['deep'], isolation: 'context', enabled: false });
+  });
+
+  test('rejects analyzers without analyze(), unknown modes and unknown isolation', () => {
+    const registry = new AnalyzerRegistry();
+
+    expect(() => registry.register('', analyzer())).toThrow('non-empty string');
+    expect(() => registry.register('broken', {})).toThrow('must implement analyze');
+    expect(() => registry.register('odd', analyzer(), { modes: ['quick', 'fast'] })).toThrow('unknown modes: fast');
+    expect(() => registry.register('odd', analyzer(), { isolation: 'private' })).toThrow('unknown isolation "private"');
+  });
+
+  test('names the registered analyzers when an unknown one is requested', () => {
+    const registry = new AnalyzerRegistry();
+    registry.register('a11y', analyzer());
+
+    expect(() => registry.get('missing')).toThrow('Unknown analyzer "missing" (registered: a11y)');
+  });
+
+  test('enables, disables and unregisters analyzers', () => {
+    const registry = new AnalyzerRegistry();
+    registry.register('a11y', analyzer());
+
+    registry.disable('a11y');
+    expect(registry.get('a11y').enabled).toBe(false);
+    registry.enable('a11y');
+    expect(registry.get('a11y').enabled).toBe(true);
+    expect(registry.unregister('a11y')).toBe(true);
+    expect(registry.list()).toEqual([]);
+  });
+
+  test('picks the first registered mode of an analysis type and skips disabled analyzers', () => {
+    const registry = new AnalyzerRegistry();
+    registry.register('quickOnly', analyzer(), { modes: ['quick'] });
+    registry.register('both', analyzer(), { modes: ['quick', 'deep'] });
+    registry.register('elementOnly', analyzer(), { modes: ['element'] });
+    registry.register('off', analyzer(), { modes: ['deep'], enabled: false });
+
+    const deep = registry.forMode('deep').map(({ entry, mode }) => [entry.name, mode]);
+    expect(deep).toEqual([['quickOnly', 'quick'], ['both', 'deep']]);
+    expect(registry.forMode('element').map(({ entry }) => entry.name)).toEqual(['elementOnly']);
+  });
+});
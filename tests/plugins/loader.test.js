@@ -0,0 +1,47 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { discoverInstalledPlugins, readConfiguredPlugins, loadPlugin } = require('../../src/plugins/loader');
+
+describe('plugin loader', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-plugins-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('discovers plain and scoped claude-ux-plugin-* packages', async () => {
+    await fs.mkdir(path.join(dir, 'node_modules/claude-ux-plugin-contrast'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'node_modules/@acme/claude-ux-plugin-forms'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'node_modules/lodash'), { recursive: true });
+
+    expect(await discoverInstalledPlugins(dir)).toEqual(['@acme/claude-ux-plugin-forms', 'claude-ux-plugin-contrast']);
+  });
+
+  test('finds no plugins without node_modules', async () => {
+    expect(await discoverInstalledPlugins(dir)).toEqual([]);
+  });
+
+  test('resolves relative configured plugins against the config file', async () => {
+    const configPath = path.join(dir, 'claude-ux.config.json');
+    await fs.writeFile(configPath, JSON.stringify({ plugins: ['./plugins/forms.js', 'claude-ux-plugin-contrast'] }));
+
+    expect(await readConfiguredPlugins(configPath)).toEqual([path.join(dir, 'plugins/forms.js'), 'claude-ux-plugin-contrast']);
+    expect(await readConfiguredPlugins(path.join(dir, 'missing.json'))).toEqual([]);
+  });
+
+  test('loads one or several definitions and rejects malformed plugins', async () => {
+    await fs.writeFile(path.join(dir, 'single.js'), "module.exports = { name: 'single', analyze: () => ({}) };");
+    await fs.writeFile(path.join(dir, 'many.js'), "module.exports = [{ name: 'a', analyze: () => ({}) }, { name: 'b', analyze: () => ({}) }];");
+    await fs.writeFile(path.join(dir, 'broken.js'), "module.exports = { name: 'broken' };");
+
+    expect(loadPlugin('./single.js', dir).map(definition => definition.name)).toEqual(['single']);
+    expect(loadPlugin('./many.js', dir).map(definition => definition.name)).toEqual(['a', 'b']);
+    expect(() => loadPlugin('./broken.js', dir)).toThrow('must export { name, modes, analyze(page, context) }');
+    expect(() => loadPlugin('./missing.js', dir)).toThrow('Cannot find analyzer plugin "./missing.js"');
+  });
+});
@@ -0,0 +1,80 @@
+const { normalizeReadiness, conditionType, describeCondition, waitForReadiness, readinessProblem } = require('../../src/readiness/page-readiness');
+
+function timeoutError() {
+  const error = new Error('Timeout exceeded');
+  error.name = 'TimeoutError';
+  return error;
+}
+
+describe('page readiness', () => {
+  test('fills in defaults and accepts a bare list of conditions', () => {
+    expect(normalizeReadiness({}, { timeout: 5000 })).toEqual({ waitUntil: 'load', conditions: [{ networkIdle: true }], timeout: 5000, onTimeout: 'analyze' });
+    expect(normalizeReadiness([{ selector: '#app' }]).conditions).toEqual([{ selector: '#app' }]);
+  });
+
+  test('rejects unknown settings and conditions without exactly one type', () => {
+    expect(() => normalizeReadiness({ waitUntil: 'idle' })).toThrow('Unknown readiness.waitUntil "idle"');
+    expect(() => normalizeReadiness({ onTimeout: 'retry' })).toThrow('Unknown readiness.onTimeout "retry"');
+    expect(() => conditionType({ selector: '#app', fonts: true })).toThrow('Readiness conditions need exactly one of');
+    expect(() => conditionType({ state: 'visible' })).toThrow('Readiness conditions need exactly one of');
+    expect(conditionType({ selector: '#app', networkIdle: false })).toBe('selector');
+  });
+
+  test('describes conditions for reports', () => {
+    expect(describeCondition({ selector: '#app', state: 'attached' })).toBe('selector #app (attached)');
+    expect(describeCondition({ domQuiet: 500 })).toBe('DOM quiet for 500ms');
+    expect(describeCondition({ custom: async function appBooted() {} })).toBe('custom appBooted');
+  });
+
+  test('waits for each condition and reports what was met', async () => {
+    const page = {
+      waitForSelector: jest.fn(async () => {}),
+      waitForLoadState: jest.fn(async () => {}),
+      url: () => 'https://example.com/'
+    };
+    const calls = [];
+    const custom = async function appBooted(...args) {
+      calls.push(args);
+    };
+
+    const report = await waitForReadiness(page, normalizeReadiness({ conditions: [{ selector: '#app' }, { networkIdle: true }, { custom }], timeout: 1000 }));
+
+    expect(report.ready).toBe(true);
+    expect(report.conditions.map(entry => [entry.condition, entry.status])).toEqual([
+      ['selector #app', 'met'], ['network idle', 'met'], ['custom appBooted', 'met']
+    ]);
+    expect(page.waitForSelector).toHaveBeenCalledWith('#app', { state: 'visible', timeout: expect.any(Number) });
+    expect(calls).toEqual([[page, { url: 'https://example.com/', timeout: expect.any(Number) }]]);
+  });
+
+  test('records timed-out and failed conditions without throwing', async () => {
+    const page = {
+      waitForSelector: async () => { throw timeoutError(); },
+      waitForFunction: async () => { throw new Error('appReady is not defined'); }
+    };
+
+    const report = await waitForReadiness(page, normalizeReadiness({ conditions: [{ selector: '#app' }, { predicate: 'appReady' }], timeout: 1000 }));
+
+    expect(report.ready).toBe(false);
+    expect(report.conditions.map(entry => [entry.status, entry.error])).toEqual([
+      ['timed-out', 'Not met within 1000ms'],
+      ['failed', 'appReady is not defined']
+    ]);
+    expect(readinessProblem(report)).toBe('selector #app timed out, predicate appReady failed: appReady is not defined');
+  });
+
+  test('skips the remaining conditions once the time is up', async () => {
+    const page = { waitForLoadState: () => new Promise(resolve => setTimeout(resolve, 40)), waitForSelector: jest.fn() };
+
+    const report = await waitForReadiness(page, normalizeReadiness({ conditions: [{ networkIdle: true }, { selector: '#app' }], timeout: 20 }));
+
+    expect(report.conditions.map(entry => entry.status)).toEqual(['met', 'skipped']);
+    expect(page.waitForSelector).not.toHaveBeenCalled();
+  });
+
+  test('times out custom conditions that never settle', async () => {
+    const report = await waitForReadiness({ url: () => 'https://example.com/' }, normalizeReadiness({ conditions: [{ custom: () => new Promise(() => {}) }], timeout: 20 }));
+
+    expect(report.conditions[0]).toMatchObject({ status: 'timed-out', error: 'Not met within 20ms' });
+  });
+});
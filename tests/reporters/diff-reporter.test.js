@@ -0,0 +1,35 @@
+const DiffReporter = require('../../src/reporters/diff-reporter');
+const { diffReports } = require('../../src/diff/report-diff');
+
+const diff = diffReports(
+  { meta: { url: 'https://example.com/' }, summary: { overallScore: 80 }, issues: [{ ruleId: 'a11y/img-alt', title: 'Images without alt', severity: 'high' }] },
+  { meta: { url: 'https://example.com/' }, summary: { overallScore: 70 }, issues: [{ ruleId: 'bugs/console-error', title: 'Console <script> | errors', severity: 'high' }] },
+  { beforeFile: 'before.json', afterFile: 'after.json' }
+);
+
+describe('DiffReporter', () => {
+  const reporter = new DiffReporter();
+
+  test('renders added and resolved issues and the regression count for the terminal', () => {
+    const text = reporter.renderText(diff);
+
+    expect(text).toContain('➕ Added: 1   ✅ Resolved: 1');
+    expect(text).toContain('[high] Console <script> | errors');
+    expect(text).toContain('2 regression(s), 1 improvement(s)');
+  });
+
+  test('renders Markdown tables with escaped cells', () => {
+    const markdown = reporter.renderMarkdown(diff);
+
+    expect(markdown).toContain('| Overall Score | 80 | 70 | -10 |');
+    expect(markdown).toContain('| high | Console <script> \\| errors | `bugs/console-error` | - |');
+    expect(markdown).toContain('| high | Images without alt | `a11y/img-alt` | - |');
+  });
+
+  test('escapes issue text in HTML', () => {
+    const html = reporter.renderHtml(diff);
+
+    expect(html).toContain('Console &lt;script&gt; | errors');
+    expect(html).not.toContain('<script>');
+  });
+});
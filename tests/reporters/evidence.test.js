@@ -0,0 +1,49 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MarkdownReporter = require('../../src/reporters/markdown-reporter');
+const JSONReporter = require('../../src/reporters/json-reporter');
+
+const element = {
+  selector: 'main > img:nth-of-type(2)',
+  xpath: '/html[1]/body[1]/main[1]/img[2]',
+  snippet: '<img src="hero.png">',
+  boundingBox: { x: 10, y: 20, width: 300, height: 150 },
+  values: { src: 'hero.png', alt: null }
+};
+
+describe('element evidence in reports', () => {
+  test('markdown lists each element with its selector, box, values, XPath and snippet', () => {
+    const list = new MarkdownReporter().generateElementList([element]);
+
+    expect(list).toContain('<summary>Affected elements</summary>');
+    expect(list).toContain('- `main > img:nth-of-type(2)` (300x150 at 10,20)');
+    expect(list).toContain('  - Values: `{"src":"hero.png","alt":null}`');
+    expect(list).toContain('  - XPath: `/html[1]/body[1]/main[1]/img[2]`');
+    expect(list).toContain('<img src="hero.png">');
+  });
+
+  test('markdown leaves out the list when there is no evidence', () => {
+    const reporter = new MarkdownReporter();
+
+    expect(reporter.generateElementList(undefined)).toBe('');
+    expect(reporter.generateElementList([])).toBe('');
+  });
+
+  test('JSON reports keep the elements of issues and recommendations', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-report-'));
+    try {
+      const outputPath = await new JSONReporter().generate({
+        url: 'https://example.com/',
+        issues: [{ ruleId: 'a11y/img-alt', title: 'Images without alt', elements: [element] }],
+        recommendations: [{ title: 'Improve link text', elements: [element] }]
+      }, { outputPath: path.join(dir, 'report.json') });
+      const report = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+
+      expect(report.issues[0].elements).toEqual([element]);
+      expect(report.recommendations[0].elements).toEqual([element]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
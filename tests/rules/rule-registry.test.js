@@ -0,0 +1,56 @@
+const RuleRegistry = require('../../src/rules/rule-registry');
+const catalog = require('../../src/rules/catalog');
+
+describe('RuleRegistry', () => {
+  test('loads the built-in catalogue with unique, namespaced rule IDs', () => {
+    const registry = new RuleRegistry();
+    const ids = catalog.map(rule => rule.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(registry.list()).toHaveLength(catalog.length);
+    expect(registry.has('a11y/img-alt')).toBe(true);
+  });
+
+  test('fills in default severity and WCAG references', () => {
+    const registry = new RuleRegistry([]);
+    registry.register({ id: 'custom/banner', title: 'Banner' });
+
+    expect(registry.get('custom/banner')).toMatchObject({ severity: 'medium', wcag: [] });
+  });
+
+  test('rejects malformed IDs and unknown severities', () => {
+    const registry = new RuleRegistry([]);
+
+    expect(() => registry.register({ id: 'img-alt' })).toThrow('Invalid rule ID "img-alt"');
+    expect(() => registry.register({ id: 'a11y/Img_Alt' })).toThrow('Invalid rule ID');
+    expect(() => registry.register({ id: 'a11y/thing', severity: 'urgent' })).toThrow('unknown severity "urgent"');
+  });
+
+  test('enriches findings with catalogue metadata without overriding their own', () => {
+    const registry = new RuleRegistry([{
+      id: 'a11y/img-alt',
+      severity: 'high',
+      wcag: ['1.1.1'],
+      help: 'Add alt text',
+      docsUrl: 'https://example.com/img-alt'
+    }]);
+
+    expect(registry.enrich({ ruleId: 'a11y/img-alt', message: 'Missing alt' })).toEqual({
+      ruleId: 'a11y/img-alt',
+      message: 'Missing alt',
+      severity: 'high',
+      wcag: '1.1.1',
+      help: 'Add alt text',
+      docsUrl: 'https://example.com/img-alt'
+    });
+    expect(registry.enrich({ ruleId: 'a11y/img-alt', severity: 'low' }).severity).toBe('low');
+  });
+
+  test('leaves recommendations without severity and unknown rules untouched', () => {
+    const registry = new RuleRegistry([{ id: 'a11y/img-alt', severity: 'high' }]);
+    const unknown = { ruleId: 'x/y' };
+
+    expect(registry.enrich({ ruleId: 'a11y/img-alt' }, 'recommendation')).not.toHaveProperty('severity');
+    expect(registry.enrich(unknown)).toBe(unknown);
+  });
+});
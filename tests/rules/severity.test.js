@@ -0,0 +1,23 @@
+const { issueSeverity, countBySeverity, issueCategory } = require('../../src/rules/severity');
+const RuleRegistry = require('../../src/rules/rule-registry');
+
+describe('severity', () => {
+  test('uses the issue severity, else its impact one level up, else medium', () => {
+    expect(issueSeverity({ severity: 'low', impact: 'high' })).toBe('low');
+    expect(issueSeverity({ impact: 'high' })).toBe('critical');
+    expect(issueSeverity({ impact: 'low' })).toBe('medium');
+    expect(issueSeverity({})).toBe('medium');
+  });
+
+  test('counts every issue once', () => {
+    expect(countBySeverity([{ severity: 'critical' }, { impact: 'high' }, { impact: 'medium' }, {}])).toEqual({ critical: 2, high: 1, medium: 1, low: 0 });
+  });
+
+  test('takes the category from the rule catalogue, else the issue type', () => {
+    const rules = new RuleRegistry();
+
+    expect(issueCategory({ ruleId: 'a11y/img-alt', type: 'bug' }, rules)).toBe('accessibility');
+    expect(issueCategory({ type: 'performance' }, rules)).toBe('performance');
+    expect(issueCategory({})).toBe('other');
+  });
+});
@@ -0,0 +1,55 @@
+const ScoreEngine = require('../../src/scoring/score-engine');
+const RuleRegistry = require('../../src/rules/rule-registry');
+
+const engine = (options = {}) => new ScoreEngine(options, { rules: new RuleRegistry() });
+
+describe('ScoreEngine', () => {
+  test('scores 100 for covered categories without issues', () => {
+    const score = engine().score({ issues: [], analyzers: ['accessibility', 'performance'] });
+
+    expect(score.overall).toBe(100);
+    expect(score.categories.map(category => [category.name, category.score])).toEqual([['accessibility', 100], ['performance', 100]]);
+  });
+
+  test('halves the penalty for each repeat of a rule, worst occurrence first', () => {
+    const category = engine().score({
+      issues: [
+        { ruleId: 'a11y/img-alt', severity: 'medium' },
+        { ruleId: 'a11y/img-alt', severity: 'critical' },
+        { ruleId: 'a11y/img-alt', severity: 'high' }
+      ]
+    }).categories[0];
+
+    expect(category.deductions.map(deduction => [deduction.severity, deduction.points])).toEqual([['critical', 20], ['high', 5], ['medium', 1.3]]);
+    expect(category).toMatchObject({ name: 'accessibility', penalty: 26.3, score: 74 });
+  });
+
+  test('weights the overall score by category and leaves out zero-weight categories', () => {
+    const results = {
+      issues: [
+        { ruleId: 'a11y/img-alt', severity: 'critical' },
+        { type: 'bug', title: 'Console errors', severity: 'critical' },
+        { type: 'bug', title: 'Broken links', severity: 'high' }
+      ]
+    };
+
+    expect(engine().score(results).overall).toBe(Math.round((80 * 0.3 + 70 * 0.2) / 0.5));
+    expect(engine({ weights: { bug: 0 } }).score(results).overall).toBe(80);
+  });
+
+  test('softens penalties on large pages up to the maximum factor', () => {
+    expect(engine().pageSize({ domSize: 6000 })).toEqual({ domSize: 6000, factor: 2 });
+    expect(engine().pageSize({ 'domSize (chromium)': 3375, 'domSize (firefox)': 1000 })).toEqual({ domSize: 3375, factor: 1.5 });
+    expect(engine().pageSize({})).toEqual({ domSize: null, factor: 1 });
+    expect(engine().score({ issues: [{ ruleId: 'a11y/img-alt', severity: 'critical' }], metrics: { domSize: 6000 } }).overall).toBe(90);
+  });
+
+  test('counts baselined issues and gives failed analyses 0', () => {
+    expect(engine().score({ issues: [], baselineIssues: [{ ruleId: 'a11y/img-alt', severity: 'critical' }] }).overall).toBe(80);
+    expect(engine().score({ issues: [], error: 'crashed' })).toMatchObject({ overall: 0, note: 'The analysis failed, so the page scores 0' });
+  });
+
+  test('rejects a repeat decay outside 0..1', () => {
+    expect(() => new ScoreEngine({ repeatDecay: 1.5 })).toThrow('scoring.repeatDecay must be between 0 and 1 (got 1.5)');
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AnalysisServer = require('../../src/service/analysis-server');
+
+function fakeOrchestrator(dir) {
+  return {
+    config: { browsers: ['chromium'] },
+    contexts: [],
+    async createEngineContexts() {
+      const context = { closed: false, close: async () => { context.closed = true; } };
+      this.contexts.push(context);
+      return { chromium: context };
+    },
+    async analyzePage(url, mode) {
+      if (url.includes('broken')) return { url, error: 'Navigation failed', summary: {} };
+      return { url, mode, summary: { overallScore: 90, totalIssues: 1, criticalIssues: 0 } };
+    },
+    generateReport: jest.fn(async (result, format) => {
+      const file = path.join(dir, `report.${format}`);
+      await fs.writeFile(file, `${format} report for ${result.url}`);
+      return file;
+    }),
+    history: { query: jest.fn(async () => [{ id: 'run-1' }]) }
+  };
+}
+
+describe('AnalysisServer', () => {
+  let dir;
+  let orchestrator;
+  let server;
+  let baseUrl;
+
+  const request = (pathname, options = {}) => fetch(`${baseUrl}${pathname}`, {
+    ...options,
+    headers: { Authorization: 'Bearer secret', ...options.headers }
+  });
+  const submit = (body, headers = {}) => request('/jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-service-'));
+    orchestrator = fakeOrchestrator(dir);
+    server = new AnalysisServer(orchestrator, { port: 0, token: 'secret' });
+    baseUrl = await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('runs submitted jobs and serves their reports', async () => {
+    const submitted = await submit({ url: 'https://example.com/', mode: 'deep' });
+    expect(submitted.status).toBe(202);
+    const { id } = await submitted.json();
+    expect(submitted.headers.get('location')).toBe(`/jobs/${id}`);
+
+    await server.queue.idle();
+
+    const job = await (await request(`/jobs/${id}`)).json();
+    expect(job).toMatchObject({ status: 'completed', input: { url: 'https://example.com/', mode: 'deep' }, summary: { overallScore: 90 } });
+    expect(job.progress.map(event => event.stage)).toEqual(['queued', 'started', 'analyzing', 'completed']);
+    expect(orchestrator.contexts[0].closed).toBe(true);
+
+    const report = await request(`/jobs/${id}/result?format=markdown`);
+    expect(report.headers.get('content-type')).toBe('text/markdown; charset=utf-8');
+    expect(await report.text()).toBe('markdown report for https://example.com/');
+    await request(`/jobs/${id}/result?format=markdown`);
+    expect(orchestrator.generateReport).toHaveBeenCalledTimes(1);
+
+    expect((await request(`/jobs/${id}/result?format=pdf`)).status).toBe(400);
+    expect((await (await request('/jobs?status=completed')).json()).jobs).toHaveLength(1);
+    expect((await (await request('/health')).json())).toMatchObject({ status: 'ok', jobs: { completed: 1 } });
+  });
+
+  test('marks jobs whose analysis reports an error as failed', async () => {
+    const { id } = await (await submit({ url: 'https://example.com/broken' })).json();
+    await server.queue.idle();
+
+    expect(await (await request(`/jobs/${id}`)).json()).toMatchObject({ status: 'failed', error: 'Navigation failed' });
+    expect((await request(`/jobs/${id}/result`)).status).toBe(200);
+    expect((await request('/jobs/unknown')).status).toBe(404);
+    expect((await request(`/jobs/${id}`, { method: 'DELETE' })).status).toBe(409);
+  });
+
+  test('validates submitted jobs', async () => {
+    const rejected = async body => {
+      const response = await submit(body);
+      return [response.status, (await response.json()).error];
+    };
+
+    expect(await rejected({ url: 'file:///etc/passwd' })).toEqual([400, 'url must be an http(s) URL']);
+    expect((await rejected({ url: 'https://example.com/', mode: 'slow' }))[0]).toBe(400);
+    expect(await rejected({ url: 'https://example.com/', mode: 'element' })).toEqual([400, 'element analyses need a selector']);
+    expect((await rejected({ url: 'https://example.com/', devices: 'iphone-12' }))[0]).toBe(400);
+    expect((await request('/jobs', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '[1]' })).status).toBe(400);
+    expect((await request('/jobs', { method: 'POST', body: '{"url":"https://example.com/"}' })).status).toBe(415);
+    expect((await request('/nowhere')).status).toBe(404);
+  });
+
+  test('accepts only declarative readiness conditions over HTTP', async () => {
+    const status = async readiness => (await submit({ url: 'https://example.com/', readiness })).status;
+
+    expect(await status({ conditions: [{ selector: '#app' }, { fonts: true }], timeout: 5000 })).toBe(202);
+    expect(await status([{ domQuiet: 500 }])).toBe(202);
+    expect(await status('fast')).toBe(400);
+    expect(await status([{ predicate: 'window.ready' }])).toBe(400);
+    expect(await status([{ custom: './ready.js' }])).toBe(400);
+    expect(await status({ waitUntil: 'never' })).toBe(400);
+    expect(await status({ timeout: -1 })).toBe(400);
+    expect(await status({ timeout: 'soon' })).toBe(400);
+  });
+
+  test('requires the bearer token on every request', async () => {
+    await server.stop();
+    server = new AnalysisServer(orchestrator, { port: 0, token: 'secret', cors: 'https://app.example.com' });
+    baseUrl = await server.start();
+
+    const denied = await fetch(`${baseUrl}/health`);
+    expect(denied.status).toBe(401);
+    expect(denied.headers.get('access-control-allow-origin')).toBe('https://app.example.com');
+    expect((await request('/health', { headers: { Authorization: 'Bearer wrong' } })).status).toBe(401);
+    expect((await request('/health')).status).toBe(200);
+    expect((await fetch(`${baseUrl}/health?token=secret`)).status).toBe(200);
+    expect((await fetch(`${baseUrl}/health`, { method: 'OPTIONS' })).status).toBe(204);
+  });
+
+  test('generates a token when none is configured', async () => {
+    await server.stop();
+    server = new AnalysisServer(orchestrator, { port: 0 });
+    baseUrl = await server.start();
+
+    expect(server.generatedToken).toBe(true);
+    expect(server.token).toMatch(/^[\w-]{32}$/);
+    expect((await fetch(`${baseUrl}/jobs`, { method: 'POST', body: '{}' })).status).toBe(401);
+    expect((await fetch(`${baseUrl}/health`, { headers: { Authorization: `Bearer ${server.token}` } })).status).toBe(200);
+  });
+
+  test('queries the history with parsed filters', async () => {
+    const response = await request('/history?url=https://example.com/&type=quick&limit=5');
+
+    expect(await response.json()).toEqual({ runs: [{ id: 'run-1' }] });
+    expect(orchestrator.history.query).toHaveBeenCalledWith(expect.objectContaining({
+      url: 'https://example.com/',
+      analysisType: 'quick',
+      limit: 5
+    }));
+  });
+
+  test('replays a finished job\'s progress as server-sent events', async () => {
+    const { id } = await (await submit({ url: 'https://example.com/' })).json();
+    await server.queue.idle();
+
+    const response = await request(`/jobs/${id}/events`);
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    const events = (await response.text()).match(/^event: .+$/gm);
+    expect(events).toEqual(['event: queued', 'event: started', 'event: analyzing', 'event: completed']);
+  });
+});
@@ -0,0 +1,94 @@
+const JobQueue = require('../../src/service/job-queue');
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('JobQueue', () => {
+  test('runs jobs in submission order within the concurrency limit', async () => {
+    const started = [];
+    let running = 0;
+    let maxRunning = 0;
+    const queue = new JobQueue(async job => {
+      started.push(job.input);
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+      return job.input * 2;
+    }, { concurrency: 2 });
+
+    const jobs = [1, 2, 3, 4, 5].map(input => queue.submit(input));
+    await queue.idle();
+
+    expect(started).toEqual([1, 2, 3, 4, 5]);
+    expect(maxRunning).toBe(2);
+    expect(jobs.map(job => job.result)).toEqual([2, 4, 6, 8, 10]);
+    expect(queue.counts()).toMatchObject({ queued: 0, running: 0, completed: 5 });
+  });
+
+  test('records progress, failures and queue positions', async () => {
+    const gate = deferred();
+    const queue = new JobQueue(async (job, progress) => {
+      if (job.input === 'bad') throw new Error('Page crashed');
+      progress('analyzing', { url: job.input });
+      await gate.promise;
+      return 'ok';
+    });
+    const events = [];
+    queue.on('job', (job, event) => events.push(`${job.input}:${event.stage}`));
+
+    const good = queue.submit('good');
+    const bad = queue.submit('bad');
+    expect(bad.progress.at(-1)).toMatchObject({ stage: 'queued', position: 1 });
+
+    gate.resolve();
+    await queue.idle();
+
+    expect(good.status).toBe('completed');
+    expect(good.progress.map(event => event.stage)).toEqual(['queued', 'started', 'analyzing', 'completed']);
+    expect(bad).toMatchObject({ status: 'failed', error: 'Page crashed' });
+    expect(bad.progress.at(-1)).toMatchObject({ stage: 'failed', error: 'Page crashed' });
+    expect(events).toContain('bad:started');
+  });
+
+  test('cancels only jobs that have not started', async () => {
+    const gate = deferred();
+    const queue = new JobQueue(() => gate.promise);
+
+    const running = queue.submit('a');
+    const waiting = queue.submit('b');
+
+    expect(queue.cancel(running.id)).toBe(false);
+    expect(queue.cancel(waiting.id)).toBe(true);
+    expect(waiting.status).toBe('cancelled');
+    expect(queue.cancel('unknown')).toBe(false);
+
+    gate.resolve();
+    await queue.idle();
+    expect(running.status).toBe('completed');
+  });
+
+  test('lists jobs newest first and forgets the oldest finished ones', async () => {
+    const queue = new JobQueue(async () => 'done', { retain: 2 });
+
+    const first = queue.submit(1);
+    await queue.idle();
+    queue.submit(2);
+    await queue.idle();
+    queue.submit(3);
+    await queue.idle();
+    const last = queue.submit(4);
+    await queue.idle();
+
+    expect(queue.get(first.id)).toBeNull();
+    expect(queue.list().map(job => job.input)).toEqual([4, 3, 2]);
+    expect(queue.get(last.id)).toBe(last);
+  });
+});
@@ -0,0 +1,84 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const StaticServer = require('../../src/static/static-server');
+const { localPath } = require('../../src/static/static-server');
+
+describe('StaticServer', () => {
+  let root;
+  let server;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-static-'));
+    await fs.mkdir(path.join(root, 'docs/guide'), { recursive: true });
+    await fs.mkdir(path.join(root, 'node_modules/pkg'), { recursive: true });
+    await fs.mkdir(path.join(root, '.cache'), { recursive: true });
+    await fs.writeFile(path.join(root, 'index.html'), '<h1>Home</h1>');
+    await fs.writeFile(path.join(root, 'about.html'), '<h1>About</h1>');
+    await fs.writeFile(path.join(root, 'docs/guide/index.html'), '<h1>Guide</h1>');
+    await fs.writeFile(path.join(root, 'app.css'), 'body {}');
+    await fs.writeFile(path.join(root, 'node_modules/pkg/readme.html'), '');
+    await fs.writeFile(path.join(root, '.cache/page.html'), '');
+  });
+
+  afterEach(async () => {
+    if (server) await server.stop();
+    server = null;
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const start = async (options = {}) => {
+    server = new StaticServer({ root, port: 0, ...options });
+    return server.start();
+  };
+
+  test('serves files, directory indexes and extensionless .html paths', async () => {
+    const baseUrl = await start();
+
+    const home = await fetch(`${baseUrl}/`);
+    expect(home.status).toBe(200);
+    expect(home.headers.get('content-type')).toBe('text/html; charset=utf-8');
+    expect(await home.text()).toBe('<h1>Home</h1>');
+    expect(await (await fetch(`${baseUrl}/about`)).text()).toBe('<h1>About</h1>');
+    expect(await (await fetch(`${baseUrl}/docs/guide/`)).text()).toBe('<h1>Guide</h1>');
+    expect((await fetch(`${baseUrl}/app.css`)).headers.get('content-type')).toBe('text/css; charset=utf-8');
+    expect((await fetch(`${baseUrl}/missing`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/`, { method: 'POST' })).status).toBe(405);
+  });
+
+  test('falls back to the root index for client-side routes in SPA mode', async () => {
+    const baseUrl = await start({ spa: true });
+
+    expect(await (await fetch(`${baseUrl}/dashboard/settings`)).text()).toBe('<h1>Home</h1>');
+    expect((await fetch(`${baseUrl}/missing.js`)).status).toBe(404);
+  });
+
+  test('never resolves paths outside the root', async () => {
+    server = new StaticServer({ root });
+
+    expect(await server.resolve('/../../etc/passwd')).toBeNull();
+    expect(await server.resolve('/%2e%2e/%2e%2e/etc/passwd')).toBeNull();
+    expect(await server.resolve('/%E0%A4%A')).toBeNull();
+  });
+
+  test('lists HTML pages and maps them to served URLs', async () => {
+    const baseUrl = await start();
+
+    const pages = await server.listPages();
+    expect(pages.map(file => path.relative(root, file))).toEqual(['about.html', path.join('docs/guide/index.html'), 'index.html']);
+    expect(pages.map(file => server.urlFor(file))).toEqual([`${baseUrl}/about.html`, `${baseUrl}/docs/guide/`, `${baseUrl}/`]);
+    expect(() => server.urlFor(os.tmpdir())).toThrow('is outside the static root');
+  });
+
+  test('rejects a root that is not a directory', async () => {
+    await expect(new StaticServer({ root: path.join(root, 'about.html') }).start()).rejects.toThrow('is not a directory');
+  });
+});
+
+describe('localPath', () => {
+  test('tells local targets from web URLs', () => {
+    expect(localPath('https://example.com/')).toBeNull();
+    expect(localPath('file:///srv/site/index.html')).toBe('/srv/site/index.html');
+    expect(localPath('dist/index.html')).toBe(path.resolve('dist/index.html'));
+  });
+});
@@ -0,0 +1,14 @@
+const { injectEvidenceHelpers } = require('../../src/utils/element-evidence');
+
+describe('injectEvidenceHelpers', () => {
+  test('installs the helpers with the default limits unless overridden', async () => {
+    const page = { evaluate: jest.fn(async () => {}) };
+
+    await injectEvidenceHelpers(page);
+    await injectEvidenceHelpers(page, { maxElements: 5 });
+
+    expect(page.evaluate.mock.calls[0][1]).toEqual({ maxElements: 20, snippetLength: 200 });
+    expect(page.evaluate.mock.calls[1][1]).toEqual({ maxElements: 5, snippetLength: 200 });
+    expect(typeof page.evaluate.mock.calls[0][0]).toBe('function');
+  });
+});
@@ -0,0 +1,55 @@
+const { runSteps, resolveUrl } = require('../../src/utils/steps');
+
+function fakePage(overrides = {}) {
+  return {
+    goto: jest.fn(async () => {}),
+    fill: jest.fn(async () => {}),
+    click: jest.fn(async () => {}),
+    url: () => 'https://example.com/account',
+    title: async () => 'Your account',
+    ...overrides
+  };
+}
+
+describe('step runner', () => {
+  test('resolves relative URLs against the base URL', () => {
+    expect(resolveUrl('/login', 'https://example.com/app/')).toBe('https://example.com/login');
+    expect(resolveUrl('https://other.test/', undefined)).toBe('https://other.test/');
+    expect(() => resolveUrl(undefined)).toThrow('goto step requires a url');
+  });
+
+  test('runs steps in order with the step or default timeout', async () => {
+    const page = fakePage();
+
+    await runSteps(page, [
+      { action: 'goto', url: '/login' },
+      { action: 'fill', selector: '#email', value: 42 },
+      { action: 'click', selector: 'button', timeout: 500 }
+    ], { baseUrl: 'https://example.com', timeout: 1000 });
+
+    expect(page.goto).toHaveBeenCalledWith('https://example.com/login', { waitUntil: 'load', timeout: 1000 });
+    expect(page.fill).toHaveBeenCalledWith('#email', '42', { timeout: 1000 });
+    expect(page.click).toHaveBeenCalledWith('button', { timeout: 500 });
+  });
+
+  test('names the failing step', async () => {
+    await expect(runSteps(fakePage(), [{ action: 'goto', url: 'https://example.com' }, { action: 'hover' }]))
+      .rejects.toThrow('Step 2 (hover) failed: Unknown step action "hover"');
+  });
+
+  test('checks URL and title assertions', async () => {
+    const page = fakePage();
+
+    await expect(runSteps(page, [{ action: 'assert', url: '/account' }, { action: 'assert', title: 'account' }])).resolves.toBeUndefined();
+    await expect(runSteps(page, [{ action: 'assert', url: '/checkout' }]))
+      .rejects.toThrow('Expected URL to contain "/checkout", got https://example.com/account');
+    await expect(runSteps(page, [{ action: 'assert' }])).rejects.toThrow('assert step needs a selector, url or title');
+  });
+
+  test('compares element counts', async () => {
+    const page = fakePage({ locator: () => ({ count: async () => 2 }) });
+
+    await expect(runSteps(page, [{ action: 'assert', selector: '.item', count: 3 }]))
+      .rejects.toThrow('Expected 3 element(s) matching .item, found 2');
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const FileWatcher = require('../../src/watch/file-watcher');
+const { globBase } = FileWatcher;
+
+describe('globBase', () => {
+  test('returns the directory before the first wildcard', () => {
+    expect(globBase('src/**/*.js')).toBe('src');
+    expect(globBase('src/components/*.vue')).toBe('src/components');
+    expect(globBase('**/*.css')).toBe('.');
+    expect(globBase('public/index.html')).toBe('public');
+    expect(globBase('package.json')).toBe('.');
+  });
+});
+
+describe('FileWatcher', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-watch-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('matches watched files and skips ignored ones', () => {
+    const watcher = new FileWatcher({ cwd: dir, patterns: ['./src/**/*.js', path.join(dir, 'styles/*.css')], ignore: ['src/generated/**'] });
+
+    expect(watcher.matches('src/app.js')).toBe(true);
+    expect(watcher.matches(path.join('src', 'components', 'nav.js'))).toBe(true);
+    expect(watcher.matches('styles/main.css')).toBe(true);
+    expect(watcher.matches('src/app.ts')).toBe(false);
+    expect(watcher.matches('src/generated/routes.js')).toBe(false);
+    expect(watcher.matches('src/node_modules/lib/index.js')).toBe(false);
+    expect(new FileWatcher({ cwd: dir, patterns: ['**/*.js'] }).matches('node_modules/lib/index.js')).toBe(false);
+  });
+
+  test('emits one sorted batch per burst of changes', async () => {
+    const watcher = new FileWatcher({ cwd: dir, patterns: ['src/**/*'], debounce: 10 });
+    const batches = [];
+    watcher.on('change', files => batches.push(files));
+
+    watcher.record(path.join(dir, 'src/b.js'));
+    watcher.record(path.join(dir, 'src/a.js'));
+    watcher.record(path.join(dir, 'src/b.js'));
+    watcher.record(path.join(dir, 'README.md'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(batches).toEqual([['src/a.js', 'src/b.js']]);
+  });
+
+  test('watches each base directory once and requires it to exist', async () => {
+    await fs.mkdir(path.join(dir, 'src/components'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'styles'));
+
+    const watcher = new FileWatcher({ cwd: dir, patterns: ['src/**/*.js', 'src/components/*.vue', 'styles/*.css'] });
+    try {
+      expect(watcher.start()).toEqual([path.join(dir, 'src'), path.join(dir, 'styles')]);
+    } finally {
+      watcher.stop();
+    }
+
+    expect(() => new FileWatcher({ cwd: dir, patterns: ['lib/**/*.js'] }).start()).toThrow('Cannot watch lib: no such directory');
+    expect(() => new FileWatcher({ cwd: dir }).start()).toThrow('No file patterns to watch');
+  });
+});
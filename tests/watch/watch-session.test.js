@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WatchSession = require('../../src/watch/watch-session');
+
+const issue = (ruleId, title) => ({ ruleId, title, severity: 'medium' });
+
+function fakeOrchestrator(reports) {
+  return {
+    config: { timeout: 1000 },
+    analyzed: [],
+    closed: 0,
+    async createEngineContexts() {
+      return { chromium: { close: async () => { this.closed++; } } };
+    },
+    async analyzePage(url, analysisType, options) {
+      this.analyzed.push({ url, analysisType, selector: options.selector });
+      return reports.shift();
+    }
+  };
+}
+
+const report = (issues, extra = {}) => ({ summary: { overallScore: 90 }, issues, scores: {}, metrics: {}, ...extra });
+
+describe('WatchSession', () => {
+  let dir;
+  let session;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-ux-watch-session-'));
+    await fs.mkdir(path.join(dir, 'src'));
+  });
+
+  afterEach(async () => {
+    if (session) await session.stop();
+    session = null;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const watch = (orchestrator, options = {}) => {
+    session = new WatchSession(orchestrator, { url: 'http://localhost:3000/', files: ['src/**/*.js'], cwd: dir, ...options });
+    session.waitForServer = async () => true;
+    return session;
+  };
+
+  test('analyzes on start and diffs each rerun against the last good run', async () => {
+    const orchestrator = fakeOrchestrator([
+      report([issue('a11y/img-alt', 'Images without alt')]),
+      report([], { error: 'Navigation failed' }),
+      report([issue('bugs/console-error', 'Console errors')])
+    ]);
+    const runs = [];
+    watch(orchestrator, { analysisType: 'element', selector: '#app' }).on('run', run => runs.push(run));
+
+    await session.start();
+    session.schedule(['src/app.js']);
+    await session.running;
+    session.schedule(['src/nav.js']);
+    await session.running;
+
+    expect(orchestrator.analyzed).toHaveLength(3);
+    expect(orchestrator.analyzed[0]).toEqual({ url: 'http://localhost:3000/', analysisType: 'element', selector: '#app' });
+    expect(orchestrator.closed).toBe(3);
+    expect(runs.map(run => [run.run, run.files])).toEqual([[1, []], [2, ['src/app.js']], [3, ['src/nav.js']]]);
+    expect(runs[0].diff).toBeNull();
+    expect(runs[1].diff).toBeNull();
+    expect(runs[2].diff.added.map(added => added.ruleId)).toEqual(['bugs/console-error']);
+    expect(runs[2].diff.resolved.map(resolved => resolved.ruleId)).toEqual(['a11y/img-alt']);
+  });
+
+  test('folds changes made during an analysis into one rerun', async () => {
+    const orchestrator = fakeOrchestrator([report([]), report([]), report([])]);
+    const analyzing = [];
+    watch(orchestrator).on('analyzing', files => analyzing.push(files));
+
+    await session.start();
+    const rerunsDone = new Promise(resolve => session.on('run', ({ run }) => run === 3 && resolve()));
+    session.schedule(['src/b.js']);
+    session.schedule(['src/a.js', 'src/b.js']);
+    session.schedule(['src/c.js']);
+    await rerunsDone;
+
+    expect(analyzing).toEqual([[], ['src/b.js'], ['src/a.js', 'src/b.js', 'src/c.js']]);
+  });
+
+  test('skips a rerun when the dev server does not come back', async () => {
+    const orchestrator = fakeOrchestrator([report([])]);
+    const unavailable = jest.fn();
+    watch(orchestrator).on('server-unavailable', unavailable);
+    session.waitForServer = async () => false;
+
+    await session.start();
+    session.schedule(['src/app.js']);
+    await session.running;
+
+    expect(unavailable).toHaveBeenCalledWith('http://localhost:3000/');
+    expect(orchestrator.analyzed).toHaveLength(1);
+  });
+
+  test('waits until the page answers without a server error', async () => {
+    let requests = 0;
+    const server = http.createServer((request, response) => {
+      response.writeHead(++requests < 2 ? 503 : 200);
+      response.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/`;
+      session = new WatchSession(fakeOrchestrator([]), { url, files: ['src/**/*.js'], cwd: dir, settle: 0, serverTimeout: 2000 });
+
+      expect(await session.waitForServer()).toBe(true);
+      expect(requests).toBe(2);
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});